@@ -11,6 +11,15 @@ import userRoutes from './routes/users.js';
 import newsRoutes from './routes/news.js';
 import articleRoutes from './routes/articles.js';
 import notificationRoutes from './routes/notifications.js';
+import scheduleRoutes from './routes/schedules.js';
+import unsubscribeRoutes from './routes/unsubscribe.js';
+import trackRoutes from './routes/track.js';
+import archiveRoutes from './routes/archive.js';
+import CuratedArticle from './models/article.model.js';
+import { startScheduler } from './services/scheduler.js';
+import { startDeliveryWorker } from './services/newsletterDelivery.js';
+import { startSubjectTestWorker } from './services/subjectTests.js';
+import { startNewsIngestionWorker } from './services/newsIngestion.js';
 
 const app = express();
 const port = process.env.PORT || 5000;
@@ -21,7 +30,15 @@ app.use(cors());
 app.use(express.json());
 
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB connection established."))
+  .then(() => {
+    console.log("✅ MongoDB connection established.");
+    // Saved articles used to be unique by URL alone; this swaps that index for the per-category one.
+    CuratedArticle.syncIndexes().catch(err => console.error("❌ Could not update the saved article indexes.", err));
+    startScheduler();
+    startDeliveryWorker();
+    startSubjectTestWorker();
+    startNewsIngestionWorker();
+  })
   .catch(err => { console.error("❌ MongoDB connection failed.", err); process.exit(1); });
 
 app.use('/api/auth', authRoutes);
@@ -32,6 +49,10 @@ app.use('/api/users', auth, userRoutes);
 app.use('/api/news', auth, newsRoutes);
 app.use('/api/articles', auth, articleRoutes);
 app.use('/api/notifications', auth, notificationRoutes);
+app.use('/api/schedules', auth, scheduleRoutes);
+app.use('/api/unsubscribe', unsubscribeRoutes);
+app.use('/api/track', trackRoutes);
+app.use('/api/archive', archiveRoutes);
 
 app.listen(port, () => {
   console.log(`🚀 Server is running on port: ${port}`);
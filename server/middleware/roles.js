@@ -0,0 +1,33 @@
+import User from '../models/user.model.js';
+
+// Middleware to check for admin or superadmin role
+export const isAdminOrSuperAdmin = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user);
+        if (!user || (user.userType !== 'admin' && user.userType !== 'superadmin')) {
+            return res.status(403).json({ message: 'Access denied. Admin permission required.' });
+        }
+        req.userRef = user; // Pass the user object to the next middleware/handler
+        next();
+    } catch (err) {
+        res.status(500).json({ message: 'Server error during role check.' });
+    }
+};
+
+// Middleware to check for superadmin role
+export const isSuperAdmin = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user);
+        if (!user || user.userType !== 'superadmin') {
+            return res.status(403).json({ message: 'Access denied. Superadmin permission required.' });
+        }
+        req.userRef = user;
+        next();
+    } catch (err) {
+        res.status(500).json({ message: 'Server error during role check.' });
+    }
+};
+
+// Superadmins manage every category; admins only the ones assigned to them.
+export const canManageCategory = (user, categoryName) =>
+    user.userType === 'superadmin' || (user.categories || []).includes(categoryName);
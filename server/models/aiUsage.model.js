@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One AI call, for the superadmin's usage report.
+const aiUsageSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User' },
+  category: { type: String },
+  operation: { type: String, enum: ['summarize', 'compose', 'translate'], required: true },
+  provider: { type: String, required: true },
+  model: { type: String, required: true },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  durationMs: { type: Number },
+}, {
+  timestamps: true,
+});
+
+aiUsageSchema.index({ createdAt: -1 });
+
+const AiUsage = mongoose.model('AiUsage', aiUsageSchema);
+export default AiUsage;
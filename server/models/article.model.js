@@ -3,15 +3,22 @@ const Schema = mongoose.Schema;
 const curatedArticleSchema = new Schema({
     title: { type: String, required: true },
     sourceName: { type: String },
-    originalUrl: { type: String, required: true, unique: true },
+    originalUrl: { type: String, required: true },
     description: { type: String },
     content: { type: String },
+    // Set once `content` holds the full text read from the article page instead of the provider's snippet.
+    contentExtractedAt: { type: Date },
+    contentExtractionError: { type: String },
     summary: { type: String },
     imageUrl: { type: String },
     publishedAt: { type: Date },
     category: { type: String, required: true },
+    // Who added the article to the category's library, which every admin of the category shares.
     savedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
 }, {
     timestamps: true
 });
+// The same story may be curated for several categories, but only once for each.
+curatedArticleSchema.index({ originalUrl: 1, category: 1 }, { unique: true });
+curatedArticleSchema.index({ category: 1, createdAt: -1 });
 export default mongoose.model('CuratedArticle', curatedArticleSchema);
\ No newline at end of file
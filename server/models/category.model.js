@@ -3,7 +3,32 @@ const Schema = mongoose.Schema;
 const categorySchema = new Schema({
   name: { type: String, required: true, unique: true },
   admins: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  reviewers: [{ type: Schema.Types.ObjectId, ref: 'User' }],
   keywords: { type: [String] },
-  flyerImageUrl: { type: String }
+  flyerImageUrl: { type: String },
+  template: { type: String, default: 'ai' },
+  aiIntro: { type: Boolean, default: false },
+  // Style of the AI summaries made while curating, unless the admin picks another one.
+  summaryStyle: { type: String, default: 'standard' },
+  trackingEnabled: { type: Boolean, default: true },
+  // The language NewsAPI searches in. Summaries and issues are still written in English.
+  sourceLanguage: { type: String, default: 'en' },
+  // Scoring and filtering of fetched news on top of the keywords. Terms in quotes match as phrases.
+  rules: {
+    required: { type: [String], default: [] },
+    excluded: { type: [String], default: [] },
+    weights: { type: [{ term: String, weight: Number, _id: false }], default: [] },
+    allowedSources: { type: [String], default: [] },
+    blockedSources: { type: [String], default: [] },
+  },
+  // Where the Dashboard's news comes from. Empty means NewsAPI searched with the keywords.
+  sources: [{
+    provider: { type: String, required: true },
+    url: { type: String },
+    name: { type: String },
+  }],
+  // Public web archive and feeds; the slug is assigned once, when the archive is first enabled.
+  archivePublic: { type: Boolean, default: false },
+  slug: { type: String, unique: true, sparse: true }
 }, { timestamps: true });
 export default mongoose.model('Category', categorySchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One row per recipient of a newsletter send; the delivery worker drains the queued ones.
+const deliveryRecordSchema = new Schema({
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter', required: true, index: true },
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  email: { type: String, required: true },
+  // The newsletter revision that was current when this recipient was queued.
+  revision: { type: Number },
+  // Set when the recipient is part of a subject-line test; otherwise the default subject is used.
+  subject: { type: String },
+  subjectTest: { type: Schema.Types.ObjectId, ref: 'SubjectTest' },
+  variant: { type: Number },
+  // The translation this recipient gets; the original when it is the default language.
+  language: { type: String, default: 'en' },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'bounced'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String },
+  nextAttemptAt: { type: Date, default: Date.now },
+  sentAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+deliveryRecordSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const DeliveryRecord = mongoose.model('DeliveryRecord', deliveryRecordSchema);
+export default DeliveryRecord;
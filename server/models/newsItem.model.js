@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A raw article fetched by the ingestion job. The same story from several sources or
+// categories is stored once, keyed by its normalized URL.
+const newsItemSchema = new Schema({
+  normalizedUrl: { type: String, required: true, unique: true },
+  url: { type: String, required: true },
+  title: { type: String, required: true },
+  description: { type: String },
+  content: { type: String },
+  sourceName: { type: String },
+  imageUrl: { type: String },
+  publishedAt: { type: Date },
+  provider: { type: String },
+  categories: { type: [String], index: true },
+  lastSeenAt: { type: Date, default: Date.now },
+  // Score against each category's keywords and rules; excluded items are hidden from that category.
+  relevance: [{
+    category: { type: String },
+    score: { type: Number },
+    excluded: { type: Boolean },
+    _id: false,
+  }],
+  // The primary item of the story this one is a near-duplicate of; unset when only one source has it.
+  cluster: { type: Schema.Types.ObjectId, ref: 'NewsItem', index: true },
+}, {
+  timestamps: true,
+});
+
+newsItemSchema.index({ categories: 1, publishedAt: -1 });
+
+const NewsItem = mongoose.model('NewsItem', newsItemSchema);
+export default NewsItem;
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Outcome of the latest ingestion run for one of a category's sources, shown to its admins.
+const newsSourceStatusSchema = new Schema({
+  category: { type: String, required: true },
+  provider: { type: String, required: true },
+  // Empty for providers without a URL, such as NewsAPI.
+  url: { type: String, default: '' },
+  label: { type: String },
+  lastRunAt: { type: Date },
+  lastSuccessAt: { type: Date },
+  lastError: { type: String },
+  consecutiveFailures: { type: Number, default: 0 },
+  fetchedCount: { type: Number, default: 0 },
+  newCount: { type: Number, default: 0 },
+}, {
+  timestamps: true,
+});
+
+newsSourceStatusSchema.index({ category: 1, provider: 1, url: 1 }, { unique: true });
+
+const NewsSourceStatus = mongoose.model('NewsSourceStatus', newsSourceStatusSchema);
+export default NewsSourceStatus;
@@ -1,6 +1,35 @@
 import mongoose from 'mongoose';
 const { Schema } = mongoose;
 
+const reviewEventSchema = new Schema({
+  action: { type: String, enum: ['submitted', 'approved', 'declined', 'withdrawn', 'sent'], required: true },
+  by: { type: Schema.Types.ObjectId, ref: 'User' },
+  comment: { type: String },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// The issue in another language. Only valid for the revision it was translated from, and only
+// sent once a reviewer approved it.
+const translationSchema = new Schema({
+  language: { type: String, required: true },
+  revision: { type: Number, required: true },
+  title: { type: String },
+  subject: { type: String },
+  intro: { type: String },
+  highlights: {
+    heading: String,
+    items: [{ text: String, url: String, title: String, _id: false }],
+  },
+  articles: [{ article: { type: Schema.Types.ObjectId, ref: 'CuratedArticle' }, title: String, summary: String, _id: false }],
+  // Translated DEFAULT_LABELS from server/templates/labels.js: buttons, footer and email chrome.
+  labels: { type: Schema.Types.Mixed },
+  htmlContent: { type: String },
+  translatedAt: { type: Date, default: Date.now },
+  reviewedAt: { type: Date },
+  approvedAt: { type: Date },
+  approvedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+}, { _id: false });
+
 const newsletterSchema = new Schema({
   title: { type: String, required: true },
   category: { type: String, required: true },
@@ -11,11 +40,52 @@ const newsletterSchema = new Schema({
   },
   articles: [{ type: Schema.Types.ObjectId, ref: 'CuratedArticle' }],
   recipients: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  // Metadata of the PDF in file storage; the bytes live in GridFS, on disk or in S3.
+  pdf: {
+    key: String,
+    size: Number,
+    contentType: String,
+    etag: String,
+  },
+  // Preview image of the top of the email, shown in the newsletter lists.
+  thumbnail: {
+    key: String,
+    size: Number,
+    contentType: String,
+    etag: String,
+  },
+  // Legacy inline PDF, only present until server/scripts/migratePdfStorage.js has run.
   pdfContent: {
-    data: Buffer,
-    contentType: String
+    type: {
+      data: Buffer,
+      contentType: String
+    },
+    select: false
   },
   htmlContent: { type: String }, // Add this line
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  schedule: { type: Schema.Types.ObjectId, ref: 'Schedule' },
+  reviewHistory: [reviewEventSchema],
+  // When the first recipient received the issue; orders the public archive.
+  sentAt: { type: Date },
+  template: { type: String, default: 'ai' },
+  // Subject line picked by the editor; sends without one use the default built from the title.
+  subject: { type: String },
+  // Number of the NewsletterRevision that htmlContent currently holds.
+  revision: { type: Number, default: 1 },
+  // Inputs a template needs besides the articles, kept so a re-render reproduces the issue.
+  templateData: {
+    issueDate: Date,
+    flyerImageUrl: String,
+    intro: String,
+    // The editor's "This week in ..." box.
+    highlights: {
+      heading: String,
+      items: [{ text: String, url: String, title: String, _id: false }],
+    },
+  },
+  // Translated variants for subscribers who prefer another language; the fields above are the original.
+  translations: [translationSchema],
 }, {
   timestamps: true,
 });
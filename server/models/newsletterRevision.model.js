@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const newsletterRevisionSchema = new Schema({
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter', required: true },
+  number: { type: Number, required: true },
+  htmlContent: { type: String, required: true },
+  template: { type: String },
+  note: { type: String },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+});
+
+newsletterRevisionSchema.index({ newsletter: 1, number: -1 }, { unique: true });
+
+const NewsletterRevision = mongoose.model('NewsletterRevision', newsletterRevisionSchema);
+export default NewsletterRevision;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const scheduleSchema = new Schema({
+  name: { type: String, required: true },
+  category: { type: String, required: true, index: true },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  dayOfWeek: { type: Number, min: 0, max: 6 },   // 0 = Sunday, used by weekly schedules
+  dayOfMonth: { type: Number, min: 1, max: 28 }, // capped at 28 so every month has the day
+  time: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ }, // HH:mm, server time
+  action: {
+    type: String,
+    enum: ['review', 'send'],
+    default: 'review'
+  },
+  titlePrefix: { type: String },
+  maxArticles: { type: Number, default: 10, min: 1, max: 50 },
+  isActive: { type: Boolean, default: true },
+  nextRunAt: { type: Date, index: true },
+  lastRunAt: { type: Date },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+}, {
+  timestamps: true,
+});
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+export default Schedule;
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const scheduleRunSchema = new Schema({
+  schedule: { type: Schema.Types.ObjectId, ref: 'Schedule', required: true, index: true },
+  category: { type: String, required: true },
+  trigger: { type: String, enum: ['scheduled', 'manual'], default: 'scheduled' },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'skipped', 'failed'],
+    default: 'running'
+  },
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter' },
+  articleCount: { type: Number, default: 0 },
+  recipientCount: { type: Number, default: 0 },
+  message: { type: String },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+const ScheduleRun = mongoose.model('ScheduleRun', scheduleRunSchema);
+export default ScheduleRun;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const variantSchema = new Schema({
+  subject: { type: String, required: true },
+  // Filled in when the test is decided, so results survive later sends and deletions of events.
+  sent: { type: Number, default: 0 },
+  opens: { type: Number, default: 0 },
+}, { _id: false });
+
+// A subject-line A/B test: each variant goes to a random slice, the winner to everyone else.
+const subjectTestSchema = new Schema({
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter', required: true, index: true },
+  category: { type: String, required: true, index: true },
+  variants: {
+    type: [variantSchema],
+    validate: [(variants) => variants.length >= 2, 'A subject test needs at least two variants.']
+  },
+  testPercent: { type: Number, required: true, min: 1, max: 100 },
+  waitHours: { type: Number, required: true, min: 1, max: 72 },
+  // Recipients still waiting for the winning subject.
+  holdout: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  status: {
+    type: String,
+    enum: ['testing', 'completed', 'cancelled'],
+    default: 'testing'
+  },
+  decideAt: { type: Date, required: true, index: true },
+  decidedAt: { type: Date },
+  winner: { type: Number },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+});
+
+const SubjectTest = mongoose.model('SubjectTest', subjectTestSchema);
+export default SubjectTest;
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A generated summary, keyed by the story's normalized URL and the summary style.
+const summaryCacheSchema = new Schema({
+  url: { type: String, required: true },
+  style: { type: String, required: true },
+  summary: { type: String, required: true },
+  source: { type: String, enum: ['article', 'snippet'], required: true },
+  extractionError: { type: String },
+  expiresAt: { type: Date, required: true },
+}, {
+  timestamps: true,
+});
+
+summaryCacheSchema.index({ url: 1, style: 1 }, { unique: true });
+summaryCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SummaryCache = mongoose.model('SummaryCache', summaryCacheSchema);
+export default SummaryCache;
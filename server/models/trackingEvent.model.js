@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const trackingEventSchema = new Schema({
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter', required: true, index: true },
+  delivery: { type: Schema.Types.ObjectId, ref: 'DeliveryRecord', required: true },
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['open', 'click'], required: true },
+  article: { type: Schema.Types.ObjectId, ref: 'CuratedArticle' },
+}, {
+  timestamps: true,
+});
+
+const TrackingEvent = mongoose.model('TrackingEvent', trackingEventSchema);
+export default TrackingEvent;
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const unsubscribeEventSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  email: { type: String, required: true },
+  // The categories actually removed, so "all" events still count against each category's churn.
+  categories: [{ type: String, index: true }],
+  scope: { type: String, enum: ['category', 'all'], required: true },
+  source: { type: String, enum: ['page', 'one-click'], required: true },
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter' },
+}, {
+  timestamps: true,
+});
+
+const UnsubscribeEvent = mongoose.model('UnsubscribeEvent', unsubscribeEventSchema);
+export default UnsubscribeEvent;
@@ -11,6 +11,8 @@ const userSchema = new Schema({
     default: 'user' 
   },
   categories: [{ type: String }],
+  // Newsletters are delivered in this language when a translation is available.
+  preferredLanguage: { type: String, default: 'en' },
   status: { type: String, enum: ['Active', 'Inactive'], default: 'Active' },
   lastLogin: { type: Date, default: Date.now }
 }, {
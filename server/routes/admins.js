@@ -1,11 +1,15 @@
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { subDays } from 'date-fns';
 import User from '../models/user.model.js';
 import Category from '../models/category.model.js';
 import Newsletter from '../models/newsletter.model.js';
+import UnsubscribeEvent from '../models/unsubscribeEvent.model.js';
+import AiUsage from '../models/aiUsage.model.js';
 import auth from '../middleware/auth.js';
-import sgMail from '@sendgrid/mail';
+import { isMailConfigured, sendMail } from '../services/mail/index.js';
+import { getAiModel, getAiProviderName, isAiConfigured } from '../services/ai/index.js';
 
 const router = Router();
 
@@ -23,6 +27,49 @@ router.get('/', auth, async (req, res) => {
     }
 });
 
+// GET AI calls and token counts per category and per admin (SUPERADMIN ONLY)
+// Query: days (default 30)
+router.get('/ai-usage', auth, async (req, res) => {
+    try {
+        const requester = await User.findById(req.user);
+        if (!requester || requester.userType !== 'superadmin') {
+            return res.status(403).json({ message: 'Access denied. Superadmin permission required.' });
+        }
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+        const totals = {
+            calls: { $sum: 1 },
+            promptTokens: { $sum: '$promptTokens' },
+            completionTokens: { $sum: '$completionTokens' },
+        };
+        const [result] = await AiUsage.aggregate([
+            { $match: { createdAt: { $gte: subDays(new Date(), days) } } },
+            { $facet: {
+                total: [{ $group: { _id: null, ...totals } }],
+                byCategory: [{ $group: { _id: { category: '$category', operation: '$operation' }, ...totals } }, { $sort: { '_id.category': 1, '_id.operation': 1 } }],
+                byAdmin: [{ $group: { _id: '$user', ...totals } }, { $sort: { promptTokens: -1 } }],
+            } },
+        ]);
+
+        const users = await User.find({ _id: { $in: result.byAdmin.map(row => row._id).filter(Boolean) } }).select('name email');
+        const usersById = new Map(users.map(user => [String(user._id), user]));
+        const { _id, ...total } = result.total[0] || { calls: 0, promptTokens: 0, completionTokens: 0 };
+        res.json({
+            provider: getAiProviderName(),
+            model: getAiModel(),
+            configured: isAiConfigured(),
+            days,
+            total,
+            byCategory: result.byCategory.map(({ _id, ...row }) => ({ category: _id.category || null, operation: _id.operation, ...row })),
+            byAdmin: result.byAdmin.map(({ _id, ...row }) => {
+                const user = _id && usersById.get(String(_id));
+                return { userId: _id, name: user ? user.name : null, email: user ? user.email : null, ...row };
+            }),
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to load AI usage.', error: err.message });
+    }
+});
+
 // GET stats for the logged-in admin's managed categories
 router.get('/my-categories-stats', auth, async (req, res) => {
     try {
@@ -35,12 +82,22 @@ router.get('/my-categories-stats', auth, async (req, res) => {
             categories.map(async (category) => {
                 const subscriberCount = await User.countDocuments({ userType: 'user', categories: category.name });
                 const newsletterCount = await Newsletter.countDocuments({ category: category.name });
+                const unsubscribeCount = await UnsubscribeEvent.countDocuments({ categories: category.name, createdAt: { $gte: subDays(new Date(), 30) } });
                 return {
                     _id: category._id,
                     name: category.name,
                     subscriberCount,
                     newsletterCount,
-                    keywords: category.keywords
+                    unsubscribeCount,
+                    keywords: category.keywords,
+                    flyerImageUrl: category.flyerImageUrl,
+                    template: category.template,
+                    aiIntro: category.aiIntro,
+                    summaryStyle: category.summaryStyle,
+                    sourceLanguage: category.sourceLanguage,
+                    trackingEnabled: category.trackingEnabled,
+                    sources: category.sources,
+                    rules: category.rules
                 };
             })
         );
@@ -243,10 +300,9 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 router.post('/share-new-user-details', auth, async (req, res) => {
-    if (!process.env.SENDGRID_API_KEY || !process.env.FROM_EMAIL) {
+    if (!isMailConfigured()) {
         return res.status(500).json({ message: 'Email service is not configured on the server.' });
     }
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
     try {
         const { email, name, password } = req.body;
@@ -272,15 +328,12 @@ router.post('/share-new-user-details', auth, async (req, res) => {
             `,
         };
 
-        await sgMail.send(msg);
+        await sendMail(msg);
 
         res.json({ message: `Credentials successfully sent to ${email}.` });
 
     } catch (error) {
         console.error('Error sending new user credentials:', error);
-        if (error.response) {
-            console.error(error.response.body);
-        }
         res.status(500).json({ message: 'Failed to send credentials email due to a server error.' });
     }
 });
@@ -308,10 +361,9 @@ router.post('/user/:id/reset-password', auth, async (req, res) => {
         return res.status(403).json({ message: 'Access denied. Superadmin permission required.' });
     }
 
-    if (!process.env.SENDGRID_API_KEY || !process.env.FROM_EMAIL) {
+    if (!isMailConfigured()) {
         return res.status(500).json({ message: 'Email service is not configured on the server.' });
     }
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
     try {
         const userToUpdate = await User.findById(req.params.id);
@@ -343,7 +395,7 @@ router.post('/user/:id/reset-password', auth, async (req, res) => {
             `,
         };
 
-        await sgMail.send(msg);
+        await sendMail(msg);
 
         res.json({ message: `A new password has been sent to ${userToUpdate.email}.` });
     } catch (error) {
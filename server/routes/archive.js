@@ -0,0 +1,91 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Category from '../models/category.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import { buildAtomFeed, buildRssFeed, findPublicCategory, getArchiveUrls, getIssueUrl, listArchivedIssues } from '../services/archive.js';
+import { sanitizeNewsletterHtml } from '../services/newsletterValidation.js';
+import { applyUnsubscribeUrl } from '../templates/index.js';
+
+// Public routes: only categories a superadmin has published are visible, and only their sent issues.
+const router = Router();
+
+// GET every category with a public archive
+router.get('/', async (req, res) => {
+    try {
+        const categories = await Category.find({ archivePublic: true }).select('name slug').sort({ name: 1 });
+        res.json(categories.map(category => ({ name: category.name, slug: category.slug, ...getArchiveUrls(category.slug) })));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching the archive.' });
+    }
+});
+
+// GET the issues of one category
+router.get('/:slug', async (req, res) => {
+    try {
+        const category = await findPublicCategory(req.params.slug);
+        if (!category) {
+            return res.status(404).json({ message: 'This archive does not exist or is not public.' });
+        }
+        const issues = await listArchivedIssues(category);
+        res.json({
+            name: category.name,
+            slug: category.slug,
+            ...getArchiveUrls(category.slug),
+            issues: issues.map(issue => ({
+                _id: issue._id,
+                title: issue.title,
+                sentAt: issue.sentAt || issue.updatedAt,
+                url: getIssueUrl(category.slug, issue._id),
+            })),
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching the archive.' });
+    }
+});
+
+// GET the RSS 2.0 feed of a category
+router.get('/:slug/rss.xml', async (req, res) => {
+    try {
+        const category = await findPublicCategory(req.params.slug);
+        if (!category) {
+            return res.status(404).send('Feed not found.');
+        }
+        res.type('application/rss+xml').send(await buildRssFeed(category));
+    } catch (err) {
+        res.status(500).send('Server error building the feed.');
+    }
+});
+
+// GET the Atom feed of a category
+router.get('/:slug/atom.xml', async (req, res) => {
+    try {
+        const category = await findPublicCategory(req.params.slug);
+        if (!category) {
+            return res.status(404).send('Feed not found.');
+        }
+        res.type('application/atom+xml').send(await buildAtomFeed(category));
+    } catch (err) {
+        res.status(500).send('Server error building the feed.');
+    }
+});
+
+// GET one issue as a web page
+router.get('/:slug/issues/:id', async (req, res) => {
+    try {
+        const category = await findPublicCategory(req.params.slug);
+        if (!category || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).send('Issue not found.');
+        }
+        const newsletter = await Newsletter.findOne({ _id: req.params.id, category: category.name, status: 'sent' }).select('htmlContent');
+        if (!newsletter || !newsletter.htmlContent) {
+            return res.status(404).send('Issue not found.');
+        }
+        // The web copy is not addressed to anyone, so there is no unsubscribe link to fill in.
+        res.set('Content-Security-Policy', "script-src 'none'");
+        res.type('html').send(applyUnsubscribeUrl(sanitizeNewsletterHtml(newsletter.htmlContent), '#'));
+    } catch (err) {
+        res.status(500).send('Server error fetching the issue.');
+    }
+});
+
+export default router;
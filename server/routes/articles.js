@@ -1,14 +1,26 @@
 import { Router } from 'express';
 import CuratedArticle from '../models/article.model.js';
-import User from '../models/user.model.js';
+import Category from '../models/category.model.js';
 import auth from '../middleware/auth.js';
+import { canManageCategory, isAdminOrSuperAdmin } from '../middleware/roles.js';
+import { extractMissingContent } from '../services/articleExtraction.js';
 
 const router = Router();
 
-router.get('/', auth, async (req, res) => {
+// GET /api/articles?timeframe=&category= - The saved articles of the categories the admin manages
+// The library is shared: every admin of a category sees what the others saved, with who saved it.
+router.get('/', auth, isAdminOrSuperAdmin, async (req, res) => {
     try {
-        const { timeframe } = req.query;
-        const query = { savedBy: req.user };
+        const { timeframe, category } = req.query;
+        const query = {};
+        if (category) {
+            if (!canManageCategory(req.userRef, category)) {
+                return res.status(403).json({ message: 'You do not manage this category.' });
+            }
+            query.category = category;
+        } else if (req.userRef.userType !== 'superadmin') {
+            query.category = { $in: req.userRef.categories || [] };
+        }
 
         if (timeframe) {
             const now = new Date();
@@ -27,43 +39,84 @@ router.get('/', auth, async (req, res) => {
             }
         }
 
-        const savedArticles = await CuratedArticle.find(query).sort({ createdAt: -1 });
+        const savedArticles = await CuratedArticle.find(query).sort({ createdAt: -1 }).populate('savedBy', 'name');
         res.json(savedArticles);
     } catch (err) { 
         res.status(500).json({ message: 'Server error while fetching articles.', error: err.message }); 
     }
 });
 
-router.post('/', auth, async (req, res) => {
+// POST /api/articles - Save articles to one of the admin's categories
+// Body: { articles, category }. Admins who manage a single category may leave the category out.
+router.post('/', auth, isAdminOrSuperAdmin, async (req, res) => {
     try {
         const { articles } = req.body;
         if (!articles || !Array.isArray(articles) || articles.length === 0) return res.status(400).json({ message: 'No articles provided.' });
-        const admin = await User.findById(req.user);
-        if (!admin) return res.status(404).json({ message: 'Admin not found.' });
+        const managed = req.userRef.categories || [];
+        const category = req.body.category || (req.userRef.userType !== 'superadmin' && managed.length === 1 ? managed[0] : undefined);
+        if (!category) return res.status(400).json({ message: 'Choose the category to save the articles to.' });
+        if (!canManageCategory(req.userRef, category)) return res.status(403).json({ message: 'You do not manage this category.' });
+        if (!await Category.exists({ name: category })) return res.status(404).json({ message: 'Category not found.' });
         const preparedArticles = articles.map(article => ({
             ...article,
             sourceName: article.source.name,
             originalUrl: article.url,
             imageUrl: article.urlToImage,
-            publishedAt: new Date(article.publishedAt),
-            category: admin.categories[0] || 'General',
+            publishedAt: article.publishedAt ? new Date(article.publishedAt) : undefined,
+            category,
             savedBy: req.user
         }));
-        await CuratedArticle.insertMany(preparedArticles, { ordered: false });
-        res.status(201).json({ message: `${articles.length} new articles saved successfully.` });
+        const saved = await CuratedArticle.insertMany(preparedArticles, { ordered: false });
+        // The full text is read in the background so saving stays quick.
+        extractMissingContent(saved.map(article => article._id)).catch(err => console.error('[EXTRACT] Failed:', err));
+        res.status(201).json({ message: `${articles.length} new articles saved to ${category}.` });
     } catch (err) {
-        if (err.code === 11000 || err.name === 'BulkWriteError') return res.status(200).json({ message: 'Articles processed. Some were already saved.' });
+        if (err.code === 11000 || err.name === 'BulkWriteError') {
+            extractMissingContent((err.insertedDocs || []).map(article => article._id)).catch(extractErr => console.error('[EXTRACT] Failed:', extractErr));
+            return res.status(200).json({ message: 'Articles processed. Some were already saved to this category.' });
+        }
         res.status(500).json({ message: 'Server error saving articles.', error: err.message });
     }
 });
 
-router.delete('/:id', auth, async (req, res) => {
+// PATCH /api/articles/:id - Move an article to another category
+// Body: { category }. The admin must manage both the article's category and the new one.
+router.patch('/:id', auth, isAdminOrSuperAdmin, async (req, res) => {
     try {
-        const article = await CuratedArticle.findOneAndDelete({ _id: req.params.id, savedBy: req.user });
-
+        const { category } = req.body;
+        if (!category || typeof category !== 'string') {
+            return res.status(400).json({ message: 'The category to move the article to is required.' });
+        }
+        const article = await CuratedArticle.findById(req.params.id);
         if (!article) {
+            return res.status(404).json({ message: 'Article not found.' });
+        }
+        if (!canManageCategory(req.userRef, article.category) || !canManageCategory(req.userRef, category)) {
+            return res.status(403).json({ message: 'You can only move articles between categories you manage.' });
+        }
+        if (!await Category.exists({ name: category })) {
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+
+        article.category = category;
+        await article.save();
+        res.json(await article.populate('savedBy', 'name'));
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: 'This article is already saved in that category.' });
+        }
+        res.status(500).json({ message: 'Server error while moving the article.', error: err.message });
+    }
+});
+
+router.delete('/:id', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const article = await CuratedArticle.findById(req.params.id).select('category');
+
+        if (!article || !canManageCategory(req.userRef, article.category)) {
             return res.status(404).json({ message: 'Article not found or you do not have permission to delete it.' });
         }
+        await article.deleteOne();
 
         res.json({ message: 'Article deleted successfully.' });
 
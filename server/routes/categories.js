@@ -1,24 +1,18 @@
 import { Router } from 'express';
+import mongoose from 'mongoose';
 import Category from '../models/category.model.js';
 import User from '../models/user.model.js';
 import auth from '../middleware/auth.js';
+import { isAdminOrSuperAdmin } from '../middleware/roles.js';
+import { isKnownTemplate } from '../templates/index.js';
+import { ensureCategorySlug } from '../services/archive.js';
+import { normalizeSources } from '../services/news/index.js';
+import { normalizeRules, rescoreNewsItems } from '../services/relevance.js';
+import { isSummaryStyle } from '../services/summaries.js';
+import { isSupportedLanguage } from '../services/languages.js';
 
 const router = Router();
 
-// Middleware to check for admin or superadmin role
-const isAdminOrSuperAdmin = async (req, res, next) => {
-    try {
-        const user = await User.findById(req.user);
-        if (!user || (user.userType !== 'admin' && user.userType !== 'superadmin')) {
-            return res.status(403).json({ message: 'Access denied. Admin permission required.' });
-        }
-        req.userRef = user; // Pass the user object to the next middleware/handler
-        next();
-    } catch (err) {
-        res.status(500).json({ message: 'Server error during role check.' });
-    }
-};
-
 // GET all categories (accessible to all authenticated users)
 router.get('/', auth, async (req, res) => {
   try {
@@ -49,7 +43,7 @@ router.post('/', auth, isAdminOrSuperAdmin, async (req, res) => {
 // PATCH - Update a category (Admins and Superadmins)
 router.patch('/:id', auth, isAdminOrSuperAdmin, async (req, res) => {
     try {
-        const { name, keywords, flyerImageUrl } = req.body;
+        const { name, keywords, flyerImageUrl, template, aiIntro, summaryStyle, sourceLanguage, trackingEnabled } = req.body;
         const category = await Category.findById(req.params.id);
 
         if (!category) {
@@ -63,12 +57,69 @@ router.patch('/:id', auth, isAdminOrSuperAdmin, async (req, res) => {
             }
         }
 
+        if (template !== undefined && !isKnownTemplate(template)) {
+            return res.status(400).json({ message: `Unknown newsletter template "${template}".` });
+        }
+        if (summaryStyle !== undefined && !isSummaryStyle(summaryStyle)) {
+            return res.status(400).json({ message: `Unknown summary style "${summaryStyle}".` });
+        }
+        if (sourceLanguage !== undefined && !isSupportedLanguage(sourceLanguage)) {
+            return res.status(400).json({ message: `Unsupported language "${sourceLanguage}".` });
+        }
+
+        const update = { name, keywords, flyerImageUrl, template, aiIntro, summaryStyle, sourceLanguage, trackingEnabled };
+        if (req.body.sources !== undefined) {
+            const { sources, error } = normalizeSources(req.body.sources);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+            update.sources = sources;
+        }
+        if (req.body.rules !== undefined) {
+            const { rules, error } = normalizeRules(req.body.rules);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+            update.rules = rules;
+        }
+        // Only superadmins decide who reviews a category's newsletters
+        if (req.body.reviewers !== undefined) {
+            if (req.userRef.userType !== 'superadmin') {
+                return res.status(403).json({ message: 'Only superadmins can assign reviewers.' });
+            }
+            const reviewers = req.body.reviewers;
+            if (!Array.isArray(reviewers) || !reviewers.every(id => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id))) {
+                return res.status(400).json({ message: 'Reviewers must be a list of user ids.' });
+            }
+            const reviewerIds = [...new Set(reviewers)];
+            if (await User.countDocuments({ _id: { $in: reviewerIds } }) !== reviewerIds.length) {
+                return res.status(400).json({ message: 'Some of the reviewers are not existing users.' });
+            }
+            update.reviewers = reviewerIds;
+        }
+        // The public archive is a superadmin decision as well
+        if (req.body.archivePublic !== undefined) {
+            if (req.userRef.userType !== 'superadmin') {
+                return res.status(403).json({ message: 'Only superadmins can publish a category archive.' });
+            }
+            update.archivePublic = Boolean(req.body.archivePublic);
+            if (update.archivePublic) {
+                update.slug = await ensureCategorySlug(category);
+            }
+        }
+
         const updatedCategory = await Category.findByIdAndUpdate(
             req.params.id,
-            { name, keywords, flyerImageUrl },
+            update,
             { new: true }
         );
 
+        // Stored news is scored against the keywords and rules, so it is rescored when they change.
+        if (keywords !== undefined || req.body.rules !== undefined) {
+            rescoreNewsItems({ categories: updatedCategory.name })
+                .catch(err => console.error(`[RELEVANCE] Rescoring ${updatedCategory.name} failed:`, err));
+        }
+
         res.json(updatedCategory);
     } catch (err) {
         res.status(500).json({ message: 'Server error updating category.', error: err.message });
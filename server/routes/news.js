@@ -1,94 +1,237 @@
 import { Router } from 'express';
 import User from '../models/user.model.js';
 import auth from '../middleware/auth.js';
-import axios from 'axios';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { format, subDays } from 'date-fns';
+import { endOfDay, startOfDay } from 'date-fns';
 import Category from '../models/category.model.js';
+import NewsItem from '../models/newsItem.model.js';
+import { canManageCategory, isAdminOrSuperAdmin } from '../middleware/roles.js';
+import { isNewsSearchConfigured, listNewsProviders } from '../services/news/index.js';
+import { getSourceStatuses, ingestNews, ingestSearch } from '../services/newsIngestion.js';
+import { ExtractionError } from '../services/articleExtraction.js';
+import { isAiConfigured } from '../services/ai/index.js';
+import { listLanguages } from '../services/languages.js';
+import { MAX_SUMMARY_URLS, isSummaryStyle, listSummaryStyles, resolveSummaryStyle, summarizeStory } from '../services/summaries.js';
 
 const router = Router();
 
-const genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
+const MAX_PAGE_SIZE = 100;
+const MAX_BATCH_ARTICLES = 20;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Stored items in the article shape the Dashboard consumes.
+const toArticle = (item) => ({
+    title: item.title,
+    url: item.url,
+    source: { name: item.sourceName || '' },
+    urlToImage: item.imageUrl || null,
+    publishedAt: item.publishedAt,
+    description: item.description || '',
+    content: item.content || item.description || '',
+    categories: item.categories,
+    relevanceScore: item.relevanceScore ?? null,
+    excluded: Boolean(item.isExcluded),
+});
 
-// GET /api/news - Fetch relevant news from NewsAPI.org
+// The story's primary article, with the other outlets' versions as alternates. The story ranks by its best-scoring version.
+const toStory = (story) => {
+    const primary = story.items.find(item => String(item._id) === String(story._id)) || story.items[0];
+    const alternates = story.items.filter(item => item !== primary).map(toArticle);
+    return { ...toArticle(primary), relevanceScore: story.relevanceScore ?? null, alternates };
+};
+
+// GET /api/news - Stories the ingestion job stored for the admin's categories, newest first
+// Query: page, limit, category, search, from and to (dates, matched against publishedAt),
+// sort ('date' or 'relevance'), minScore, and showExcluded to include articles the category rules exclude.
+// A search also asks NewsAPI for the term and stores what it finds for the categories on screen.
 router.get('/', auth, async (req, res) => {
     try {
         const admin = await User.findById(req.user);
-        let query;
+        if (!admin || !admin.categories || admin.categories.length === 0) {
+            return res.json({ articles: [], total: 0, page: 1, totalPages: 0 });
+        }
 
-        if (req.query.search) {
-            query = req.query.search;
-        } else {
-            if (!admin || !admin.categories || admin.categories.length === 0) {
-                return res.json({ articles: [] });
+        const { category, search, from, to, sort } = req.query;
+        if (category && !admin.categories.includes(category)) {
+            return res.status(403).json({ message: 'You do not manage this category.' });
+        }
+        const filter = { categories: category ? category : { $in: admin.categories } };
+        if (from || to) {
+            const publishedAt = {};
+            if (from) publishedAt.$gte = startOfDay(new Date(from));
+            if (to) publishedAt.$lte = endOfDay(new Date(to));
+            if (Object.values(publishedAt).some(date => isNaN(date))) {
+                return res.status(400).json({ message: 'Invalid date filter.' });
             }
-    
-            const categories = await Category.find({ name: { $in: admin.categories } });
-            const allKeywords = categories.flatMap(cat => cat.keywords && cat.keywords.length > 0 ? cat.keywords : `"${cat.name}"`);
-    
-            query = allKeywords.join(' OR ');
+            filter.publishedAt = publishedAt;
         }
-
-
-        const fromDate = format(subDays(new Date(), 7), 'yyyy-MM-dd');
-
-        const newsApiResponse = await axios.get('https://newsapi.org/v2/everything', {
-            params: {
-                q: query,
-                from: fromDate,
-                sortBy: 'relevancy', // Sorting by relevancy for better results with specific queries
-                language: 'en',
-                apiKey: process.env.NEWS_API_KEY,
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const visibleCategories = category ? [category] : admin.categories;
+        const searchTerm = search ? String(search).trim() : '';
+        if (searchTerm) {
+            // Only the first page asks the provider; later pages of the same search read what it stored.
+            if (page === 1 && isNewsSearchConfigured()) {
+                await ingestSearch(searchTerm, visibleCategories);
             }
-        });
+            const pattern = new RegExp(escapeRegex(searchTerm), 'i');
+            filter.$or = [{ title: pattern }, { description: pattern }, { content: pattern }, { sourceName: pattern }];
+        }
+
+        const minScore = req.query.minScore !== undefined && req.query.minScore !== '' ? Number(req.query.minScore) : null;
+        if (minScore !== null && !Number.isFinite(minScore)) {
+            return res.status(400).json({ message: 'Invalid minimum score.' });
+        }
+        const showExcluded = req.query.showExcluded === 'true';
+
+        // Near-duplicates of one story are paged as a single entry, ordered by its latest coverage.
+        const [result] = await NewsItem.aggregate([
+            { $match: filter },
+            // An item's score is its best among the categories on screen; it is excluded only when every one of them excludes it.
+            { $addFields: { visibleRelevance: { $filter: { input: { $ifNull: ['$relevance', []] }, cond: { $in: ['$$this.category', visibleCategories] } } } } },
+            { $addFields: {
+                relevanceScore: { $max: { $map: { input: { $filter: { input: '$visibleRelevance', cond: { $ne: ['$$this.excluded', true] } } }, in: '$$this.score' } } },
+                isExcluded: { $and: [{ $gt: [{ $size: '$visibleRelevance' }, 0] }, { $allElementsTrue: [{ $map: { input: '$visibleRelevance', in: '$$this.excluded' } }] }] },
+            } },
+            ...(showExcluded ? [] : [{ $match: { isExcluded: false } }]),
+            ...(minScore !== null ? [{ $match: { relevanceScore: { $gte: minScore } } }] : []),
+            { $sort: { publishedAt: -1, createdAt: -1 } },
+            { $group: { _id: { $ifNull: ['$cluster', '$_id'] }, items: { $push: '$$ROOT' }, publishedAt: { $max: '$publishedAt' }, createdAt: { $max: '$createdAt' }, relevanceScore: { $max: '$relevanceScore' } } },
+            { $sort: sort === 'relevance' ? { relevanceScore: -1, publishedAt: -1, _id: -1 } : { publishedAt: -1, createdAt: -1, _id: -1 } },
+            { $facet: { stories: [{ $skip: (page - 1) * limit }, { $limit: limit }], total: [{ $count: 'count' }] } },
+        ]).allowDiskUse(true);
+        const total = result.total[0]?.count || 0;
+        res.json({ articles: result.stories.map(toStory), total, page, totalPages: Math.ceil(total / limit) });
 
-        res.json({ articles: newsApiResponse.data.articles });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to load news.', error: err.message });
+    }
+});
 
+// GET /api/news/sources - How the latest fetch of each of the admin's sources went
+router.get('/sources', auth, async (req, res) => {
+    try {
+        const admin = await User.findById(req.user);
+        if (!admin || !admin.categories || admin.categories.length === 0) {
+            return res.json([]);
+        }
+        const categories = await Category.find({ name: { $in: admin.categories } });
+        res.json(await getSourceStatuses(categories));
     } catch (err) {
-        if (err.response) {
-            console.error('NewsAPI Error:', err.response.data);
-            return res.status(500).json({ message: `Failed to fetch news: ${err.response.data.message}` });
+        res.status(500).json({ message: 'Failed to load source status.', error: err.message });
+    }
+});
+
+// POST /api/news/ingest - Fetch the admin's sources now instead of waiting for the next run
+router.post('/ingest', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const { category } = req.body;
+        if (category && !req.userRef.categories.includes(category)) {
+            return res.status(403).json({ message: 'You do not manage this category.' });
+        }
+        const categoryNames = category ? [category] : req.userRef.categories;
+        if (categoryNames.length === 0) {
+            return res.status(400).json({ message: 'You do not manage any categories.' });
         }
-        res.status(500).json({ message: 'Failed to fetch news from NewsAPI.org.', error: err.message });
+        const totals = await ingestNews(categoryNames);
+        const failures = totals.failed > 0 ? ` ${totals.failed} source${totals.failed === 1 ? '' : 's'} failed.` : '';
+        res.json({ message: `Fetched ${totals.fetched} articles, ${totals.new} of them new.${failures}`, ...totals });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to fetch news.', error: err.message });
     }
 });
 
+// GET /api/news/providers - The kinds of sources a category can use, for the sources editor
+router.get('/providers', auth, (req, res) => {
+    res.json(listNewsProviders());
+});
 
-// POST /api/news/summarize - Summarize article text using Gemini
-router.post('/summarize', auth, async (req, res) => {
-    if (!genAI) {
-        return res.status(500).json({ message: 'Gemini API client is not initialized. Please check your API key.' });
+const toSummaryUrls = (urls) => (Array.isArray(urls) ? urls : [])
+    .filter(url => typeof url === 'string' && /^https?:\/\//i.test(url))
+    .slice(0, MAX_SUMMARY_URLS);
+
+// The usage report is per category, so only one the admin actually manages is recorded.
+const toUsageCategory = (user, category) => (typeof category === 'string' && canManageCategory(user, category) ? category : undefined);
+
+// GET /api/news/languages - The languages news can be fetched in and newsletters translated into
+router.get('/languages', auth, (req, res) => {
+    res.json(listLanguages());
+});
+
+// GET /api/news/summary-styles - The styles a summary can be written in
+router.get('/summary-styles', auth, (req, res) => {
+    res.json(listSummaryStyles());
+});
+
+// POST /api/news/summarize - Summarize an article with the configured AI provider
+// Body: { urls, textToSummarize, category, style }. The full text of each URL is read from the
+// page; when none can be read, the summary falls back to textToSummarize (usually the provider's
+// snippet). Without a style, the category's default is used.
+router.post('/summarize', auth, isAdminOrSuperAdmin, async (req, res) => {
+    if (!isAiConfigured()) {
+        return res.status(500).json({ message: 'The AI service is not configured on the server.' });
     }
     try {
-        const { textToSummarize } = req.body;
-        if (!textToSummarize) return res.status(400).json({ message: 'No text provided to summarize.' });
-
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash-latest" });
-        
-        const prompt = `
-            Generate a professional, newsletter-style summary of the following text.
-
-            The summary must be:
-            - Approximately 2-3 paragraphs long.
-            - Engaging and informative for a professional audience.
-            - It must capture the main topic, key findings, and important conclusions.
-            - The tone should be objective and clear.
-            - Do not start with conversational phrases.
-
-            TEXT:
-            """
-            ${textToSummarize}
-            """
-
-            SUMMARY:
-        `;
-        
-        const result = await model.generateContent(prompt);
-        const summary = result.response.text();
-        res.json({ summary });
+        const { textToSummarize, category } = req.body;
+        const urls = toSummaryUrls(req.body.urls);
+        if (!textToSummarize && urls.length === 0) return res.status(400).json({ message: 'No text provided to summarize.' });
+        if (req.body.style && !isSummaryStyle(req.body.style)) {
+            return res.status(400).json({ message: `Unknown summary style "${req.body.style}".` });
+        }
+
+        const usageCategory = toUsageCategory(req.userRef, category);
+        const style = await resolveSummaryStyle(req.body.style, usageCategory);
+        const result = await summarizeStory({ urls, text: textToSummarize, style, user: req.user, category: usageCategory });
+        res.json({ ...result, style });
     } catch (err) {
+        if (err instanceof ExtractionError) {
+            return res.status(422).json({ message: err.message });
+        }
         res.status(500).json({ message: 'Failed to generate summary.', error: err.message });
     }
 });
 
+// POST /api/news/summarize-batch - Summarize several articles in one request
+// Body: { articles: [{ urls, textToSummarize, category }], style }. Articles are summarized one
+// at a time; each result carries either a summary or the error for that article.
+router.post('/summarize-batch', auth, isAdminOrSuperAdmin, async (req, res) => {
+    if (!isAiConfigured()) {
+        return res.status(500).json({ message: 'The AI service is not configured on the server.' });
+    }
+    try {
+        const articles = Array.isArray(req.body.articles) ? req.body.articles : [];
+        if (articles.length === 0) return res.status(400).json({ message: 'No articles provided to summarize.' });
+        if (articles.length > MAX_BATCH_ARTICLES) {
+            return res.status(400).json({ message: `At most ${MAX_BATCH_ARTICLES} articles can be summarized at once.` });
+        }
+        if (req.body.style && !isSummaryStyle(req.body.style)) {
+            return res.status(400).json({ message: `Unknown summary style "${req.body.style}".` });
+        }
+
+        const results = [];
+        for (const article of articles) {
+            const urls = toSummaryUrls(article?.urls);
+            const url = urls[0];
+            if (!article?.textToSummarize && urls.length === 0) {
+                results.push({ url, error: 'No text provided to summarize.' });
+                continue;
+            }
+            try {
+                const usageCategory = toUsageCategory(req.userRef, article.category);
+                const style = await resolveSummaryStyle(req.body.style, usageCategory);
+                const result = await summarizeStory({ urls, text: article.textToSummarize, style, user: req.user, category: usageCategory });
+                results.push({ url, ...result, style });
+            } catch (err) {
+                console.error(`[SUMMARY] ${url || 'text'}: ${err.message}`);
+                results.push({ url, error: err instanceof ExtractionError ? err.message : 'Failed to generate summary.' });
+            }
+        }
+        const failed = results.filter(result => result.error).length;
+        const cached = results.filter(result => result.cached).length;
+        res.json({ results, summarized: results.length - failed, cached, failed });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to generate summaries.', error: err.message });
+    }
+});
+
 export default router;
\ No newline at end of file
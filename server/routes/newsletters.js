@@ -1,93 +1,63 @@
 import { Router } from 'express';
-import puppeteer from 'puppeteer';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { format } from 'date-fns';
-import sgMail from '@sendgrid/mail';
 import Newsletter from '../models/newsletter.model.js';
 import User from '../models/user.model.js';
 import auth from '../middleware/auth.js';
 import Notification from '../models/notification.model.js';
 import Category from '../models/category.model.js';
+import DeliveryRecord from '../models/deliveryRecord.model.js';
+import TrackingEvent from '../models/trackingEvent.model.js';
+import NewsletterRevision from '../models/newsletterRevision.model.js';
+import SubjectTest from '../models/subjectTest.model.js';
+import { isAdminOrSuperAdmin, canManageCategory } from '../middleware/roles.js';
+import { buildNewsletterHtml, buildPlainText, generateNewsletter, isGeneratorReady, normalizeTemplateData, rerenderNewsletter, resolveTemplateName, storeThumbnail, updateNewsletterHtml } from '../services/newsletterGenerator.js';
+import { RenderQueueFullError } from '../services/renderer.js';
+import { canExport, exportNewsletter, isExportFormat } from '../services/newsletterExports.js';
+import { draftEditorial, normalizeEditorial } from '../services/editorialDrafts.js';
+import { diffRevisions, getRevision, listRevisions } from '../services/newsletterRevisions.js';
+import { getDeliverySummary, queueNewsletterDelivery } from '../services/newsletterDelivery.js';
+import { approveTranslations, listNewsletterLanguages, listUnreviewedLanguages, loadNewsletterVariant, translateForSubscribers } from '../services/newsletterTranslations.js';
+import { sendScheduledIssue } from '../services/scheduler.js';
+import { getNewsletterStats } from '../services/tracking.js';
+import { decideSubjectTest, getSubjectTestError, getVariantResults, splitSubjectTestRecipients, startSubjectTest } from '../services/subjectTests.js';
+import { removeFile } from '../services/storage/index.js';
+import { sendStoredFile } from '../services/storage/http.js';
+import { applyTransition, canReview, getTransitionError, notifyTransition, SENDABLE_STATUSES } from '../services/newsletterWorkflow.js';
+import { getLanguageName } from '../services/languages.js';
+import { AI_TEMPLATE, isKnownTemplate, listTemplates } from '../templates/index.js';
 
 const router = Router();
 
-// --- Initialize SendGrid ---
-if (process.env.SENDGRID_API_KEY) {
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-    console.log("✅ SendGrid client initialized.");
-} else {
-    console.warn("⚠️ SendGrid API Key not found. Email sending will be disabled.");
-}
-
-// --- Initialize Gemini AI ---
-const genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
-
-const createAdvancedNewsletterHtmlPrompt = (articles, title, flyerImageUrl) => {
-    const articlesForPrompt = articles.map(a => ({
-        title: a.title,
-        summary: a.summary,
-        source: a.sourceName,
-        category: a.category,
-        originalUrl: a.originalUrl,
-        imageUrl: a.imageUrl
-    }));
-
-    // Conditionally create the flyer image HTML
-    const flyerImageHtml = flyerImageUrl 
-        ? `<img src="${flyerImageUrl}" alt="Flyer Image" style="max-width: 100%; height: auto; display: block; margin-bottom: 20px; border-radius: 5px;">` 
-        : '';
-
-    return `
-        Act as an expert HTML and CSS email designer. Your task is to generate a single, complete HTML file for a professional and visually appealing newsletter based on the provided JSON data.
-
-        **Design & Layout Guidelines:**
-
-        1.  **Overall Structure:**
-            * Use a main container with a max-width of 680px, centered with a light gray background (#f4f4f4).
-            * The email body should have a clean, white background (#ffffff) with rounded corners and a subtle shadow.
-            * Use a professional and readable font like 'Helvetica Neue', Helvetica, Arial, sans-serif.
-
-        2.  **Header:**
-            * Include a preheader text: "Your weekly dose of insightful news."
-            * A main header with the newsletter title "${title}" in a large, bold font (e.g., 32px) and a dark color (#333333).
-            * Include the date (${format(new Date(), 'MMMM do, yyyy')}) in a smaller, lighter font.
-
-        3.  **Flyer Image:**
-            ${flyerImageHtml}
-
-        4.  **Article Layout:**
-            * Use a single-column layout for articles.
-            * Each article should have a clear headline, a brief summary, and a "Read More" button linking to the original article.
-            * If an \`imageUrl\` is provided for an article, display it above the headline.
-
-        5.  **Styling:**
-            * Use inline CSS for all styling to ensure maximum compatibility with email clients.
-            * Buttons should have a solid background color, rounded corners, and clear, legible text.
-            * Use ample white space to improve readability.
-
-        6.  **Footer:**
-            * Include a footer with your company name, address, and a link to unsubscribe.
-            * Add social media icons (as links) for platforms like Twitter, LinkedIn, and Facebook using the provided URLs.
-
-        **JSON Data to Use:**
-        \`\`\`json
-        ${JSON.stringify({ articles: articlesForPrompt }, null, 2)}
-        \`\`\`
-
-        **Footer HTML to use:**
-        <div style="text-align: center; padding: 20px; font-size: 12px; color: #777777;">
-            <p>Company Name | 123 Main St, Anytown, USA</p>
-            <p><a href="#" style="color: #007bff; text-decoration: none;">Unsubscribe</a></p>
-            <div>
-                <a href="https://twitter.com" style="margin: 0 5px;"><img src="https://img.icons8.com/color/48/000000/twitter.png" alt="Twitter" style="width: 24px; height: 24px;"></a>
-                <a href="https://linkedin.com" style="margin: 0 5px;"><img src="https://img.icons8.com/color/48/000000/linkedin.png" alt="LinkedIn" style="width: 24px; height: 24px;"></a>
-                <a href="https://facebook.com" style="margin: 0 5px;"><img src="https://img.icons8.com/color/48/000000/facebook-new.png" alt="Facebook" style="width: 24px; height: 24px;"></a>
-            </div>
-        </div>
-
-
-        **IMPORTANT: Your response MUST be only the raw HTML code, starting with <!DOCTYPE html>. Do not add any commentary or explanations.**
-    `;
+// Changing the content invalidates an approval, so approved or pending issues go back through review.
+const resetReview = (newsletter, by, comment) => {
+    if (newsletter.status === 'approved' || newsletter.status === 'pending') {
+        applyTransition(newsletter, 'Not Sent', { by, comment });
+    }
+};
+
+// Loads a newsletter the requester may edit, or sends the error response and returns null.
+const findEditableNewsletter = async (req, res) => {
+    const newsletter = await Newsletter.findById(req.params.id);
+    if (!newsletter) {
+        res.status(404).json({ message: 'Newsletter not found.' });
+        return null;
+    }
+    if (!canManageCategory(req.userRef, newsletter.category)) {
+        res.status(403).json({ message: 'You are not authorized to manage newsletters in this category.' });
+        return null;
+    }
+    return newsletter;
+};
+
+// Sent issues are final, and queued deliveries must go out with the content that was approved.
+const getEditBlocker = async (newsletter) => {
+    if (newsletter.status === 'sent') return 'Sent newsletters cannot be edited.';
+    const isDelivering = await DeliveryRecord.exists({ newsletter: newsletter._id, status: { $in: ['queued', 'sending'] } });
+    return isDelivering ? 'This newsletter is being delivered and cannot be edited.' : null;
+};
+
+const withoutContent = (newsletter) => {
+    const { htmlContent, translations, ...rest } = newsletter.toObject({ depopulate: true });
+    return rest;
 };
 
 
@@ -98,7 +68,7 @@ router.get('/', auth, async (req, res) => {
     if (!admin || !admin.categories || admin.categories.length === 0) {
         return res.json([]);
     }
-    const newsletters = await Newsletter.find({ category: { $in: admin.categories } });
+    const newsletters = await Newsletter.find({ category: { $in: admin.categories } }).select('-htmlContent -translations');
     res.json(newsletters);
   } catch (err) {
     res.status(500).json({ message: 'Server error fetching newsletters.' });
@@ -106,58 +76,97 @@ router.get('/', auth, async (req, res) => {
 });
 
 
-// POST to generate, save, and send the new PDF
-router.post('/generate-and-save', auth, async (req, res) => {
-    if (!genAI) {
-        return res.status(500).json({ message: 'Gemini API client is not initialized.' });
+// GET the available newsletter layouts
+router.get('/templates', auth, (req, res) => {
+    res.json(listTemplates());
+});
+
+// Validates the generate request body and resolves its template, or sends the error response and returns null.
+const resolveGenerateRequest = async (req, res) => {
+    const { articles, title, category, template } = req.body;
+    if (!articles || articles.length === 0 || !title || !category) {
+        res.status(400).json({ message: 'Title, category, and articles are required.' });
+        return null;
+    }
+    if (template && !isKnownTemplate(template)) {
+        res.status(400).json({ message: `Unknown newsletter template "${template}".` });
+        return null;
     }
-    
+    return resolveTemplateName(template, await Category.findOne({ name: category }));
+};
+
+// POST to draft the editor's note, subject lines and highlights for an issue from its articles' summaries
+// Body: { articles, title, category }. Nothing is saved; the admin edits the draft and sends it back
+// as `editorial` (and the chosen `subject`) with the preview and generate requests.
+router.post('/editorial-draft', auth, isAdminOrSuperAdmin, async (req, res) => {
     try {
         const { articles, title, category } = req.body;
-        console.log(`[PDF LOG] Received request for newsletter: "${title}"`);
-
-        if (!articles || articles.length === 0 || !title || !category) {
+        if (!Array.isArray(articles) || articles.length === 0 || !title || !category) {
             return res.status(400).json({ message: 'Title, category, and articles are required.' });
         }
+        if (!canManageCategory(req.userRef, category)) {
+            return res.status(403).json({ message: 'You do not manage this category.' });
+        }
+        if (!isGeneratorReady()) {
+            return res.status(500).json({ message: 'The AI service is not configured on the server.' });
+        }
+        const articleIds = articles.map(article => (typeof article === 'string' ? article : article?._id)).filter(Boolean);
+        res.json(await draftEditorial({ articleIds, title, category, user: req.user }));
+    } catch (err) {
+        console.error('[EDITORIAL] Draft failed:', err);
+        res.status(500).json({ message: err.message || 'Failed to draft the editorial.' });
+    }
+});
 
-        const categoryData = await Category.findOne({ name: category });
-        const flyerImageUrl = categoryData ? categoryData.flyerImageUrl : null;
+// POST to build and validate a newsletter without saving it, so warnings can be reviewed first
+router.post('/preview', auth, async (req, res) => {
+    try {
+        const { articles, title, category } = req.body;
+        const templateName = await resolveGenerateRequest(req, res);
+        if (!templateName) return;
+        if (templateName === AI_TEMPLATE && !isGeneratorReady()) {
+            return res.status(500).json({ message: 'The AI service is not configured on the server.' });
+        }
 
-        // 1. Generate HTML with AI using the new advanced prompt
-        console.log("[PDF LOG] Generating HTML with advanced prompt...");
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash-latest" });
-        const prompt = createAdvancedNewsletterHtmlPrompt(articles, title, flyerImageUrl);
-        
-        const result = await model.generateContent(prompt);
-        let generatedHtml = result.response.text().replace(/^```html\n/, '').replace(/\n```$/, '');
+        const editorial = normalizeEditorial(req.body.editorial);
+        const { html, warnings, template, templateData } = await buildNewsletterHtml({ articles, title, category, template: templateName, createdBy: req.user, editorial });
+        res.json({ htmlContent: html, warnings, template, templateData });
+    } catch (err) {
+        console.error("--- NEWSLETTER PREVIEW FAILED ---", err);
+        res.status(500).json({ message: 'Failed to build the newsletter preview.' });
+    }
+});
 
-        if (!generatedHtml || generatedHtml.length < 100) {
-            throw new Error('AI returned an empty or invalid HTML response.');
+// POST to generate, save, and send the new PDF
+router.post('/generate-and-save', auth, async (req, res) => {
+    try {
+        const { articles, title, category, htmlContent } = req.body;
+        const subject = typeof req.body.subject === 'string' ? req.body.subject.trim().slice(0, 200) : '';
+        console.log(`[PDF LOG] Received request for newsletter: "${title}"`);
+        // Exports and the text version are built from the template data, so it is checked like the HTML.
+        const { templateData, error: templateDataError } = normalizeTemplateData(req.body.templateData);
+        if (templateDataError) {
+            return res.status(400).json({ message: templateDataError });
         }
-        console.log("[PDF LOG] Successfully received HTML from AI.");
 
-        // 2. Convert HTML to PDF
-        const browser = await puppeteer.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox'] });
-        const page = await browser.newPage();
-        await page.setContent(generatedHtml, { waitUntil: 'networkidle0' });
-        const pdfBuffer = await page.pdf({ format: 'A4', printBackground: true });
-        await browser.close();
-        console.log("[PDF LOG] Successfully converted HTML to PDF buffer.");
+        const templateName = await resolveGenerateRequest(req, res);
+        if (!templateName) return;
+        // Only the AI layout needs the AI service, and only when there is no previewed HTML to save.
+        if (!htmlContent && templateName === AI_TEMPLATE && !isGeneratorReady()) {
+            return res.status(500).json({ message: 'The AI service is not configured on the server.' });
+        }
 
-        // 3. Create and Save New Newsletter to DB
-        const newNewsletter = new Newsletter({
+        const { newsletter: newNewsletter, pdfBuffer } = await generateNewsletter({
+            articles,
             title,
             category,
-            articles: articles.map(a => a._id),
-            status: 'Not Sent',
-            pdfContent: {
-                data: Buffer.from(pdfBuffer),
-                contentType: 'application/pdf'
-            },
-            htmlContent: generatedHtml
+            createdBy: req.user,
+            template: templateName,
+            templateData,
+            html: htmlContent,
+            editorial: normalizeEditorial(req.body.editorial),
+            subject: subject || undefined
         });
-        await newNewsletter.save();
-        console.log(`[PDF LOG] Successfully saved newsletter with ID: ${newNewsletter._id}`);
         
         const notification = new Notification({
             user: req.user,
@@ -166,6 +175,10 @@ router.post('/generate-and-save', auth, async (req, res) => {
             actionUrl: '/dashboard?tab=generated-newsletters'
         });
         await notification.save();
+
+        // Translated in the background, so the translations are ready when the issue is reviewed.
+        translateForSubscribers(newNewsletter, { user: req.user })
+            .catch(err => console.error(`[TRANSLATE] Translating "${newNewsletter.title}" failed:`, err));
         
         // 4. Send the generated PDF back to the client
         res.setHeader('Content-Type', 'application/pdf');
@@ -174,42 +187,350 @@ router.post('/generate-and-save', auth, async (req, res) => {
 
     } catch (err) {
         console.error("--- PDF GENERATION/SAVE FAILED ---", err);
+        if (err instanceof RenderQueueFullError) {
+            return res.status(503).json({ message: err.message });
+        }
         res.status(500).json({ message: 'Failed to generate and save PDF. Check server logs for details.' });
     }
 });
 
-// GET to download a saved PDF
+// GET to download a saved PDF, with Range and ETag support
 router.get('/:id/download', auth, async (req, res) => {
     try {
-        const newsletter = await Newsletter.findById(req.params.id);
-        if (!newsletter || !newsletter.pdfContent || !newsletter.pdfContent.data) {
+        const newsletter = await Newsletter.findById(req.params.id).select('title pdf +pdfContent');
+        if (!newsletter) {
+            return res.status(404).send('PDF not found.');
+        }
+        const filename = `${newsletter.title.replace(/\s/g, '_')}.pdf`;
+        if (newsletter.pdf && newsletter.pdf.key) {
+            return await sendStoredFile(req, res, newsletter.pdf, { filename });
+        }
+        // Not migrated yet: serve the inline copy as before.
+        if (!newsletter.pdfContent || !newsletter.pdfContent.data) {
             return res.status(404).send('PDF not found.');
         }
         res.setHeader('Content-Type', newsletter.pdfContent.contentType);
-        res.setHeader('Content-Disposition', `inline; filename="${newsletter.title.replace(/\s/g, '_')}.pdf"`);
+        res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
         res.send(newsletter.pdfContent.data);
     } catch (err) {
         res.status(500).send('Server error while retrieving PDF.');
     }
 });
 
-// PATCH to update a newsletter's status
-router.patch('/:id/status', auth, async (req, res) => {
+// GET the plain-text version of a newsletter as a download
+router.get('/:id/text', auth, async (req, res) => {
+    try {
+        const newsletter = await Newsletter.findById(req.params.id).select('title articles templateData createdAt');
+        if (!newsletter) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        const text = await buildPlainText(newsletter, { unsubscribeLink: false });
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${newsletter.title.replace(/\s/g, '_')}.txt"`);
+        res.send(text);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error while building the plain-text version.' });
+    }
+});
+
+// GET a copy of the newsletter in another format (markdown, epub or a zipped html bundle)
+router.get('/:id/export/:format', auth, async (req, res) => {
+    try {
+        if (!isExportFormat(req.params.format)) {
+            return res.status(400).json({ message: 'Unknown export format. Use markdown, epub or html.' });
+        }
+        const newsletter = await Newsletter.findById(req.params.id).select('title category articles templateData htmlContent createdAt');
+        if (!newsletter) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        if (!canExport(newsletter, req.params.format)) {
+            return res.status(404).json({ message: 'This newsletter has no HTML version to export.' });
+        }
+        const { data, contentType, filename } = await exportNewsletter(newsletter, req.params.format);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(data);
+    } catch (err) {
+        console.error(`[EXPORT] Failed to export newsletter ${req.params.id} as ${req.params.format}:`, err);
+        res.status(500).json({ message: 'Server error while exporting the newsletter.' });
+    }
+});
+
+// GET the list preview image, rendering it on first request for newsletters created before thumbnails existed
+router.get('/:id/thumbnail', auth, async (req, res) => {
+    try {
+        const newsletter = await Newsletter.findById(req.params.id).select('thumbnail htmlContent');
+        if (!newsletter) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        let { thumbnail } = newsletter;
+        if (!thumbnail || !thumbnail.key) {
+            if (!newsletter.htmlContent) {
+                return res.status(404).json({ message: 'This newsletter has no preview.' });
+            }
+            thumbnail = await storeThumbnail(newsletter);
+            if (!thumbnail) {
+                return res.status(503).json({ message: 'The preview could not be rendered. Please try again later.' });
+            }
+            await Newsletter.updateOne({ _id: newsletter._id }, { thumbnail });
+        }
+        return await sendStoredFile(req, res, thumbnail);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error while retrieving the preview.' });
+    }
+});
+
+// POST to re-render a templated newsletter from its stored data, optionally with another template
+router.post('/:id/render', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const { template } = req.body;
+        const newsletter = await findEditableNewsletter(req, res);
+        if (!newsletter) return;
+        const editBlocker = await getEditBlocker(newsletter);
+        if (editBlocker) {
+            return res.status(409).json({ message: editBlocker });
+        }
+        const templateName = template || newsletter.template;
+        if (!isKnownTemplate(templateName) || templateName === AI_TEMPLATE) {
+            return res.status(400).json({ message: 'Only newsletters built from a template can be re-rendered.' });
+        }
+
+        resetReview(newsletter, req.user, 'Re-rendered; needs a new review.');
+        const { warnings } = await rerenderNewsletter(newsletter, templateName, { by: req.user });
+        res.json({ ...withoutContent(newsletter), warnings });
+    } catch (err) {
+        console.error("--- NEWSLETTER RE-RENDER FAILED ---", err);
+        if (err instanceof RenderQueueFullError) {
+            return res.status(503).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Failed to re-render newsletter.' });
+    }
+});
+
+// GET the current HTML of a newsletter for the editor
+router.get('/:id/html', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const newsletter = await findEditableNewsletter(req, res);
+        if (!newsletter) return;
+        res.json({ htmlContent: newsletter.htmlContent || '', revision: newsletter.revision });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching newsletter HTML.' });
+    }
+});
+
+// PUT edited HTML: saves it as a new revision and regenerates the PDF
+router.put('/:id/html', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const { htmlContent, note } = req.body;
+        if (!htmlContent || !htmlContent.trim()) {
+            return res.status(400).json({ message: 'HTML content is required.' });
+        }
+        const newsletter = await findEditableNewsletter(req, res);
+        if (!newsletter) return;
+        const editBlocker = await getEditBlocker(newsletter);
+        if (editBlocker) {
+            return res.status(409).json({ message: editBlocker });
+        }
+        if (htmlContent === newsletter.htmlContent) {
+            return res.status(400).json({ message: 'There are no changes to save.' });
+        }
+
+        resetReview(newsletter, req.user, 'Edited; needs a new review.');
+        const { warnings } = await updateNewsletterHtml(newsletter, htmlContent, { by: req.user, note: note || 'Edited HTML' });
+        res.json({ ...withoutContent(newsletter), warnings });
+    } catch (err) {
+        console.error("--- NEWSLETTER EDIT FAILED ---", err);
+        if (err instanceof RenderQueueFullError) {
+            return res.status(503).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Failed to save the edited newsletter.' });
+    }
+});
+
+// GET the revision history of a newsletter, newest first
+router.get('/:id/revisions', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const newsletter = await findEditableNewsletter(req, res);
+        if (!newsletter) return;
+        res.json({ current: newsletter.revision, revisions: await listRevisions(newsletter._id) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching revisions.' });
+    }
+});
+
+// GET one revision including its HTML
+router.get('/:id/revisions/:number', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const newsletter = await findEditableNewsletter(req, res);
+        if (!newsletter) return;
+        const revision = await getRevision(newsletter._id, Number(req.params.number));
+        if (!revision) {
+            return res.status(404).json({ message: 'Revision not found.' });
+        }
+        res.json(revision);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching revision.' });
+    }
+});
+
+// GET a line diff between two revisions; defaults to the previous revision
+router.get('/:id/revisions/:number/diff', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const newsletter = await findEditableNewsletter(req, res);
+        if (!newsletter) return;
+        const number = Number(req.params.number);
+        const against = req.query.against ? Number(req.query.against) : number - 1;
+        const [from, to] = await Promise.all([getRevision(newsletter._id, against), getRevision(newsletter._id, number)]);
+        if (!from || !to) {
+            return res.status(404).json({ message: 'Revision not found.' });
+        }
+        res.json({ from: from.number, to: to.number, changes: diffRevisions(from, to) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error comparing revisions.' });
+    }
+});
+
+// POST to restore an earlier revision; the restore itself becomes the newest revision
+router.post('/:id/revisions/:number/restore', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const newsletter = await findEditableNewsletter(req, res);
+        if (!newsletter) return;
+        const editBlocker = await getEditBlocker(newsletter);
+        if (editBlocker) {
+            return res.status(409).json({ message: editBlocker });
+        }
+        const revision = await getRevision(newsletter._id, Number(req.params.number));
+        if (!revision) {
+            return res.status(404).json({ message: 'Revision not found.' });
+        }
+
+        resetReview(newsletter, req.user, `Restored revision ${revision.number}; needs a new review.`);
+        const { warnings } = await updateNewsletterHtml(newsletter, revision.htmlContent, {
+            by: req.user,
+            template: revision.template,
+            note: `Restored revision ${revision.number}`
+        });
+        res.json({ ...withoutContent(newsletter), warnings });
+    } catch (err) {
+        console.error("--- NEWSLETTER RESTORE FAILED ---", err);
+        if (err instanceof RenderQueueFullError) {
+            return res.status(503).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Failed to restore the revision.' });
+    }
+});
+
+// GET pending newsletters the requester can review, plus the categories they review
+router.get('/review-queue', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const reviewer = req.userRef;
+        let reviewCategories;
+        if (reviewer.userType === 'superadmin') {
+            reviewCategories = (await Category.find().select('name')).map(c => c.name);
+        } else {
+            reviewCategories = (await Category.find({ reviewers: reviewer._id }).select('name')).map(c => c.name);
+        }
+        const newsletters = await Newsletter.find({ status: 'pending', category: { $in: reviewCategories } })
+            .select('-htmlContent -translations.htmlContent')
+            .populate('createdBy', 'name email')
+            .sort({ updatedAt: 1 })
+            .lean();
+        // Translations are approved along with the issue, so the reviewer sees which ones there are.
+        res.json({
+            newsletters: newsletters.map(({ translations, ...newsletter }) => ({
+                ...newsletter,
+                languages: listNewsletterLanguages({ translations, revision: newsletter.revision }, { includeUnapproved: true }),
+            })),
+            reviewCategories
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching the review queue.' });
+    }
+});
+
+// GET one translation of a newsletter as HTML, for its editors and reviewers to read before it is approved
+router.get('/:id/translations/:language', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const newsletter = await Newsletter.findById(req.params.id);
+        if (!newsletter) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        const category = await Category.findOne({ name: newsletter.category });
+        if (!canManageCategory(req.userRef, newsletter.category) && !canReview(req.userRef, category)) {
+            return res.status(403).json({ message: 'You are not authorized to view this newsletter.' });
+        }
+        const variant = await loadNewsletterVariant(newsletter, req.params.language, { includeUnapproved: true });
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.setHeader('Content-Language', variant.language);
+        res.send(variant.html);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error while loading the translation.' });
+    }
+});
+
+// PATCH to move a newsletter through the review workflow (submit, withdraw, approve, decline).
+// Approving takes `translations`, the languages whose translations the reviewer approves with it.
+router.patch('/:id/status', auth, isAdminOrSuperAdmin, async (req, res) => {
   try {
-    const { status } = req.body;
-    const updatedNewsletter = await Newsletter.findByIdAndUpdate(req.params.id, { status }, { new: true });
-    res.json(updatedNewsletter);
+    const { status, comment, translations } = req.body;
+    const newsletter = await Newsletter.findById(req.params.id);
+    if (!newsletter) {
+      return res.status(404).json({ message: 'Newsletter not found.' });
+    }
+    if (status === 'sent') {
+      return res.status(400).json({ message: 'Use the send action to deliver a newsletter.' });
+    }
+    if (status === 'declined' && !comment) {
+      return res.status(400).json({ message: 'Please add a comment explaining why the newsletter was declined.' });
+    }
+
+    const category = await Category.findOne({ name: newsletter.category });
+    const transitionError = getTransitionError(newsletter, status, req.userRef, category);
+    if (transitionError) {
+      return res.status(transitionError.status).json({ message: transitionError.message });
+    }
+
+    applyTransition(newsletter, status, { by: req.user, comment });
+    await newsletter.save();
+    await notifyTransition(newsletter, category);
+    if (status === 'approved') {
+      await approveTranslations(newsletter, translations, { by: req.user });
+      // Issues of sending schedules go out as soon as a reviewer approves them.
+      await sendScheduledIssue(newsletter);
+    } else if (status === 'pending') {
+      // Translated in the background while the issue waits, so the reviewer can check them too.
+      translateForSubscribers(newsletter, { user: req.user })
+        .catch(err => console.error(`[TRANSLATE] Translating "${newsletter.title}" failed:`, err));
+    }
+
+    res.json(withoutContent(newsletter));
   } catch (err) {
     res.status(500).json({ message: 'Server error updating status.' });
   }
 });
 
 // DELETE a newsletter
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, isAdminOrSuperAdmin, async (req, res) => {
   try {
-    const newsletter = await Newsletter.findByIdAndDelete(req.params.id);
-    if (!newsletter) {
-      return res.status(404).json({ message: 'Newsletter not found.' });
+    const newsletter = await findEditableNewsletter(req, res);
+    if (!newsletter) return;
+    // Sent issues keep their delivery and tracking history, and queued deliveries need their issue.
+    if (newsletter.status === 'sent') {
+      return res.status(409).json({ message: 'Sent newsletters cannot be deleted.' });
+    }
+    if (await DeliveryRecord.exists({ newsletter: newsletter._id, status: { $in: ['queued', 'sending'] } })) {
+      return res.status(409).json({ message: 'This newsletter is being delivered and cannot be deleted.' });
+    }
+    await newsletter.deleteOne();
+    await DeliveryRecord.deleteMany({ newsletter: newsletter._id });
+    await TrackingEvent.deleteMany({ newsletter: newsletter._id });
+    await NewsletterRevision.deleteMany({ newsletter: newsletter._id });
+    await SubjectTest.deleteMany({ newsletter: newsletter._id });
+    if (newsletter.pdf && newsletter.pdf.key) {
+      await removeFile(newsletter.pdf.key);
+    }
+    if (newsletter.thumbnail && newsletter.thumbnail.key) {
+      await removeFile(newsletter.thumbnail.key);
     }
     res.json({ message: 'Newsletter deleted successfully.' });
   } catch (err) {
@@ -218,62 +539,143 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // POST to send the newsletter to users
-router.post('/:id/send', auth, async (req, res) => {
+router.post('/:id/send', auth, isAdminOrSuperAdmin, async (req, res) => {
     try {
-        const { userIds } = req.body;
-        if (!userIds || userIds.length === 0) {
+        const { userIds, subjectTest } = req.body;
+        if (!Array.isArray(userIds) || userIds.length === 0) {
             return res.status(400).json({ message: 'No recipients selected.' });
         }
-        const newsletter = await Newsletter.findById(req.params.id);
-        if (!newsletter) {
-            return res.status(404).json({ message: 'Newsletter not found.' });
+        const newsletter = await findEditableNewsletter(req, res);
+        if (!newsletter) return;
+        if (!SENDABLE_STATUSES.includes(newsletter.status)) {
+            return res.status(409).json({ message: 'Only approved newsletters can be sent. Submit it for review first.' });
         }
-        if (process.env.SENDGRID_API_KEY) {
-            const recipients = await User.find({ '_id': { $in: userIds } }).select('email');
-            if (recipients.length > 0) {
-                 const msg = {
-                    to: recipients.map(r => r.email),
-                    from: { name: 'NewsLetterAI', email: process.env.FROM_EMAIL },
-                    subject: `Your Newsletter: ${newsletter.title}`,
-                    html: `
-                        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-                            <p>Hello,</p>
-                            <p>Your latest issue of <strong>${newsletter.title}</strong> is here. This edition is packed with curated articles and insights to keep you informed on the topics you care about.</p>
-                            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
-                            
-                            ${newsletter.htmlContent}
-                            
-                            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
-                            <p style="font-size: 0.9em; color: #777;">We hope you find this issue valuable. Thank you for being a valued subscriber.</p>
-                            <p style="font-size: 0.9em; color: #777;">Best regards,</p>
-                            <p style="font-size: 0.9em; color: #777;"><strong>The NewsLetterAI Team</strong></p>
-                        </div>
-                    `,
-                };
-                await sgMail.send(msg);
+
+        // Translations finished after the review go unsent, which the sender should know.
+        const unreviewed = await listUnreviewedLanguages(newsletter);
+        const warning = unreviewed.length > 0
+            ? `The ${unreviewed.map(getLanguageName).join(', ')} translation(s) were finished after the review and are not sent. Those readers get the original.`
+            : undefined;
+
+        if (subjectTest) {
+            const { tested, translated } = await splitSubjectTestRecipients(newsletter, userIds);
+            const testError = getSubjectTestError(subjectTest, tested.length);
+            if (testError) {
+                return res.status(400).json({ message: testError });
             }
-        }
-        newsletter.status = 'sent';
-        newsletter.recipients.addToSet(...userIds);
-        await newsletter.save();
-        
-        try {
-            const notifications = userIds.map(userId => ({
-                user: userId,
-                newsletter: newsletter._id,
-                message: `You received the "${newsletter.title}" newsletter.`,
-            }));
-            if (notifications.length > 0) {
-                await Notification.insertMany(notifications, { ordered: false });
+            // The winner is picked by opens, which are only measured with tracking on.
+            const category = await Category.findOne({ name: newsletter.category }).select('trackingEnabled');
+            if (!category || !category.trackingEnabled) {
+                return res.status(400).json({ message: 'Subject tests need open tracking. Turn tracking on for this category first.' });
+            }
+            if (await SubjectTest.exists({ newsletter: newsletter._id, status: 'testing' })) {
+                return res.status(409).json({ message: 'A subject test is already running for this newsletter.' });
             }
-        } catch (notificationError) {
-            console.error('CRITICAL: Failed to create notifications, but email was sent.', notificationError);
+            const { test, queued } = await startSubjectTest(newsletter, tested, { ...subjectTest, by: req.user });
+            // Readers of translations are not part of the test and get their translation right away.
+            const queuedTranslated = translated.length > 0 ? await queueNewsletterDelivery(newsletter, translated) : 0;
+            const translatedNote = queuedTranslated > 0 ? ` ${queuedTranslated} reader(s) of translations get their copy now.` : '';
+            return res.status(202).json({
+                message: `Subject test started with ${queued} user(s). The winner goes to the other ${test.holdout.length} in ${test.waitHours} hour(s).${translatedNote}`,
+                queued: queued + queuedTranslated,
+                warning
+            });
         }
-        res.json({ message: `Newsletter successfully sent to ${userIds.length} user(s).` });
+
+        const queued = await queueNewsletterDelivery(newsletter, userIds);
+        const skipped = userIds.length - queued;
+        res.status(202).json({
+            message: `Newsletter queued for ${queued} user(s).${skipped > 0 ? ` ${skipped} already received it.` : ''}`,
+            queued,
+            warning
+        });
     } catch (err) {
         console.error('A major error occurred in the /send route:', err);
         res.status(500).json({ message: 'Failed to send newsletter due to a server error.' });
     }
 });
 
+// GET open rate, click rate and top articles for a sent newsletter
+router.get('/:id/stats', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const newsletter = await Newsletter.findById(req.params.id).select('category');
+        if (!newsletter) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        if (!canManageCategory(req.userRef, newsletter.category)) {
+            return res.status(403).json({ message: 'You are not authorized to manage newsletters in this category.' });
+        }
+        const category = await Category.findOne({ name: newsletter.category }).select('trackingEnabled');
+        const stats = await getNewsletterStats(newsletter._id);
+        res.json({ ...stats, trackingEnabled: Boolean(category && category.trackingEnabled) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching newsletter stats.' });
+    }
+});
+
+// GET the latest subject test of a newsletter with its per-variant results
+router.get('/:id/subject-test', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const newsletter = await Newsletter.findById(req.params.id).select('category');
+        if (!newsletter) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        if (!canManageCategory(req.userRef, newsletter.category)) {
+            return res.status(403).json({ message: 'You are not authorized to manage newsletters in this category.' });
+        }
+        const test = await SubjectTest.findOne({ newsletter: newsletter._id }).sort({ createdAt: -1 }).select('-holdout');
+        if (!test) {
+            return res.json(null);
+        }
+        // Running tests are counted live; decided ones keep the numbers the winner was picked on.
+        const variants = test.status === 'testing'
+            ? await getVariantResults(test)
+            : test.variants.map(({ subject, sent, opens }) => ({ subject, sent, opens, openRate: sent > 0 ? opens / sent : 0 }));
+        res.json({ ...test.toObject(), variants });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching the subject test.' });
+    }
+});
+
+// POST to end a running subject test early and send the current leader to everyone else
+router.post('/:id/subject-test/decide', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const test = await SubjectTest.findOne({ newsletter: req.params.id, status: 'testing' });
+        if (!test) {
+            return res.status(404).json({ message: 'No subject test is running for this newsletter.' });
+        }
+        if (!canManageCategory(req.userRef, test.category)) {
+            return res.status(403).json({ message: 'You are not authorized to manage newsletters in this category.' });
+        }
+        const decided = await decideSubjectTest(test._id);
+        if (!decided) {
+            return res.status(409).json({ message: 'This subject test has already been decided.' });
+        }
+        res.json({ message: `"${decided.variants[decided.winner].subject}" won the subject test.` });
+    } catch (err) {
+        console.error("--- SUBJECT TEST DECISION FAILED ---", err);
+        res.status(500).json({ message: 'Failed to decide the subject test.' });
+    }
+});
+
+// GET delivery progress and per-recipient results for a newsletter
+router.get('/:id/deliveries', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const newsletter = await Newsletter.findById(req.params.id).select('category');
+        if (!newsletter) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        if (!canManageCategory(req.userRef, newsletter.category)) {
+            return res.status(403).json({ message: 'You are not authorized to manage newsletters in this category.' });
+        }
+        const [summary, records] = await Promise.all([
+            getDeliverySummary(newsletter._id),
+            DeliveryRecord.find({ newsletter: newsletter._id }).sort({ updatedAt: -1 }).populate('user', 'name')
+        ]);
+        res.json({ summary, records });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching deliveries.' });
+    }
+});
+
 export default router;
\ No newline at end of file
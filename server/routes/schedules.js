@@ -0,0 +1,155 @@
+import { Router } from 'express';
+import Schedule from '../models/schedule.model.js';
+import ScheduleRun from '../models/scheduleRun.model.js';
+import auth from '../middleware/auth.js';
+import { isAdminOrSuperAdmin, canManageCategory } from '../middleware/roles.js';
+import { computeNextRunAt, getUpcomingRuns, runSchedule } from '../services/scheduler.js';
+
+const router = Router();
+
+const MAX_RUNS = 100;
+
+const SCHEDULE_FIELDS = ['name', 'category', 'frequency', 'dayOfWeek', 'dayOfMonth', 'time', 'action', 'titlePrefix', 'maxArticles', 'isActive'];
+
+const pickScheduleFields = (body) => Object.fromEntries(
+    SCHEDULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const validateSchedule = (schedule) => {
+    if (!schedule.name || !schedule.category || !schedule.frequency || !schedule.time) {
+        return 'Name, category, frequency and time are required.';
+    }
+    if (schedule.frequency === 'weekly' && (schedule.dayOfWeek === undefined || schedule.dayOfWeek === null)) {
+        return 'Weekly schedules need a day of the week.';
+    }
+    if (schedule.frequency === 'monthly' && !schedule.dayOfMonth) {
+        return 'Monthly schedules need a day of the month.';
+    }
+    return null;
+};
+
+const managedCategoryFilter = (user) => user.userType === 'superadmin' ? {} : { category: { $in: user.categories } };
+
+const withUpcomingRuns = (schedule) => ({ ...schedule.toObject(), upcomingRuns: getUpcomingRuns(schedule) });
+
+// GET all schedules for the categories the requester manages
+router.get('/', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const schedules = await Schedule.find(managedCategoryFilter(req.userRef)).sort({ nextRunAt: 1 });
+        res.json(schedules.map(withUpcomingRuns));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching schedules.', error: err.message });
+    }
+});
+
+// GET the most recent runs across all of the requester's schedules
+router.get('/runs', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_RUNS);
+        const runs = await ScheduleRun.find(managedCategoryFilter(req.userRef))
+            .sort({ startedAt: -1 })
+            .limit(limit)
+            .populate('schedule', 'name')
+            .populate('newsletter', 'title status');
+        res.json(runs);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching schedule runs.', error: err.message });
+    }
+});
+
+// POST - Create a schedule for a managed category
+router.post('/', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const fields = pickScheduleFields(req.body);
+        const validationError = validateSchedule(fields);
+        if (validationError) return res.status(400).json({ message: validationError });
+        if (!canManageCategory(req.userRef, fields.category)) {
+            return res.status(403).json({ message: 'You are not authorized to schedule newsletters for this category.' });
+        }
+
+        const schedule = new Schedule({ ...fields, createdBy: req.user });
+        schedule.nextRunAt = computeNextRunAt(schedule);
+        await schedule.save();
+        res.status(201).json(withUpcomingRuns(schedule));
+    } catch (err) {
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        res.status(500).json({ message: 'Server error creating schedule.', error: err.message });
+    }
+});
+
+// PATCH - Update a schedule; the next run time is recalculated from the new settings
+router.patch('/:id', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const schedule = await Schedule.findById(req.params.id);
+        if (!schedule) return res.status(404).json({ message: 'Schedule not found.' });
+        if (!canManageCategory(req.userRef, schedule.category)) {
+            return res.status(403).json({ message: 'You are not authorized to edit this schedule.' });
+        }
+
+        const fields = pickScheduleFields(req.body);
+        if (fields.category && !canManageCategory(req.userRef, fields.category)) {
+            return res.status(403).json({ message: 'You are not authorized to schedule newsletters for this category.' });
+        }
+        schedule.set(fields);
+        const validationError = validateSchedule(schedule);
+        if (validationError) return res.status(400).json({ message: validationError });
+
+        schedule.nextRunAt = computeNextRunAt(schedule);
+        await schedule.save();
+        res.json(withUpcomingRuns(schedule));
+    } catch (err) {
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        res.status(500).json({ message: 'Server error updating schedule.', error: err.message });
+    }
+});
+
+// DELETE a schedule along with its run history
+router.delete('/:id', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const schedule = await Schedule.findById(req.params.id);
+        if (!schedule) return res.status(404).json({ message: 'Schedule not found.' });
+        if (!canManageCategory(req.userRef, schedule.category)) {
+            return res.status(403).json({ message: 'You are not authorized to delete this schedule.' });
+        }
+        await ScheduleRun.deleteMany({ schedule: schedule._id });
+        await Schedule.findByIdAndDelete(schedule._id);
+        res.json({ message: 'Schedule deleted successfully.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error deleting schedule.', error: err.message });
+    }
+});
+
+// GET the run history of a single schedule
+router.get('/:id/runs', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const schedule = await Schedule.findById(req.params.id);
+        if (!schedule) return res.status(404).json({ message: 'Schedule not found.' });
+        if (!canManageCategory(req.userRef, schedule.category)) {
+            return res.status(403).json({ message: 'You are not authorized to view this schedule.' });
+        }
+        const runs = await ScheduleRun.find({ schedule: schedule._id })
+            .sort({ startedAt: -1 })
+            .limit(50)
+            .populate('newsletter', 'title status');
+        res.json(runs);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching schedule runs.', error: err.message });
+    }
+});
+
+// POST - Run a schedule immediately without changing its next scheduled time
+router.post('/:id/run', auth, isAdminOrSuperAdmin, async (req, res) => {
+    try {
+        const schedule = await Schedule.findById(req.params.id);
+        if (!schedule) return res.status(404).json({ message: 'Schedule not found.' });
+        if (!canManageCategory(req.userRef, schedule.category)) {
+            return res.status(403).json({ message: 'You are not authorized to run this schedule.' });
+        }
+        const run = await runSchedule(schedule, { trigger: 'manual', by: req.userRef });
+        res.json(run);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error running schedule.', error: err.message });
+    }
+});
+
+export default router;
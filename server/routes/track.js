@@ -0,0 +1,42 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import CuratedArticle from '../models/article.model.js';
+import { TRACKING_PIXEL, isValidSignature, recordTrackingEvent } from '../services/tracking.js';
+
+// Public routes hit by mail clients. Tracking failures never stop the pixel or the redirect.
+const router = Router();
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// GET the open pixel for one delivery
+router.get('/open/:deliveryId', async (req, res) => {
+    const { deliveryId } = req.params;
+    if (isObjectId(deliveryId) && isValidSignature(req.query.s, deliveryId, 'open')) {
+        recordTrackingEvent('open', deliveryId).catch(err => console.error('[TRACKING] Failed to record open:', err));
+    }
+    res.set({ 'Content-Type': 'image/gif', 'Cache-Control': 'no-store, no-cache, must-revalidate, private' });
+    res.send(TRACKING_PIXEL);
+});
+
+// GET - Record an article click and forward to the article's original URL
+router.get('/click/:deliveryId/:articleId', async (req, res) => {
+    try {
+        const { deliveryId, articleId } = req.params;
+        if (!isObjectId(deliveryId) || !isObjectId(articleId)) {
+            return res.status(404).send('Link not found.');
+        }
+        // The target always comes from the stored article, so this cannot be used as an open redirect.
+        const article = await CuratedArticle.findById(articleId).select('originalUrl');
+        if (!article) {
+            return res.status(404).send('Link not found.');
+        }
+        if (isValidSignature(req.query.s, deliveryId, articleId)) {
+            await recordTrackingEvent('click', deliveryId, articleId).catch(err => console.error('[TRACKING] Failed to record click:', err));
+        }
+        res.redirect(302, article.originalUrl);
+    } catch (err) {
+        res.status(500).send('Server error following link.');
+    }
+});
+
+export default router;
@@ -0,0 +1,60 @@
+import { Router, urlencoded } from 'express';
+import User from '../models/user.model.js';
+import { unsubscribeUser, verifyUnsubscribeToken } from '../services/unsubscribe.js';
+
+// Public routes: the signed token from the email is the only credential.
+const router = Router();
+
+const INVALID_LINK = { message: 'This unsubscribe link is invalid.' };
+
+const readToken = (req) => verifyUnsubscribeToken(req.query.token || (req.body && req.body.token));
+
+// GET what the link would unsubscribe from
+router.get('/', async (req, res) => {
+    try {
+        const token = readToken(req);
+        if (!token) return res.status(400).json(INVALID_LINK);
+        const user = await User.findById(token.userId).select('email categories');
+        if (!user) {
+            return res.status(404).json({ message: 'This subscription no longer exists.' });
+        }
+        res.json({
+            email: user.email,
+            category: token.category,
+            isSubscribed: user.categories.includes(token.category),
+            categories: user.categories,
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error loading subscription.' });
+    }
+});
+
+// POST - Unsubscribe from the link's category, or from everything with scope "all"
+router.post('/', async (req, res) => {
+    try {
+        const token = readToken(req);
+        if (!token) return res.status(400).json(INVALID_LINK);
+        const scope = req.body.scope === 'all' ? 'all' : 'category';
+        const removed = await unsubscribeUser(token, scope, 'page');
+        if (!removed) {
+            return res.status(404).json({ message: 'This subscription no longer exists.' });
+        }
+        res.json({ message: 'You have been unsubscribed.', removed });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error while unsubscribing.' });
+    }
+});
+
+// POST - RFC 8058 one-click unsubscribe, sent by mail clients with a form-encoded body
+router.post('/one-click', urlencoded({ extended: false }), async (req, res) => {
+    try {
+        const token = readToken(req);
+        if (!token) return res.status(400).json(INVALID_LINK);
+        await unsubscribeUser(token, 'category', 'one-click');
+        res.json({ message: 'You have been unsubscribed.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error while unsubscribing.' });
+    }
+});
+
+export default router;
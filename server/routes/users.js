@@ -5,7 +5,11 @@ import auth from '../middleware/auth.js';
 import User from '../models/user.model.js';
 import Newsletter from '../models/newsletter.model.js';
 import Notification from '../models/notification.model.js';
-import sgMail from '@sendgrid/mail';
+import { isMailConfigured, sendMail } from '../services/mail/index.js';
+import { getUnsubscribeLinks } from '../services/unsubscribe.js';
+import { isSupportedLanguage } from '../services/languages.js';
+import { listNewsletterLanguages, loadNewsletterVariant } from '../services/newsletterTranslations.js';
+import { applyUnsubscribeUrl } from '../templates/index.js';
 import jwt from 'jsonwebtoken';
 
 const router = Router();
@@ -20,10 +24,13 @@ router.get('/me', auth, async (req, res) => {
     }
 });
 
-// PATCH - Update User Profile (Email, Name, Password)
+// PATCH - Update User Profile (Email, Name, Password, Preferred Language)
 router.patch('/me/profile', auth, async (req, res) => {
     try {
-        const { name, email, password } = req.body;
+        const { name, email, password, preferredLanguage } = req.body;
+        if (preferredLanguage !== undefined && !isSupportedLanguage(preferredLanguage)) {
+            return res.status(400).json({ message: `Unsupported language "${preferredLanguage}".` });
+        }
         const user = await User.findById(req.user);
         if (!user) {
             return res.status(404).json({ message: 'User not found.' });
@@ -41,6 +48,10 @@ router.patch('/me/profile', auth, async (req, res) => {
             user.name = name;
         }
 
+        if (preferredLanguage) {
+            user.preferredLanguage = preferredLanguage;
+        }
+
         if (password) {
             const salt = await bcrypt.genSalt();
             user.password = await bcrypt.hash(password, salt);
@@ -58,7 +69,8 @@ router.patch('/me/profile', auth, async (req, res) => {
                 name: updatedUser.name,
                 email: updatedUser.email,
                 userType: updatedUser.userType,
-                categories: updatedUser.categories
+                categories: updatedUser.categories,
+                preferredLanguage: updatedUser.preferredLanguage
             },
         });
     } catch (err) {
@@ -81,29 +93,52 @@ router.patch('/me/categories', auth, async (req, res) => {
     }
 });
 
-// GET user's received newsletters
+// GET user's received newsletters, with the languages each can be read in
 router.get('/my-newsletters', auth, async (req, res) => {
     try {
         const userId = new mongoose.Types.ObjectId(req.user);
 
         const receivedNewsletters = await Newsletter.find({ recipients: userId })
             .sort({ createdAt: -1 })
-            .select('title category createdAt');
-
-        res.json(receivedNewsletters);
+            .select('title category createdAt thumbnail revision translations.language translations.revision translations.title translations.approvedAt')
+            .lean();
+
+        res.json(receivedNewsletters.map(({ translations, revision, ...newsletter }) => {
+            const languages = listNewsletterLanguages({ translations, revision });
+            return {
+                ...newsletter,
+                languages,
+                titles: Object.fromEntries((translations || []).filter(t => t.revision === revision && languages.includes(t.language)).map(t => [t.language, t.title])),
+            };
+        }));
     } catch (err) {
         console.error("Error fetching user newsletters:", err);
         res.status(500).json({ error: 'Server error while fetching newsletters.' });
     }
 });
 
+// GET /api/users/my-newsletters/:id/html?lang= - A received newsletter in one of its languages
+router.get('/my-newsletters/:id/html', auth, async (req, res) => {
+    try {
+        const newsletter = await Newsletter.findOne({ _id: req.params.id, recipients: req.user });
+        if (!newsletter || !newsletter.htmlContent) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        const variant = await loadNewsletterVariant(newsletter, req.query.lang);
+        const unsubscribeUrl = getUnsubscribeLinks(req.user, newsletter.category, newsletter._id).pageUrl;
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.setHeader('Content-Language', variant.language);
+        res.send(applyUnsubscribeUrl(variant.html, unsubscribeUrl));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error while loading the newsletter.', error: err.message });
+    }
+});
 
 // ENDPOINT TO EMAIL A NEWSLETTER TO THE LOGGED-IN USER
 router.post('/send-newsletter-to-self', auth, async (req, res) => {
-    if (!process.env.SENDGRID_API_KEY || !process.env.FROM_EMAIL) {
+    if (!isMailConfigured()) {
         return res.status(500).json({ message: 'Email service is not configured on the server.' });
     }
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
     try {
         const { newsletterId } = req.body;
@@ -111,7 +146,7 @@ router.post('/send-newsletter-to-self', auth, async (req, res) => {
             return res.status(400).json({ message: 'Newsletter ID is required.' });
         }
 
-        const user = await User.findById(req.user).select('name email');
+        const user = await User.findById(req.user).select('name email preferredLanguage');
         if (!user) {
             return res.status(404).json({ message: 'User not found.' });
         }
@@ -121,14 +156,18 @@ router.post('/send-newsletter-to-self', auth, async (req, res) => {
             return res.status(404).json({ message: 'Newsletter or its HTML content not found.' });
         }
 
+        // The reader's language when the issue has been translated into it, otherwise the original.
+        const variant = await loadNewsletterVariant(newsletter, user.preferredLanguage);
+        const unsubscribeUrl = getUnsubscribeLinks(user._id, newsletter.category, newsletter._id).pageUrl;
         const msg = {
             to: user.email,
             from: { name: 'NewsLetterAI', email: process.env.FROM_EMAIL },
-            subject: `Your Requested Newsletter: ${newsletter.title}`,
-            html: newsletter.htmlContent,
+            subject: `Your Requested Newsletter: ${variant.title}`,
+            html: applyUnsubscribeUrl(variant.html, unsubscribeUrl),
+            text: applyUnsubscribeUrl(variant.text, unsubscribeUrl),
         };
         
-        await sgMail.send(msg);
+        await sendMail(msg);
 
         newsletter.recipients.addToSet(user._id);
         await newsletter.save();
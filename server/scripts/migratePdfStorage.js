@@ -0,0 +1,46 @@
+// Moves PDFs stored inline in Newsletter documents (pdfContent.data) into file storage.
+// Usage: node server/scripts/migratePdfStorage.js [--dry-run]
+// Uses the same MONGO_URI and STORAGE_DRIVER settings as the server. Safe to re-run:
+// newsletters that were already migrated no longer have pdfContent and are skipped.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Newsletter from '../models/newsletter.model.js';
+import { getPdfKey, putFile } from '../services/storage/index.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ MongoDB connection established.");
+
+    // The raw collection is used so the documents are not shaped (or stripped) by the current schema.
+    const cursor = Newsletter.collection.find({ 'pdfContent.data': { $exists: true } }, { projection: { title: 1, pdfContent: 1 } });
+    let migrated = 0;
+    let failed = 0;
+    for await (const doc of cursor) {
+        try {
+            // The Binary's own buffer may be larger than the data it holds.
+            const data = Buffer.from(doc.pdfContent.data.value());
+            if (dryRun) {
+                console.log(`[MIGRATE] Would move "${doc.title}" (${data.length} bytes).`);
+            } else {
+                const pdf = await putFile(getPdfKey(doc), data, { contentType: doc.pdfContent.contentType || 'application/pdf' });
+                await Newsletter.collection.updateOne({ _id: doc._id }, { $set: { pdf }, $unset: { pdfContent: '' } });
+                console.log(`[MIGRATE] Moved "${doc.title}" (${data.length} bytes) to ${pdf.key}.`);
+            }
+            migrated += 1;
+        } catch (err) {
+            failed += 1;
+            console.error(`[MIGRATE] Failed to move "${doc.title}" (${doc._id}):`, err);
+        }
+    }
+    console.log(`[MIGRATE] ${dryRun ? 'Dry run: ' : ''}${migrated} newsletter(s) migrated, ${failed} failed.`);
+    return failed;
+};
+
+migrate()
+    .then(async (failed) => {
+        await mongoose.disconnect();
+        process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(err => { console.error("❌ Migration failed.", err); process.exit(1); });
@@ -0,0 +1,28 @@
+/**
+ * Provider-neutral failure of an AI call. `retryable` is true for rate limits, timeouts and
+ * server errors, where the same request may succeed a moment later.
+ */
+export class AiError extends Error {
+    constructor(message, { retryable = false, cause } = {}) {
+        super(message, { cause });
+        this.name = 'AiError';
+        this.retryable = retryable;
+    }
+}
+
+export const REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * Reads the JSON answer of a `format: 'json'` call. Models sometimes wrap JSON in a code fence
+ * even when asked not to. Throws `errorMessage` when the answer is not JSON.
+ */
+export const parseJsonResponse = (text, errorMessage = 'The AI returned an answer that could not be read.') => {
+    try {
+        return JSON.parse(String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+    } catch {
+        throw new Error(errorMessage);
+    }
+};
+
+// Local model servers do not always report usage; about four characters per token is close enough for accounting.
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
@@ -0,0 +1,32 @@
+import { GoogleGenerativeAI, GoogleGenerativeAIAbortError } from '@google/generative-ai';
+import { AiError, REQUEST_TIMEOUT_MS, estimateTokens } from './common.js';
+
+let client = null;
+
+export default {
+    name: 'gemini',
+    defaultModel: 'gemini-1.5-flash-latest',
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+    init() {
+        client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    },
+    async generate({ model, prompt, format }) {
+        const generationConfig = format === 'json' ? { responseMimeType: 'application/json' } : undefined;
+        let result;
+        try {
+            result = await client.getGenerativeModel({ model, generationConfig }).generateContent(prompt, { timeout: REQUEST_TIMEOUT_MS });
+        } catch (err) {
+            if (err instanceof GoogleGenerativeAIAbortError) {
+                throw new AiError('The AI server did not respond in time.', { retryable: true, cause: err });
+            }
+            throw new AiError(err.message, { retryable: err.status === 429 || err.status >= 500, cause: err });
+        }
+        const text = result.response.text();
+        const usage = result.response.usageMetadata || {};
+        return {
+            text,
+            promptTokens: usage.promptTokenCount ?? estimateTokens(prompt),
+            completionTokens: usage.candidatesTokenCount ?? estimateTokens(text),
+        };
+    },
+};
@@ -0,0 +1,82 @@
+import AiUsage from '../../models/aiUsage.model.js';
+import gemini from './gemini.js';
+import openai from './openai.js';
+import mock from './mock.js';
+
+import { AiError } from './common.js';
+
+export { AiError };
+export { parseJsonResponse } from './common.js';
+
+const PROVIDERS = { gemini, openai, mock };
+// Rate limits and server hiccups usually pass within seconds; anything longer is reported to the caller.
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const providerName = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+const provider = PROVIDERS[providerName];
+const model = (provider && process.env.AI_MODEL) || provider?.defaultModel;
+
+// --- Initialize the AI provider ---
+let isReady = false;
+if (!provider) {
+    console.warn(`⚠️ Unknown AI_PROVIDER "${providerName}". AI features will be disabled.`);
+} else if (!provider.isConfigured()) {
+    console.warn(`⚠️ AI provider "${providerName}" is not configured. AI features will be disabled.`);
+} else {
+    provider.init();
+    isReady = true;
+    console.log(`✅ AI provider "${providerName}" initialized with model "${model}".`);
+}
+
+export const isAiConfigured = () => isReady;
+
+export const getAiProviderName = () => providerName;
+
+export const getAiModel = () => model;
+
+// Usage is bookkeeping; losing a record must never fail the call that was already paid for.
+const recordUsage = (entry) => AiUsage.create(entry)
+    .catch(err => console.error(`[AI] Could not record usage for ${entry.operation}:`, err.message));
+
+// Retries errors the provider marked retryable, waiting twice as long before each new attempt.
+const generateWithRetries = async (request) => {
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            return await provider.generate(request);
+        } catch (err) {
+            if (!(err instanceof AiError) || !err.retryable || attempt === MAX_ATTEMPTS) throw err;
+            const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+            console.warn(`[AI] ${providerName} call failed (${err.message}); retrying in ${delay / 1000}s.`);
+            await sleep(delay);
+        }
+    }
+};
+
+/**
+ * Sends one prompt to the configured provider and returns the response text. `operation`
+ * ('summarize', 'compose' or 'translate') and the requesting `user` and `category` are recorded
+ * with the token counts. `format: 'json'` asks the provider for a JSON answer shaped like `example`, and
+ * `format: 'html'` tells the mock provider to answer with a document.
+ * Rate limits, timeouts and server errors are retried a few times before it throws an AiError.
+ */
+export const generateText = async (prompt, { operation, user, category, format = 'text', example }) => {
+    if (!isReady) {
+        throw new Error('The AI service is not configured on the server.');
+    }
+    const startedAt = Date.now();
+    const { text, promptTokens, completionTokens } = await generateWithRetries({ model, prompt, format, example });
+    recordUsage({
+        user,
+        category,
+        operation,
+        provider: providerName,
+        model,
+        promptTokens,
+        completionTokens,
+        durationMs: Date.now() - startedAt,
+    });
+    return text;
+};
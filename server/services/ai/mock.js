@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import { estimateTokens } from './common.js';
+import { escapeHtml, UNSUBSCRIBE_URL_PLACEHOLDER } from '../../templates/helpers.js';
+
+// Structured answers take the shape of the caller's example, with every string replaced.
+const fillExample = (example, text) => {
+    if (typeof example === 'string') return text;
+    if (Array.isArray(example)) return example.map((item, index) => fillExample(item, `${text} (${index + 1})`));
+    if (example && typeof example === 'object') return Object.fromEntries(Object.entries(example).map(([key, value]) => [key, fillExample(value, text)]));
+    return example;
+};
+
+// The same prompt always gets the same answer, so development and demos work without a key or network.
+const respond = (prompt, format, example) => {
+    const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+    const words = prompt.match(/[\p{L}\p{N}]{4,}/gu) || [];
+    const excerpt = words.slice(-40).join(' ');
+    const text = `Mock response ${digest}. This text stands in for an AI answer and is built from the prompt: ${excerpt}.`;
+    if (format === 'json') {
+        return JSON.stringify(fillExample(example || { text: '' }, text));
+    }
+    if (format === 'html') {
+        return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Mock newsletter ${digest}</title></head><body style="font-family: Helvetica, Arial, sans-serif; max-width: 680px; margin: 0 auto; padding: 20px;"><h1>Mock newsletter</h1><p>${escapeHtml(text)}</p><p><a href="${UNSUBSCRIBE_URL_PLACEHOLDER}">Unsubscribe</a></p></body></html>`;
+    }
+    return text;
+};
+
+export default {
+    name: 'mock',
+    defaultModel: 'mock',
+    isConfigured: () => true,
+    init() {},
+    async generate({ prompt, format, example }) {
+        const text = respond(prompt, format, example);
+        return { text, promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(text) };
+    },
+};
@@ -0,0 +1,44 @@
+import { AiError, REQUEST_TIMEOUT_MS, estimateTokens } from './common.js';
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or a local model server
+// (Ollama, llama.cpp, vLLM, LM Studio) through AI_BASE_URL.
+const getBaseUrl = () => (process.env.AI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+export default {
+    name: 'openai',
+    defaultModel: 'gpt-4o-mini',
+    // A local server usually needs no key, so a base URL alone is enough.
+    isConfigured: () => Boolean(process.env.AI_API_KEY || process.env.AI_BASE_URL),
+    init() {},
+    async generate({ model, prompt, format }) {
+        let response;
+        try {
+            response = await fetch(`${getBaseUrl()}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(process.env.AI_API_KEY ? { Authorization: `Bearer ${process.env.AI_API_KEY}` } : {}),
+                },
+                body: JSON.stringify({
+                    model,
+                    messages: [{ role: 'user', content: prompt }],
+                    ...(format === 'json' ? { response_format: { type: 'json_object' } } : {}),
+                }),
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+            });
+        } catch (err) {
+            throw new AiError(err.name === 'TimeoutError' ? 'The AI server did not respond in time.' : `The AI server could not be reached: ${err.message}`, { retryable: true, cause: err });
+        }
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const message = body.error?.message || `The AI server responded with ${response.status}.`;
+            throw new AiError(message, { retryable: response.status === 429 || response.status >= 500 });
+        }
+        const text = body.choices?.[0]?.message?.content || '';
+        return {
+            text,
+            promptTokens: body.usage?.prompt_tokens ?? estimateTokens(prompt),
+            completionTokens: body.usage?.completion_tokens ?? estimateTokens(text),
+        };
+    },
+};
@@ -0,0 +1,95 @@
+import Category from '../models/category.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import { escapeHtml } from '../templates/helpers.js';
+import { getAppUrl } from './unsubscribe.js';
+
+const FEED_LIMIT = 50;
+
+export const slugify = (name) => String(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'category';
+
+/**
+ * Gives a category its archive slug the first time the archive is switched on. The slug is never
+ * changed afterwards, even on rename, so archive and feed URLs stay stable.
+ */
+export const ensureCategorySlug = async (category) => {
+    if (category.slug) return category.slug;
+    const base = slugify(category.name);
+    let slug = base;
+    for (let n = 2; await Category.exists({ slug, _id: { $ne: category._id } }); n += 1) {
+        slug = `${base}-${n}`;
+    }
+    category.slug = slug;
+    return slug;
+};
+
+export const getArchiveUrls = (slug) => ({
+    pageUrl: `${getAppUrl()}/archive/${slug}`,
+    rssUrl: `${getAppUrl()}/api/archive/${slug}/rss.xml`,
+    atomUrl: `${getAppUrl()}/api/archive/${slug}/atom.xml`,
+});
+
+export const getIssueUrl = (slug, newsletterId) => `${getAppUrl()}/api/archive/${slug}/issues/${newsletterId}`;
+
+export const findPublicCategory = (slug) => Category.findOne({ slug, archivePublic: true }).select('name slug');
+
+// Only sent issues are public; drafts and issues still in review never show up.
+export const listArchivedIssues = (category, { limit } = {}) => {
+    const query = Newsletter.find({ category: category.name, status: 'sent' })
+        .select('title sentAt createdAt updatedAt templateData.intro')
+        .sort({ sentAt: -1, createdAt: -1 });
+    return limit ? query.limit(limit) : query;
+};
+
+const getIssueDate = (newsletter) => newsletter.sentAt || newsletter.updatedAt;
+
+export const buildRssFeed = async (category) => {
+    const { pageUrl, rssUrl } = getArchiveUrls(category.slug);
+    const issues = await listArchivedIssues(category, { limit: FEED_LIMIT });
+    const items = issues.map(issue => `
+    <item>
+      <title>${escapeHtml(issue.title)}</title>
+      <link>${escapeHtml(getIssueUrl(category.slug, issue._id))}</link>
+      <guid isPermaLink="true">${escapeHtml(getIssueUrl(category.slug, issue._id))}</guid>
+      <pubDate>${getIssueDate(issue).toUTCString()}</pubDate>${issue.templateData && issue.templateData.intro ? `
+      <description>${escapeHtml(issue.templateData.intro)}</description>` : ''}
+    </item>`).join('');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(category.name)} Newsletter</title>
+    <link>${escapeHtml(pageUrl)}</link>
+    <description>Past issues of the ${escapeHtml(category.name)} newsletter.</description>
+    <atom:link href="${escapeHtml(rssUrl)}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+};
+
+export const buildAtomFeed = async (category) => {
+    const { pageUrl, atomUrl } = getArchiveUrls(category.slug);
+    const issues = await listArchivedIssues(category, { limit: FEED_LIMIT });
+    const updated = issues.length > 0 ? getIssueDate(issues[0]) : new Date();
+    const entries = issues.map(issue => `
+  <entry>
+    <title>${escapeHtml(issue.title)}</title>
+    <link href="${escapeHtml(getIssueUrl(category.slug, issue._id))}"/>
+    <id>${escapeHtml(getIssueUrl(category.slug, issue._id))}</id>
+    <updated>${getIssueDate(issue).toISOString()}</updated>${issue.templateData && issue.templateData.intro ? `
+    <summary>${escapeHtml(issue.templateData.intro)}</summary>` : ''}
+  </entry>`).join('');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(category.name)} Newsletter</title>
+  <link href="${escapeHtml(pageUrl)}"/>
+  <link href="${escapeHtml(atomUrl)}" rel="self"/>
+  <id>${escapeHtml(pageUrl)}</id>
+  <author><name>NewsLetterAI</name></author>
+  <updated>${updated.toISOString()}</updated>${entries}
+</feed>
+`;
+};
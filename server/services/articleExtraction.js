@@ -0,0 +1,114 @@
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { Readability } from '@mozilla/readability';
+import CuratedArticle from '../models/article.model.js';
+import { fetchPublic, readLimited, UnsafeUrlError } from './remoteFetch.js';
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_PAGE_BYTES = 3 * 1024 * 1024;
+// Anything shorter is a teaser, a paywall notice or a cookie banner rather than the article.
+const MIN_ARTICLE_LENGTH = 500;
+const MAX_ARTICLE_LENGTH = 50000;
+const CACHE_SIZE = 200;
+
+// Thrown with a message fit to show the admin next to the fallback summary.
+export class ExtractionError extends Error {
+    constructor(message, { cause } = {}) {
+        super(message, { cause });
+        this.name = 'ExtractionError';
+    }
+}
+
+// Summarizing and then saving an article would otherwise download the page twice.
+const cache = new Map();
+const remember = (url, result) => {
+    cache.delete(url);
+    cache.set(url, result);
+    if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    return result;
+};
+
+const fetchPage = async (url) => {
+    let response;
+    try {
+        // The URL comes from the request, so only public hosts are fetched.
+        response = await fetchPublic(url, {
+            headers: { Accept: 'text/html,application/xhtml+xml', 'User-Agent': 'Mozilla/5.0 (compatible; NewsletterBot/1.0)' },
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        });
+    } catch (err) {
+        if (err instanceof UnsafeUrlError) {
+            throw new ExtractionError(err.message, { cause: err });
+        }
+        throw new ExtractionError(err.name === 'TimeoutError' ? 'The article page did not respond in time.' : 'The article page could not be reached.', { cause: err });
+    }
+    if (!response.ok) {
+        response.body?.cancel().catch(() => {});
+        throw new ExtractionError(`The article page responded with ${response.status}.`);
+    }
+    if (!/html/i.test(response.headers.get('content-type') || '')) {
+        response.body?.cancel().catch(() => {});
+        throw new ExtractionError('The link does not point to a web page.');
+    }
+    if (Number(response.headers.get('content-length')) > MAX_PAGE_BYTES) {
+        response.body?.cancel().catch(() => {});
+        throw new ExtractionError('The article page is too large to read.');
+    }
+    // Pages without a content-length are read up to the cap and dropped past it.
+    const body = response.body ? await readLimited(response.body, MAX_PAGE_BYTES) : Buffer.alloc(0);
+    if (!body) {
+        throw new ExtractionError('The article page is too large to read.');
+    }
+    return { html: body.toString('utf8'), finalUrl: response.url || url };
+};
+
+// Readability returns HTML; the summarizer and the stored content want paragraphs of plain text.
+const toParagraphText = (articleHtml, url) => {
+    const { document } = new JSDOM(articleHtml, { url }).window;
+    const blocks = [...document.querySelectorAll('h1, h2, h3, h4, p, li, blockquote, pre')]
+        // Nested blocks (a <p> inside an <li>) would otherwise be counted twice.
+        .filter(element => !element.parentElement?.closest('p, li, blockquote, pre'))
+        .map(element => element.textContent.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    const text = blocks.length > 0 ? blocks.join('\n\n') : document.body.textContent.replace(/\s+/g, ' ').trim();
+    return text.slice(0, MAX_ARTICLE_LENGTH);
+};
+
+/**
+ * Downloads an article page and extracts its main text with Readability. Returns
+ * `{ title, byline, text }`; throws an ExtractionError when the page cannot be read or has too
+ * little text to be the article itself.
+ */
+export const extractArticle = async (url) => {
+    if (cache.has(url)) return remember(url, cache.get(url));
+
+    const { html, finalUrl } = await fetchPage(url);
+    // Scripts never run and page errors stay out of our logs.
+    const dom = new JSDOM(html, { url: finalUrl, virtualConsole: new VirtualConsole() });
+    const article = new Readability(dom.window.document).parse();
+    dom.window.close();
+    if (!article || !article.content) {
+        throw new ExtractionError('No article text was found on the page.');
+    }
+    const text = toParagraphText(article.content, finalUrl);
+    if (text.length < MIN_ARTICLE_LENGTH) {
+        throw new ExtractionError('The page had too little text; it may be behind a paywall.');
+    }
+    return remember(url, { title: article.title, byline: article.byline, text });
+};
+
+/**
+ * Fills in the full text of saved articles that only have the provider's snippet. Runs after
+ * the save response is sent; failures are recorded on the article and the snippet is kept.
+ */
+export const extractMissingContent = async (articleIds) => {
+    const articles = await CuratedArticle.find({ _id: { $in: articleIds }, contentExtractedAt: { $exists: false } }).select('originalUrl');
+    for (const article of articles) {
+        try {
+            const { text } = await extractArticle(article.originalUrl);
+            await CuratedArticle.updateOne({ _id: article._id }, { $set: { content: text, contentExtractedAt: new Date() }, $unset: { contentExtractionError: 1 } });
+        } catch (err) {
+            console.warn(`[EXTRACT] ${article.originalUrl}: ${err.message}`);
+            await CuratedArticle.updateOne({ _id: article._id }, { $set: { contentExtractionError: err.message } });
+        }
+    }
+};
@@ -0,0 +1,90 @@
+import CuratedArticle from '../models/article.model.js';
+import { generateText, parseJsonResponse } from './ai/index.js';
+
+const MAX_SUBJECTS = 5;
+const MAX_HIGHLIGHTS = 5;
+const MAX_SUMMARY_LENGTH = 1500;
+
+// Shown to the model as the shape to answer in, and used by the mock provider to build its answer.
+const DRAFT_EXAMPLE = {
+    editorNote: 'Two or three short paragraphs introducing the issue.',
+    subjects: ['First subject line', 'Second subject line', 'Third subject line'],
+    highlightsHeading: 'This week in the category',
+    highlights: [{ text: 'One sentence connecting a story to the issue’s theme.', article: 1 }],
+};
+
+const createDraftPrompt = (articles, title, category) => `
+    You are the editor of a newsletter about "${category}". The next issue is titled "${title}".
+    Using the stories below, write the pieces an editor writes by hand:
+
+    - "editorNote": an editor's note of 2-3 short paragraphs (120-180 words in total) that introduces the issue,
+      connects its main themes and tells readers why they matter. Separate paragraphs with a blank line.
+      Do not start with conversational phrases like "Hello" and do not use markdown.
+    - "subjects": 3 to ${MAX_SUBJECTS} email subject lines of at most 60 characters, each taking a different angle.
+    - "highlightsHeading": a heading for a highlights box, in the form "This week in ${category}".
+    - "highlights": 3 to ${MAX_HIGHLIGHTS} one-sentence highlights, each pointing at one story by its number in "article".
+      Together they should read as a short tour of the issue, linking the stories to each other.
+
+    Answer with JSON only, in this shape:
+    ${JSON.stringify(DRAFT_EXAMPLE)}
+
+    STORIES:
+    ${articles.map((article, index) => `${index + 1}. ${article.title}${article.sourceName ? ` (${article.sourceName})` : ''}\n${(article.summary || article.description || '').slice(0, MAX_SUMMARY_LENGTH)}`).join('\n\n')}
+`;
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Drafts the editor-written parts of an issue from the summaries of its curated articles: an
+ * editor's note, subject line suggestions and a highlights box linking the stories. Returns
+ * `{ editorNote, subjects, highlights: { heading, items: [{ text, url, title }] } }`, all of it
+ * for the admin to edit before the newsletter is rendered.
+ */
+export const draftEditorial = async ({ articleIds, title, category, user }) => {
+    const found = await CuratedArticle.find({ _id: { $in: articleIds }, category }).select('title summary description sourceName originalUrl');
+    const byId = new Map(found.map(article => [String(article._id), article]));
+    // Keep the admin's order, so story numbers in the prompt match the issue.
+    const articles = articleIds.map(id => byId.get(String(id))).filter(Boolean);
+    if (articles.length === 0) {
+        throw new Error('None of the selected articles were found in this category.');
+    }
+
+    const response = await generateText(createDraftPrompt(articles, title, category), { operation: 'compose', user, category, format: 'json', example: DRAFT_EXAMPLE });
+    const draft = parseJsonResponse(response, 'The AI returned a draft that could not be read. Please try again.');
+
+    // Highlights pointing at a story that does not exist, or at one already highlighted, are dropped.
+    const items = [];
+    const highlighted = new Set();
+    for (const item of Array.isArray(draft.highlights) ? draft.highlights : []) {
+        const text = cleanText(item?.text);
+        const article = articles[Number(item?.article) - 1];
+        if (!text || !article || highlighted.has(article) || items.length >= MAX_HIGHLIGHTS) continue;
+        highlighted.add(article);
+        items.push({ text, url: article.originalUrl, title: article.title });
+    }
+
+    return {
+        editorNote: cleanText(draft.editorNote),
+        subjects: [...new Set((Array.isArray(draft.subjects) ? draft.subjects : []).map(cleanText).filter(Boolean))].slice(0, MAX_SUBJECTS),
+        highlights: { heading: cleanText(draft.highlightsHeading) || `This week in ${category}`, items },
+    };
+};
+
+const MAX_NOTE_LENGTH = 5000;
+const MAX_LINE_LENGTH = 300;
+
+/**
+ * Cleans the (possibly edited) draft sent back with a generate request. Returns
+ * `{ editorNote, highlights }` with empty parts left out, or undefined when nothing is left.
+ */
+export const normalizeEditorial = (input) => {
+    if (!input || typeof input !== 'object') return undefined;
+    const editorNote = cleanText(input.editorNote).slice(0, MAX_NOTE_LENGTH);
+    const items = (Array.isArray(input.highlights?.items) ? input.highlights.items : [])
+        .map(item => ({ text: cleanText(item?.text).slice(0, MAX_LINE_LENGTH), url: cleanText(item?.url), title: cleanText(item?.title).slice(0, MAX_LINE_LENGTH) }))
+        .filter(item => item.text && /^https?:\/\//i.test(item.url))
+        .slice(0, MAX_HIGHLIGHTS);
+    const highlights = items.length > 0 ? { heading: cleanText(input.highlights.heading).slice(0, MAX_LINE_LENGTH) || 'Highlights', items } : undefined;
+    if (!editorNote && !highlights) return undefined;
+    return { editorNote: editorNote || undefined, highlights };
+};
@@ -0,0 +1,29 @@
+// The languages NewsAPI can search in, which are also the ones newsletters are translated into.
+export const LANGUAGES = {
+    en: 'English',
+    ar: 'Arabic',
+    de: 'German',
+    es: 'Spanish',
+    fr: 'French',
+    he: 'Hebrew',
+    it: 'Italian',
+    nl: 'Dutch',
+    no: 'Norwegian',
+    pt: 'Portuguese',
+    ru: 'Russian',
+    sv: 'Swedish',
+    zh: 'Chinese',
+};
+
+// Newsletters are written in this language; every other one is a translated variant.
+export const DEFAULT_LANGUAGE = 'en';
+
+const RIGHT_TO_LEFT = new Set(['ar', 'he']);
+
+export const isSupportedLanguage = (code) => Object.hasOwn(LANGUAGES, code);
+
+export const isRightToLeft = (code) => RIGHT_TO_LEFT.has(code);
+
+export const getLanguageName = (code) => LANGUAGES[code] || code;
+
+export const listLanguages = () => Object.entries(LANGUAGES).map(([code, name]) => ({ code, name }));
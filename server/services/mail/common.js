@@ -0,0 +1,17 @@
+/**
+ * Transport-neutral send failure. `kind` tells the caller what to do next:
+ * 'retry' for temporary problems, 'bounced' when the recipient address was rejected,
+ * 'failed' for anything else that will not succeed on a second attempt.
+ */
+export class MailError extends Error {
+    constructor(message, { kind = 'failed', cause } = {}) {
+        super(message, { cause });
+        this.name = 'MailError';
+        this.kind = kind;
+    }
+}
+
+export const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNECTION', 'ESOCKET'];
+
+// Nodemailer expects the sender as { name, address } where the service API uses { name, email }.
+export const toNodemailerMessage = ({ from, ...message }) => ({ ...message, from: { name: from.name, address: from.email } });
@@ -0,0 +1,43 @@
+import sendgrid from './sendgrid.js';
+import smtp from './smtp.js';
+import outbox from './outbox.js';
+
+export { MailError } from './common.js';
+
+const TRANSPORTS = { sendgrid, smtp, outbox };
+const DEFAULT_FROM_EMAIL = 'newsletter@localhost';
+
+const transportName = (process.env.MAIL_TRANSPORT || 'sendgrid').toLowerCase();
+const transport = TRANSPORTS[transportName];
+
+// --- Initialize the mail transport ---
+let isReady = false;
+let initialization = Promise.resolve();
+if (!transport) {
+    console.warn(`⚠️ Unknown MAIL_TRANSPORT "${transportName}". Email sending will be disabled.`);
+} else if (!transport.isConfigured()) {
+    console.warn(`⚠️ Mail transport "${transportName}" is not configured. Email sending will be disabled.`);
+} else if (transportName !== 'outbox' && !process.env.FROM_EMAIL) {
+    console.warn("⚠️ FROM_EMAIL not found. Email sending will be disabled.");
+} else {
+    isReady = true;
+    initialization = Promise.resolve(transport.init())
+        .then(() => console.log(`✅ Mail transport "${transportName}" initialized.`))
+        .catch(err => { isReady = false; console.error(`❌ Mail transport "${transportName}" failed to initialize.`, err); });
+}
+
+export const isMailConfigured = () => isReady;
+
+/**
+ * Sends one message through the configured transport. Messages use the SendGrid shape
+ * (`from: { name, email }`, `to`, `subject`, `html`, optional `text` and `headers`).
+ * Throws a MailError whose `kind` says whether the send is worth retrying.
+ */
+export const sendMail = async ({ from, ...message }) => {
+    if (!isReady) {
+        throw new Error('Email service is not configured on the server.');
+    }
+    await initialization;
+    const sender = { name: from && from.name, email: (from && from.email) || process.env.FROM_EMAIL || DEFAULT_FROM_EMAIL };
+    await transport.send({ ...message, from: sender });
+};
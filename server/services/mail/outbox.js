@@ -0,0 +1,28 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { MailError, toNodemailerMessage } from './common.js';
+
+// Writes every message to MAIL_OUTBOX_DIR as an .eml file instead of sending it, for offline development.
+const outboxDir = () => path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+let transporter;
+
+export default {
+    name: 'outbox',
+    isConfigured: () => true,
+    async init() {
+        transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        await fs.mkdir(outboxDir(), { recursive: true });
+    },
+    async send(message) {
+        try {
+            const { message: eml } = await transporter.sendMail(toNodemailerMessage(message));
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+            await fs.writeFile(path.join(outboxDir(), fileName), eml);
+        } catch (err) {
+            throw new MailError(err.message, { kind: 'retry', cause: err });
+        }
+    },
+};
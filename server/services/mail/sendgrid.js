@@ -0,0 +1,31 @@
+import sgMail from '@sendgrid/mail';
+import { MailError, NETWORK_ERROR_CODES } from './common.js';
+
+const toMailError = (err) => {
+    const statusCode = err.code >= 100 ? err.code : err.response && err.response.statusCode;
+    const errors = (err.response && err.response.body && err.response.body.errors) || [];
+    const message = errors.length > 0 ? errors.map(e => e.message).join('; ') : err.message;
+
+    let kind = 'failed';
+    if (!statusCode || NETWORK_ERROR_CODES.includes(err.code) || statusCode === 429 || statusCode >= 500) {
+        kind = 'retry';
+    } else if (errors.some(e => e.field && /email|to/.test(e.field))) {
+        kind = 'bounced';
+    }
+    return new MailError(message, { kind, cause: err });
+};
+
+export default {
+    name: 'sendgrid',
+    isConfigured: () => Boolean(process.env.SENDGRID_API_KEY),
+    init() {
+        sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    },
+    async send(message) {
+        try {
+            await sgMail.send(message);
+        } catch (err) {
+            throw toMailError(err);
+        }
+    },
+};
@@ -0,0 +1,37 @@
+import nodemailer from 'nodemailer';
+import { MailError, NETWORK_ERROR_CODES, toNodemailerMessage } from './common.js';
+
+// SMTP reply codes that mean the mailbox itself is unknown or refused, as opposed to a policy failure.
+const RECIPIENT_REJECTED_CODES = [550, 551, 553];
+
+let transporter;
+
+const toMailError = (err) => {
+    let kind = 'failed';
+    if (NETWORK_ERROR_CODES.includes(err.code) || (err.responseCode >= 400 && err.responseCode < 500)) {
+        kind = 'retry';
+    } else if (RECIPIENT_REJECTED_CODES.includes(err.responseCode)) {
+        kind = 'bounced';
+    }
+    return new MailError(err.response || err.message, { kind, cause: err });
+};
+
+export default {
+    name: 'smtp',
+    isConfigured: () => Boolean(process.env.SMTP_HOST),
+    init() {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+    },
+    async send(message) {
+        try {
+            await transporter.sendMail(toNodemailerMessage(message));
+        } catch (err) {
+            throw toMailError(err);
+        }
+    },
+};
@@ -0,0 +1,41 @@
+/**
+ * The article shape the Dashboard consumes, matching what NewsAPI returns, so every provider
+ * looks the same to the client: `{ title, url, source: { name }, urlToImage, publishedAt, description, content }`.
+ */
+export const normalizeArticle = ({ title, url, sourceName, imageUrl, publishedAt, description, content }) => ({
+    title: (title || '').trim(),
+    url,
+    source: { name: sourceName || '' },
+    urlToImage: imageUrl || null,
+    publishedAt: publishedAt ? new Date(publishedAt).toISOString() : null,
+    description: description || '',
+    content: content || description || '',
+});
+
+// Feed descriptions often carry markup; the Dashboard shows plain text.
+export const stripHtml = (html = '') => String(html)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Query parameters that only identify the campaign or click, never the article.
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid|ref|cmpid|ocid|smid)$/i;
+
+/**
+ * The key articles are de-duplicated by: the same story linked over http or https, with or
+ * without www, a trailing slash or tracking parameters, gives the same key.
+ */
+export const normalizeUrl = (url) => {
+    let parsed;
+    try { parsed = new URL(url); } catch { return String(url || '').trim().toLowerCase(); }
+    const params = [...parsed.searchParams].filter(([key]) => !TRACKING_PARAMS.test(key)).sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${path}${query}`;
+};
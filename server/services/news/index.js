@@ -0,0 +1,73 @@
+import newsapi from './newsapi.js';
+import rss from './rss.js';
+
+export { normalizeUrl } from './common.js';
+
+const PROVIDERS = { newsapi, rss };
+export const MAX_SOURCES_PER_CATEGORY = 20;
+
+// Categories that never picked their sources keep searching NewsAPI for their keywords.
+const DEFAULT_SOURCES = [{ provider: 'newsapi' }];
+
+export const listNewsProviders = () => Object.values(PROVIDERS).map(({ name, label, description, takesUrl, isConfigured }) => ({
+    name, label, description, takesUrl, configured: isConfigured(),
+}));
+
+export const getCategorySources = (category) => (category.sources && category.sources.length > 0 ? category.sources : DEFAULT_SOURCES);
+
+/**
+ * Cleans up sources sent by the category editor. Returns `{ sources }` ready to store, or
+ * `{ error }` with a message for the admin.
+ */
+export const normalizeSources = (input) => {
+    if (!Array.isArray(input)) return { error: 'Sources must be a list.' };
+    if (input.length > MAX_SOURCES_PER_CATEGORY) return { error: `A category can have at most ${MAX_SOURCES_PER_CATEGORY} sources.` };
+    const sources = [];
+    const seen = new Set();
+    for (const source of input) {
+        const provider = PROVIDERS[source?.provider];
+        if (!provider) return { error: `Unknown news provider "${source?.provider}".` };
+        const entry = { provider: provider.name };
+        if (provider.takesUrl) {
+            const url = String(source.url || '').trim();
+            let parsed;
+            try { parsed = new URL(url); } catch { parsed = null; }
+            if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) return { error: `"${url}" is not a valid feed URL.` };
+            entry.url = parsed.href;
+        }
+        const name = String(source.name || '').trim();
+        if (name) entry.name = name;
+        const key = `${entry.provider}:${entry.url || ''}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        sources.push(entry);
+    }
+    return { sources };
+};
+
+// A readable name for a source in status lists and error messages.
+export const getSourceLabel = (source) => source.name || source.url || PROVIDERS[source.provider]?.label || source.provider;
+
+// Feeds have nothing to query, so searching for any term is only possible through NewsAPI.
+export const isNewsSearchConfigured = () => newsapi.isConfigured();
+
+/**
+ * Searches NewsAPI for `term` in one language and returns the articles in the shape
+ * `normalizeArticle` produces. Throws when the search fails.
+ */
+export const searchNews = (term, { from, language }) => newsapi.searchTerm(term, { from, language });
+
+/**
+ * Fetches recent articles from one of a category's sources, in the shape `normalizeArticle`
+ * produces. Throws when the provider is unknown, not configured or the fetch fails.
+ */
+export const fetchSourceArticles = async (category, source, { from }) => {
+    const provider = PROVIDERS[source.provider];
+    if (!provider) throw new Error(`Unknown news provider "${source.provider}".`);
+    if (!provider.isConfigured()) throw new Error(`${provider.label} is not configured on the server.`);
+    try {
+        return await provider.fetchSource(category, source, { from });
+    } catch (err) {
+        throw err.name === 'TimeoutError' ? new Error('The source did not respond in time.', { cause: err }) : err;
+    }
+};
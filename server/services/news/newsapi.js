@@ -0,0 +1,59 @@
+import axios from 'axios';
+import { format } from 'date-fns';
+import { normalizeArticle } from './common.js';
+import { DEFAULT_LANGUAGE } from '../languages.js';
+
+// Categories without keywords are searched by their quoted name, as before providers existed.
+const getCategoryTerms = (category) => (category.keywords && category.keywords.length > 0 ? category.keywords : [`"${category.name}"`]);
+
+// Required and excluded rule terms narrow the search itself, which leaves more of each page for relevant articles.
+const buildCategoryQuery = (category) => {
+    const { required = [], excluded = [] } = category.rules || {};
+    const quote = (term) => (/\s/.test(term) && !/^".*"$/.test(term) ? `"${term}"` : term);
+    return [
+        `(${getCategoryTerms(category).join(' OR ')})`,
+        ...required.map(term => `AND ${quote(term)}`),
+        ...excluded.map(term => `NOT ${quote(term)}`),
+    ].join(' ');
+};
+
+const search = async ({ query, from, language }) => {
+    try {
+        const response = await axios.get('https://newsapi.org/v2/everything', {
+            params: {
+                q: query,
+                from: format(from, 'yyyy-MM-dd'),
+                sortBy: 'relevancy', // Sorting by relevancy for better results with specific queries
+                language,
+                apiKey: process.env.NEWS_API_KEY,
+            }
+        });
+        return response.data.articles.map(article => normalizeArticle({
+            title: article.title,
+            url: article.url,
+            sourceName: article.source?.name,
+            imageUrl: article.urlToImage,
+            publishedAt: article.publishedAt,
+            description: article.description,
+            content: article.content,
+        }));
+    } catch (err) {
+        if (err.response) {
+            console.error('NewsAPI Error:', err.response.data);
+            throw new Error(`Failed to fetch news: ${err.response.data.message}`, { cause: err });
+        }
+        throw err;
+    }
+};
+
+export default {
+    name: 'newsapi',
+    label: 'NewsAPI.org',
+    description: "Searches NewsAPI.org for the category's keywords.",
+    takesUrl: false,
+    isConfigured: () => Boolean(process.env.NEWS_API_KEY),
+    // Each category is its own query so its fetch status can be reported separately.
+    fetchSource: (category, source, { from }) => search({ query: buildCategoryQuery(category), from, language: category.sourceLanguage || DEFAULT_LANGUAGE }),
+    // Free-text searches from the Dashboard, which may look beyond any category's keywords.
+    searchTerm: (term, { from, language = DEFAULT_LANGUAGE }) => search({ query: term, from, language }),
+};
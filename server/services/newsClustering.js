@@ -0,0 +1,113 @@
+import { subDays } from 'date-fns';
+import NewsItem from '../models/newsItem.model.js';
+
+// Only recent items are regrouped; older clusters keep the grouping they ended up with.
+const CLUSTER_WINDOW_DAYS = 7;
+// Two articles are the same story when their titles, or titles plus descriptions, overlap this much.
+const TITLE_SIMILARITY = 0.5;
+const TEXT_SIMILARITY = 0.4;
+// Words in more items than this say nothing about which story an article is about.
+const MAX_TOKEN_FREQUENCY = 50;
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'into', 'over', 'after', 'about', 'are', 'was', 'were', 'has',
+    'have', 'had', 'its', 'his', 'her', 'their', 'they', 'you', 'your', 'our', 'will', 'would', 'can', 'could', 'new',
+    'not', 'but', 'out', 'who', 'what', 'when', 'how', 'why', 'more', 'than', 'says', 'said', 'also', 'amid', 'just',
+]);
+
+const tokenize = (text = '') => new Set(
+    String(text).toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 2 && !STOPWORDS.has(token))
+);
+
+const jaccard = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) if (b.has(token)) shared += 1;
+    return shared / (a.size + b.size - shared);
+};
+
+const isSameStory = (a, b) => jaccard(a.titleTokens, b.titleTokens) >= TITLE_SIMILARITY
+    || jaccard(a.textTokens, b.textTokens) >= TEXT_SIMILARITY;
+
+/**
+ * Groups near-duplicate items with union-find over every similar pair. Candidates are found
+ * through shared title words, so the whole window is never compared pairwise. Returns the
+ * groups as arrays of items.
+ */
+const groupSimilarItems = (items) => {
+    const entries = items.map(item => ({
+        item,
+        titleTokens: tokenize(item.title),
+        textTokens: tokenize(`${item.title} ${item.description || ''}`),
+    }));
+
+    const parent = entries.map((_, index) => index);
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+    const union = (a, b) => { parent[find(a)] = find(b); };
+
+    const itemsByToken = new Map();
+    entries.forEach((entry, index) => {
+        for (const token of entry.titleTokens) {
+            if (!itemsByToken.has(token)) itemsByToken.set(token, []);
+            itemsByToken.get(token).push(index);
+        }
+    });
+
+    entries.forEach((entry, index) => {
+        const candidates = new Set();
+        for (const token of entry.titleTokens) {
+            const indexes = itemsByToken.get(token);
+            if (indexes.length > MAX_TOKEN_FREQUENCY) continue;
+            for (const other of indexes) if (other > index) candidates.add(other);
+        }
+        for (const other of candidates) {
+            if (find(index) !== find(other) && isSameStory(entry, entries[other])) union(index, other);
+        }
+    });
+
+    const groups = new Map();
+    entries.forEach((entry, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(entry.item);
+    });
+    return [...groups.values()];
+};
+
+/**
+ * Regroups the recent news items into stories. Every item in a multi-source story points at
+ * the story's primary, which is the first of them we stored, so the card an admin sees does not
+ * change each time another outlet picks the story up. Returns how many stories have alternates.
+ */
+export const clusterRecentNews = async () => {
+    const items = await NewsItem.find({ createdAt: { $gte: subDays(new Date(), CLUSTER_WINDOW_DAYS) } })
+        .select('title description cluster createdAt')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    const operations = [];
+    let clusters = 0;
+    for (const group of groupSimilarItems(items)) {
+        // Items are sorted oldest first, so the first one is the primary.
+        const primary = group.length > 1 ? group[0]._id : null;
+        if (primary) clusters += 1;
+        for (const item of group) {
+            if (String(item.cluster || '') !== String(primary || '')) {
+                operations.push({ updateOne: { filter: { _id: item._id }, update: primary ? { $set: { cluster: primary } } : { $unset: { cluster: 1 } } } });
+            }
+        }
+    }
+    if (operations.length > 0) {
+        await NewsItem.bulkWrite(operations, { ordered: false });
+    }
+    console.log(`[INGEST] Grouped ${items.length} recent articles into stories; ${clusters} covered by several sources.`);
+    return clusters;
+};
@@ -0,0 +1,177 @@
+import { subDays } from 'date-fns';
+import Category from '../models/category.model.js';
+import NewsItem from '../models/newsItem.model.js';
+import NewsSourceStatus from '../models/newsSourceStatus.model.js';
+import { fetchSourceArticles, getCategorySources, getSourceLabel, normalizeUrl, searchNews } from './news/index.js';
+import { DEFAULT_LANGUAGE } from './languages.js';
+import { clusterRecentNews } from './newsClustering.js';
+import { rescoreNewsItems } from './relevance.js';
+
+const INGEST_INTERVAL_MS = (Number(process.env.NEWS_INGEST_INTERVAL_MINUTES) || 60) * 60 * 1000;
+// Each run looks a week back, so a source that was down for a few runs loses nothing.
+const LOOKBACK_DAYS = 7;
+
+const getStatusKey = (category, source) => ({ category: category.name, provider: source.provider, url: source.url || '' });
+
+// Inserts articles not seen before and tags known ones with the category. Returns how many were new.
+const storeArticles = async (category, provider, articles) => {
+    const byUrl = new Map();
+    for (const article of articles) {
+        if (article.url && article.title) byUrl.set(normalizeUrl(article.url), article);
+    }
+    if (byUrl.size === 0) return 0;
+    const now = new Date();
+    const operations = [...byUrl].map(([normalizedUrl, article]) => ({
+        updateOne: {
+            filter: { normalizedUrl },
+            update: {
+                $setOnInsert: {
+                    url: article.url,
+                    title: article.title,
+                    description: article.description,
+                    content: article.content,
+                    sourceName: article.source?.name,
+                    imageUrl: article.urlToImage,
+                    publishedAt: article.publishedAt,
+                    provider,
+                },
+                $addToSet: { categories: category.name },
+                $set: { lastSeenAt: now },
+            },
+            upsert: true,
+        },
+    }));
+    const result = await NewsItem.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount;
+};
+
+const ingestSource = async (category, source) => {
+    const key = getStatusKey(category, source);
+    const label = getSourceLabel(source);
+    const lastRunAt = new Date();
+    try {
+        const articles = await fetchSourceArticles(category, source, { from: subDays(lastRunAt, LOOKBACK_DAYS) });
+        const newCount = await storeArticles(category, source.provider, articles);
+        await NewsSourceStatus.updateOne(key, { $set: { label, lastRunAt, lastSuccessAt: lastRunAt, lastError: null, consecutiveFailures: 0, fetchedCount: articles.length, newCount } }, { upsert: true });
+        return { fetchedCount: articles.length, newCount, failed: false };
+    } catch (err) {
+        console.error(`[INGEST] ${category.name} / ${label} failed: ${err.message}`);
+        await NewsSourceStatus.updateOne(key, { $set: { label, lastRunAt, lastError: err.message, fetchedCount: 0, newCount: 0 }, $inc: { consecutiveFailures: 1 } }, { upsert: true });
+        return { fetchedCount: 0, newCount: 0, failed: true };
+    }
+};
+
+// Sources are fetched one at a time so a category with many feeds does not hammer the network.
+const ingestCategory = async (category) => {
+    const sources = getCategorySources(category);
+    const results = [];
+    for (const source of sources) {
+        results.push(await ingestSource(category, source));
+    }
+    // Sources removed from the category no longer need a status.
+    await NewsSourceStatus.deleteMany({ category: category.name, $nor: sources.map(source => getStatusKey(category, source)) });
+    return results;
+};
+
+// Runs are chained so the periodic job, manual refreshes and clustering after searches never run side by side.
+let queue = Promise.resolve();
+const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+};
+
+// Everything fetched since `startedAt`, new or not, may now belong to another category as well.
+const finishRun = async (startedAt, newCount) => {
+    await rescoreNewsItems({ lastSeenAt: { $gte: startedAt } });
+    if (newCount > 0) {
+        await clusterRecentNews();
+    }
+};
+
+/**
+ * Fetches every source of the named categories (all categories when none are given) into the
+ * news store. Returns totals for the run: `{ sources, fetched, new, failed }`.
+ */
+export const ingestNews = (categoryNames) => enqueue(async () => {
+    const startedAt = new Date();
+    const categories = await Category.find(categoryNames ? { name: { $in: categoryNames } } : {});
+    const totals = { sources: 0, fetched: 0, new: 0, failed: 0 };
+    for (const category of categories) {
+        for (const result of await ingestCategory(category)) {
+            totals.sources += 1;
+            totals.fetched += result.fetchedCount;
+            totals.new += result.newCount;
+            if (result.failed) totals.failed += 1;
+        }
+    }
+    console.log(`[INGEST] Fetched ${totals.fetched} articles (${totals.new} new) from ${totals.sources} sources; ${totals.failed} failed.`);
+    await finishRun(startedAt, totals.new);
+    return totals;
+});
+
+/**
+ * Searches NewsAPI for `term` and stores the results for the named categories, so a Dashboard
+ * search also finds stories their sources never brought in. Categories sharing a news language
+ * share one search. Runs outside the queue, so the search never waits for a full ingestion run;
+ * only the clustering of what it found is queued. Returns `{ fetched, new, failed }`.
+ */
+export const ingestSearch = async (term, categoryNames) => {
+    const startedAt = new Date();
+    const categories = await Category.find({ name: { $in: categoryNames } }).select('name sourceLanguage');
+    const byLanguage = new Map();
+    for (const category of categories) {
+        const language = category.sourceLanguage || DEFAULT_LANGUAGE;
+        byLanguage.set(language, [...(byLanguage.get(language) || []), category]);
+    }
+    const totals = { fetched: 0, new: 0, failed: 0 };
+    for (const [language, group] of byLanguage) {
+        try {
+            const articles = await searchNews(term, { from: subDays(startedAt, LOOKBACK_DAYS), language });
+            totals.fetched += articles.length;
+            for (const category of group) {
+                totals.new += await storeArticles(category, 'newsapi', articles);
+            }
+        } catch (err) {
+            console.error(`[INGEST] Searching for "${term}" failed: ${err.message}`);
+            totals.failed += 1;
+        }
+    }
+    // Scored now so the results show with their relevance; clustering waits its turn.
+    await rescoreNewsItems({ lastSeenAt: { $gte: startedAt }, categories: { $in: categoryNames } });
+    if (totals.new > 0) {
+        enqueue(clusterRecentNews).catch(err => console.error('[INGEST] Clustering after a search failed:', err));
+    }
+    return totals;
+};
+
+/**
+ * The latest fetch outcome for each source of the given categories. Sources added since the
+ * last run are listed without a `lastRunAt`.
+ */
+export const getSourceStatuses = async (categories) => {
+    const statuses = await NewsSourceStatus.find({ category: { $in: categories.map(category => category.name) } }).lean();
+    const byKey = new Map(statuses.map(status => [`${status.category}|${status.provider}|${status.url}`, status]));
+    return categories.flatMap(category => getCategorySources(category).map(source => {
+        const key = getStatusKey(category, source);
+        const status = byKey.get(`${key.category}|${key.provider}|${key.url}`);
+        return {
+            ...key,
+            label: getSourceLabel(source),
+            lastRunAt: status?.lastRunAt,
+            lastSuccessAt: status?.lastSuccessAt,
+            lastError: status?.lastError || undefined,
+            consecutiveFailures: status?.consecutiveFailures || 0,
+            fetchedCount: status?.fetchedCount || 0,
+            newCount: status?.newCount || 0,
+        };
+    }));
+};
+
+export const startNewsIngestionWorker = () => {
+    const tick = () => ingestNews().catch(err => console.error('[INGEST] Run failed:', err));
+    setInterval(tick, INGEST_INTERVAL_MS);
+    // The first run right away, so a fresh server has news before the first interval passes.
+    tick();
+    console.log(`📰 News ingestion worker started (every ${INGEST_INTERVAL_MS / 60000} minutes).`);
+};
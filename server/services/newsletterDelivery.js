@@ -0,0 +1,246 @@
+import User from '../models/user.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import Category from '../models/category.model.js';
+import CuratedArticle from '../models/article.model.js';
+import Notification from '../models/notification.model.js';
+import DeliveryRecord from '../models/deliveryRecord.model.js';
+import { applyTransition } from './newsletterWorkflow.js';
+import { isMailConfigured, sendMail } from './mail/index.js';
+import { getUnsubscribeLinks } from './unsubscribe.js';
+import { applyTracking } from './tracking.js';
+import { getIssueUrl } from './archive.js';
+import { DEFAULT_LANGUAGE } from './languages.js';
+import { listSendableLanguages, loadNewsletterVariant } from './newsletterTranslations.js';
+import { applyUnsubscribeUrl, formatLabel } from '../templates/index.js';
+import { escapeHtml } from '../templates/helpers.js';
+
+const WORKER_INTERVAL_MS = 5 * 1000;
+const BATCH_SIZE = Number(process.env.DELIVERY_BATCH_SIZE) || 50;
+const MAX_PER_SECOND = Number(process.env.DELIVERY_RATE_PER_SECOND) || 10;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const getDefaultSubject = (newsletter) => newsletter.subject || `Your Newsletter: ${newsletter.title}`;
+
+// Subject tests leave readers of translations out, so a translated copy keeps the subject of its translation.
+const getVariantSubject = (newsletter, variant, record) => {
+    if (variant.language === DEFAULT_LANGUAGE) {
+        return record.subject || getDefaultSubject(newsletter);
+    }
+    return variant.subject || formatLabel(variant.labels.subject, { title: variant.title });
+};
+
+const buildNewsletterEmail = ({ newsletter, articles, trackingEnabled, webUrl }, variant, record) => {
+    const { pageUrl, oneClickUrl } = getUnsubscribeLinks(record.user, newsletter.category, newsletter._id);
+    const { html, text, labels } = variant;
+    const body = trackingEnabled ? applyTracking(html, record._id, articles) : html;
+    const label = (key, values) => escapeHtml(formatLabel(labels[key], values));
+    return {
+        to: record.email,
+        from: { name: 'NewsLetterAI', email: process.env.FROM_EMAIL },
+        subject: getVariantSubject(newsletter, variant, record),
+        headers: {
+            'List-Unsubscribe': `<${oneClickUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+        html: `
+            <div lang="${variant.language}" style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+                ${webUrl ? `<p style="font-size: 0.8em; color: #999; text-align: center;"><a href="${webUrl}" style="color: #999;">${label('viewInBrowser')}</a></p>` : ''}
+                <p>${label('greeting')}</p>
+                <p>${escapeHtml(labels.issueIntro).replace('{title}', `<strong>${escapeHtml(variant.title)}</strong>`)}</p>
+                <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+
+                ${applyUnsubscribeUrl(body, pageUrl)}
+
+                <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+                <p style="font-size: 0.9em; color: #777;">${label('closing')}</p>
+                <p style="font-size: 0.9em; color: #777;">${label('signOff')}</p>
+                <p style="font-size: 0.9em; color: #777;"><strong>${label('team')}</strong></p>
+                <p style="font-size: 0.8em; color: #999;">${label('subscribedTo', { category: newsletter.category })} <a href="${pageUrl}" style="color: #999;">${label('unsubscribe')}</a></p>
+            </div>
+        `,
+        text: `${webUrl ? `${labels.viewInBrowser}: ${webUrl}\n\n` : ''}${labels.greeting}\n\n${formatLabel(labels.issueIntro, { title: variant.title })}\n\n${applyUnsubscribeUrl(text, pageUrl)}\n${formatLabel(labels.subscribedTo, { category: newsletter.category })}\n`,
+    };
+};
+
+/**
+ * Queues one delivery per recipient and returns how many were queued. Recipients who already
+ * received (or are about to receive) the issue are skipped; earlier failures are queued again.
+ * Each recipient gets the approved translation into their preferred language, or the original
+ * when there is none. Nothing is translated here, so queueing never waits on the AI service.
+ * Used by the manual "Share" dialog, scheduled runs that send directly and subject tests, which
+ * pass the `subject` (and test `variant`) a slice of recipients gets.
+ */
+export const queueNewsletterDelivery = async (newsletter, userIds, { subject, subjectTest, variant } = {}) => {
+    const alreadyDelivered = await DeliveryRecord.find({
+        newsletter: newsletter._id,
+        user: { $in: userIds },
+        status: { $in: ['queued', 'sending', 'sent'] }
+    }).distinct('user');
+    const skipIds = new Set(alreadyDelivered.map(String));
+
+    const recipients = await User.find({ _id: { $in: userIds } }).select('email preferredLanguage');
+    const toQueue = recipients.filter(r => !skipIds.has(String(r._id)));
+    if (toQueue.length === 0) return 0;
+
+    const languages = await listSendableLanguages(newsletter);
+    const getLanguage = (recipient) => (languages.has(recipient.preferredLanguage) ? recipient.preferredLanguage : DEFAULT_LANGUAGE);
+
+    await DeliveryRecord.deleteMany({
+        newsletter: newsletter._id,
+        user: { $in: toQueue.map(r => r._id) },
+        status: { $in: ['failed', 'bounced'] }
+    });
+    await DeliveryRecord.insertMany(toQueue.map(r => ({ newsletter: newsletter._id, user: r._id, email: r.email, revision: newsletter.revision, language: getLanguage(r), subject, subjectTest, variant })));
+    return toQueue.length;
+};
+
+export const getDeliverySummary = async (newsletterId) => {
+    const counts = await DeliveryRecord.aggregate([
+        { $match: { newsletter: newsletterId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const summary = { total: 0, queued: 0, sending: 0, sent: 0, failed: 0, bounced: 0 };
+    counts.forEach(({ _id, count }) => { summary[_id] = count; summary.total += count; });
+    return summary;
+};
+
+const deliverRecord = async (record, context) => {
+    const { newsletter } = context;
+    record.attempts += 1;
+    try {
+        if (isMailConfigured()) {
+            await sendMail(buildNewsletterEmail(context, await getVariant(context, record.language), record));
+        }
+        // Without a mail transport the issue is still delivered in-app, as it always has been in development.
+        record.status = 'sent';
+        record.sentAt = new Date();
+        record.lastError = undefined;
+    } catch (err) {
+        // Transports report MailError.kind; anything else is unexpected and not worth retrying.
+        const outcome = err.kind || 'failed';
+        record.lastError = err.message;
+        if (outcome === 'retry' && record.attempts < MAX_ATTEMPTS) {
+            record.status = 'queued';
+            record.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (record.attempts - 1));
+        } else {
+            record.status = outcome === 'bounced' ? 'bounced' : 'failed';
+        }
+        console.error(`[DELIVERY] Sending "${newsletter.title}" to ${record.email} failed (attempt ${record.attempts}): ${record.lastError}`);
+    }
+    await record.save();
+    return record.status === 'sent';
+};
+
+// Marks the newsletter sent and tells the recipients once their copy has actually gone out.
+const recordDelivered = async (newsletter, userIds) => {
+    if (newsletter.status !== 'sent') {
+        applyTransition(newsletter, 'sent');
+    }
+    if (!newsletter.sentAt) {
+        newsletter.sentAt = new Date();
+    }
+    newsletter.recipients.addToSet(...userIds);
+    await newsletter.save();
+
+    try {
+        await Notification.insertMany(userIds.map(userId => ({
+            user: userId,
+            newsletter: newsletter._id,
+            message: `You received the "${newsletter.title}" newsletter.`,
+        })), { ordered: false });
+    } catch (notificationError) {
+        console.error('CRITICAL: Failed to create notifications, but email was sent.', notificationError);
+    }
+};
+
+// Everything needed to build one newsletter's emails, loaded once per batch. Each language's
+// HTML and text are built the first time a recipient needs them.
+const loadDeliveryContext = async (newsletterId) => {
+    const newsletter = await Newsletter.findById(newsletterId);
+    if (!newsletter) return null;
+    const [articles, category] = await Promise.all([
+        CuratedArticle.find({ _id: { $in: newsletter.articles } }).select('originalUrl'),
+        Category.findOne({ name: newsletter.category }).select('trackingEnabled archivePublic slug'),
+    ]);
+    return {
+        newsletter,
+        articles,
+        variants: new Map(),
+        trackingEnabled: Boolean(category && category.trackingEnabled),
+        webUrl: category && category.archivePublic && category.slug ? getIssueUrl(category.slug, newsletter._id) : null,
+    };
+};
+
+const getVariant = async (context, language = DEFAULT_LANGUAGE) => {
+    if (!context.variants.has(language)) {
+        context.variants.set(language, await loadNewsletterVariant(context.newsletter, language));
+    }
+    return context.variants.get(language);
+};
+
+const claimNextRecord = () => DeliveryRecord.findOneAndUpdate(
+    { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+    { status: 'sending' },
+    { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+/**
+ * Sends up to one batch of queued deliveries, paced to stay under the provider's rate limit.
+ */
+export const processDeliveryBatch = async () => {
+    const delivered = new Map();
+    const contexts = new Map();
+    const minDelayMs = 1000 / MAX_PER_SECOND;
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+        const record = await claimNextRecord();
+        if (!record) break;
+
+        const key = String(record.newsletter);
+        if (!contexts.has(key)) {
+            contexts.set(key, await loadDeliveryContext(record.newsletter));
+        }
+        const context = contexts.get(key);
+        if (!context) {
+            record.status = 'failed';
+            record.lastError = 'Newsletter no longer exists.';
+            await record.save();
+            continue;
+        }
+
+        const startedAt = Date.now();
+        if (await deliverRecord(record, context)) {
+            delivered.set(key, [...(delivered.get(key) || []), record.user]);
+        }
+        await sleep(Math.max(0, minDelayMs - (Date.now() - startedAt)));
+    }
+
+    for (const [key, userIds] of delivered) {
+        await recordDelivered(contexts.get(key).newsletter, userIds);
+    }
+};
+
+let isWorkerRunning = false;
+
+const tick = async () => {
+    if (isWorkerRunning) return;
+    isWorkerRunning = true;
+    try {
+        await processDeliveryBatch();
+    } catch (err) {
+        console.error('[DELIVERY] Worker tick failed:', err);
+    } finally {
+        isWorkerRunning = false;
+    }
+};
+
+export const startDeliveryWorker = () => {
+    // Deliveries claimed by a process that stopped mid-batch would otherwise stay "sending" forever.
+    DeliveryRecord.updateMany({ status: 'sending' }, { status: 'queued' })
+        .catch(err => console.error('[DELIVERY] Failed to requeue interrupted deliveries:', err));
+    setInterval(tick, WORKER_INTERVAL_MS);
+    console.log("📬 Newsletter delivery worker started.");
+};
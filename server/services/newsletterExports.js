@@ -0,0 +1,229 @@
+import JSZip from 'jszip';
+import { format } from 'date-fns';
+import { loadIssueArticles } from './newsletterGenerator.js';
+import { readLimited } from './remoteFetch.js';
+import { applyUnsubscribeUrl } from '../templates/index.js';
+import { escapeHtml, formatIssueDate } from '../templates/helpers.js';
+
+const IMAGE_FETCH_TIMEOUT_MS = 10000;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Formats e-readers and browsers all display; anything else stays a remote link.
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+};
+
+const getIssueDate = (newsletter) => new Date(newsletter.templateData?.issueDate || newsletter.createdAt);
+
+const toParagraphs = (text = '') => String(text)
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+
+// Downloads an image for embedding. Returns null when it cannot be used, so the export still succeeds.
+const fetchImage = async (url) => {
+    try {
+        const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        const declaredSize = Number(response.headers.get('content-length'));
+        if (!response.ok || !response.body || !IMAGE_EXTENSIONS[contentType] || declaredSize > MAX_IMAGE_BYTES) {
+            response.body?.cancel().catch(() => {});
+            return null;
+        }
+        const data = await readLimited(response.body, MAX_IMAGE_BYTES);
+        return data ? { data, contentType, extension: IMAGE_EXTENSIONS[contentType] } : null;
+    } catch (err) {
+        console.warn(`[EXPORT] Could not embed image ${url}: ${err.message}`);
+        return null;
+    }
+};
+
+// Fetches each distinct URL once and names the files in the order they appear.
+const fetchImages = async (urls) => {
+    const unique = [...new Set(urls.filter(url => /^https?:\/\//i.test(url || '')))];
+    const images = await Promise.all(unique.map(fetchImage));
+    const byUrl = new Map();
+    unique.forEach((url, index) => {
+        if (images[index]) {
+            byUrl.set(url, { ...images[index], name: `image-${byUrl.size + 1}.${images[index].extension}` });
+        }
+    });
+    return byUrl;
+};
+
+// --- Markdown ---
+
+const escapeMarkdown = (text = '') => String(text).replace(/([\\`*_[\]<>#])/g, '\\$1');
+
+// Only web links are written out, with the characters that would end a Markdown link encoded.
+const markdownUrl = (url) => (/^https?:\/\//i.test(url || '')
+    ? String(url).replace(/[\s()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)
+    : null);
+
+const renderMarkdown = (newsletter, articles) => {
+    const templateData = newsletter.templateData || {};
+    const frontMatter = [
+        '---',
+        `title: ${JSON.stringify(newsletter.title)}`,
+        `category: ${JSON.stringify(newsletter.category)}`,
+        `date: ${format(getIssueDate(newsletter), 'yyyy-MM-dd')}`,
+        '---',
+    ].join('\n');
+    const renderArticle = (article) => [
+        markdownUrl(article.originalUrl) ? `## [${escapeMarkdown(article.title)}](${markdownUrl(article.originalUrl)})` : `## ${escapeMarkdown(article.title)}`,
+        article.sourceName ? `*${escapeMarkdown(article.sourceName)}*` : null,
+        markdownUrl(article.imageUrl) ? `![${escapeMarkdown(article.title)}](${markdownUrl(article.imageUrl)})` : null,
+        ...toParagraphs(article.summary || article.description).map(escapeMarkdown),
+    ].filter(Boolean).join('\n\n');
+    return [
+        frontMatter,
+        `# ${escapeMarkdown(newsletter.title)}`,
+        markdownUrl(templateData.flyerImageUrl) ? `![](${markdownUrl(templateData.flyerImageUrl)})` : null,
+        ...toParagraphs(templateData.intro).map(escapeMarkdown),
+        templateData.highlights?.items?.length > 0
+            ? [`### ${escapeMarkdown(templateData.highlights.heading)}`, ...templateData.highlights.items.map(item => `- ${escapeMarkdown(item.text)}${markdownUrl(item.url) ? ` ([read](${markdownUrl(item.url)}))` : ''}`)].join('\n')
+            : null,
+        ...articles.map(renderArticle),
+    ].filter(Boolean).join('\n\n') + '\n';
+};
+
+// --- EPUB ---
+
+const renderXhtml = (title, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head><title>${escapeHtml(title)}</title><link rel="stylesheet" type="text/css" href="style.css" /></head>
+<body>
+${body}
+</body>
+</html>`;
+
+const EPUB_STYLES = `body { font-family: serif; line-height: 1.5; margin: 0 1em; }
+h1, h2 { font-family: sans-serif; line-height: 1.2; }
+img { max-width: 100%; height: auto; }
+.meta { color: #666; font-size: 0.9em; }`;
+
+const EPUB_CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" /></rootfiles>
+</container>`;
+
+const renderXhtmlParagraphs = (text) => toParagraphs(text).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n');
+
+const buildEpub = async (newsletter, articles) => {
+    const templateData = newsletter.templateData || {};
+    const issueDate = getIssueDate(newsletter);
+    const images = await fetchImages([templateData.flyerImageUrl, ...articles.map(article => article.imageUrl)]);
+    const imageTag = (url, alt) => (images.has(url) ? `<img src="images/${images.get(url).name}" alt="${escapeHtml(alt)}" />` : '');
+
+    const chapters = [
+        {
+            file: 'title.xhtml',
+            title: newsletter.title,
+            body: [
+                `<h1>${escapeHtml(newsletter.title)}</h1>`,
+                `<p class="meta">${escapeHtml(newsletter.category)} · ${escapeHtml(formatIssueDate(issueDate))}</p>`,
+                imageTag(templateData.flyerImageUrl, ''),
+                renderXhtmlParagraphs(templateData.intro),
+                templateData.highlights?.items?.length > 0
+                    ? `<h3>${escapeHtml(templateData.highlights.heading)}</h3>\n<ul>${templateData.highlights.items.map(item => `<li>${escapeHtml(item.text)} <a href="${escapeHtml(item.url)}">Read</a></li>`).join('')}</ul>`
+                    : null,
+            ].filter(Boolean).join('\n'),
+        },
+        ...articles.map((article, index) => ({
+            file: `chapter-${index + 1}.xhtml`,
+            title: article.title,
+            body: [
+                `<h2>${escapeHtml(article.title)}</h2>`,
+                article.sourceName ? `<p class="meta">${escapeHtml(article.sourceName)}</p>` : null,
+                imageTag(article.imageUrl, article.title),
+                renderXhtmlParagraphs(article.summary || article.description),
+                `<p><a href="${escapeHtml(article.originalUrl)}">Read the full article</a></p>`,
+            ].filter(Boolean).join('\n'),
+        })),
+    ];
+
+    const nav = renderXhtml('Contents', `<nav epub:type="toc" id="toc"><h1>Contents</h1><ol>
+${chapters.map(chapter => `<li><a href="${chapter.file}">${escapeHtml(chapter.title)}</a></li>`).join('\n')}
+</ol></nav>`);
+
+    const manifest = [
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+        '<item id="style" href="style.css" media-type="text/css" />',
+        ...chapters.map((chapter, index) => `<item id="chapter-${index}" href="${chapter.file}" media-type="application/xhtml+xml" />`),
+        ...[...images.values()].map((image, index) => `<item id="image-${index + 1}" href="images/${image.name}" media-type="${image.contentType}" />`),
+    ];
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="issue-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="issue-id">urn:newsletter:${newsletter._id}</dc:identifier>
+    <dc:title>${escapeHtml(newsletter.title)}</dc:title>
+    <dc:subject>${escapeHtml(newsletter.category)}</dc:subject>
+    <dc:language>en</dc:language>
+    <dc:date>${format(issueDate, 'yyyy-MM-dd')}</dc:date>
+    <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>
+  </metadata>
+  <manifest>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine>
+    ${chapters.map((_, index) => `<itemref idref="chapter-${index}" />`).join('\n    ')}
+  </spine>
+</package>`;
+
+    const zip = new JSZip();
+    // Readers identify the file by an uncompressed mimetype entry that has to come first.
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', EPUB_CONTAINER);
+    zip.file('OEBPS/content.opf', opf);
+    zip.file('OEBPS/nav.xhtml', nav);
+    zip.file('OEBPS/style.css', EPUB_STYLES);
+    chapters.forEach(chapter => zip.file(`OEBPS/${chapter.file}`, renderXhtml(chapter.title, chapter.body)));
+    images.forEach(image => zip.file(`OEBPS/images/${image.name}`, image.data));
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+};
+
+// --- HTML bundle ---
+
+const IMG_SRC_PATTERN = /(<img\b[^>]*\ssrc=")([^"]*)(")/gi;
+
+// The stored HTML with every remote image swapped for a copy in images/, so it opens offline.
+const buildHtmlBundle = async (newsletter) => {
+    const html = applyUnsubscribeUrl(newsletter.htmlContent, '#');
+    const sources = [...html.matchAll(IMG_SRC_PATTERN)].map(match => match[2].replace(/&amp;/g, '&'));
+    const images = await fetchImages(sources);
+    const localHtml = html.replace(IMG_SRC_PATTERN, (match, before, src, after) => {
+        const image = images.get(src.replace(/&amp;/g, '&'));
+        return image ? `${before}images/${image.name}${after}` : match;
+    });
+
+    const zip = new JSZip();
+    zip.file('index.html', localHtml);
+    images.forEach(image => zip.file(`images/${image.name}`, image.data));
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8', build: async (newsletter) => renderMarkdown(newsletter, await loadIssueArticles(newsletter)) },
+    epub: { extension: 'epub', contentType: 'application/epub+zip', build: async (newsletter) => buildEpub(newsletter, await loadIssueArticles(newsletter)) },
+    html: { extension: 'zip', contentType: 'application/zip', build: buildHtmlBundle, needsHtml: true },
+};
+
+export const isExportFormat = (name) => Object.hasOwn(EXPORT_FORMATS, name);
+
+// Issues from before HTML was stored only have a PDF, so there is nothing to bundle.
+export const canExport = (newsletter, formatName) => !EXPORT_FORMATS[formatName].needsHtml || Boolean(newsletter.htmlContent);
+
+/**
+ * Builds a downloadable copy of a stored newsletter. Markdown and EPUB are built from the
+ * articles; the HTML bundle is the issue as designed. Returns `{ data, contentType, filename }`.
+ */
+export const exportNewsletter = async (newsletter, formatName) => {
+    const { extension, contentType, build } = EXPORT_FORMATS[formatName];
+    const data = await build(newsletter);
+    return { data, contentType, filename: `${newsletter.title.replace(/\s/g, '_')}.${extension}` };
+};
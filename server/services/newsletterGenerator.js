@@ -0,0 +1,354 @@
+import { format } from 'date-fns';
+import Newsletter from '../models/newsletter.model.js';
+import Category from '../models/category.model.js';
+import CuratedArticle from '../models/article.model.js';
+import { ensureBaseRevision, recordRevision } from './newsletterRevisions.js';
+import { getPdfKey, getThumbnailKey, putFile } from './storage/index.js';
+import { generateText, isAiConfigured } from './ai/index.js';
+import { normalizeEditorial } from './editorialDrafts.js';
+import * as renderer from './renderer.js';
+import { prepareNewsletterHtml } from './newsletterValidation.js';
+import { AI_TEMPLATE, UNSUBSCRIBE_URL_PLACEHOLDER, applyUnsubscribeUrl, isKnownTemplate, renderPlainText, renderTemplate } from '../templates/index.js';
+
+// The editor's own words go into the AI design verbatim rather than being rewritten.
+const createEditorialPromptSection = (editorial) => {
+    if (!editorial) return '';
+    const sections = [];
+    if (editorial.editorNote) {
+        sections.push(`**Editor's Note (place it below the header, keep the text exactly as written, one <p> per paragraph):**\n        ${JSON.stringify(editorial.editorNote)}`);
+    }
+    if (editorial.highlights) {
+        sections.push(`**Highlights Box (place it after the editor's note as a tinted box titled ${JSON.stringify(editorial.highlights.heading)}, one list item per highlight linking to its url, text exactly as written):**\n        ${JSON.stringify(editorial.highlights.items)}`);
+    }
+    return sections.join('\n\n        ');
+};
+
+const createAdvancedNewsletterHtmlPrompt = (articles, title, flyerImageUrl, editorial) => {
+    const articlesForPrompt = articles.map(a => ({
+        title: a.title,
+        summary: a.summary,
+        source: a.sourceName,
+        category: a.category,
+        originalUrl: a.originalUrl,
+        imageUrl: a.imageUrl
+    }));
+
+    // Conditionally create the flyer image HTML
+    const flyerImageHtml = flyerImageUrl 
+        ? `<img src="${flyerImageUrl}" alt="Flyer Image" style="max-width: 100%; height: auto; display: block; margin-bottom: 20px; border-radius: 5px;">` 
+        : '';
+
+    return `
+        Act as an expert HTML and CSS email designer. Your task is to generate a single, complete HTML file for a professional and visually appealing newsletter based on the provided JSON data.
+
+        **Design & Layout Guidelines:**
+
+        1.  **Overall Structure:**
+            * Use a main container with a max-width of 680px, centered with a light gray background (#f4f4f4).
+            * The email body should have a clean, white background (#ffffff) with rounded corners and a subtle shadow.
+            * Use a professional and readable font like 'Helvetica Neue', Helvetica, Arial, sans-serif.
+
+        2.  **Header:**
+            * Include a preheader text: "Your weekly dose of insightful news."
+            * A main header with the newsletter title "${title}" in a large, bold font (e.g., 32px) and a dark color (#333333).
+            * Include the date (${format(new Date(), 'MMMM do, yyyy')}) in a smaller, lighter font.
+
+        3.  **Flyer Image:**
+            ${flyerImageHtml}
+
+        4.  **Article Layout:**
+            * Use a single-column layout for articles.
+            * Each article should have a clear headline, a brief summary, and a "Read More" button linking to the original article.
+            * If an \`imageUrl\` is provided for an article, display it above the headline.
+
+        5.  **Styling:**
+            * Use inline CSS for all styling to ensure maximum compatibility with email clients.
+            * Buttons should have a solid background color, rounded corners, and clear, legible text.
+            * Use ample white space to improve readability.
+
+        6.  **Footer:**
+            * Include a footer with your company name, address, and a link to unsubscribe.
+            * Add social media icons (as links) for platforms like Twitter, LinkedIn, and Facebook using the provided URLs.
+
+        ${createEditorialPromptSection(editorial)}
+
+        **JSON Data to Use:**
+        \`\`\`json
+        ${JSON.stringify({ articles: articlesForPrompt }, null, 2)}
+        \`\`\`
+
+        **Footer HTML to use (copy the Unsubscribe href "${UNSUBSCRIBE_URL_PLACEHOLDER}" exactly; it is filled in per subscriber):**
+        <div style="text-align: center; padding: 20px; font-size: 12px; color: #777777;">
+            <p>Company Name | 123 Main St, Anytown, USA</p>
+            <p><a href="${UNSUBSCRIBE_URL_PLACEHOLDER}" style="color: #007bff; text-decoration: none;">Unsubscribe</a></p>
+            <div>
+                <a href="https://twitter.com" style="margin: 0 5px;"><img src="https://img.icons8.com/color/48/000000/twitter.png" alt="Twitter" style="width: 24px; height: 24px;"></a>
+                <a href="https://linkedin.com" style="margin: 0 5px;"><img src="https://img.icons8.com/color/48/000000/linkedin.png" alt="LinkedIn" style="width: 24px; height: 24px;"></a>
+                <a href="https://facebook.com" style="margin: 0 5px;"><img src="https://img.icons8.com/color/48/000000/facebook-new.png" alt="Facebook" style="width: 24px; height: 24px;"></a>
+            </div>
+        </div>
+
+
+        **IMPORTANT: Your response MUST be only the raw HTML code, starting with <!DOCTYPE html>. Do not add any commentary or explanations.**
+    `;
+};
+
+export const isGeneratorReady = () => isAiConfigured();
+
+const createIntroPrompt = (articles, title) => `
+    Write a short, welcoming introduction paragraph (60-90 words) for a newsletter titled "${title}".
+    Mention the main themes of the stories below without listing every headline.
+    The tone should be professional and warm. Do not start with conversational phrases like "Hello" and do not use markdown.
+
+    STORIES:
+    ${articles.map(a => `- ${a.title}: ${a.summary || a.description || ''}`).join('\n')}
+`;
+
+const generateAiHtml = async (articles, title, flyerImageUrl, editorial, usage) => {
+    // 1. Generate HTML with AI using the new advanced prompt
+    console.log("[PDF LOG] Generating HTML with advanced prompt...");
+    const prompt = createAdvancedNewsletterHtmlPrompt(articles, title, flyerImageUrl, editorial);
+
+    const response = await generateText(prompt, { operation: 'compose', format: 'html', ...usage });
+    const generatedHtml = response.replace(/^```html\n/, '').replace(/\n```$/, '');
+
+    if (!generatedHtml || generatedHtml.length < 100) {
+        throw new Error('AI returned an empty or invalid HTML response.');
+    }
+    console.log("[PDF LOG] Successfully received HTML from AI.");
+    return generatedHtml;
+};
+
+// The intro is optional prose; a failed AI call should never block a templated issue.
+const generateIntro = async (articles, title, usage) => {
+    if (!isAiConfigured()) {
+        console.warn("⚠️ AI intro requested but the AI service is not configured. Skipping intro.");
+        return undefined;
+    }
+    try {
+        const intro = await generateText(createIntroPrompt(articles, title), { operation: 'compose', ...usage });
+        return intro.trim() || undefined;
+    } catch (err) {
+        console.error("[PDF LOG] Intro generation failed, continuing without it.", err);
+        return undefined;
+    }
+};
+
+const storePdf = (newsletter, pdfBuffer) => putFile(getPdfKey(newsletter), Buffer.from(pdfBuffer), { contentType: 'application/pdf' });
+
+// The PDF and thumbnail are not addressed to anyone, so there is no unsubscribe link to fill in.
+export const renderPdf = async (html) => {
+    const pdfBuffer = await renderer.renderPdf(applyUnsubscribeUrl(html, '#'));
+    console.log("[PDF LOG] Successfully converted HTML to PDF buffer.");
+    return pdfBuffer;
+};
+
+/**
+ * Renders and stores the list preview image for a newsletter. A missing thumbnail only costs the
+ * preview, so failures are logged and `undefined` is returned instead of failing the save.
+ */
+export const storeThumbnail = async (newsletter, html = newsletter.htmlContent) => {
+    try {
+        const image = await renderer.renderThumbnail(applyUnsubscribeUrl(html, '#'));
+        return await putFile(getThumbnailKey(newsletter), Buffer.from(image), { contentType: 'image/png' });
+    } catch (err) {
+        console.error(`[PDF LOG] Could not render a thumbnail for newsletter ${newsletter._id}.`, err);
+        return undefined;
+    }
+};
+
+/**
+ * Picks the layout for an issue: an explicit request wins, then the category's configured template.
+ */
+export const resolveTemplateName = (requestedTemplate, categoryData) =>
+    requestedTemplate || (categoryData && categoryData.template) || AI_TEMPLATE;
+
+const isWebUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Checks the template data of a previewed build, which comes back from the browser. Returns
+ * `{ templateData }` with only the known fields, or `{ error }`. The intro and highlights are
+ * cleaned like an editorial draft, so highlights without an http(s) link are dropped.
+ */
+export const normalizeTemplateData = (input) => {
+    if (input === undefined || input === null) return { templateData: undefined };
+    if (typeof input !== 'object' || Array.isArray(input)) return { error: 'Template data must be an object.' };
+    const issueDate = input.issueDate ? new Date(input.issueDate) : new Date();
+    if (isNaN(issueDate)) return { error: 'Invalid issue date.' };
+    const flyerImageUrl = typeof input.flyerImageUrl === 'string' ? input.flyerImageUrl.trim() : '';
+    if (flyerImageUrl && !isWebUrl(flyerImageUrl)) return { error: 'The flyer image must be an http or https URL.' };
+    const editorial = normalizeEditorial({ editorNote: input.intro, highlights: input.highlights });
+    return {
+        templateData: {
+            issueDate,
+            flyerImageUrl: flyerImageUrl ? new URL(flyerImageUrl).href : undefined,
+            intro: editorial?.editorNote,
+            highlights: editorial?.highlights,
+        },
+    };
+};
+
+/**
+ * Builds the newsletter HTML (AI-designed or from a named template), sanitizes it to the email
+ * allow-list and validates it. Nothing is saved, so admins can review the warnings first.
+ * An `editorial` draft (`{ editorNote, highlights }`) takes the place of the AI intro.
+ * AI calls are recorded against `createdBy`.
+ */
+export const buildNewsletterHtml = async ({ articles, title, category, template, createdBy, editorial }) => {
+    const categoryData = await Category.findOne({ name: category });
+    const flyerImageUrl = categoryData ? categoryData.flyerImageUrl : null;
+    const templateName = resolveTemplateName(template, categoryData);
+
+    if (!isKnownTemplate(templateName)) {
+        throw new Error(`Unknown newsletter template "${templateName}".`);
+    }
+    if (templateName === AI_TEMPLATE && !isAiConfigured()) {
+        throw new Error('The AI service is not configured on the server.');
+    }
+    const usage = { user: createdBy, category };
+
+    let generatedHtml;
+    let templateData;
+    if (templateName === AI_TEMPLATE) {
+        generatedHtml = await generateAiHtml(articles, title, flyerImageUrl, editorial, usage);
+        // Kept for the plain-text version and exports, which are built from data rather than the HTML.
+        if (editorial) {
+            templateData = { issueDate: new Date(), intro: editorial.editorNote, highlights: editorial.highlights };
+        }
+    } else {
+        // Everything the layout needs beyond the articles is stored, so a re-render gives the same email.
+        let intro = editorial?.editorNote;
+        if (!intro && categoryData && categoryData.aiIntro) {
+            intro = await generateIntro(articles, title, usage);
+        }
+        templateData = {
+            issueDate: new Date(),
+            flyerImageUrl,
+            intro,
+            highlights: editorial?.highlights,
+        };
+        generatedHtml = renderTemplate(templateName, { title, articles, ...templateData });
+    }
+
+    const { html, warnings } = await prepareNewsletterHtml(generatedHtml);
+    return { html, warnings, template: templateName, templateData };
+};
+
+/**
+ * Renders a newsletter to a PDF and stores it. Shared by the manual "Create Newsletter" flow and
+ * the category scheduler. Pass `html` (with its `template` and `templateData`) to save a build the
+ * admin already previewed; otherwise the HTML is built here. Either way its warnings are returned.
+ * `subject` is the editor's chosen subject line, if any.
+ */
+export const generateNewsletter = async ({ articles, title, category, createdBy, schedule, template, templateData, html, editorial, subject }) => {
+    let built;
+    if (html) {
+        // Previewed HTML comes back from the browser, so it is sanitized and validated again rather than trusted.
+        built = { ...(await prepareNewsletterHtml(html)), template: resolveTemplateName(template, null), templateData };
+    } else {
+        built = await buildNewsletterHtml({ articles, title, category, template, createdBy, editorial });
+    }
+
+    // 2. Convert HTML to PDF
+    const pdfBuffer = await renderPdf(built.html);
+
+    // 3. Create and Save New Newsletter to DB
+    const newsletter = new Newsletter({
+        title,
+        category,
+        articles: articles.map(a => a._id),
+        status: 'Not Sent',
+        createdBy,
+        schedule,
+        template: built.template,
+        templateData: built.templateData,
+        subject,
+        htmlContent: built.html
+    });
+    newsletter.pdf = await storePdf(newsletter, pdfBuffer);
+    newsletter.thumbnail = await storeThumbnail(newsletter, built.html);
+    await newsletter.save();
+    await recordRevision(newsletter, { by: createdBy, note: 'Generated' });
+    console.log(`[PDF LOG] Successfully saved newsletter with ID: ${newsletter._id}`);
+
+    return { newsletter, pdfBuffer, warnings: built.warnings };
+};
+
+/**
+ * Loads a stored newsletter's articles in issue order. Articles deleted since the issue was
+ * generated are left out.
+ */
+export const loadIssueArticles = async (newsletter, fields = 'title summary description sourceName originalUrl imageUrl') => {
+    const articles = await CuratedArticle.find({ _id: { $in: newsletter.articles } }).select(fields);
+    const articlesById = new Map(articles.map(article => [String(article._id), article]));
+    return newsletter.articles.map(id => articlesById.get(String(id))).filter(Boolean);
+};
+
+/**
+ * Builds the plain-text version of a stored newsletter from its articles, in issue order. The
+ * unsubscribe placeholder is left in for the sender to fill per recipient.
+ */
+export const buildPlainText = async (newsletter, { unsubscribeLink = true } = {}) => {
+    const templateData = newsletter.templateData || {};
+    return renderPlainText({
+        title: newsletter.title,
+        issueDate: templateData.issueDate || newsletter.createdAt,
+        intro: templateData.intro,
+        highlights: templateData.highlights,
+        articles: await loadIssueArticles(newsletter, 'title summary description sourceName originalUrl'),
+    }, { unsubscribeLink });
+};
+
+/**
+ * Replaces the newsletter's HTML, regenerates its PDF and records the result as a new revision.
+ * Used by the HTML editor, revision restores and template re-renders. The HTML goes through the
+ * same checks as generated HTML; returns `{ newsletter, warnings }`.
+ */
+export const updateNewsletterHtml = async (newsletter, html, { by, note, template } = {}) => {
+    await ensureBaseRevision(newsletter);
+    const { html: safeHtml, warnings } = await prepareNewsletterHtml(html);
+    const pdfBuffer = await renderPdf(safeHtml);
+
+    if (template) newsletter.template = template;
+    newsletter.htmlContent = safeHtml;
+    newsletter.pdf = await storePdf(newsletter, pdfBuffer);
+    newsletter.thumbnail = await storeThumbnail(newsletter, safeHtml);
+    newsletter.revision += 1;
+    // Translations were made from the old HTML and text; the background run translates the new
+    // revision, and the reviewer approves those translations with the issue.
+    newsletter.translations = [];
+    await newsletter.save();
+    await recordRevision(newsletter, { by, note });
+    return { newsletter, warnings };
+};
+
+/**
+ * Re-renders a templated newsletter from its stored articles and template data, optionally
+ * switching to another layout. AI-designed issues have no source to re-render from.
+ */
+export const rerenderNewsletter = async (newsletter, template, { by } = {}) => {
+    const templateName = template || newsletter.template;
+    if (!templateName || templateName === AI_TEMPLATE || !isKnownTemplate(templateName)) {
+        throw new Error('Only newsletters built from a template can be re-rendered.');
+    }
+    await newsletter.populate('articles');
+
+    const templateData = newsletter.templateData || { issueDate: newsletter.createdAt };
+    const html = renderTemplate(templateName, {
+        title: newsletter.title,
+        articles: newsletter.articles,
+        issueDate: templateData.issueDate || newsletter.createdAt,
+        flyerImageUrl: templateData.flyerImageUrl,
+        intro: templateData.intro,
+        highlights: templateData.highlights,
+    });
+    // The populated articles must not be written back, so hand over a depopulated document.
+    newsletter.depopulate('articles');
+    return updateNewsletterHtml(newsletter, html, { by, template: templateName, note: `Re-rendered with the ${templateName} template` });
+};
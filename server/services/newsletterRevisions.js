@@ -0,0 +1,34 @@
+import { diffLines } from 'diff';
+import NewsletterRevision from '../models/newsletterRevision.model.js';
+
+// Snapshots the newsletter's current HTML as its current revision number.
+export const recordRevision = (newsletter, { by, note } = {}) => NewsletterRevision.create({
+    newsletter: newsletter._id,
+    number: newsletter.revision,
+    htmlContent: newsletter.htmlContent,
+    template: newsletter.template,
+    note,
+    createdBy: by,
+});
+
+/**
+ * Newsletters generated before revisions existed have no history; the first edit snapshots
+ * their original HTML as revision 1 so it can still be diffed against and restored.
+ */
+export const ensureBaseRevision = async (newsletter) => {
+    const exists = await NewsletterRevision.exists({ newsletter: newsletter._id });
+    if (!exists) {
+        await recordRevision(newsletter, { by: newsletter.createdBy, note: 'Generated' });
+    }
+};
+
+export const listRevisions = (newsletterId) => NewsletterRevision.find({ newsletter: newsletterId })
+    .select('-htmlContent')
+    .sort({ number: -1 })
+    .populate('createdBy', 'name');
+
+export const getRevision = (newsletterId, number) => NewsletterRevision.findOne({ newsletter: newsletterId, number });
+
+// Line diff from one revision to another, in the shape returned by `diff`'s diffLines.
+export const diffRevisions = (fromRevision, toRevision) =>
+    diffLines(fromRevision.htmlContent, toRevision.htmlContent).map(({ value, added, removed }) => ({ value, added: Boolean(added), removed: Boolean(removed) }));
@@ -0,0 +1,271 @@
+import Newsletter from '../models/newsletter.model.js';
+import User from '../models/user.model.js';
+import { generateText, isAiConfigured, parseJsonResponse } from './ai/index.js';
+import { DEFAULT_LANGUAGE, getLanguageName, isSupportedLanguage } from './languages.js';
+import { buildPlainText, loadIssueArticles } from './newsletterGenerator.js';
+import { sanitizeNewsletterHtml } from './newsletterValidation.js';
+import { DEFAULT_LABELS, UNSUBSCRIBE_URL_PLACEHOLDER, renderPlainText, resolveLabels } from '../templates/index.js';
+
+const MIN_HTML_LENGTH = 100;
+// Translations finished after the issue reached one of these were never shown to its reviewer.
+const REVIEWED_STATUSES = ['approved', 'sent'];
+
+// Everything a reader sees besides links and images, in the shape the model answers in.
+const buildSource = (newsletter, articles) => {
+    const templateData = newsletter.templateData || {};
+    const highlights = templateData.highlights && templateData.highlights.items && templateData.highlights.items.length > 0 ? templateData.highlights : null;
+    return {
+        title: newsletter.title,
+        ...(newsletter.subject ? { subject: newsletter.subject } : {}),
+        ...(templateData.intro ? { intro: templateData.intro } : {}),
+        ...(highlights ? { highlightsHeading: highlights.heading, highlights: highlights.items.map(item => item.text) } : {}),
+        articles: articles.map(article => ({ title: article.title, summary: article.summary || article.description || '' })),
+        labels: DEFAULT_LABELS,
+    };
+};
+
+const createTranslationPrompt = (source, language) => `
+    Translate this newsletter from English into ${getLanguageName(language)}.
+    Keep the JSON keys and structure exactly as they are and translate only the values.
+    Leave names of people, companies and products as they are, and keep words in braces such as
+    {title} unchanged: they are filled in later. Keep the blank lines between paragraphs.
+    Do not add, shorten or leave out anything.
+
+    Answer with JSON only, in this shape:
+    ${JSON.stringify(source)}
+`;
+
+const createHtmlTranslationPrompt = (html, language) => `
+    Translate the visible text of this HTML email from English into ${getLanguageName(language)}.
+    Keep every tag, attribute, inline style and URL exactly as it is, including the link
+    "${UNSUBSCRIBE_URL_PLACEHOLDER}", which is filled in per subscriber. The only attribute to change is
+    the lang attribute of the <html> tag, which becomes "${language}".
+
+    **IMPORTANT: Your response MUST be only the raw HTML code, starting with <!DOCTYPE html>. Do not add any commentary or explanations.**
+
+    ${html}
+`;
+
+const pickText = (value, fallback) => (typeof value === 'string' && value.trim() ? value.trim() : fallback);
+
+// A label that lost one of its {placeholders} would print a gap, so it keeps the English text instead.
+const listPlaceholders = (text) => (String(text).match(/\{\w+\}/g) || []).sort().join();
+const mergeLabels = (translated) => Object.fromEntries(Object.entries(DEFAULT_LABELS).map(([key, label]) => {
+    const text = pickText(translated && translated[key], label);
+    return [key, listPlaceholders(text) === listPlaceholders(label) ? text : label];
+}));
+
+// The issue's articles with their translated titles and summaries; any the translation lacks stay in English.
+const applyArticleTranslations = (articles, translation) => {
+    const byId = new Map(translation.articles.map(entry => [String(entry.article), entry]));
+    return articles.map(article => {
+        const entry = byId.get(String(article._id));
+        return entry ? { ...article.toObject(), title: entry.title, summary: entry.summary } : article;
+    });
+};
+
+const toTextData = (newsletter, translation, articles) => {
+    const templateData = newsletter.templateData || {};
+    return {
+        title: translation.title,
+        issueDate: templateData.issueDate || newsletter.createdAt,
+        intro: translation.intro,
+        highlights: translation.highlights,
+        articles: applyArticleTranslations(articles, translation),
+        language: translation.language,
+        labels: translation.labels,
+    };
+};
+
+const translateHtml = async (newsletter, language, usage) => {
+    const source = newsletter.htmlContent || '';
+    const response = await generateText(createHtmlTranslationPrompt(source, language), { ...usage, format: 'html' });
+    const html = response.replace(/^```html\n/, '').replace(/\n```$/, '');
+    if (html.length < MIN_HTML_LENGTH) {
+        throw new Error('AI returned an empty or invalid HTML translation.');
+    }
+    if (source.includes(UNSUBSCRIBE_URL_PLACEHOLDER) && !html.includes(UNSUBSCRIBE_URL_PLACEHOLDER)) {
+        throw new Error('The translated HTML lost the unsubscribe link.');
+    }
+    return sanitizeNewsletterHtml(html);
+};
+
+// The stored HTML is translated as it is, so changes made in the HTML editor carry over. The
+// structured copy gives the subject, the plain-text version and the email around the issue.
+// Translations wait for a reviewer before they are sent; see approveTranslations.
+const translateNewsletter = async (newsletter, language, { user } = {}) => {
+    const articles = await loadIssueArticles(newsletter);
+    const source = buildSource(newsletter, articles);
+    const usage = { operation: 'translate', user, category: newsletter.category };
+    const response = await generateText(createTranslationPrompt(source, language), { ...usage, format: 'json', example: source });
+    const translated = parseJsonResponse(response, 'The AI returned a translation that could not be read.');
+
+    const translatedArticles = Array.isArray(translated.articles) ? translated.articles : [];
+    const translatedHighlights = Array.isArray(translated.highlights) ? translated.highlights : [];
+    const translation = {
+        language,
+        revision: newsletter.revision,
+        title: pickText(translated.title, source.title),
+        subject: source.subject ? pickText(translated.subject, source.subject) : undefined,
+        intro: source.intro ? pickText(translated.intro, source.intro) : undefined,
+        highlights: source.highlights ? {
+            heading: pickText(translated.highlightsHeading, source.highlightsHeading),
+            items: newsletter.templateData.highlights.items.map((item, index) => ({ text: pickText(translatedHighlights[index], item.text), url: item.url, title: item.title })),
+        } : undefined,
+        articles: articles.map((article, index) => ({
+            article: article._id,
+            title: pickText(translatedArticles[index] && translatedArticles[index].title, source.articles[index].title),
+            summary: pickText(translatedArticles[index] && translatedArticles[index].summary, source.articles[index].summary),
+        })),
+        labels: mergeLabels(translated.labels),
+    };
+    translation.htmlContent = await translateHtml(newsletter, language, usage);
+
+    // Stored with atomic updates, since sends and the editor may be saving the same newsletter.
+    // A translation of a revision that was edited in the meantime is dropped.
+    await Newsletter.updateOne({ _id: newsletter._id }, { $pull: { translations: { language } } });
+    const stored = await Newsletter.findOneAndUpdate({ _id: newsletter._id, revision: translation.revision }, { $push: { translations: translation } }).select('status');
+    console.log(`[TRANSLATE] Translated "${newsletter.title}" into ${getLanguageName(language)}.`);
+    if (stored && REVIEWED_STATUSES.includes(stored.status)) {
+        console.warn(`[TRANSLATE] "${newsletter.title}" was reviewed before its ${getLanguageName(language)} translation was ready. Those readers get the original.`);
+    }
+    return translation;
+};
+
+// The background runs after generation and after submitting for review may ask for the same language at once.
+const inFlight = new Map();
+const translateOnce = (newsletter, language, options) => {
+    const key = `${newsletter._id}:${newsletter.revision}:${language}`;
+    if (!inFlight.has(key)) {
+        inFlight.set(key, translateNewsletter(newsletter, language, options).finally(() => inFlight.delete(key)));
+    }
+    return inFlight.get(key);
+};
+
+// Only approved translations are sent or shown to readers; reviewers also see the ones awaiting approval.
+const isCurrent = (newsletter, translation, { includeUnapproved = false } = {}) =>
+    translation.revision === newsletter.revision && (includeUnapproved || Boolean(translation.approvedAt));
+
+export const findTranslation = (newsletter, language, options) => (newsletter.translations || [])
+    .find(translation => translation.language === language && isCurrent(newsletter, translation, options));
+
+/**
+ * The languages the newsletter can be read in: the original and every approved translation of its
+ * current revision, or every translation with `includeUnapproved`.
+ */
+export const listNewsletterLanguages = (newsletter, options) => [
+    DEFAULT_LANGUAGE,
+    ...(newsletter.translations || [])
+        .filter(translation => translation.language !== DEFAULT_LANGUAGE && isCurrent(newsletter, translation, options))
+        .map(translation => translation.language),
+];
+
+/**
+ * The languages the newsletter can be sent in right now. Read from the database, since
+ * translations are stored by background runs after the document was loaded.
+ */
+export const listSendableLanguages = async (newsletter) => {
+    const stored = await Newsletter.findById(newsletter._id).select('revision translations.language translations.revision translations.approvedAt').lean();
+    return new Set(stored ? listNewsletterLanguages(stored) : [DEFAULT_LANGUAGE]);
+};
+
+/**
+ * The languages of translations of the current revision that no reviewer has seen, usually ones
+ * finished after the issue was approved. Their readers get the original, so sends warn about them.
+ */
+export const listUnreviewedLanguages = async (newsletter) => {
+    const stored = await Newsletter.findById(newsletter._id).select('revision translations.language translations.revision translations.reviewedAt').lean();
+    return (stored?.translations || [])
+        .filter(translation => translation.revision === stored.revision && translation.language !== DEFAULT_LANGUAGE && !translation.reviewedAt)
+        .map(translation => translation.language);
+};
+
+/**
+ * Records the reviewer's decision on the translations of the current revision: the `languages`
+ * they approved along with the issue are sent to readers of those languages, every other one is
+ * not, and those readers get the original. Returns the languages approved.
+ */
+export const approveTranslations = async (newsletter, languages, { by } = {}) => {
+    const reviewed = new Set(Array.isArray(languages) ? languages : []);
+    const translated = listNewsletterLanguages(newsletter, { includeUnapproved: true }).filter(language => language !== DEFAULT_LANGUAGE);
+    if (translated.length === 0) return [];
+    const approved = translated.filter(language => reviewed.has(language));
+    const now = new Date();
+    await Newsletter.updateOne(
+        { _id: newsletter._id, revision: newsletter.revision },
+        {
+            $set: { 'translations.$[approved].approvedAt': now, 'translations.$[approved].approvedBy': by, 'translations.$[current].reviewedAt': now },
+            $unset: { 'translations.$[rejected].approvedAt': '', 'translations.$[rejected].approvedBy': '' },
+        },
+        { arrayFilters: [
+            { 'approved.revision': newsletter.revision, 'approved.language': { $in: approved } },
+            { 'rejected.revision': newsletter.revision, 'rejected.language': { $nin: approved } },
+            { 'current.revision': newsletter.revision },
+        ] }
+    );
+    return approved;
+};
+
+/**
+ * Makes sure the newsletter has a translation into each of `languages`, translating the missing
+ * ones one at a time. A failed translation is logged and skipped, so those readers get the
+ * original. Returns the set of languages the newsletter has been translated into.
+ */
+export const ensureTranslations = async (newsletter, languages, { user } = {}) => {
+    const available = new Set(listNewsletterLanguages(newsletter, { includeUnapproved: true }));
+    const missing = [...new Set(languages)].filter(language => isSupportedLanguage(language) && !available.has(language));
+    if (missing.length > 0 && !isAiConfigured()) {
+        console.warn(`⚠️ Translations of "${newsletter.title}" requested but the AI service is not configured. Sending the original.`);
+        return available;
+    }
+    for (const language of missing) {
+        try {
+            await translateOnce(newsletter, language, { user });
+            available.add(language);
+        } catch (err) {
+            console.error(`[TRANSLATE] Translating "${newsletter.title}" into ${getLanguageName(language)} failed: ${err.message}`);
+        }
+    }
+    return available;
+};
+
+/**
+ * Translates an issue into the languages its category's subscribers prefer. Runs in the
+ * background when an issue is generated or submitted, so the translations are ready for the
+ * reviewer; sending never waits for a translation.
+ */
+export const translateForSubscribers = async (newsletter, { user } = {}) => {
+    const languages = await User.distinct('preferredLanguage', { userType: 'user', categories: newsletter.category });
+    return ensureTranslations(newsletter, languages, { user });
+};
+
+/**
+ * The issue as a reader of `language` receives it: `{ language, title, subject, labels, html, text }`.
+ * Without an approved translation of the current revision (any translation with
+ * `includeUnapproved`, for reviewers) this is the original, with `language` set to the default.
+ * `subject` is only set when the editor chose one. The unsubscribe placeholder is left in for the
+ * caller to fill.
+ */
+export const loadNewsletterVariant = async (newsletter, language, options) => {
+    const translation = language && language !== DEFAULT_LANGUAGE ? findTranslation(newsletter, language, options) : undefined;
+    if (!translation) {
+        return {
+            language: DEFAULT_LANGUAGE,
+            title: newsletter.title,
+            subject: newsletter.subject,
+            labels: DEFAULT_LABELS,
+            // Issues saved before sanitizing was introduced still hold raw model output.
+            html: sanitizeNewsletterHtml(newsletter.htmlContent || ''),
+            text: await buildPlainText(newsletter),
+        };
+    }
+    const articles = await loadIssueArticles(newsletter, 'title summary description sourceName originalUrl');
+    return {
+        language,
+        title: translation.title,
+        subject: translation.subject,
+        labels: resolveLabels(translation.labels),
+        html: translation.htmlContent || '',
+        text: renderPlainText(toTextData(newsletter, translation, articles)),
+    };
+};
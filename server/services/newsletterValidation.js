@@ -0,0 +1,146 @@
+import sanitizeHtml from 'sanitize-html';
+import juice from 'juice';
+import { UNSUBSCRIBE_URL_PLACEHOLDER } from '../templates/index.js';
+
+// Gmail clips messages above ~102KB and hides the rest (including the unsubscribe footer).
+export const MAX_HTML_BYTES = 100 * 1024;
+const LINK_CHECK_TIMEOUT_MS = 5000;
+const LINK_CHECK_CONCURRENCY = 5;
+
+// Tags and attributes that render reliably in email clients. Anything else is dropped.
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'html', 'head', 'body', 'title', 'meta', 'style',
+        'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'center', 'code', 'div', 'em', 'font',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol', 'p', 'pre', 's', 'small',
+        'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul',
+    ],
+    allowedAttributes: {
+        '*': ['style', 'class', 'id', 'align', 'valign', 'width', 'height', 'bgcolor', 'dir', 'lang', 'role', 'title'],
+        a: ['href', 'name', 'target', 'rel'],
+        img: ['src', 'alt', 'border'],
+        meta: ['charset', 'name', 'content'],
+        table: ['border', 'cellpadding', 'cellspacing'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan', 'scope'],
+        font: ['color', 'face', 'size'],
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+    // <style> only carries CSS (media queries survive inlining); scripts and handlers are never allowed.
+    allowVulnerableTags: true,
+    nonTextTags: ['script', 'textarea', 'option', 'noscript', 'title'],
+    // Only charset/viewport style metadata; http-equiv refreshes and the like are dropped.
+    exclusiveFilter: (frame) => frame.tag === 'meta' && !frame.attribs.charset && !frame.attribs.name,
+};
+
+// Counted before sanitizing so the admin learns what the model put in that had to go.
+const REMOVED_CONTENT_PATTERNS = [
+    { pattern: /<script\b/gi, label: 'script' },
+    { pattern: /<iframe\b/gi, label: 'iframe' },
+    { pattern: /<form\b/gi, label: 'form' },
+    { pattern: /<(?:object|embed)\b/gi, label: 'embedded object' },
+    { pattern: /<link\b/gi, label: 'external stylesheet' },
+    { pattern: /\son[a-z]+\s*=/gi, label: 'inline event handler' },
+    { pattern: /(?:href|src)\s*=\s*["']?\s*javascript:/gi, label: 'javascript: URL' },
+];
+
+const describeRemovedContent = (html) => REMOVED_CONTENT_PATTERNS
+    .map(({ pattern, label }) => ({ label, count: (html.match(pattern) || []).length }))
+    .filter(({ count }) => count > 0)
+    .map(({ label, count }) => ({
+        type: 'removed',
+        message: `Removed ${count} ${label}${count === 1 ? '' : 's'} that email clients do not allow.`,
+    }));
+
+/**
+ * Strips everything outside the email allow-list and inlines <style> rules into style attributes,
+ * which is what most email clients need. Safe to run repeatedly on its own output.
+ */
+export const sanitizeNewsletterHtml = (html) => {
+    const hasDoctype = /^\s*<!doctype html/i.test(html);
+    const sanitized = sanitizeHtml(html, SANITIZE_OPTIONS);
+    const inlined = juice(sanitized, { preserveMediaQueries: true, removeStyleTags: true });
+    return hasDoctype ? `<!DOCTYPE html>\n${inlined.trim()}` : inlined.trim();
+};
+
+const extractAttributeValues = (html, tag, attribute) => {
+    const pattern = new RegExp(`<${tag}\\b[^>]*\\s${attribute}="([^"]*)"`, 'gi');
+    return [...html.matchAll(pattern)].map(match => match[1].replace(/&amp;/g, '&'));
+};
+
+const checkUrl = async (url) => {
+    try {
+        let response = await fetch(url, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS) });
+        // Plenty of servers refuse HEAD; a GET tells us whether the page really is missing.
+        if (response.status === 405 || response.status === 403) {
+            response = await fetch(url, { method: 'GET', redirect: 'follow', signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS) });
+            response.body?.cancel().catch(() => {});
+        }
+        return response.ok ? null : `responded with ${response.status}`;
+    } catch (err) {
+        return err.name === 'TimeoutError' ? 'did not respond in time' : 'could not be reached';
+    }
+};
+
+const checkUrls = async (urls) => {
+    const results = new Map();
+    const pending = [...urls];
+    const worker = async () => {
+        while (pending.length > 0) {
+            const url = pending.shift();
+            results.set(url, await checkUrl(url));
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(LINK_CHECK_CONCURRENCY, pending.length) }, worker));
+    return results;
+};
+
+/**
+ * Checks sanitized newsletter HTML and returns a list of `{ type, message, url? }` warnings:
+ * oversized HTML, a missing unsubscribe link, images without alt text and article links or images
+ * that do not load.
+ */
+export const validateNewsletterHtml = async (html, { checkLinks = true } = {}) => {
+    const warnings = [];
+
+    const size = Buffer.byteLength(html, 'utf8');
+    if (size > MAX_HTML_BYTES) {
+        warnings.push({ type: 'size', message: `The HTML is ${Math.round(size / 1024)}KB. Gmail clips emails over 102KB, hiding the end of the newsletter.` });
+    }
+
+    if (!html.includes(UNSUBSCRIBE_URL_PLACEHOLDER)) {
+        warnings.push({ type: 'missing-unsubscribe', message: `There is no unsubscribe link. Link to "${UNSUBSCRIBE_URL_PLACEHOLDER}" so subscribers can opt out.` });
+    }
+
+    const imagesWithoutAlt = [...html.matchAll(/<img\b[^>]*>/gi)]
+        .map(match => match[0])
+        .filter(tag => !/\salt="[^"]+"/i.test(tag));
+    if (imagesWithoutAlt.length > 0) {
+        warnings.push({ type: 'missing-alt', message: `${imagesWithoutAlt.length} image${imagesWithoutAlt.length === 1 ? ' has' : 's have'} no alt text for readers with images off or screen readers.` });
+    }
+
+    if (checkLinks) {
+        const links = new Set(extractAttributeValues(html, 'a', 'href').filter(url => /^https?:\/\//i.test(url)));
+        const images = new Set(extractAttributeValues(html, 'img', 'src').filter(url => /^https?:\/\//i.test(url)));
+        const results = await checkUrls(new Set([...links, ...images]));
+        for (const [url, problem] of results) {
+            if (!problem) continue;
+            warnings.push(images.has(url)
+                ? { type: 'broken-image', url, message: `Image ${problem}: ${url}` }
+                : { type: 'broken-link', url, message: `Link ${problem}: ${url}` });
+        }
+    }
+
+    return warnings;
+};
+
+/**
+ * Sanitizes generated HTML and validates the result. Returns the email-safe HTML along with
+ * everything the admin should look at before saving.
+ */
+export const prepareNewsletterHtml = async (html, options) => {
+    const sanitized = sanitizeNewsletterHtml(html);
+    const warnings = [...describeRemovedContent(html), ...await validateNewsletterHtml(sanitized, options)];
+    return { html: sanitized, warnings };
+};
@@ -0,0 +1,88 @@
+import User from '../models/user.model.js';
+import Notification from '../models/notification.model.js';
+
+// Allowed status changes, keyed by the current status. 'sent' is only reachable through the send route.
+const TRANSITIONS = {
+    'Not Sent': ['pending'],
+    pending: ['approved', 'declined', 'Not Sent'],
+    declined: ['pending'],
+    approved: ['sent', 'Not Sent'],
+    sent: ['sent'],
+};
+
+export const SENDABLE_STATUSES = ['approved', 'sent'];
+
+const HISTORY_ACTIONS = {
+    pending: 'submitted',
+    approved: 'approved',
+    declined: 'declined',
+    'Not Sent': 'withdrawn',
+    sent: 'sent',
+};
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Superadmins review every category; admins only the categories that list them as reviewers.
+export const canReview = (user, category) =>
+    user.userType === 'superadmin' || Boolean(category && category.reviewers.some(id => id.equals(user._id)));
+
+/**
+ * Returns `{ status, message }` when `user` may not move the newsletter to `nextStatus`, or null when allowed.
+ * Illegal transitions map to 409 and missing permissions to 403.
+ * Submitting and withdrawing is done by the category's admins; approving and declining by its reviewers.
+ */
+export const getTransitionError = (newsletter, nextStatus, user, category) => {
+    if (!canTransition(newsletter.status, nextStatus)) {
+        return { status: 409, message: `A newsletter cannot move from "${newsletter.status}" to "${nextStatus}".` };
+    }
+    if (nextStatus === 'approved' || nextStatus === 'declined') {
+        if (!canReview(user, category)) {
+            return { status: 403, message: 'Only a superadmin or a reviewer of this category can approve or decline newsletters.' };
+        }
+        if (user.userType !== 'superadmin' && newsletter.createdBy && newsletter.createdBy.equals(user._id)) {
+            return { status: 403, message: 'You cannot review a newsletter you created.' };
+        }
+    } else if (nextStatus !== 'sent') {
+        if (user.userType !== 'superadmin' && !user.categories.includes(newsletter.category)) {
+            return { status: 403, message: 'You are not authorized to manage newsletters in this category.' };
+        }
+    }
+    return null;
+};
+
+// Records the transition on the newsletter; the caller is responsible for saving it.
+export const applyTransition = (newsletter, nextStatus, { by, comment } = {}) => {
+    newsletter.status = nextStatus;
+    newsletter.reviewHistory.push({ action: HISTORY_ACTIONS[nextStatus], by, comment });
+};
+
+/**
+ * Notifies whoever has to act next: reviewers when an issue is submitted, the author when it is decided.
+ */
+export const notifyTransition = async (newsletter, category) => {
+    const latest = newsletter.reviewHistory[newsletter.reviewHistory.length - 1];
+    try {
+        if (newsletter.status === 'pending') {
+            // Without designated reviewers the superadmins pick the issue up from their queue.
+            const reviewers = category && category.reviewers.length > 0
+                ? await User.find({ _id: { $in: category.reviewers } }).select('userType')
+                : await User.find({ userType: 'superadmin' }).select('userType');
+            await Notification.insertMany(reviewers.map(reviewer => ({
+                user: reviewer._id,
+                newsletter: newsletter._id,
+                message: `Newsletter "${newsletter.title}" is waiting for your review.`,
+                actionUrl: reviewer.userType === 'superadmin' ? '/super-admin?tab=review-queue' : '/dashboard?tab=review-queue'
+            })));
+        } else if ((newsletter.status === 'approved' || newsletter.status === 'declined') && newsletter.createdBy) {
+            const commentText = latest && latest.comment ? ` Comment: "${latest.comment}"` : '';
+            await Notification.create({
+                user: newsletter.createdBy,
+                newsletter: newsletter._id,
+                message: `Your newsletter "${newsletter.title}" was ${newsletter.status}.${commentText}`,
+                actionUrl: '/dashboard?tab=generated-newsletters'
+            });
+        }
+    } catch (err) {
+        console.error('Failed to create workflow notifications:', err);
+    }
+};
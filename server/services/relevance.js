@@ -0,0 +1,136 @@
+import Category from '../models/category.model.js';
+import NewsItem from '../models/newsItem.model.js';
+
+export const MAX_RULE_TERMS = 50;
+export const MIN_TERM_WEIGHT = -10;
+export const MAX_TERM_WEIGHT = 10;
+// A term in the title says more about an article than a passing mention in the body.
+const TITLE_HIT_POINTS = 3;
+const MAX_BODY_HITS = 3;
+const RESCORE_BATCH_SIZE = 500;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const stripQuotes = (term) => term.trim().replace(/^"(.*)"$/, '$1').trim();
+
+// Whole words only, so "AI" does not match "said"; a phrase matches its words in order.
+const compileTerm = (term) => new RegExp(`(?<![\\p{L}\\p{N}])${stripQuotes(term).split(/\s+/).map(escapeRegex).join('\\s+')}(?![\\p{L}\\p{N}])`, 'giu');
+
+const countMatches = (pattern, text) => (text ? (text.match(pattern) || []).length : 0);
+
+const matchesSource = (entries, article) => {
+    const name = (article.sourceName || '').toLowerCase();
+    let host = '';
+    try { host = new URL(article.url).hostname.toLowerCase().replace(/^www\./, ''); } catch { /* keep empty */ }
+    // An entry is either the outlet's name or its domain, which also covers subdomains.
+    return entries.some(entry => entry === name || host === entry || host.endsWith(`.${entry}`));
+};
+
+const cleanList = (list) => [...new Set((Array.isArray(list) ? list : [])
+    .map(item => String(item || '').trim())
+    .filter(item => stripQuotes(item)))];
+
+/**
+ * Validates the rules sent by the category editor. Returns `{ rules }` ready to store, or
+ * `{ error }` with a message for the admin.
+ */
+export const normalizeRules = (input) => {
+    if (!input || typeof input !== 'object') return { error: 'Rules must be an object.' };
+    const rules = {
+        required: cleanList(input.required),
+        excluded: cleanList(input.excluded),
+        allowedSources: cleanList(input.allowedSources).map(source => source.toLowerCase()),
+        blockedSources: cleanList(input.blockedSources).map(source => source.toLowerCase()),
+        weights: [],
+    };
+    const seen = new Set();
+    for (const entry of Array.isArray(input.weights) ? input.weights : []) {
+        const term = String(entry?.term || '').trim();
+        if (!stripQuotes(term) || seen.has(term.toLowerCase())) continue;
+        const weight = Number(entry.weight);
+        if (!Number.isFinite(weight) || weight < MIN_TERM_WEIGHT || weight > MAX_TERM_WEIGHT) {
+            return { error: `The weight for "${term}" must be a number from ${MIN_TERM_WEIGHT} to ${MAX_TERM_WEIGHT}.` };
+        }
+        seen.add(term.toLowerCase());
+        rules.weights.push({ term, weight });
+    }
+    const termCount = rules.required.length + rules.excluded.length + rules.weights.length;
+    if (termCount > MAX_RULE_TERMS) return { error: `A category can have at most ${MAX_RULE_TERMS} rule terms.` };
+    return { rules };
+};
+
+/**
+ * Turns a category's keywords and rules into matchers. Keywords count with weight 1 unless the
+ * rules give them another; a category without keywords is matched on its name.
+ */
+export const compileRules = (category) => {
+    const rules = category.rules || {};
+    const weights = new Map((category.keywords?.length ? category.keywords : [category.name])
+        .filter(keyword => keyword && stripQuotes(keyword))
+        .map(keyword => [stripQuotes(keyword).toLowerCase(), { term: keyword, weight: 1 }]));
+    for (const { term, weight } of rules.weights || []) {
+        weights.set(stripQuotes(term).toLowerCase(), { term, weight });
+    }
+    return {
+        terms: [...weights.values()].map(({ term, weight }) => ({ pattern: compileTerm(term), weight })),
+        required: (rules.required || []).map(compileTerm),
+        excluded: (rules.excluded || []).map(compileTerm),
+        allowedSources: rules.allowedSources || [],
+        blockedSources: rules.blockedSources || [],
+    };
+};
+
+/**
+ * Scores an article against compiled category rules. Returns `{ score, excluded }`; excluded
+ * articles come from a blocked or unlisted source, miss a required term or contain an excluded one.
+ */
+export const scoreArticle = (article, compiled) => {
+    const title = article.title || '';
+    const body = `${article.description || ''}\n${article.content || ''}`;
+    const text = `${title}\n${body}`;
+    const excluded = matchesSource(compiled.blockedSources, article)
+        || (compiled.allowedSources.length > 0 && !matchesSource(compiled.allowedSources, article))
+        || compiled.required.some(pattern => countMatches(pattern, text) === 0)
+        || compiled.excluded.some(pattern => countMatches(pattern, text) > 0);
+    const score = compiled.terms.reduce((total, { pattern, weight }) => {
+        const points = (countMatches(pattern, title) > 0 ? TITLE_HIT_POINTS : 0) + Math.min(countMatches(pattern, body), MAX_BODY_HITS);
+        return total + points * weight;
+    }, 0);
+    return { score: Math.round(score * 10) / 10, excluded };
+};
+
+/**
+ * Recomputes the stored relevance of the news items matching `filter` for every category they
+ * were fetched for. Called after ingestion and whenever a category's keywords or rules change.
+ */
+export const rescoreNewsItems = async (filter) => {
+    const compiledByName = new Map();
+    const getCompiled = async (name) => {
+        if (!compiledByName.has(name)) {
+            const category = await Category.findOne({ name }).select('name keywords rules');
+            compiledByName.set(name, category ? compileRules(category) : null);
+        }
+        return compiledByName.get(name);
+    };
+
+    let operations = [];
+    let rescored = 0;
+    const cursor = NewsItem.find(filter).select('title description content sourceName url categories').lean().cursor();
+    for await (const item of cursor) {
+        const relevance = [];
+        for (const name of item.categories || []) {
+            const compiled = await getCompiled(name);
+            if (compiled) relevance.push({ category: name, ...scoreArticle(item, compiled) });
+        }
+        operations.push({ updateOne: { filter: { _id: item._id }, update: { $set: { relevance } } } });
+        if (operations.length >= RESCORE_BATCH_SIZE) {
+            await NewsItem.bulkWrite(operations, { ordered: false });
+            rescored += operations.length;
+            operations = [];
+        }
+    }
+    if (operations.length > 0) {
+        await NewsItem.bulkWrite(operations, { ordered: false });
+        rescored += operations.length;
+    }
+    return rescored;
+};
@@ -0,0 +1,77 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+const MAX_REDIRECTS = 5;
+
+// This machine and the private networks around it, which links from editors and feeds must never reach.
+const blockedAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+    .forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 subnets as well.
+const isBlockedAddress = (address) => blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Thrown with a message fit to show whoever entered the link.
+export class UnsafeUrlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsafeUrlError';
+    }
+}
+
+/**
+ * Makes sure `url` is an http(s) link to a public host: every address its name resolves to is
+ * checked. Throws an UnsafeUrlError otherwise.
+ */
+export const checkPublicUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new UnsafeUrlError('The link is not a valid URL.');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new UnsafeUrlError('Only http and https links can be fetched.');
+    }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true }).catch(() => []);
+    if (addresses.length === 0) {
+        throw new UnsafeUrlError('The link points to a host that could not be found.');
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new UnsafeUrlError('Links to private or local addresses cannot be fetched.');
+    }
+};
+
+/**
+ * fetch for links that come from users or feeds. Redirects are followed by hand so every hop
+ * goes through checkPublicUrl.
+ */
+export const fetchPublic = async (url, options = {}) => {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+        await checkPublicUrl(current);
+        const response = await fetch(current, { ...options, redirect: 'manual' });
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) return response;
+        response.body?.cancel().catch(() => {});
+        if (redirects >= MAX_REDIRECTS) {
+            throw new UnsafeUrlError('The link redirected too many times.');
+        }
+        current = new URL(location, current).href;
+    }
+};
+
+// Reads a response body up to `maxBytes`. Returns null for anything larger; leaving the loop early cancels the download.
+export const readLimited = async (body, maxBytes) => {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of body) {
+        size += chunk.length;
+        if (size > maxBytes) return null;
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
@@ -0,0 +1,138 @@
+import puppeteer from 'puppeteer';
+
+const MAX_PAGES = Number(process.env.RENDER_CONCURRENCY) || 2;
+const MAX_QUEUE = Number(process.env.RENDER_MAX_QUEUE) || 20;
+const JOB_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS) || 30 * 1000;
+// The browser is closed after this long without work so an idle server does not hold its memory.
+const IDLE_SHUTDOWN_MS = 60 * 1000;
+
+const THUMBNAIL_VIEWPORT = { width: 600, height: 800, deviceScaleFactor: 0.5 };
+const PDF_VIEWPORT = { width: 800, height: 1100, deviceScaleFactor: 1 };
+
+export class RenderQueueFullError extends Error {
+    constructor() {
+        super('The renderer is busy. Please try again in a moment.');
+        this.name = 'RenderQueueFullError';
+    }
+}
+
+let browserPromise = null;
+let idleTimer = null;
+const idlePages = [];
+const queue = [];
+let activeJobs = 0;
+
+const getBrowser = () => {
+    if (!browserPromise) {
+        browserPromise = puppeteer.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox'] })
+            .then((browser) => {
+                browser.on('disconnected', () => {
+                    // A crashed browser takes its pages with it; the next job launches a fresh one.
+                    browserPromise = null;
+                    idlePages.length = 0;
+                });
+                console.log("🖨️ Render browser launched.");
+                return browser;
+            })
+            .catch((err) => {
+                browserPromise = null;
+                throw err;
+            });
+    }
+    return browserPromise;
+};
+
+const acquirePage = async () => {
+    const page = idlePages.pop();
+    if (page && !page.isClosed()) return page;
+    const browser = await getBrowser();
+    const newPage = await browser.newPage();
+    // Newsletter HTML is email markup; scripts in it (e.g. from an AI response) never run.
+    await newPage.setJavaScriptEnabled(false);
+    return newPage;
+};
+
+const releasePage = async (page, healthy) => {
+    if (healthy && !page.isClosed()) {
+        try {
+            await page.goto('about:blank');
+            idlePages.push(page);
+            return;
+        } catch {
+            // Fall through and discard the page.
+        }
+    }
+    await page.close().catch(() => {});
+};
+
+const scheduleIdleShutdown = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(async () => {
+        if (activeJobs > 0 || queue.length > 0 || !browserPromise) return;
+        const browser = await browserPromise.catch(() => null);
+        idlePages.length = 0;
+        browserPromise = null;
+        if (browser) await browser.close().catch(() => {});
+    }, IDLE_SHUTDOWN_MS);
+};
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Rendering timed out after ${ms / 1000}s.`)), ms);
+    promise.then(
+        (value) => { clearTimeout(timer); resolve(value); },
+        (err) => { clearTimeout(timer); reject(err); }
+    );
+});
+
+const runJob = async ({ work, resolve, reject }) => {
+    activeJobs += 1;
+    clearTimeout(idleTimer);
+    let page;
+    let healthy = false;
+    try {
+        page = await acquirePage();
+        const result = await withTimeout(work(page), JOB_TIMEOUT_MS);
+        healthy = true;
+        resolve(result);
+    } catch (err) {
+        reject(err);
+    } finally {
+        // A timed-out page may still be busy, so it is closed rather than reused.
+        if (page) await releasePage(page, healthy);
+        activeJobs -= 1;
+        drainQueue();
+        if (activeJobs === 0) scheduleIdleShutdown();
+    }
+};
+
+const drainQueue = () => {
+    while (activeJobs < MAX_PAGES && queue.length > 0) {
+        runJob(queue.shift());
+    }
+};
+
+/**
+ * Runs `work(page)` on a pooled page. At most RENDER_CONCURRENCY jobs run at once; further jobs
+ * wait in a bounded FIFO queue and are rejected with RenderQueueFullError once it is full.
+ */
+const enqueue = (work) => new Promise((resolve, reject) => {
+    if (queue.length >= MAX_QUEUE) {
+        reject(new RenderQueueFullError());
+        return;
+    }
+    queue.push({ work, resolve, reject });
+    drainQueue();
+});
+
+export const renderPdf = (html) => enqueue(async (page) => {
+    await page.setViewport(PDF_VIEWPORT);
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+    return page.pdf({ format: 'A4', printBackground: true });
+});
+
+// A PNG of the top of the email, sized for list previews.
+export const renderThumbnail = (html) => enqueue(async (page) => {
+    await page.setViewport(THUMBNAIL_VIEWPORT);
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+    return page.screenshot({ type: 'png', clip: { x: 0, y: 0, width: THUMBNAIL_VIEWPORT.width, height: THUMBNAIL_VIEWPORT.height } });
+});
@@ -0,0 +1,180 @@
+import { addDays, addMonths, format, isAfter, set } from 'date-fns';
+import Schedule from '../models/schedule.model.js';
+import ScheduleRun from '../models/scheduleRun.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import CuratedArticle from '../models/article.model.js';
+import User from '../models/user.model.js';
+import Category from '../models/category.model.js';
+import Notification from '../models/notification.model.js';
+import { generateNewsletter } from './newsletterGenerator.js';
+import { queueNewsletterDelivery } from './newsletterDelivery.js';
+import { listUnreviewedLanguages, translateForSubscribers } from './newsletterTranslations.js';
+import { getLanguageName } from './languages.js';
+import { applyTransition, getTransitionError, notifyTransition } from './newsletterWorkflow.js';
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Returns the first run time strictly after `from` for a schedule's frequency and time of day.
+ * All times are in the server's local timezone.
+ */
+export const computeNextRunAt = (schedule, from = new Date()) => {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    let candidate = set(from, { hours, minutes, seconds: 0, milliseconds: 0 });
+
+    if (schedule.frequency === 'weekly') {
+        candidate = addDays(candidate, (schedule.dayOfWeek - candidate.getDay() + 7) % 7);
+        if (!isAfter(candidate, from)) candidate = addDays(candidate, 7);
+    } else if (schedule.frequency === 'monthly') {
+        candidate = set(candidate, { date: schedule.dayOfMonth });
+        if (!isAfter(candidate, from)) candidate = addMonths(candidate, 1);
+    } else {
+        if (!isAfter(candidate, from)) candidate = addDays(candidate, 1);
+    }
+    return candidate;
+};
+
+export const getUpcomingRuns = (schedule, count = 3) => {
+    if (!schedule.isActive || !schedule.nextRunAt) return [];
+    const runs = [schedule.nextRunAt];
+    while (runs.length < count) {
+        runs.push(computeNextRunAt(schedule, runs[runs.length - 1]));
+    }
+    return runs;
+};
+
+/**
+ * Queues an approved issue for its category's subscribers when it came from a sending schedule.
+ * Returns the number of deliveries queued, 0 for issues that are not sent this way.
+ */
+export const sendScheduledIssue = async (newsletter) => {
+    if (!newsletter.schedule || newsletter.status !== 'approved') return 0;
+    const schedule = await Schedule.findById(newsletter.schedule).select('action createdBy');
+    if (!schedule || schedule.action !== 'send') return 0;
+    const subscribers = await User.find({ userType: 'user', categories: newsletter.category }).select('_id');
+    // Translations finished after the review go unsent, which the schedule's owner should know.
+    const unreviewed = await listUnreviewedLanguages(newsletter);
+    if (unreviewed.length > 0) {
+        await Notification.create({
+            user: schedule.createdBy,
+            newsletter: newsletter._id,
+            message: `"${newsletter.title}" was sent without its ${unreviewed.map(getLanguageName).join(', ')} translation(s), which were finished after the review. Those readers got the original.`,
+            actionUrl: '/dashboard?tab=generated-newsletters'
+        });
+    }
+    return subscribers.length > 0 ? queueNewsletterDelivery(newsletter, subscribers.map(s => s._id)) : 0;
+};
+
+/**
+ * Builds one issue for the schedule's category from the curated articles saved since the
+ * category's last newsletter and submits it for review. Issues of sending schedules go to the
+ * subscribers once a reviewer approves them; a manual run approves them straight away only when
+ * the user who triggered it (`by`) may review the issue at that moment.
+ * Every attempt is recorded as a ScheduleRun, including skipped and failed ones.
+ */
+export const runSchedule = async (schedule, { trigger = 'scheduled', by } = {}) => {
+    const run = await ScheduleRun.create({ schedule: schedule._id, category: schedule.category, trigger });
+    console.log(`[SCHEDULER] Running schedule "${schedule.name}" for ${schedule.category} (${trigger}).`);
+
+    try {
+        const lastIssue = await Newsletter.findOne({ category: schedule.category }).sort({ createdAt: -1 }).select('createdAt');
+        const articleQuery = { category: schedule.category };
+        if (lastIssue) {
+            articleQuery.createdAt = { $gt: lastIssue.createdAt };
+        }
+        const articles = await CuratedArticle.find(articleQuery).sort({ createdAt: -1 }).limit(schedule.maxArticles);
+        run.articleCount = articles.length;
+
+        if (articles.length === 0) {
+            run.status = 'skipped';
+            run.message = 'No new curated articles since the last issue.';
+        } else {
+            const title = `${schedule.titlePrefix || schedule.category} - ${format(new Date(), 'MMMM do, yyyy')}`;
+            const { newsletter, warnings } = await generateNewsletter({
+                articles,
+                title,
+                category: schedule.category,
+                createdBy: schedule.createdBy,
+                schedule: schedule._id,
+            });
+            run.newsletter = newsletter._id;
+
+            const category = await Category.findOne({ name: schedule.category });
+            applyTransition(newsletter, 'pending', { by: by ? by._id : schedule.createdBy, comment: `Submitted by schedule "${schedule.name}".` });
+            // Reviewer rights are checked now rather than when the schedule was set up, since they may have changed.
+            const isApprovedByTrigger = schedule.action === 'send' && by && !getTransitionError(newsletter, 'approved', by, category);
+            if (isApprovedByTrigger) {
+                applyTransition(newsletter, 'approved', { by: by._id, comment: `Approved when running schedule "${schedule.name}".` });
+            }
+            await newsletter.save();
+
+            if (isApprovedByTrigger) {
+                run.recipientCount = await sendScheduledIssue(newsletter);
+            } else {
+                await notifyTransition(newsletter, category);
+                // Translated while the issue waits, so the reviewer can check the translations as well.
+                translateForSubscribers(newsletter, { user: schedule.createdBy })
+                    .catch(err => console.error(`[TRANSLATE] Translating "${newsletter.title}" failed:`, err));
+            }
+
+            run.status = 'success';
+            if (isApprovedByTrigger) {
+                run.message = `Generated "${title}" and queued it for ${run.recipientCount} subscriber(s).`;
+            } else if (schedule.action === 'send') {
+                run.message = `Generated "${title}" and queued it for approval. It goes to the subscribers once approved.`;
+            } else {
+                run.message = `Generated "${title}" and queued it for approval.`;
+            }
+            if (warnings.length > 0) {
+                run.message += ` Warnings: ${warnings.map(w => w.message).join(' ')}`;
+            }
+
+            await Notification.create({
+                user: schedule.createdBy,
+                newsletter: newsletter._id,
+                message: `Scheduled newsletter "${title}" was generated by "${schedule.name}".`,
+                actionUrl: '/dashboard?tab=generated-newsletters'
+            });
+        }
+    } catch (err) {
+        console.error(`[SCHEDULER] Schedule "${schedule.name}" failed:`, err);
+        run.status = 'failed';
+        run.message = err.message;
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+    await Schedule.updateOne({ _id: schedule._id }, { lastRunAt: run.startedAt });
+    return run;
+};
+
+let isTickRunning = false;
+
+const tick = async () => {
+    if (isTickRunning) return;
+    isTickRunning = true;
+    try {
+        const now = new Date();
+        const dueSchedules = await Schedule.find({ isActive: true, nextRunAt: { $lte: now } });
+        for (const schedule of dueSchedules) {
+            // Claim the run by moving nextRunAt forward first, so a second server instance skips it.
+            const claimed = await Schedule.findOneAndUpdate(
+                { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+                { nextRunAt: computeNextRunAt(schedule, now) },
+                { new: true }
+            );
+            if (claimed) {
+                await runSchedule(claimed);
+            }
+        }
+    } catch (err) {
+        console.error('[SCHEDULER] Tick failed:', err);
+    } finally {
+        isTickRunning = false;
+    }
+};
+
+export const startScheduler = () => {
+    setInterval(tick, TICK_INTERVAL_MS);
+    console.log("⏰ Newsletter scheduler started.");
+};
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const BUCKET_NAME = process.env.STORAGE_GRIDFS_BUCKET || 'files';
+
+// Created lazily: the bucket needs the database handle, which exists only once Mongo is connected.
+let bucket;
+const getBucket = () => {
+    if (!bucket) {
+        bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+    }
+    return bucket;
+};
+
+const findFile = async (key) => {
+    const [file] = await getBucket().find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+    return file;
+};
+
+const removeAll = async (key) => {
+    const files = await getBucket().find({ filename: key }).toArray();
+    await Promise.all(files.map(file => getBucket().delete(file._id)));
+};
+
+export default {
+    name: 'gridfs',
+    async put(key, buffer, { contentType }) {
+        const upload = getBucket().openUploadStream(key, { metadata: { contentType } });
+        await new Promise((resolve, reject) => {
+            upload.on('error', reject).on('finish', resolve).end(buffer);
+        });
+        // Older files go only once the new one is stored, so a failed upload keeps the previous file.
+        const previous = await getBucket().find({ filename: key, _id: { $ne: upload.id } }).toArray();
+        await Promise.all(previous.map(file => getBucket().delete(file._id)));
+    },
+    async createReadStream(key, { start, end } = {}) {
+        const file = await findFile(key);
+        if (!file) return null;
+        // GridFS treats `end` as exclusive, unlike HTTP ranges.
+        return getBucket().openDownloadStream(file._id, start === undefined ? {} : { start, end: end + 1 });
+    },
+    remove: removeAll,
+};
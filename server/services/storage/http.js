@@ -0,0 +1,62 @@
+import { openFile } from './index.js';
+
+// Parses a single "bytes=start-end" range. Returns null for no/unsupported ranges, false if unsatisfiable.
+const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes.
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    return start <= end && start < size ? { start, end } : false;
+};
+
+/**
+ * Streams a stored file described by `{ key, size, contentType, etag }` with ETag revalidation
+ * and single-range requests, so PDF viewers can fetch pages on demand.
+ */
+export const sendStoredFile = async (req, res, file, { filename, disposition = 'inline' } = {}) => {
+    res.setHeader('ETag', file.etag);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    if (req.headers['if-none-match'] === file.etag) {
+        return res.status(304).end();
+    }
+
+    let range = parseRange(req.headers.range, file.size);
+    if (range && req.headers['if-range'] && req.headers['if-range'] !== file.etag) {
+        range = null;
+    }
+    if (range === false) {
+        res.setHeader('Content-Range', `bytes */${file.size}`);
+        return res.status(416).end();
+    }
+
+    const stream = await openFile(file.key, range || undefined);
+    if (!stream) {
+        return res.status(404).send('File not found.');
+    }
+
+    res.setHeader('Content-Type', file.contentType);
+    if (filename) {
+        res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+    }
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+        res.setHeader('Content-Length', file.size);
+    }
+    stream.on('error', (err) => {
+        console.error('[STORAGE] Stream failed:', err);
+        res.destroy(err);
+    });
+    stream.pipe(res);
+};
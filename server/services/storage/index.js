@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import gridfs from './gridfs.js';
+import local from './local.js';
+import s3 from './s3.js';
+
+const DRIVERS = { gridfs, local, s3 };
+
+const driverName = (process.env.STORAGE_DRIVER || 'gridfs').toLowerCase();
+const driver = DRIVERS[driverName];
+if (!driver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(DRIVERS).join(', ')}.`);
+}
+console.log(`🗄️ File storage uses the "${driverName}" driver.`);
+
+/**
+ * Stores a file under `key`, replacing any previous file with that key, and returns the
+ * metadata callers keep on their own documents: `{ key, size, contentType, etag }`.
+ */
+export const putFile = async (key, buffer, { contentType = 'application/octet-stream' } = {}) => {
+    await driver.put(key, buffer, { contentType });
+    return {
+        key,
+        size: buffer.length,
+        contentType,
+        etag: `"${crypto.createHash('md5').update(buffer).digest('hex')}"`,
+    };
+};
+
+// Returns a readable stream of the whole file or of the inclusive byte range, or null if missing.
+export const openFile = (key, range) => driver.createReadStream(key, range);
+
+export const removeFile = (key) => driver.remove(key);
+
+// Where a newsletter's files are kept.
+export const getPdfKey = (newsletter) => `newsletters/${newsletter._id}.pdf`;
+
+export const getThumbnailKey = (newsletter) => `newsletters/${newsletter._id}-thumb.png`;
@@ -0,0 +1,34 @@
+import fs from 'fs';
+import path from 'path';
+
+const rootDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'storage');
+
+// Keys are generated by the server, but never let one climb out of the storage directory.
+const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir(), key);
+    if (!filePath.startsWith(rootDir() + path.sep)) {
+        throw new Error(`Invalid storage key "${key}".`);
+    }
+    return filePath;
+};
+
+export default {
+    name: 'local',
+    async put(key, buffer) {
+        const filePath = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+    },
+    async createReadStream(key, { start, end } = {}) {
+        const filePath = resolveKey(key);
+        try {
+            await fs.promises.access(filePath);
+        } catch {
+            return null;
+        }
+        return fs.createReadStream(filePath, { start, end });
+    },
+    async remove(key) {
+        await fs.promises.rm(resolveKey(key), { force: true });
+    },
+};
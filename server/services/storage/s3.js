@@ -0,0 +1,42 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+// Works with AWS S3 and S3-compatible stores (MinIO, R2, ...) through S3_ENDPOINT.
+let client;
+const getClient = () => {
+    if (!client) {
+        client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            credentials: process.env.S3_ACCESS_KEY_ID
+                ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+                : undefined,
+        });
+    }
+    return client;
+};
+
+const bucket = () => process.env.S3_BUCKET;
+
+export default {
+    name: 's3',
+    async put(key, buffer, { contentType }) {
+        await getClient().send(new PutObjectCommand({ Bucket: bucket(), Key: key, Body: buffer, ContentType: contentType }));
+    },
+    async createReadStream(key, { start, end } = {}) {
+        try {
+            const { Body } = await getClient().send(new GetObjectCommand({
+                Bucket: bucket(),
+                Key: key,
+                Range: start === undefined ? undefined : `bytes=${start}-${end}`,
+            }));
+            return Body;
+        } catch (err) {
+            if (err.name === 'NoSuchKey') return null;
+            throw err;
+        }
+    },
+    async remove(key) {
+        await getClient().send(new DeleteObjectCommand({ Bucket: bucket(), Key: key }));
+    },
+};
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import SubjectTest from '../models/subjectTest.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import DeliveryRecord from '../models/deliveryRecord.model.js';
+import TrackingEvent from '../models/trackingEvent.model.js';
+import Notification from '../models/notification.model.js';
+import User from '../models/user.model.js';
+import { queueNewsletterDelivery } from './newsletterDelivery.js';
+import { SENDABLE_STATUSES } from './newsletterWorkflow.js';
+import { DEFAULT_LANGUAGE } from './languages.js';
+import { listSendableLanguages } from './newsletterTranslations.js';
+
+const WORKER_INTERVAL_MS = 60 * 1000;
+export const MAX_VARIANTS = 4;
+
+const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Returns a message describing what is wrong with the requested test, or null when it is valid.
+export const getSubjectTestError = ({ subjects, testPercent, waitHours }, recipientCount) => {
+    if (!Array.isArray(subjects) || subjects.length < 2 || subjects.length > MAX_VARIANTS) {
+        return `A subject test needs between 2 and ${MAX_VARIANTS} subject lines.`;
+    }
+    const trimmed = subjects.map(subject => String(subject || '').trim());
+    if (trimmed.some(subject => !subject)) {
+        return 'Subject lines cannot be empty.';
+    }
+    if (new Set(trimmed).size !== trimmed.length) {
+        return 'Each subject line must be different.';
+    }
+    if (!Number.isInteger(testPercent) || testPercent < 1 || testPercent > 100) {
+        return 'The test group must be between 1% and 100% of the recipients.';
+    }
+    if (!Number.isInteger(waitHours) || waitHours < 1 || waitHours > 72) {
+        return 'The test must run for between 1 and 72 hours.';
+    }
+    if (recipientCount < subjects.length) {
+        return 'Select at least one recipient per subject line who reads the original language.';
+    }
+    return null;
+};
+
+/**
+ * Separates the recipients who get a translation from those who get the original. The subject
+ * lines under test are in the original language, so only its readers take part in the test; the
+ * others get their translation with its own subject. Returns `{ tested, translated }` user ids.
+ */
+export const splitSubjectTestRecipients = async (newsletter, userIds) => {
+    const ids = [...new Set(userIds.map(String))];
+    const languages = [...await listSendableLanguages(newsletter)].filter(language => language !== DEFAULT_LANGUAGE);
+    const readers = languages.length > 0
+        ? await User.find({ _id: { $in: ids }, preferredLanguage: { $in: languages } }).select('_id')
+        : [];
+    const translated = new Set(readers.map(reader => String(reader._id)));
+    return { tested: ids.filter(id => !translated.has(id)), translated: [...translated] };
+};
+
+/**
+ * Splits the recipients at random: `testPercent` of them is divided evenly between the subject
+ * variants and queued now, the rest is held back until the test is decided.
+ */
+export const startSubjectTest = async (newsletter, userIds, { subjects, testPercent, waitHours, by }) => {
+    const recipients = shuffle([...new Set(userIds.map(String))]);
+    const testSize = Math.min(recipients.length, Math.max(subjects.length, Math.round(recipients.length * testPercent / 100)));
+    const testGroup = recipients.slice(0, testSize);
+
+    const test = await SubjectTest.create({
+        newsletter: newsletter._id,
+        category: newsletter.category,
+        variants: subjects.map(subject => ({ subject: subject.trim() })),
+        testPercent,
+        waitHours,
+        holdout: recipients.slice(testSize),
+        decideAt: new Date(Date.now() + waitHours * 60 * 60 * 1000),
+        createdBy: by,
+    });
+
+    let queued = 0;
+    for (const [variant, { subject }] of test.variants.entries()) {
+        const slice = testGroup.filter((_, index) => index % subjects.length === variant);
+        queued += await queueNewsletterDelivery(newsletter, slice, { subject, subjectTest: test._id, variant });
+    }
+    return { test, queued };
+};
+
+/**
+ * Per-variant sends and unique opens of the test slices. A click counts as an open, as it does in
+ * the newsletter stats, because it proves the email was opened even with images blocked.
+ */
+export const getVariantResults = async (test) => {
+    const records = await DeliveryRecord.find({ subjectTest: test._id, status: 'sent' }).select('variant');
+    const opened = new Set((await TrackingEvent.distinct('delivery', { newsletter: test.newsletter, delivery: { $in: records.map(r => r._id) } })).map(String));
+    return test.variants.map(({ subject }, index) => {
+        const variantRecords = records.filter(record => record.variant === index);
+        const opens = variantRecords.filter(record => opened.has(String(record._id))).length;
+        return { subject, sent: variantRecords.length, opens, openRate: variantRecords.length > 0 ? opens / variantRecords.length : 0 };
+    });
+};
+
+// Highest open rate wins; on a tie the earlier variant is kept.
+const pickWinner = (results) => results.reduce((best, result, index) => (result.openRate > results[best].openRate ? index : best), 0);
+
+const settleSubjectTest = async (test) => {
+    const results = await getVariantResults(test);
+    const winner = pickWinner(results);
+    const newsletter = await Newsletter.findById(test.newsletter);
+
+    test.variants.forEach((variant, index) => {
+        variant.sent = results[index].sent;
+        variant.opens = results[index].opens;
+    });
+    test.winner = winner;
+    if (!newsletter || !SENDABLE_STATUSES.includes(newsletter.status)) {
+        test.status = 'cancelled';
+        return test.save();
+    }
+
+    // Queued before the test is marked completed; a retry after a failure skips anyone already queued.
+    const { subject } = test.variants[winner];
+    const queued = test.holdout.length > 0 ? await queueNewsletterDelivery(newsletter, test.holdout, { subject }) : 0;
+    test.status = 'completed';
+    await test.save();
+    console.log(`[SUBJECT TEST] "${newsletter.title}": variant ${winner + 1} won, queued for ${queued} remaining recipient(s).`);
+
+    if (test.createdBy) {
+        await Notification.create({
+            user: test.createdBy,
+            newsletter: newsletter._id,
+            message: `Subject test for "${newsletter.title}" finished. "${subject}" won with ${(results[winner].openRate * 100).toFixed(1)}% opens${queued > 0 ? ` and is going out to ${queued} more recipient(s)` : ''}.`,
+            actionUrl: '/dashboard?tab=generated-newsletters'
+        });
+    }
+    return test;
+};
+
+/**
+ * Stores the final results, picks the winner and queues it for the held-back recipients. Returns
+ * null when the test was already decided, by the worker or by an editor ending it early.
+ */
+export const decideSubjectTest = async (testId) => {
+    // Claiming the test first means the worker and a manual decision cannot both send the winner.
+    const test = await SubjectTest.findOneAndUpdate(
+        { _id: testId, status: 'testing', decidedAt: null },
+        { decidedAt: new Date() },
+        { new: true }
+    );
+    if (!test) return null;
+    try {
+        return await settleSubjectTest(test);
+    } catch (err) {
+        // Release the claim so the next worker tick tries again.
+        await SubjectTest.updateOne({ _id: test._id, status: 'testing' }, { $unset: { decidedAt: 1 } });
+        throw err;
+    }
+};
+
+let isWorkerRunning = false;
+
+const tick = async () => {
+    if (isWorkerRunning) return;
+    isWorkerRunning = true;
+    try {
+        const dueTests = await SubjectTest.find({ status: 'testing', decideAt: { $lte: new Date() } }).select('_id');
+        for (const test of dueTests) {
+            try {
+                await decideSubjectTest(test._id);
+            } catch (err) {
+                console.error(`[SUBJECT TEST] Deciding test ${test._id} failed:`, err);
+            }
+        }
+    } catch (err) {
+        console.error('[SUBJECT TEST] Worker tick failed:', err);
+    } finally {
+        isWorkerRunning = false;
+    }
+};
+
+export const startSubjectTestWorker = () => {
+    setInterval(tick, WORKER_INTERVAL_MS);
+    console.log("🧪 Subject test worker started.");
+};
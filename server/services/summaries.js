@@ -0,0 +1,134 @@
+import { addDays } from 'date-fns';
+import Category from '../models/category.model.js';
+import CuratedArticle from '../models/article.model.js';
+import SummaryCache from '../models/summaryCache.model.js';
+import { ExtractionError, extractArticle } from './articleExtraction.js';
+import { generateText } from './ai/index.js';
+import { normalizeUrl } from './news/index.js';
+
+// Each page's text is capped so several outlets' versions of a story still fit one prompt.
+export const MAX_SUMMARY_URLS = 5;
+const MAX_TEXT_PER_ARTICLE = 12000;
+// A summary of the full article stays good; one made from a snippet is retried the next day,
+// when the page may have become readable.
+const ARTICLE_CACHE_DAYS = 30;
+const SNIPPET_CACHE_DAYS = 1;
+
+export const DEFAULT_SUMMARY_STYLE = 'standard';
+
+export const SUMMARY_STYLES = {
+    standard: {
+        label: 'Standard',
+        description: 'Two or three paragraphs for a professional audience.',
+        instruction: '- Approximately 2-3 paragraphs long.',
+    },
+    'one-liner': {
+        label: 'One-liner',
+        description: 'A single sentence of at most 30 words.',
+        instruction: '- A single sentence of at most 30 words, stating what happened and why it matters.',
+    },
+    bullets: {
+        label: 'Bullet points',
+        description: 'Three to five short bullet points.',
+        instruction: '- Three to five bullet points, each one line starting with "- ". No introduction or closing line.',
+    },
+    'executive-brief': {
+        label: 'Executive brief',
+        description: 'A one-sentence takeaway followed by the key facts and what to watch.',
+        instruction: '- An executive brief: one sentence with the main takeaway, then a short paragraph with the key facts and figures, then one sentence on what to watch next.',
+    },
+    'long-form': {
+        label: 'Long form',
+        description: 'Four to six paragraphs covering background and implications.',
+        instruction: '- Approximately 4-6 paragraphs covering the background, the key findings and their implications.',
+    },
+};
+
+export const isSummaryStyle = (style) => Object.hasOwn(SUMMARY_STYLES, style);
+
+export const listSummaryStyles = () => Object.entries(SUMMARY_STYLES)
+    .map(([name, { label, description }]) => ({ name, label, description }));
+
+/**
+ * Picks the style for a summary: an explicit request wins, then the category's default.
+ */
+export const resolveSummaryStyle = async (requestedStyle, categoryName) => {
+    if (requestedStyle) return requestedStyle;
+    const category = categoryName ? await Category.findOne({ name: categoryName }).select('summaryStyle') : null;
+    return (category && category.summaryStyle) || DEFAULT_SUMMARY_STYLE;
+};
+
+const createSummaryPrompt = (text, style, source) => {
+    // A snippet is a sentence or two; asking for paragraphs from it only produces padding.
+    const length = source === 'snippet' && (style === 'standard' || style === 'long-form')
+        ? '- One short paragraph.'
+        : SUMMARY_STYLES[style].instruction;
+    const excerptNote = source === 'snippet' ? '\n            - The text is only a short excerpt, so do not add facts it does not state.' : '';
+    return `
+            Generate a professional, newsletter-style summary of the following text.
+
+            The summary must be:
+            ${length}${excerptNote}
+            - Engaging and informative for a professional audience.
+            - It must capture the main topic, key findings, and important conclusions.
+            - The tone should be objective and clear.
+            - Written in English, whatever the language of the text.
+            - Do not start with conversational phrases.
+
+            TEXT:
+            """
+            ${text}
+            """
+
+            SUMMARY:
+        `;
+};
+
+/**
+ * Summarizes a story from the full text of its pages, or from `text` (usually the provider's
+ * snippet) when none of them can be read. Summaries are cached by the first URL and the style,
+ * so asking again costs nothing. Returns `{ summary, source, extractionError, cached }`, where
+ * `source` is 'article' or 'snippet'; throws an ExtractionError when there is nothing to summarize.
+ */
+export const summarizeStory = async ({ urls = [], text: fallbackText, style = DEFAULT_SUMMARY_STYLE, user, category }) => {
+    const cacheKey = urls.length > 0 ? { url: normalizeUrl(urls[0]), style } : null;
+    if (cacheKey) {
+        const hit = await SummaryCache.findOne({ ...cacheKey, expiresAt: { $gt: new Date() } }).lean();
+        if (hit) return { summary: hit.summary, source: hit.source, extractionError: hit.extractionError, cached: true };
+    }
+
+    const extractions = await Promise.allSettled(urls.map(url => extractArticle(url)));
+    const extracted = extractions
+        .map((result, index) => ({ url: urls[index], result }))
+        .filter(({ result }) => result.status === 'fulfilled')
+        .map(({ url, result }) => ({ url, text: result.value.text }));
+    const extractionError = extractions.find(result => result.status === 'rejected')?.reason.message;
+
+    let text;
+    let source;
+    if (extracted.length > 0) {
+        source = 'article';
+        text = extracted.length === 1
+            ? extracted[0].text.slice(0, MAX_TEXT_PER_ARTICLE)
+            : `The same story as reported by ${extracted.length} outlets.\n\n${extracted.map(({ url, text }) => `SOURCE: ${new URL(url).hostname}\n${text.slice(0, MAX_TEXT_PER_ARTICLE)}`).join('\n\n')}`;
+    } else if (fallbackText) {
+        source = 'snippet';
+        text = fallbackText;
+    } else {
+        throw new ExtractionError(`The article could not be read: ${extractionError}`);
+    }
+
+    const summary = await generateText(createSummaryPrompt(text, style, source), { operation: 'summarize', user, category });
+    const result = { summary, source, extractionError: source === 'snippet' ? extractionError : undefined };
+
+    // Saved copies that still only have the snippet get the text we just read.
+    await Promise.all(extracted.map(({ url, text: content }) => CuratedArticle.updateMany(
+        { originalUrl: url, contentExtractedAt: { $exists: false } },
+        { $set: { content, contentExtractedAt: new Date() }, $unset: { contentExtractionError: 1 } },
+    )));
+    if (cacheKey) {
+        const expiresAt = addDays(new Date(), source === 'article' ? ARTICLE_CACHE_DAYS : SNIPPET_CACHE_DAYS);
+        await SummaryCache.replaceOne(cacheKey, { ...cacheKey, ...result, expiresAt }, { upsert: true });
+    }
+    return { ...result, cached: false };
+};
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import TrackingEvent from '../models/trackingEvent.model.js';
+import DeliveryRecord from '../models/deliveryRecord.model.js';
+import { escapeHtml } from '../templates/helpers.js';
+import { getAppUrl } from './unsubscribe.js';
+
+// A 1x1 transparent GIF.
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const getSecret = () => process.env.TRACKING_SECRET || process.env.JWT_SECRET;
+
+// Short HMAC so tracking URLs cannot be forged to inflate another newsletter's stats.
+const sign = (...parts) => crypto.createHmac('sha256', getSecret()).update(parts.join(':')).digest('base64url').slice(0, 22);
+
+export const isValidSignature = (signature, ...parts) => {
+    const expected = Buffer.from(sign(...parts));
+    const given = Buffer.from(String(signature || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+export const getOpenPixelUrl = (deliveryId) =>
+    `${getAppUrl()}/api/track/open/${deliveryId}?s=${sign(deliveryId, 'open')}`;
+
+export const getClickUrl = (deliveryId, articleId) =>
+    `${getAppUrl()}/api/track/click/${deliveryId}/${articleId}?s=${sign(deliveryId, articleId)}`;
+
+/**
+ * Points every link to one of the newsletter's articles at the click redirect and appends the
+ * open pixel. Links are matched on the article's originalUrl, raw or HTML-escaped, so it works
+ * for both template-rendered and AI-designed HTML. Other links are left untouched.
+ */
+export const applyTracking = (html, deliveryId, articles) => {
+    let trackedHtml = articles.reduce((result, article) => {
+        const clickUrl = getClickUrl(deliveryId, article._id);
+        return [article.originalUrl, escapeHtml(article.originalUrl)]
+            .reduce((acc, url) => acc.split(`href="${url}"`).join(`href="${clickUrl}"`), result);
+    }, html);
+
+    const pixel = `<img src="${getOpenPixelUrl(deliveryId)}" width="1" height="1" alt="" style="display: block; border: 0;">`;
+    trackedHtml = trackedHtml.includes('</body>') ? trackedHtml.replace('</body>', `${pixel}</body>`) : trackedHtml + pixel;
+    return trackedHtml;
+};
+
+export const recordTrackingEvent = async (type, deliveryId, articleId) => {
+    const delivery = await DeliveryRecord.findById(deliveryId).select('newsletter user');
+    if (!delivery) return;
+    await TrackingEvent.create({ newsletter: delivery.newsletter, delivery: delivery._id, user: delivery.user, type, article: articleId });
+};
+
+/**
+ * Open and click rates are per unique recipient; top articles are ranked by total clicks.
+ */
+export const getNewsletterStats = async (newsletterId) => {
+    const id = new mongoose.Types.ObjectId(String(newsletterId));
+    const [delivered, openers, clickers, totalClicks, topArticles] = await Promise.all([
+        DeliveryRecord.countDocuments({ newsletter: id, status: 'sent' }),
+        TrackingEvent.distinct('user', { newsletter: id, type: 'open' }),
+        TrackingEvent.distinct('user', { newsletter: id, type: 'click' }),
+        TrackingEvent.countDocuments({ newsletter: id, type: 'click' }),
+        TrackingEvent.aggregate([
+            { $match: { newsletter: id, type: 'click' } },
+            { $group: { _id: '$article', clicks: { $sum: 1 }, clickers: { $addToSet: '$user' } } },
+            { $sort: { clicks: -1 } },
+            { $limit: 5 },
+            { $lookup: { from: 'curatedarticles', localField: '_id', foreignField: '_id', as: 'article' } },
+            { $project: { _id: 0, articleId: '$_id', clicks: 1, uniqueClicks: { $size: '$clickers' }, title: { $first: '$article.title' } } }
+        ]),
+    ]);
+    // Clicking a link proves the email was opened even when images were blocked.
+    const uniqueOpens = new Set([...openers, ...clickers].map(String)).size;
+    return {
+        delivered,
+        uniqueOpens,
+        uniqueClicks: clickers.length,
+        totalClicks,
+        openRate: delivered > 0 ? uniqueOpens / delivered : 0,
+        clickRate: delivered > 0 ? clickers.length / delivered : 0,
+        topArticles,
+    };
+};
@@ -0,0 +1,53 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/user.model.js';
+import UnsubscribeEvent from '../models/unsubscribeEvent.model.js';
+
+const TOKEN_PURPOSE = 'unsubscribe';
+
+const getSecret = () => process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+
+export const getAppUrl = () => (process.env.APP_URL || 'http://localhost:8080').replace(/\/$/, '');
+
+/**
+ * Signs a per-recipient unsubscribe token. It deliberately has no expiry: the link in an old
+ * issue should keep working for as long as the subscriber keeps the email.
+ */
+export const createUnsubscribeToken = (userId, category, newsletterId) =>
+    jwt.sign({ purpose: TOKEN_PURPOSE, sub: String(userId), cat: category, nl: newsletterId && String(newsletterId) }, getSecret());
+
+// Returns `{ userId, category, newsletterId }`, or null when the token is malformed or forged.
+export const verifyUnsubscribeToken = (token) => {
+    try {
+        const payload = jwt.verify(token, getSecret());
+        if (payload.purpose !== TOKEN_PURPOSE) return null;
+        return { userId: payload.sub, category: payload.cat, newsletterId: payload.nl };
+    } catch {
+        return null;
+    }
+};
+
+export const getUnsubscribeLinks = (userId, category, newsletterId) => {
+    const token = encodeURIComponent(createUnsubscribeToken(userId, category, newsletterId));
+    return {
+        pageUrl: `${getAppUrl()}/unsubscribe?token=${token}`,
+        oneClickUrl: `${getAppUrl()}/api/unsubscribe/one-click?token=${token}`,
+    };
+};
+
+/**
+ * Removes the user from one category (or all of them) and records the event for churn stats.
+ * Returns the categories that were removed; unsubscribing twice is a harmless no-op.
+ */
+export const unsubscribeUser = async ({ userId, category, newsletterId }, scope, source) => {
+    const user = await User.findById(userId).select('email categories');
+    if (!user) return null;
+
+    const removed = scope === 'all' ? [...user.categories] : user.categories.filter(c => c === category);
+    if (removed.length === 0) return [];
+
+    user.categories = user.categories.filter(c => !removed.includes(c));
+    await user.save();
+    await UnsubscribeEvent.create({ user: user._id, email: user.email, categories: removed, scope, source, newsletter: newsletterId });
+    console.log(`[UNSUBSCRIBE] ${user.email} left ${removed.join(', ')} (${source}).`);
+    return removed;
+};
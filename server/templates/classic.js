@@ -0,0 +1,43 @@
+import { escapeHtml, formatIssueDate, renderButton, renderDocument, renderFlyer, renderFooter, renderHighlights, renderParagraphs } from './helpers.js';
+import { resolveLabels } from './labels.js';
+
+// Single column, one card per article with its image above the headline.
+const renderArticle = (article, labels) => `
+    <tr>
+        <td style="padding: 0 30px 30px 30px;">
+            ${article.imageUrl ? `<img src="${escapeHtml(article.imageUrl)}" alt="${escapeHtml(article.title)}" style="width: 100%; height: auto; display: block; border-radius: 5px; margin-bottom: 15px;">` : ''}
+            <h2 style="margin: 0 0 8px 0; font-size: 22px; color: #333333;">${escapeHtml(article.title)}</h2>
+            ${article.sourceName ? `<p style="margin: 0 0 12px 0; font-size: 13px; color: #999999;">${escapeHtml(article.sourceName)}</p>` : ''}
+            <div style="font-size: 15px; line-height: 1.6; color: #555555;">${renderParagraphs(article.summary || article.description)}</div>
+            ${renderButton(article.originalUrl, labels.readMore)}
+        </td>
+    </tr>`;
+
+export default {
+    name: 'classic',
+    label: 'Classic',
+    description: 'Single column with a full-width image above each article.',
+    render: ({ title, issueDate, intro, highlights, flyerImageUrl, articles, language, labels: storedLabels }) => {
+        const labels = resolveLabels(storedLabels);
+        return renderDocument(title, `
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4;">
+    <tr>
+        <td align="center" style="padding: 20px 10px;">
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width: 680px; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 6px rgba(0,0,0,0.08);">
+                <tr>
+                    <td style="padding: 30px 30px 20px 30px;">
+                        <h1 style="margin: 0; font-size: 32px; color: #333333;">${escapeHtml(title)}</h1>
+                        <p style="margin: 8px 0 0 0; font-size: 14px; color: #999999;">${formatIssueDate(issueDate, language)}</p>
+                    </td>
+                </tr>
+                <tr><td style="padding: 0 30px;">${renderFlyer(flyerImageUrl)}</td></tr>
+                ${intro ? `<tr><td style="padding: 0 30px 20px 30px; font-size: 16px; line-height: 1.6; color: #444444;">${renderParagraphs(intro)}</td></tr>` : ''}
+                ${highlights && highlights.items && highlights.items.length > 0 ? `<tr><td style="padding: 0 30px 10px 30px;">${renderHighlights(highlights, labels)}</td></tr>` : ''}
+                ${articles.map(article => renderArticle(article, labels)).join('')}
+                <tr><td>${renderFooter(labels)}</td></tr>
+            </table>
+        </td>
+    </tr>
+</table>`, labels, language);
+    },
+};
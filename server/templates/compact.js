@@ -0,0 +1,42 @@
+import { escapeHtml, formatIssueDate, renderDocument, renderFlyer, renderFooter, renderHighlights, renderParagraphs } from './helpers.js';
+import { formatLabel, resolveLabels } from './labels.js';
+
+// A text-first digest: numbered headlines with their summaries and no article images.
+const renderArticle = (article, index, labels) => `
+    <tr>
+        <td style="padding: 16px 30px; border-top: 1px solid #eeeeee;">
+            <p style="margin: 0 0 4px 0; font-size: 12px; color: #999999; text-transform: uppercase; letter-spacing: 1px;">${index + 1}${article.sourceName ? ` &middot; ${escapeHtml(article.sourceName)}` : ''}</p>
+            <h2 style="margin: 0 0 8px 0; font-size: 18px;"><a href="${escapeHtml(article.originalUrl)}" style="color: #1a1a1a; text-decoration: none;">${escapeHtml(article.title)}</a></h2>
+            <div style="font-size: 14px; line-height: 1.6; color: #555555;">${renderParagraphs(article.summary || article.description)}</div>
+            <a href="${escapeHtml(article.originalUrl)}" style="font-size: 14px; color: #007bff; text-decoration: none;">${escapeHtml(labels.readMore)} &rarr;</a>
+        </td>
+    </tr>`;
+
+export default {
+    name: 'compact',
+    label: 'Compact Digest',
+    description: 'Numbered headlines with summaries, no article images. Best for daily digests.',
+    render: ({ title, issueDate, intro, highlights, flyerImageUrl, articles, language, labels: storedLabels }) => {
+        const labels = resolveLabels(storedLabels);
+        return renderDocument(title, `
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4;">
+    <tr>
+        <td align="center" style="padding: 20px 10px;">
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; background-color: #ffffff; border-radius: 8px;">
+                <tr>
+                    <td style="padding: 24px 30px 16px 30px;">
+                        <h1 style="margin: 0; font-size: 26px; color: #1a1a1a;">${escapeHtml(title)}</h1>
+                        <p style="margin: 6px 0 0 0; font-size: 13px; color: #999999;">${formatIssueDate(issueDate, language)} &middot; ${escapeHtml(formatLabel(labels.storyCount, { count: articles.length }))}</p>
+                    </td>
+                </tr>
+                ${flyerImageUrl ? `<tr><td style="padding: 0 30px;">${renderFlyer(flyerImageUrl)}</td></tr>` : ''}
+                ${intro ? `<tr><td style="padding: 0 30px 16px 30px; font-size: 15px; line-height: 1.6; color: #444444;">${renderParagraphs(intro)}</td></tr>` : ''}
+                ${highlights && highlights.items && highlights.items.length > 0 ? `<tr><td style="padding: 0 30px 16px 30px;">${renderHighlights(highlights, labels)}</td></tr>` : ''}
+                ${articles.map((article, index) => renderArticle(article, index, labels)).join('')}
+                <tr><td>${renderFooter(labels)}</td></tr>
+            </table>
+        </td>
+    </tr>
+</table>`, labels, language);
+    },
+};
@@ -0,0 +1,69 @@
+import { format } from 'date-fns';
+import { DEFAULT_LANGUAGE, isRightToLeft } from '../services/languages.js';
+import { DEFAULT_LABELS } from './labels.js';
+
+export const escapeHtml = (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// English keeps its long-standing format; other languages use their own way of writing dates.
+export const formatIssueDate = (date, language = DEFAULT_LANGUAGE) => (language === DEFAULT_LANGUAGE
+    ? format(new Date(date), 'MMMM do, yyyy')
+    : new Intl.DateTimeFormat(language, { dateStyle: 'long' }).format(new Date(date)));
+
+// Summaries are stored as plain text with blank lines between paragraphs.
+export const renderParagraphs = (text = '', style = '') => String(text)
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p style="margin: 0 0 12px 0; ${style}">${escapeHtml(paragraph)}</p>`)
+    .join('');
+
+export const renderButton = (href, label, color = '#007bff') =>
+    `<a href="${escapeHtml(href)}" style="display: inline-block; padding: 10px 18px; background-color: ${color}; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 14px;">${escapeHtml(label)}</a>`;
+
+export const renderFlyer = (flyerImageUrl) => flyerImageUrl
+    ? `<img src="${escapeHtml(flyerImageUrl)}" alt="Flyer Image" style="max-width: 100%; height: auto; display: block; margin-bottom: 20px; border-radius: 5px;">`
+    : '';
+
+// The editor's "This week in ..." box: one linked sentence per story.
+export const renderHighlights = (highlights, labels = DEFAULT_LABELS, accent = '#007bff') => {
+    if (!highlights || !highlights.items || highlights.items.length === 0) return '';
+    return `
+    <div style="margin: 0 0 20px 0; padding: 16px 20px; background-color: #f7f9fc; border-left: 4px solid ${accent}; border-radius: 4px;">
+        <h3 style="margin: 0 0 10px 0; font-size: 16px; color: #333333;">${escapeHtml(highlights.heading)}</h3>
+        <ul style="margin: 0; padding: 0 0 0 18px; font-size: 14px; line-height: 1.6; color: #444444;">
+            ${highlights.items.map(item => `<li style="margin: 0 0 6px 0;">${escapeHtml(item.text)} <a href="${escapeHtml(item.url)}" style="color: ${accent}; text-decoration: none;">${escapeHtml(labels.highlightLink)} &rarr;</a></li>`).join('')}
+        </ul>
+    </div>`;
+};
+
+// Replaced per recipient at send time with their signed unsubscribe link.
+export const UNSUBSCRIBE_URL_PLACEHOLDER = '{{unsubscribeUrl}}';
+
+export const renderFooter = (labels = DEFAULT_LABELS) => `
+    <div style="text-align: center; padding: 20px; font-size: 12px; color: #777777;">
+        <p>Company Name | 123 Main St, Anytown, USA</p>
+        <p><a href="${UNSUBSCRIBE_URL_PLACEHOLDER}" style="color: #007bff; text-decoration: none;">${escapeHtml(labels.unsubscribe)}</a></p>
+        <div>
+            <a href="https://twitter.com" style="margin: 0 5px;"><img src="https://img.icons8.com/color/48/000000/twitter.png" alt="Twitter" style="width: 24px; height: 24px;"></a>
+            <a href="https://linkedin.com" style="margin: 0 5px;"><img src="https://img.icons8.com/color/48/000000/linkedin.png" alt="LinkedIn" style="width: 24px; height: 24px;"></a>
+            <a href="https://facebook.com" style="margin: 0 5px;"><img src="https://img.icons8.com/color/48/000000/facebook-new.png" alt="Facebook" style="width: 24px; height: 24px;"></a>
+        </div>
+    </div>`;
+
+export const renderDocument = (title, body, labels = DEFAULT_LABELS, language = DEFAULT_LANGUAGE) => `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}"${isRightToLeft(language) ? ' dir="rtl"' : ''}>
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f4f4; font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif;">
+<div style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(labels.preheader)}</div>
+${body}
+</body>
+</html>`;
@@ -0,0 +1,34 @@
+import classic from './classic.js';
+import compact from './compact.js';
+import magazine from './magazine.js';
+import { UNSUBSCRIBE_URL_PLACEHOLDER } from './helpers.js';
+import { DEFAULT_LABELS, formatLabel, resolveLabels } from './labels.js';
+import { renderPlainText } from './text.js';
+
+export { DEFAULT_LABELS, UNSUBSCRIBE_URL_PLACEHOLDER, formatLabel, renderPlainText, resolveLabels };
+
+// 'ai' is not a layout: it asks Gemini to design the whole email, as before templates existed.
+export const AI_TEMPLATE = 'ai';
+
+const TEMPLATES = { classic, compact, magazine };
+
+export const listTemplates = () => [
+    { name: AI_TEMPLATE, label: 'AI Designed', description: 'Gemini designs the whole email on every run. Layout varies between issues.' },
+    ...Object.values(TEMPLATES).map(({ name, label, description }) => ({ name, label, description })),
+];
+
+export const isKnownTemplate = (name) => name === AI_TEMPLATE || Boolean(TEMPLATES[name]);
+
+/**
+ * Renders a named layout. Given the same data the output is identical, which is what makes
+ * stored newsletters re-renderable. Translated variants pass their `language` and `labels`.
+ */
+export const renderTemplate = (name, { title, issueDate, intro, highlights, flyerImageUrl, articles, language, labels }) => {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown newsletter template "${name}".`);
+    }
+    return template.render({ title, issueDate, intro, highlights, flyerImageUrl, articles, language, labels });
+};
+
+export const applyUnsubscribeUrl = (html, unsubscribeUrl) => html.split(UNSUBSCRIBE_URL_PLACEHOLDER).join(unsubscribeUrl);
@@ -0,0 +1,26 @@
+// Every fixed piece of text around the articles, in the newsletter's own language. Translated
+// variants store their own copy; words in braces are filled in when the text is used.
+export const DEFAULT_LABELS = {
+    preheader: 'Your weekly dose of insightful news.',
+    readMore: 'Read More',
+    readFullStory: 'Read the Full Story',
+    topStory: 'Top Story',
+    storyCount: '{count} stories',
+    highlightLink: 'Read',
+    source: 'Source',
+    unsubscribe: 'Unsubscribe',
+    subject: 'Your Newsletter: {title}',
+    viewInBrowser: 'View this issue in your browser',
+    greeting: 'Hello,',
+    issueIntro: 'Your latest issue of {title} is here. This edition is packed with curated articles and insights to keep you informed on the topics you care about.',
+    closing: 'We hope you find this issue valuable. Thank you for being a valued subscriber.',
+    signOff: 'Best regards,',
+    team: 'The NewsLetterAI Team',
+    subscribedTo: 'You are receiving this because you subscribed to {category}.',
+};
+
+// Stored labels may predate a key; missing ones fall back to the default text.
+export const resolveLabels = (labels) => ({ ...DEFAULT_LABELS, ...(labels || {}) });
+
+export const formatLabel = (label, values = {}) => String(label)
+    .replace(/\{(\w+)\}/g, (match, key) => (Object.hasOwn(values, key) ? String(values[key]) : match));
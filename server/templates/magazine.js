@@ -0,0 +1,61 @@
+import { escapeHtml, formatIssueDate, renderButton, renderDocument, renderFlyer, renderFooter, renderHighlights, renderParagraphs } from './helpers.js';
+import { resolveLabels } from './labels.js';
+
+// The first article is featured at full width; the rest follow as rows with a thumbnail on the left.
+const renderFeatured = (article, labels) => `
+    <tr>
+        <td style="padding: 0 30px 24px 30px;">
+            ${article.imageUrl ? `<img src="${escapeHtml(article.imageUrl)}" alt="${escapeHtml(article.title)}" style="width: 100%; height: auto; display: block; border-radius: 6px; margin-bottom: 16px;">` : ''}
+            <p style="margin: 0 0 6px 0; font-size: 12px; font-weight: bold; color: #e4572e; text-transform: uppercase; letter-spacing: 1px;">${escapeHtml(labels.topStory)}</p>
+            <h2 style="margin: 0 0 10px 0; font-size: 26px; color: #222222;">${escapeHtml(article.title)}</h2>
+            <div style="font-size: 15px; line-height: 1.6; color: #555555;">${renderParagraphs(article.summary || article.description)}</div>
+            ${renderButton(article.originalUrl, labels.readFullStory, '#e4572e')}
+        </td>
+    </tr>`;
+
+const renderRow = (article, labels) => `
+    <tr>
+        <td style="padding: 16px 30px; border-top: 1px solid #eeeeee;">
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+                <tr>
+                    ${article.imageUrl ? `<td width="140" valign="top" style="padding-right: 16px;"><img src="${escapeHtml(article.imageUrl)}" alt="${escapeHtml(article.title)}" width="140" style="width: 140px; height: auto; display: block; border-radius: 4px;"></td>` : ''}
+                    <td valign="top">
+                        <h3 style="margin: 0 0 6px 0; font-size: 18px; color: #222222;">${escapeHtml(article.title)}</h3>
+                        ${article.sourceName ? `<p style="margin: 0 0 8px 0; font-size: 12px; color: #999999;">${escapeHtml(article.sourceName)}</p>` : ''}
+                        <div style="font-size: 14px; line-height: 1.5; color: #555555;">${renderParagraphs(article.summary || article.description)}</div>
+                        <a href="${escapeHtml(article.originalUrl)}" style="font-size: 14px; font-weight: bold; color: #e4572e; text-decoration: none;">${escapeHtml(labels.readMore)}</a>
+                    </td>
+                </tr>
+            </table>
+        </td>
+    </tr>`;
+
+export default {
+    name: 'magazine',
+    label: 'Magazine',
+    description: 'A featured top story followed by compact rows with thumbnails.',
+    render: ({ title, issueDate, intro, highlights, flyerImageUrl, articles, language, labels: storedLabels }) => {
+        const labels = resolveLabels(storedLabels);
+        return renderDocument(title, `
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4;">
+    <tr>
+        <td align="center" style="padding: 20px 10px;">
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width: 680px; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 6px rgba(0,0,0,0.08);">
+                <tr>
+                    <td style="padding: 30px; background-color: #222222; border-radius: 8px 8px 0 0;">
+                        <h1 style="margin: 0; font-size: 30px; color: #ffffff;">${escapeHtml(title)}</h1>
+                        <p style="margin: 8px 0 0 0; font-size: 14px; color: #bbbbbb;">${formatIssueDate(issueDate, language)}</p>
+                    </td>
+                </tr>
+                <tr><td style="padding: 24px 30px 0 30px;">${renderFlyer(flyerImageUrl)}</td></tr>
+                ${intro ? `<tr><td style="padding: 0 30px 20px 30px; font-size: 16px; line-height: 1.6; color: #444444;">${renderParagraphs(intro)}</td></tr>` : ''}
+                ${highlights && highlights.items && highlights.items.length > 0 ? `<tr><td style="padding: 0 30px 10px 30px;">${renderHighlights(highlights, labels)}</td></tr>` : ''}
+                ${articles.length > 0 ? renderFeatured(articles[0], labels) : ''}
+                ${articles.slice(1).map(article => renderRow(article, labels)).join('')}
+                <tr><td>${renderFooter(labels)}</td></tr>
+            </table>
+        </td>
+    </tr>
+</table>`, labels, language);
+    },
+};
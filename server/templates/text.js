@@ -0,0 +1,40 @@
+import { formatIssueDate, UNSUBSCRIBE_URL_PLACEHOLDER } from './helpers.js';
+import { resolveLabels } from './labels.js';
+
+// Summaries are stored as plain text already; only collapse runs of blank lines.
+const renderParagraphs = (text = '') => String(text)
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .join('\n\n');
+
+const underline = (text, char) => `${text}\n${char.repeat(Math.min(text.length, 72))}`;
+
+const renderArticle = (article, index, labels) => [
+    underline(`${index + 1}. ${article.title}`, '-'),
+    article.sourceName ? `${labels.source}: ${article.sourceName}` : null,
+    renderParagraphs(article.summary || article.description),
+    `${labels.readMore}: ${article.originalUrl}`,
+].filter(Boolean).join('\n\n');
+
+const renderHighlights = (highlights) => [
+    underline(highlights.heading, '-'),
+    ...highlights.items.map(item => `* ${item.text}\n  ${item.url}`),
+].join('\n');
+
+/**
+ * The text/plain alternative of a newsletter, built from its articles rather than from the HTML
+ * so it reads the same whichever layout (or AI design) the issue uses. Copies that are not sent to
+ * anyone leave out the unsubscribe line.
+ */
+export const renderPlainText = ({ title, issueDate, intro, highlights, articles, language, labels: storedLabels }, { unsubscribeLink = true } = {}) => {
+    const labels = resolveLabels(storedLabels);
+    return [
+        underline(title, '='),
+        issueDate ? formatIssueDate(issueDate, language) : null,
+        intro ? renderParagraphs(intro) : null,
+        highlights && highlights.items && highlights.items.length > 0 ? renderHighlights(highlights) : null,
+        ...articles.map((article, index) => renderArticle(article, index, labels)),
+        unsubscribeLink ? `--\n${labels.unsubscribe}: ${UNSUBSCRIBE_URL_PLACEHOLDER}` : null,
+    ].filter(Boolean).join('\n\n') + '\n';
+};
@@ -11,6 +11,8 @@ import Login from "./pages/Login";
 import Signup from "./pages/Signup";
 import NotFound from "./pages/NotFound";
 import UserDashboard from "./pages/UserDashboard";
+import Unsubscribe from "./pages/Unsubscribe";
+import Archive from "./pages/Archive";
 
 const queryClient = new QueryClient();
 
@@ -27,6 +29,9 @@ const App = () => (
             
             <Route path="/login" element={<Login />} />
             <Route path="/signup" element={<Signup />} />
+            <Route path="/unsubscribe" element={<Unsubscribe />} />
+            <Route path="/archive" element={<Archive />} />
+            <Route path="/archive/:slug" element={<Archive />} />
             
             {/* Protected Routes */}
             <Route element={<ProtectedRoute />}>
@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useAuth } from '@/context/AuthContext';
+import { fetchWithToken } from '@/lib/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Cpu } from 'lucide-react';
+
+// --- Data Types ---
+interface UsageTotals { calls: number; promptTokens: number; completionTokens: number; }
+interface AiUsageReport {
+  provider: string;
+  model?: string;
+  configured: boolean;
+  days: number;
+  total: UsageTotals;
+  byCategory: (UsageTotals & { category: string | null; operation: string })[];
+  byAdmin: (UsageTotals & { userId: string | null; name: string | null; email: string | null })[];
+}
+
+const formatCount = (value: number) => value.toLocaleString();
+
+// Token counts of AI calls per category and per admin, for the superadmin.
+export const AiUsagePanel = () => {
+  const { token } = useAuth();
+  const [days, setDays] = useState('30');
+  const { data: report, isLoading, error } = useQuery<AiUsageReport, Error>({ queryKey: ['aiUsage', days], queryFn: () => fetchWithToken(`/admins/ai-usage?days=${days}`, token), enabled: !!token });
+
+  const renderTotals = (row: UsageTotals) => (
+    <>
+      <TableCell className="text-right">{formatCount(row.calls)}</TableCell>
+      <TableCell className="text-right">{formatCount(row.promptTokens)}</TableCell>
+      <TableCell className="text-right">{formatCount(row.completionTokens)}</TableCell>
+    </>
+  );
+  const totalsHeader = (
+    <>
+      <TableHead className="text-right">Calls</TableHead>
+      <TableHead className="text-right">Prompt tokens</TableHead>
+      <TableHead className="text-right">Response tokens</TableHead>
+    </>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold">AI Usage</h2>
+          {report && <p className="text-sm text-muted-foreground flex items-center gap-2"><Cpu className="w-4 h-4" />{report.provider}{report.model && ` · ${report.model}`}{!report.configured && <Badge variant="destructive">Not configured</Badge>}</p>}
+        </div>
+        <Select value={days} onValueChange={setDays}>
+          <SelectTrigger className="w-[180px]"><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value="7">Last 7 days</SelectItem>
+            <SelectItem value="30">Last 30 days</SelectItem>
+            <SelectItem value="90">Last 90 days</SelectItem>
+            <SelectItem value="365">Last year</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+      {isLoading ? <Skeleton className="h-48 w-full" /> : error ? <Alert variant="destructive"><AlertDescription>{error.message}</AlertDescription></Alert> : report && (
+        <>
+          <div className="grid gap-4 md:grid-cols-3">
+            <Card><CardHeader className="pb-2"><CardDescription>AI calls</CardDescription><CardTitle className="text-3xl">{formatCount(report.total.calls)}</CardTitle></CardHeader></Card>
+            <Card><CardHeader className="pb-2"><CardDescription>Prompt tokens</CardDescription><CardTitle className="text-3xl">{formatCount(report.total.promptTokens)}</CardTitle></CardHeader></Card>
+            <Card><CardHeader className="pb-2"><CardDescription>Response tokens</CardDescription><CardTitle className="text-3xl">{formatCount(report.total.completionTokens)}</CardTitle></CardHeader></Card>
+          </div>
+          <Card>
+            <CardHeader><CardTitle>By category</CardTitle><CardDescription>Summaries are counted against the category of the story; newsletters against their issue's category.</CardDescription></CardHeader>
+            <CardContent>
+              {report.byCategory.length === 0 ? <p className="text-sm text-muted-foreground">No AI calls in this period.</p> : (
+                <Table>
+                  <TableHeader><TableRow><TableHead>Category</TableHead><TableHead>Operation</TableHead>{totalsHeader}</TableRow></TableHeader>
+                  <TableBody>
+                    {report.byCategory.map(row => (
+                      <TableRow key={`${row.category}-${row.operation}`}>
+                        <TableCell>{row.category || <span className="text-muted-foreground">No category</span>}</TableCell>
+                        <TableCell><Badge variant="secondary" className="capitalize">{row.operation}</Badge></TableCell>
+                        {renderTotals(row)}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </CardContent>
+          </Card>
+          <Card>
+            <CardHeader><CardTitle>By admin</CardTitle></CardHeader>
+            <CardContent>
+              {report.byAdmin.length === 0 ? <p className="text-sm text-muted-foreground">No AI calls in this period.</p> : (
+                <Table>
+                  <TableHeader><TableRow><TableHead>Admin</TableHead>{totalsHeader}</TableRow></TableHeader>
+                  <TableBody>
+                    {report.byAdmin.map(row => (
+                      <TableRow key={row.userId || 'none'}>
+                        <TableCell>{row.name ? <><p className="font-medium">{row.name}</p><p className="text-xs text-muted-foreground">{row.email}</p></> : <span className="text-muted-foreground">Deleted user</span>}</TableCell>
+                        {renderTotals(row)}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
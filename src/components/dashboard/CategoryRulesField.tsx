@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Plus, X } from 'lucide-react';
+
+// --- Data Types ---
+export interface WeightedTerm { term: string; weight: number; }
+export interface CategoryRules { required: string[]; excluded: string[]; allowedSources: string[]; blockedSources: string[]; weights: WeightedTerm[]; }
+
+interface CategoryRulesFieldProps {
+  value: CategoryRules;
+  onChange: (rules: CategoryRules) => void;
+}
+
+type ListRule = 'required' | 'excluded' | 'allowedSources' | 'blockedSources';
+
+const LIST_RULES: { key: ListRule; label: string; hint: string; placeholder: string }[] = [
+  { key: 'required', label: 'Required terms', hint: 'Articles must mention every one of these.', placeholder: 'climate, "carbon tax"' },
+  { key: 'excluded', label: 'Excluded terms', hint: 'Articles mentioning any of these are hidden.', placeholder: 'sponsored, horoscope' },
+  { key: 'allowedSources', label: 'Only these sources', hint: 'Outlet names or domains. Leave empty to allow all.', placeholder: 'bbc.co.uk, Reuters' },
+  { key: 'blockedSources', label: 'Blocked sources', hint: 'Outlet names or domains to leave out.', placeholder: 'example.com' },
+];
+
+// Splits on commas outside quotes, so a quoted phrase may itself contain a comma.
+const splitTerms = (text: string) => (text.match(/"[^"]*"|[^,]+/g) || []).map(term => term.trim()).filter(Boolean);
+
+// Keyword rules scored against every fetched article. Quoted terms match as exact phrases.
+export const CategoryRulesField = ({ value: rules, onChange }: CategoryRulesFieldProps) => {
+  const [drafts, setDrafts] = useState<Partial<Record<ListRule, string>>>({});
+  const [newTerm, setNewTerm] = useState('');
+
+  const commitList = (key: ListRule) => {
+    if (drafts[key] === undefined) return;
+    onChange({ ...rules, [key]: splitTerms(drafts[key] || '') });
+    setDrafts(prev => ({ ...prev, [key]: undefined }));
+  };
+  const addWeight = () => {
+    const term = newTerm.trim();
+    if (!term || rules.weights.some(w => w.term.toLowerCase() === term.toLowerCase())) return;
+    onChange({ ...rules, weights: [...rules.weights, { term, weight: 2 }] });
+    setNewTerm('');
+  };
+  const updateWeight = (index: number, weight: number) => onChange({ ...rules, weights: rules.weights.map((w, i) => (i === index ? { ...w, weight } : w)) });
+  const removeWeight = (index: number) => onChange({ ...rules, weights: rules.weights.filter((_, i) => i !== index) });
+
+  return (
+    <div className="space-y-3 rounded-md border p-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {LIST_RULES.map(({ key, label, hint, placeholder }) => (
+          <div key={key}>
+            <Label htmlFor={`rules-${key}`}>{label}</Label>
+            <Input id={`rules-${key}`} value={drafts[key] ?? rules[key].join(', ')} onChange={(e) => setDrafts(prev => ({ ...prev, [key]: e.target.value }))} onBlur={() => commitList(key)} placeholder={placeholder} className="h-8" />
+            <p className="text-xs text-muted-foreground mt-1">{hint}</p>
+          </div>
+        ))}
+      </div>
+      <div className="space-y-2">
+        <div>
+          <Label>Term weights</Label>
+          <p className="text-xs text-muted-foreground">Keywords count once. Weigh terms up to rank them higher, or below zero to push articles down.</p>
+        </div>
+        {rules.weights.map((w, index) => (
+          <div key={w.term} className="flex items-center gap-2">
+            <span className="flex-1 text-sm truncate" title={w.term}>{w.term}</span>
+            <Input type="number" min={-10} max={10} step={0.5} value={w.weight} onChange={(e) => updateWeight(index, Number(e.target.value))} className="h-8 w-20" />
+            <Button type="button" variant="ghost" size="icon" className="h-8 w-8" onClick={() => removeWeight(index)} title="Remove weight"><X className="w-4 h-4" /></Button>
+          </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <Input value={newTerm} onChange={(e) => setNewTerm(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addWeight(); } }} placeholder='Term or "exact phrase"' className="h-8" />
+          <Button type="button" variant="outline" size="sm" onClick={addWeight} disabled={!newTerm.trim()}><Plus className="w-4 h-4 mr-1" />Add</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
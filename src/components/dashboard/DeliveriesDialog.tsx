@@ -0,0 +1,104 @@
+import { useQuery } from '@tanstack/react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuth } from '@/context/AuthContext';
+import { fetchWithToken } from '@/lib/api';
+import { Badge } from "@/components/ui/badge";
+import { Progress } from '@/components/ui/progress';
+import { Skeleton } from "@/components/ui/skeleton";
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog';
+
+// --- Data Types ---
+type DeliveryStatus = 'queued' | 'sending' | 'sent' | 'failed' | 'bounced';
+interface DeliveryRecord {
+  _id: string;
+  user?: { _id: string; name: string };
+  email: string;
+  revision?: number;
+  language?: string;
+  status: DeliveryStatus;
+  attempts: number;
+  lastError?: string;
+  nextAttemptAt: string;
+  sentAt?: string;
+}
+interface DeliverySummary { total: number; queued: number; sending: number; sent: number; failed: number; bounced: number; }
+interface Deliveries { summary: DeliverySummary; records: DeliveryRecord[]; }
+
+const STATUS_COLORS: Record<DeliveryStatus, string> = {
+  queued: 'bg-gray-100 text-gray-800',
+  sending: 'bg-yellow-100 text-yellow-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  bounced: 'bg-orange-100 text-orange-800',
+};
+
+interface DeliveriesDialogProps {
+  newsletter: { _id: string; title: string } | null;
+  onClose: () => void;
+}
+
+export const DeliveriesDialog = ({ newsletter, onClose }: DeliveriesDialogProps) => {
+  const { token } = useAuth();
+  const { data, isLoading, error } = useQuery<Deliveries, Error>({
+    queryKey: ['deliveries', newsletter?._id],
+    queryFn: () => fetchWithToken(`/newsletters/${newsletter?._id}/deliveries`, token),
+    enabled: !!token && !!newsletter,
+    // Keep polling while the worker still has recipients to get through.
+    refetchInterval: (query) => { const summary = query.state.data?.summary; return summary && summary.queued + summary.sending > 0 ? 3000 : false; },
+  });
+
+  const summary = data?.summary;
+  const finished = summary ? summary.sent + summary.failed + summary.bounced : 0;
+
+  const renderRecordDetail = (record: DeliveryRecord) => {
+    if (record.status === 'sent' && record.sentAt) return `Delivered ${formatDistanceToNow(new Date(record.sentAt), { addSuffix: true })}`;
+    if (record.status === 'queued' && record.attempts > 0) return `Retrying ${formatDistanceToNow(new Date(record.nextAttemptAt), { addSuffix: true })}: ${record.lastError}`;
+    return record.lastError || '—';
+  };
+
+  const renderContent = () => {
+    if (isLoading) return <div className="space-y-2"><Skeleton className="h-4 w-full" /><Skeleton className="h-40 w-full" /></div>;
+    if (error) return <Alert variant="destructive"><AlertDescription>{error.message}</AlertDescription></Alert>;
+    if (!data || !summary || summary.total === 0) return <p className="text-center text-muted-foreground py-8">This newsletter has not been sent to anyone yet.</p>;
+    return (
+      <div className="space-y-4">
+        <div className="space-y-2">
+          <div className="flex justify-between text-sm"><span>{finished} of {summary.total} processed</span><span className="text-muted-foreground">{summary.sent} sent · {summary.queued + summary.sending} pending · {summary.failed} failed · {summary.bounced} bounced</span></div>
+          <Progress value={(finished / summary.total) * 100} />
+        </div>
+        <ScrollArea className="h-80 border rounded-md">
+          <Table>
+            <TableHeader><TableRow><TableHead>Recipient</TableHead><TableHead>Status</TableHead><TableHead>Revision</TableHead><TableHead>Language</TableHead><TableHead>Attempts</TableHead><TableHead>Details</TableHead></TableRow></TableHeader>
+            <TableBody>
+              {data.records.map((record) => (
+                <TableRow key={record._id}>
+                  <TableCell><div className="font-medium">{record.user?.name || 'Deleted user'}</div><div className="text-xs text-muted-foreground">{record.email}</div></TableCell>
+                  <TableCell><Badge className={STATUS_COLORS[record.status]}>{record.status}</Badge></TableCell>
+                  <TableCell>{record.revision ?? '—'}</TableCell>
+                  <TableCell className="uppercase">{record.language || 'en'}</TableCell>
+                  <TableCell>{record.attempts}</TableCell>
+                  <TableCell className="text-xs text-muted-foreground max-w-xs">{renderRecordDetail(record)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </ScrollArea>
+      </div>
+    );
+  };
+
+  return (
+    <Dialog open={!!newsletter} onOpenChange={(open) => { if (!open) onClose(); }}>
+      <DialogContent className="sm:max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Deliveries for "{newsletter?.title}"</DialogTitle>
+          <DialogDescription>Each recipient gets their own email. Temporary failures are retried automatically.</DialogDescription>
+        </DialogHeader>
+        {renderContent()}
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,62 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from '@/components/ui/textarea';
+import { Check, X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+// --- Data Types ---
+export interface EditorialHighlight { text: string; url: string; title: string; }
+export interface EditorialDraft { editorNote: string; subjects: string[]; highlights: { heading: string; items: EditorialHighlight[] }; }
+
+interface EditorialDraftFieldsProps {
+  value: EditorialDraft;
+  onChange: (draft: EditorialDraft) => void;
+  subject: string;
+  onSubjectChange: (subject: string) => void;
+}
+
+// The AI-drafted editor's note, subject lines and highlights, all editable before the issue is rendered.
+export const EditorialDraftFields = ({ value: draft, onChange, subject, onSubjectChange }: EditorialDraftFieldsProps) => {
+  const updateSubject = (index: number, text: string) => {
+    if (draft.subjects[index] === subject) onSubjectChange(text);
+    onChange({ ...draft, subjects: draft.subjects.map((s, i) => (i === index ? text : s)) });
+  };
+  const updateHighlight = (index: number, text: string) => onChange({ ...draft, highlights: { ...draft.highlights, items: draft.highlights.items.map((item, i) => (i === index ? { ...item, text } : item)) } });
+  const removeHighlight = (index: number) => onChange({ ...draft, highlights: { ...draft.highlights, items: draft.highlights.items.filter((_, i) => i !== index) } });
+
+  return (
+    <div className="space-y-4 rounded-md border p-3">
+      <div>
+        <Label htmlFor="editorial-note">Editor's note</Label>
+        <Textarea id="editorial-note" value={draft.editorNote} onChange={(e) => onChange({ ...draft, editorNote: e.target.value })} rows={6} className="mt-1" />
+        <p className="text-xs text-muted-foreground mt-1">Shown below the header in place of the AI intro. Leave empty to skip it.</p>
+      </div>
+      {draft.subjects.length > 0 && (
+        <div className="space-y-2">
+          <Label>Subject line</Label>
+          {draft.subjects.map((s, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <Button type="button" variant={s === subject ? 'default' : 'outline'} size="icon" className="h-8 w-8 shrink-0" onClick={() => onSubjectChange(s)} title="Use this subject"><Check className="w-4 h-4" /></Button>
+              <Input value={s} onChange={(e) => updateSubject(index, e.target.value)} className={cn("h-8", s === subject && "border-primary")} />
+            </div>
+          ))}
+          <p className="text-xs text-muted-foreground">The chosen subject is used when the issue is sent.</p>
+        </div>
+      )}
+      <div className="space-y-2">
+        <Label htmlFor="editorial-highlights-heading">Highlights</Label>
+        <Input id="editorial-highlights-heading" value={draft.highlights.heading} onChange={(e) => onChange({ ...draft, highlights: { ...draft.highlights, heading: e.target.value } })} className="h-8" />
+        {draft.highlights.items.length === 0 ? <p className="text-xs text-muted-foreground">No highlights; the box is left out.</p> : draft.highlights.items.map((item, index) => (
+          <div key={item.url} className="flex items-start gap-2">
+            <div className="flex-1 min-w-0">
+              <Input value={item.text} onChange={(e) => updateHighlight(index, e.target.value)} className="h-8" />
+              <p className="text-xs text-muted-foreground truncate mt-1" title={item.url}>Links to: {item.title || item.url}</p>
+            </div>
+            <Button type="button" variant="ghost" size="icon" className="h-8 w-8" onClick={() => removeHighlight(index)} title="Remove highlight"><X className="w-4 h-4" /></Button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
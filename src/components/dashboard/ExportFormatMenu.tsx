@@ -0,0 +1,55 @@
+import { useMutation } from '@tanstack/react-query';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { fetchBlobWithToken } from '@/lib/api';
+import { Button } from "@/components/ui/button";
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
+import { BookOpen, ChevronDown, FileCode, FileDown, Loader2 } from 'lucide-react';
+
+type ExportFormat = 'markdown' | 'epub' | 'html';
+
+const EXPORT_FORMATS: { format: ExportFormat; label: string; extension: string; icon: typeof FileDown }[] = [
+  { format: 'markdown', label: 'Markdown', extension: 'md', icon: FileDown },
+  { format: 'epub', label: 'EPUB (e-readers)', extension: 'epub', icon: BookOpen },
+  { format: 'html', label: 'HTML bundle (.zip)', extension: 'zip', icon: FileCode },
+];
+
+interface ExportFormatMenuProps {
+  newsletter: { _id: string; title: string };
+  size?: 'sm' | 'default';
+}
+
+// The formats besides PDF; each one is built on the server when picked.
+export const ExportFormatMenu = ({ newsletter, size = 'default' }: ExportFormatMenuProps) => {
+  const { token } = useAuth();
+  const exportMutation = useMutation<Blob, Error, ExportFormat>({
+    mutationFn: (format) => fetchBlobWithToken(`/newsletters/${newsletter._id}/export/${format}`, token),
+    onSuccess: (blob, format) => {
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${newsletter.title.replace(/\s/g, '_')}.${EXPORT_FORMATS.find(f => f.format === format)?.extension}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    },
+    onError: (err: Error) => toast.error(err.message || "Failed to export the newsletter."),
+  });
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button size={size} variant="outline" disabled={exportMutation.isPending} title="Download in another format">
+          {exportMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <FileDown className="w-4 h-4 mr-2" />}Export<ChevronDown className="w-4 h-4 ml-1" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuLabel>Download as</DropdownMenuLabel>
+        {EXPORT_FORMATS.map(({ format, label, icon: Icon }) => (
+          <DropdownMenuItem key={format} onSelect={() => exportMutation.mutate(format)}><Icon className="mr-2 h-4 w-4" />{label}</DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
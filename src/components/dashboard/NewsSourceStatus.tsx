@@ -0,0 +1,83 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { fetchWithToken } from '@/lib/api';
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { AlertCircle, CheckCircle, Clock, Loader2, RefreshCw } from 'lucide-react';
+
+// --- Data Types ---
+interface SourceStatus {
+  category: string;
+  provider: string;
+  url: string;
+  label: string;
+  lastRunAt?: string;
+  lastSuccessAt?: string;
+  lastError?: string;
+  consecutiveFailures: number;
+  fetchedCount: number;
+  newCount: number;
+}
+
+// How the background fetch of each source went, with a button to fetch again right away.
+export const NewsSourceStatus = () => {
+  const { token } = useAuth();
+  const queryClient = useQueryClient();
+  const { data: statuses, isLoading } = useQuery<SourceStatus[], Error>({ queryKey: ['newsSources'], queryFn: () => fetchWithToken('/news/sources', token), enabled: !!token });
+  const ingestMutation = useMutation<{ message: string; failed: number }, Error, void>({
+    mutationFn: () => fetchWithToken('/news/ingest', token, { method: 'POST', body: JSON.stringify({}) }),
+    onSuccess: (data) => {
+      if (data.failed > 0) toast.warning(data.message); else toast.success(data.message);
+      queryClient.invalidateQueries({ queryKey: ['newsSources'] });
+      queryClient.invalidateQueries({ queryKey: ['newsArticles'] });
+    },
+    onError: (err: Error) => toast.error(err.message),
+  });
+
+  const failing = statuses?.filter(status => status.lastError).length || 0;
+
+  const renderStatus = (status: SourceStatus) => {
+    if (status.lastError) return <p className="text-xs text-destructive flex items-start gap-1"><AlertCircle className="w-3 h-3 mt-0.5 shrink-0" />{status.lastError}{status.consecutiveFailures > 1 && ` (${status.consecutiveFailures} runs in a row)`}</p>;
+    if (!status.lastRunAt) return <p className="text-xs text-muted-foreground flex items-center gap-1"><Clock className="w-3 h-3" />Not fetched yet</p>;
+    return <p className="text-xs text-muted-foreground flex items-center gap-1"><CheckCircle className="w-3 h-3 text-green-600" />{status.fetchedCount} articles, {status.newCount} new</p>;
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm">
+          {failing > 0 ? <AlertCircle className="w-4 h-4 mr-2 text-destructive" /> : <RefreshCw className="w-4 h-4 mr-2" />}Sources{failing > 0 && <Badge variant="destructive" className="ml-2">{failing}</Badge>}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-96">
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="font-semibold">News sources</h4>
+          <Button size="sm" variant="outline" onClick={() => ingestMutation.mutate()} disabled={ingestMutation.isPending}>
+            {ingestMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-2" />}Fetch now
+          </Button>
+        </div>
+        {isLoading ? <Skeleton className="h-24 w-full" /> : !statuses || statuses.length === 0 ? <p className="text-sm text-muted-foreground">You do not manage any categories.</p> : (
+          <ScrollArea className="max-h-80">
+            <div className="space-y-3 pr-3">
+              {statuses.map(status => (
+                <div key={`${status.category}-${status.provider}-${status.url}`} className="space-y-0.5">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm font-medium truncate" title={status.url || status.label}>{status.label}</span>
+                    <Badge variant="secondary" className="shrink-0">{status.category}</Badge>
+                  </div>
+                  {renderStatus(status)}
+                  {status.lastSuccessAt && <p className="text-xs text-muted-foreground">Last fetched {formatDistanceToNow(new Date(status.lastSuccessAt), { addSuffix: true })}</p>}
+                </div>
+              ))}
+            </div>
+          </ScrollArea>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useAuth } from '@/context/AuthContext';
+import { fetchWithToken } from '@/lib/api';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Plus, Rss, X } from 'lucide-react';
+
+// --- Data Types ---
+export interface NewsSource { provider: string; url?: string; name?: string; }
+interface NewsProvider { name: string; label: string; description: string; takesUrl: boolean; configured: boolean; }
+
+interface NewsSourcesFieldProps {
+  value: NewsSource[];
+  onChange: (sources: NewsSource[]) => void;
+}
+
+// Providers without a URL (NewsAPI) are switched on or off; feed providers take a list of URLs.
+// An empty list is stored as "no choice made", which the server treats as NewsAPI.
+export const NewsSourcesField = ({ value: sources, onChange }: NewsSourcesFieldProps) => {
+  const { token } = useAuth();
+  const [newUrls, setNewUrls] = useState<Record<string, string>>({});
+  const { data: providers } = useQuery<NewsProvider[], Error>({ queryKey: ['newsProviders'], queryFn: () => fetchWithToken('/news/providers', token), enabled: !!token, staleTime: Infinity });
+
+  const toggleProvider = (provider: string, enabled: boolean) => onChange(enabled ? [...sources, { provider }] : sources.filter(s => s.provider !== provider));
+  const addFeed = (provider: string) => {
+    const url = (newUrls[provider] || '').trim();
+    if (!url || sources.some(s => s.provider === provider && s.url === url)) return;
+    onChange([...sources, { provider, url }]);
+    setNewUrls(prev => ({ ...prev, [provider]: '' }));
+  };
+  const updateFeed = (index: number, changes: Partial<NewsSource>) => onChange(sources.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+  const removeFeed = (index: number) => onChange(sources.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-3">
+      {providers?.map(provider => provider.takesUrl ? (
+        <div key={provider.name} className="rounded-md border p-3 space-y-2">
+          <div>
+            <Label>{provider.label}</Label>
+            <p className="text-xs text-muted-foreground">{provider.description}</p>
+          </div>
+          {sources.map((source, index) => source.provider === provider.name && (
+            <div key={`${source.url}-${index}`} className="flex items-center gap-2">
+              <Rss className="w-4 h-4 shrink-0 text-muted-foreground" />
+              <div className="flex-1 min-w-0">
+                <Input value={source.name || ''} onChange={(e) => updateFeed(index, { name: e.target.value })} placeholder="Name (optional)" className="h-8" />
+                <p className="text-xs text-muted-foreground truncate mt-1" title={source.url}>{source.url}</p>
+              </div>
+              <Button type="button" variant="ghost" size="icon" className="h-8 w-8" onClick={() => removeFeed(index)} title="Remove feed"><X className="w-4 h-4" /></Button>
+            </div>
+          ))}
+          <div className="flex items-center gap-2">
+            <Input type="url" value={newUrls[provider.name] || ''} onChange={(e) => setNewUrls(prev => ({ ...prev, [provider.name]: e.target.value }))} onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addFeed(provider.name); } }} placeholder="https://example.com/feed.xml" className="h-8" />
+            <Button type="button" variant="outline" size="sm" onClick={() => addFeed(provider.name)} disabled={!(newUrls[provider.name] || '').trim()}><Plus className="w-4 h-4 mr-1" />Add</Button>
+          </div>
+        </div>
+      ) : (
+        <div key={provider.name} className="flex items-center justify-between rounded-md border p-3">
+          <div>
+            <Label htmlFor={`source-${provider.name}`}>{provider.label}</Label>
+            <p className="text-xs text-muted-foreground">{provider.configured ? provider.description : `${provider.label} is not configured on the server.`}</p>
+          </div>
+          <Switch id={`source-${provider.name}`} checked={sources.some(s => s.provider === provider.name)} onCheckedChange={(checked) => toggleProvider(provider.name, checked)} />
+        </div>
+      ))}
+      {sources.length === 0 && <p className="text-xs text-muted-foreground">With no sources selected, NewsAPI.org is searched for the keywords.</p>}
+    </div>
+  );
+};
@@ -0,0 +1,153 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { fetchWithToken } from '@/lib/api';
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Textarea } from '@/components/ui/textarea';
+import { Skeleton } from "@/components/ui/skeleton";
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter, DialogDescription } from '@/components/ui/dialog';
+import { AlertTriangle, History, Loader2, RotateCcw, Save } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import type { HtmlWarning } from './NewsletterWarningsDialog';
+
+// --- Data Types ---
+interface EditableHtml { htmlContent: string; revision: number; }
+interface Revision { _id: string; number: number; note?: string; template?: string; createdBy?: { _id: string; name: string }; createdAt: string; }
+interface RevisionList { current: number; revisions: Revision[]; }
+interface DiffChange { value: string; added: boolean; removed: boolean; }
+interface RevisionDiff { from: number; to: number; changes: DiffChange[]; }
+interface SavedNewsletter { warnings: HtmlWarning[]; }
+
+interface NewsletterEditorDialogProps {
+  newsletter: { _id: string; title: string } | null;
+  onClose: () => void;
+}
+
+export const NewsletterEditorDialog = ({ newsletter, onClose }: NewsletterEditorDialogProps) => {
+  const { token } = useAuth();
+  const queryClient = useQueryClient();
+  const [html, setHtml] = useState('');
+  const [note, setNote] = useState('');
+  const [selectedRevision, setSelectedRevision] = useState<number | null>(null);
+  const [warnings, setWarnings] = useState<HtmlWarning[]>([]);
+  const newsletterId = newsletter?._id;
+
+  const { data: editable, isLoading: isLoadingHtml, error: htmlError } = useQuery<EditableHtml, Error>({ queryKey: ['newsletterHtml', newsletterId], queryFn: () => fetchWithToken(`/newsletters/${newsletterId}/html`, token), enabled: !!token && !!newsletterId });
+  const { data: history, isLoading: isLoadingHistory } = useQuery<RevisionList, Error>({ queryKey: ['newsletterRevisions', newsletterId], queryFn: () => fetchWithToken(`/newsletters/${newsletterId}/revisions`, token), enabled: !!token && !!newsletterId });
+  const { data: diff, isLoading: isLoadingDiff } = useQuery<RevisionDiff, Error>({ queryKey: ['newsletterRevisionDiff', newsletterId, selectedRevision], queryFn: () => fetchWithToken(`/newsletters/${newsletterId}/revisions/${selectedRevision}/diff`, token), enabled: !!token && !!newsletterId && !!selectedRevision && selectedRevision > 1 });
+
+  useEffect(() => { if (editable) setHtml(editable.htmlContent); }, [editable]);
+  useEffect(() => { if (!newsletterId) { setNote(''); setSelectedRevision(null); setWarnings([]); } }, [newsletterId]);
+
+  // Saved HTML goes through the same checks as generated HTML; what they find stays shown until the next save.
+  const handleSaved = (message: string, saved: SavedNewsletter) => {
+    setWarnings(saved.warnings || []);
+    if (saved.warnings?.length) toast.warning(`${message} Please check the warnings.`); else toast.success(message);
+    queryClient.invalidateQueries({ queryKey: ['newsletterHtml', newsletterId] });
+    queryClient.invalidateQueries({ queryKey: ['newsletterRevisions', newsletterId] });
+    queryClient.invalidateQueries({ queryKey: ['myNewsletters'] });
+    queryClient.invalidateQueries({ queryKey: ['reviewQueue'] });
+    setNote('');
+  };
+  const saveMutation = useMutation<SavedNewsletter, Error, void>({
+    mutationFn: () => fetchWithToken(`/newsletters/${newsletterId}/html`, token, { method: 'PUT', body: JSON.stringify({ htmlContent: html, note: note.trim() || undefined }) }),
+    onSuccess: (saved) => handleSaved("Saved as a new revision. The PDF has been regenerated.", saved),
+    onError: (err: Error) => toast.error(err.message),
+  });
+  const restoreMutation = useMutation<SavedNewsletter, Error, number>({
+    mutationFn: (number) => fetchWithToken(`/newsletters/${newsletterId}/revisions/${number}/restore`, token, { method: 'POST', body: JSON.stringify({}) }),
+    onSuccess: (saved, number) => { handleSaved(`Revision ${number} restored.`, saved); setSelectedRevision(null); },
+    onError: (err: Error) => toast.error(err.message),
+  });
+
+  const isDirty = !!editable && html !== editable.htmlContent;
+
+  const renderDiff = () => {
+    if (!selectedRevision) return <p className="text-sm text-muted-foreground p-4">Select a revision to see what changed.</p>;
+    if (selectedRevision === 1) return <p className="text-sm text-muted-foreground p-4">Revision 1 is the generated original.</p>;
+    if (isLoadingDiff || !diff) return <Skeleton className="h-40 w-full" />;
+    return (
+      <pre className="text-xs font-mono whitespace-pre-wrap break-all">
+        {diff.changes.map((change, i) => (
+          <span key={i} className={cn(change.added && 'bg-green-100 text-green-900 dark:bg-green-900/40 dark:text-green-100', change.removed && 'bg-red-100 text-red-900 line-through dark:bg-red-900/40 dark:text-red-100', !change.added && !change.removed && 'text-muted-foreground')}>{change.value}</span>
+        ))}
+      </pre>
+    );
+  };
+
+  const renderHistory = () => {
+    if (isLoadingHistory) return <Skeleton className="h-40 w-full" />;
+    if (!history || history.revisions.length === 0) return <p className="text-sm text-muted-foreground py-4">No revisions yet. Saving an edit creates the first one.</p>;
+    return (
+      <div className="grid grid-cols-3 gap-4">
+        <ScrollArea className="h-[420px] border rounded-md">
+          {history.revisions.map((revision) => (
+            <button key={revision._id} type="button" onClick={() => setSelectedRevision(revision.number)} className={cn("w-full text-left p-3 border-b hover:bg-accent", selectedRevision === revision.number && 'bg-accent')}>
+              <div className="flex items-center gap-2"><span className="font-semibold">Revision {revision.number}</span>{revision.number === history.current && <Badge variant="secondary">Current</Badge>}</div>
+              <p className="text-xs text-muted-foreground">{revision.note || 'No note'}</p>
+              <p className="text-xs text-muted-foreground">{revision.createdBy?.name || 'Schedule'} · {formatDistanceToNow(new Date(revision.createdAt), { addSuffix: true })}</p>
+            </button>
+          ))}
+        </ScrollArea>
+        <div className="col-span-2 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium">{selectedRevision && selectedRevision > 1 ? `Changes from revision ${selectedRevision - 1} to ${selectedRevision}` : 'Changes'}</span>
+            {selectedRevision && selectedRevision !== history.current && (
+              <Button size="sm" variant="outline" onClick={() => restoreMutation.mutate(selectedRevision)} disabled={restoreMutation.isPending}>
+                {restoreMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RotateCcw className="w-4 h-4 mr-2" />}Restore revision {selectedRevision}
+              </Button>
+            )}
+          </div>
+          <ScrollArea className="h-[390px] border rounded-md p-2">{renderDiff()}</ScrollArea>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Dialog open={!!newsletter} onOpenChange={(open) => { if (!open) onClose(); }}>
+      <DialogContent className="sm:max-w-5xl">
+        <DialogHeader>
+          <DialogTitle>Edit "{newsletter?.title}"</DialogTitle>
+          <DialogDescription>Saving creates a new revision and regenerates the PDF. Approved issues need to be reviewed again.</DialogDescription>
+        </DialogHeader>
+        {htmlError ? <Alert variant="destructive"><AlertDescription>{htmlError.message}</AlertDescription></Alert> : (
+          <Tabs defaultValue="source">
+            <TabsList>
+              <TabsTrigger value="source">HTML Source</TabsTrigger>
+              <TabsTrigger value="preview">Preview</TabsTrigger>
+              <TabsTrigger value="history"><History className="w-4 h-4 mr-1" />History</TabsTrigger>
+            </TabsList>
+            <TabsContent value="source">
+              {isLoadingHtml ? <Skeleton className="h-[420px] w-full" /> : <Textarea value={html} onChange={(e) => setHtml(e.target.value)} className="h-[420px] font-mono text-xs" spellCheck={false} />}
+            </TabsContent>
+            <TabsContent value="preview">
+              <iframe title="Newsletter preview" srcDoc={html} sandbox="" className="w-full h-[420px] border rounded-md bg-white" />
+            </TabsContent>
+            <TabsContent value="history">{renderHistory()}</TabsContent>
+          </Tabs>
+        )}
+        {warnings.length > 0 && (
+          <Alert>
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription><ul className="list-disc pl-4 space-y-1">{warnings.map((warning, i) => <li key={i} className="break-all">{warning.message}</li>)}</ul></AlertDescription>
+          </Alert>
+        )}
+        <DialogFooter className="gap-2 sm:items-center">
+          <Input value={note} onChange={(e) => setNote(e.target.value)} placeholder="What did you change? (optional)" className="sm:max-w-sm" />
+          <Button variant="outline" onClick={onClose}>Close</Button>
+          <Button onClick={() => saveMutation.mutate()} disabled={!isDirty || saveMutation.isPending}>
+            {saveMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}Save Revision
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useAuth } from '@/context/AuthContext';
+import { fetchBlobWithToken } from '@/lib/api';
+import { Skeleton } from "@/components/ui/skeleton";
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog';
+import { Languages } from 'lucide-react';
+
+// --- Data Types ---
+export interface Language { code: string; name: string; }
+export interface ReadableNewsletter { _id: string; title: string; languages?: string[]; titles?: Record<string, string>; }
+
+interface NewsletterReaderDialogProps {
+  newsletter: ReadableNewsletter | null;
+  languages: Language[];
+  preferredLanguage?: string;
+  onClose: () => void;
+}
+
+// Reads a received issue in the browser, in the original or any of the languages it was translated into.
+export const NewsletterReaderDialog = ({ newsletter, languages, preferredLanguage, onClose }: NewsletterReaderDialogProps) => {
+  const { token } = useAuth();
+  const available = newsletter?.languages?.length ? newsletter.languages : ['en'];
+  // Mounted with a key per issue, so each one opens in the reader's language when it has it.
+  const [language, setLanguage] = useState(() => (preferredLanguage && available.includes(preferredLanguage) ? preferredLanguage : available[0]));
+
+  const { data: html, isLoading, error } = useQuery<string, Error>({
+    queryKey: ['newsletterHtml', newsletter?._id, language],
+    queryFn: () => fetchBlobWithToken(`/users/my-newsletters/${newsletter?._id}/html?lang=${language}`, token).then(blob => blob.text()),
+    enabled: !!token && !!newsletter,
+  });
+
+  const languageName = (code: string) => languages.find(l => l.code === code)?.name || code;
+
+  return (
+    <Dialog open={!!newsletter} onOpenChange={(open) => { if (!open) onClose(); }}>
+      <DialogContent className="sm:max-w-4xl">
+        <DialogHeader>
+          <div className="flex items-center justify-between gap-4 pr-6">
+            <DialogTitle>{newsletter?.titles?.[language] || newsletter?.title}</DialogTitle>
+            {available.length > 1 && (
+              <Select value={language} onValueChange={setLanguage}>
+                <SelectTrigger className="w-44 h-8" title="Language"><Languages className="w-4 h-4 mr-2" /><SelectValue /></SelectTrigger>
+                <SelectContent>{available.map(code => <SelectItem key={code} value={code}>{languageName(code)}</SelectItem>)}</SelectContent>
+              </Select>
+            )}
+          </div>
+          <DialogDescription>{available.length > 1 ? `Available in ${available.map(languageName).join(', ')}.` : 'This issue is only available in its original language.'}</DialogDescription>
+        </DialogHeader>
+        {isLoading ? <Skeleton className="w-full h-[520px]" />
+          : error ? <Alert variant="destructive"><AlertDescription>{error.message}</AlertDescription></Alert>
+          : <iframe title="Newsletter" srcDoc={html} sandbox="allow-popups allow-popups-to-escape-sandbox" className="w-full h-[520px] border rounded-md bg-white" />}
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,132 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { fetchWithToken } from '@/lib/api';
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog';
+import { EyeOff, FlaskConical, Loader2, Trophy } from 'lucide-react';
+
+// --- Data Types ---
+interface TopArticle { articleId: string; title?: string; clicks: number; uniqueClicks: number; }
+interface NewsletterStats {
+  delivered: number;
+  uniqueOpens: number;
+  uniqueClicks: number;
+  totalClicks: number;
+  openRate: number;
+  clickRate: number;
+  topArticles: TopArticle[];
+  trackingEnabled: boolean;
+}
+interface VariantResult { subject: string; sent: number; opens: number; openRate: number; }
+interface SubjectTest { _id: string; status: 'testing' | 'completed' | 'cancelled'; variants: VariantResult[]; winner?: number; testPercent: number; decideAt: string; decidedAt?: string; }
+
+interface NewsletterStatsDialogProps {
+  newsletter: { _id: string; title: string } | null;
+  onClose: () => void;
+}
+
+const formatRate = (rate: number) => `${(rate * 100).toFixed(1)}%`;
+
+export const NewsletterStatsDialog = ({ newsletter, onClose }: NewsletterStatsDialogProps) => {
+  const { token } = useAuth();
+  const { data: stats, isLoading, error } = useQuery<NewsletterStats, Error>({
+    queryKey: ['newsletterStats', newsletter?._id],
+    queryFn: () => fetchWithToken(`/newsletters/${newsletter?._id}/stats`, token),
+    enabled: !!token && !!newsletter,
+  });
+
+  const queryClient = useQueryClient();
+  const { data: subjectTest } = useQuery<SubjectTest | null, Error>({
+    queryKey: ['subjectTest', newsletter?._id],
+    queryFn: () => fetchWithToken(`/newsletters/${newsletter?._id}/subject-test`, token),
+    enabled: !!token && !!newsletter,
+  });
+  const decideMutation = useMutation<{ message: string }, Error, void>({
+    mutationFn: () => fetchWithToken(`/newsletters/${newsletter?._id}/subject-test/decide`, token, { method: 'POST', body: JSON.stringify({}) }),
+    onSuccess: (data) => { toast.success(data.message); queryClient.invalidateQueries({ queryKey: ['subjectTest', newsletter?._id] }); queryClient.invalidateQueries({ queryKey: ['deliveries', newsletter?._id] }); },
+    onError: (err: Error) => toast.error(err.message),
+  });
+
+  const renderSubjectTest = () => {
+    if (!subjectTest) return null;
+    const leader = subjectTest.variants.reduce((best, variant, index) => (variant.openRate > subjectTest.variants[best].openRate ? index : best), 0);
+    const highlighted = subjectTest.status === 'testing' ? leader : subjectTest.winner;
+    return (
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="font-semibold flex items-center gap-2"><FlaskConical className="w-4 h-4" />Subject test</h4>
+          {subjectTest.status === 'testing' && (
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-muted-foreground">Winner picked {formatDistanceToNow(new Date(subjectTest.decideAt), { addSuffix: true })}</span>
+              <Button size="sm" variant="outline" onClick={() => decideMutation.mutate()} disabled={decideMutation.isPending}>{decideMutation.isPending && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}Pick winner now</Button>
+            </div>
+          )}
+          {subjectTest.status === 'cancelled' && <Badge variant="outline">Cancelled</Badge>}
+        </div>
+        <Table>
+          <TableHeader><TableRow><TableHead>Subject</TableHead><TableHead className="text-right">Sent</TableHead><TableHead className="text-right">Opens</TableHead><TableHead className="text-right">Open rate</TableHead></TableRow></TableHeader>
+          <TableBody>
+            {subjectTest.variants.map((variant, index) => (
+              <TableRow key={index}>
+                <TableCell><span className="font-semibold mr-2">{String.fromCharCode(65 + index)}</span>{variant.subject}{index === highlighted && subjectTest.status !== 'cancelled' && <Badge variant="secondary" className="ml-2">{subjectTest.status === 'testing' ? 'Leading' : <><Trophy className="w-3 h-3 mr-1" />Winner</>}</Badge>}</TableCell>
+                <TableCell className="text-right">{variant.sent}</TableCell>
+                <TableCell className="text-right">{variant.opens}</TableCell>
+                <TableCell className="text-right">{formatRate(variant.openRate)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (isLoading) return <div className="grid grid-cols-3 gap-4">{Array.from({ length: 3 }).map((_, i) => <Skeleton key={i} className="h-20" />)}</div>;
+    if (error) return <Alert variant="destructive"><AlertDescription>{error.message}</AlertDescription></Alert>;
+    if (!stats) return null;
+    return (
+      <div className="space-y-4">
+        {!stats.trackingEnabled && <Alert><EyeOff className="h-4 w-4" /><AlertDescription>Tracking is switched off for this category. New sends are not tracked.</AlertDescription></Alert>}
+        <div className="grid grid-cols-3 gap-4">
+          <div className="border rounded-lg p-4"><p className="text-sm text-muted-foreground">Delivered</p><p className="text-2xl font-bold">{stats.delivered}</p></div>
+          <div className="border rounded-lg p-4"><p className="text-sm text-muted-foreground">Open rate</p><p className="text-2xl font-bold">{formatRate(stats.openRate)}</p><p className="text-xs text-muted-foreground">{stats.uniqueOpens} unique opens</p></div>
+          <div className="border rounded-lg p-4"><p className="text-sm text-muted-foreground">Click rate</p><p className="text-2xl font-bold">{formatRate(stats.clickRate)}</p><p className="text-xs text-muted-foreground">{stats.totalClicks} clicks from {stats.uniqueClicks} readers</p></div>
+        </div>
+        <div>
+          <h4 className="font-semibold mb-2">Top articles</h4>
+          {stats.topArticles.length === 0
+            ? <p className="text-sm text-muted-foreground">No article clicks yet.</p>
+            : (
+              <Table>
+                <TableHeader><TableRow><TableHead>Article</TableHead><TableHead className="text-right">Clicks</TableHead><TableHead className="text-right">Readers</TableHead></TableRow></TableHeader>
+                <TableBody>
+                  {stats.topArticles.map((article) => (
+                    <TableRow key={article.articleId}><TableCell>{article.title || 'Deleted article'}</TableCell><TableCell className="text-right">{article.clicks}</TableCell><TableCell className="text-right">{article.uniqueClicks}</TableCell></TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+        </div>
+        {renderSubjectTest()}
+      </div>
+    );
+  };
+
+  return (
+    <Dialog open={!!newsletter} onOpenChange={(open) => { if (!open) onClose(); }}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Engagement for "{newsletter?.title}"</DialogTitle>
+          <DialogDescription>Opens are counted when images load, so the open rate is a lower bound.</DialogDescription>
+        </DialogHeader>
+        {renderContent()}
+      </DialogContent>
+    </Dialog>
+  );
+};
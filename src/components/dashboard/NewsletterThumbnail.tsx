@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useAuth } from '@/context/AuthContext';
+import { fetchBlobWithToken } from '@/lib/api';
+import { Skeleton } from "@/components/ui/skeleton";
+import { Newspaper } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+interface NewsletterThumbnailProps {
+  newsletterId: string;
+  // Changes whenever the stored image does (its ETag), so edited issues get a fresh preview.
+  version?: string;
+  className?: string;
+}
+
+// <img> cannot send the auth header, so the preview is fetched as a blob and shown from an object URL.
+export const NewsletterThumbnail = ({ newsletterId, version, className }: NewsletterThumbnailProps) => {
+  const { token } = useAuth();
+  const [objectUrl, setObjectUrl] = useState<string | null>(null);
+  const { data: image, isLoading, isError } = useQuery<Blob, Error>({
+    queryKey: ['newsletterThumbnail', newsletterId, version],
+    queryFn: () => fetchBlobWithToken(`/newsletters/${newsletterId}/thumbnail`, token),
+    enabled: !!token,
+    staleTime: Infinity,
+    retry: false,
+  });
+
+  useEffect(() => {
+    if (!image) { setObjectUrl(null); return; }
+    const url = URL.createObjectURL(image);
+    setObjectUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [image]);
+
+  const frameClass = cn("w-[72px] h-24 shrink-0 rounded-md border bg-white overflow-hidden", className);
+  if (isLoading) return <Skeleton className={frameClass} />;
+  if (isError || !objectUrl) return <div className={cn(frameClass, "flex items-center justify-center bg-muted text-muted-foreground")}><Newspaper className="w-6 h-6" /></div>;
+  return <img src={objectUrl} alt="Newsletter preview" className={cn(frameClass, "object-cover object-top")} />;
+};
@@ -0,0 +1,51 @@
+import { Button } from "@/components/ui/button";
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter, DialogDescription } from '@/components/ui/dialog';
+import { AlertTriangle, ImageOff, Link2Off, Loader2, MailX, Ruler, ShieldAlert } from 'lucide-react';
+
+// --- Data Types ---
+export type HtmlWarningType = 'removed' | 'size' | 'missing-unsubscribe' | 'missing-alt' | 'broken-link' | 'broken-image';
+export interface HtmlWarning { type: HtmlWarningType; message: string; url?: string; }
+export interface NewsletterPreview { htmlContent: string; warnings: HtmlWarning[]; template: string; templateData?: Record<string, unknown>; }
+
+const WARNING_ICONS: Record<HtmlWarningType, JSX.Element> = {
+  'removed': <ShieldAlert className="w-4 h-4 text-orange-600" />,
+  'size': <Ruler className="w-4 h-4 text-yellow-600" />,
+  'missing-unsubscribe': <MailX className="w-4 h-4 text-red-600" />,
+  'missing-alt': <ImageOff className="w-4 h-4 text-yellow-600" />,
+  'broken-link': <Link2Off className="w-4 h-4 text-red-600" />,
+  'broken-image': <ImageOff className="w-4 h-4 text-red-600" />,
+};
+
+interface NewsletterWarningsDialogProps {
+  title: string;
+  preview: NewsletterPreview | null;
+  isSaving: boolean;
+  onCancel: () => void;
+  onConfirm: () => void;
+}
+
+export const NewsletterWarningsDialog = ({ title, preview, isSaving, onCancel, onConfirm }: NewsletterWarningsDialogProps) => (
+  <Dialog open={!!preview} onOpenChange={(open) => { if (!open) onCancel(); }}>
+    <DialogContent className="sm:max-w-4xl">
+      <DialogHeader>
+        <DialogTitle className="flex items-center gap-2"><AlertTriangle className="w-5 h-5 text-yellow-600" />Review "{title}" before saving</DialogTitle>
+        <DialogDescription>The newsletter was cleaned up for email clients, but some problems need a look. You can save it anyway and fix them in the editor.</DialogDescription>
+      </DialogHeader>
+      <div className="grid grid-cols-2 gap-4">
+        <ScrollArea className="h-[420px] border rounded-md">
+          <ul className="divide-y">
+            {preview?.warnings.map((warning, i) => (
+              <li key={i} className="flex items-start gap-2 p-3 text-sm">{WARNING_ICONS[warning.type]}<span className="break-all">{warning.message}</span></li>
+            ))}
+          </ul>
+        </ScrollArea>
+        <iframe title="Newsletter preview" srcDoc={preview?.htmlContent} sandbox="" className="w-full h-[420px] border rounded-md bg-white" />
+      </div>
+      <DialogFooter>
+        <Button variant="outline" onClick={onCancel}>Cancel</Button>
+        <Button onClick={onConfirm} disabled={isSaving}>{isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}Save Anyway</Button>
+      </DialogFooter>
+    </DialogContent>
+  </Dialog>
+);
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { fetchWithToken, fetchBlobWithToken } from '@/lib/api';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Textarea } from '@/components/ui/textarea';
+import { Skeleton } from "@/components/ui/skeleton";
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter, DialogDescription } from '@/components/ui/dialog';
+import { CheckCircle, ClipboardCheck, Eye, FileText, Loader2, XCircle } from 'lucide-react';
+import type { Language } from './NewsletterReaderDialog';
+
+// --- Data Types ---
+interface ReviewEvent { action: string; comment?: string; at: string; }
+interface PendingNewsletter {
+  _id: string;
+  title: string;
+  category: string;
+  createdBy?: { _id: string; name: string; email: string };
+  reviewHistory: ReviewEvent[];
+  languages?: string[];
+  updatedAt: string;
+}
+export interface ReviewQueue { newsletters: PendingNewsletter[]; reviewCategories: string[]; }
+type Decision = 'approved' | 'declined';
+
+export const ReviewQueuePanel = () => {
+  const { token } = useAuth();
+  const queryClient = useQueryClient();
+  const [reviewing, setReviewing] = useState<{ newsletter: PendingNewsletter; decision: Decision } | null>(null);
+  const [comment, setComment] = useState('');
+  const [approvedLanguages, setApprovedLanguages] = useState<string[]>([]);
+
+  const { data: queue, isLoading, error } = useQuery<ReviewQueue, Error>({ queryKey: ['reviewQueue'], queryFn: () => fetchWithToken('/newsletters/review-queue', token), enabled: !!token, refetchInterval: 30000 });
+  const { data: languages } = useQuery<Language[], Error>({ queryKey: ['languages'], queryFn: () => fetchWithToken('/news/languages', token), enabled: !!token, staleTime: Infinity });
+
+  const viewPdfMutation = useMutation<Blob, Error, string>({
+    mutationFn: (newsletterId) => fetchBlobWithToken(`/newsletters/${newsletterId}/download`, token),
+    onSuccess: (blob) => window.open(URL.createObjectURL(blob), '_blank'),
+    onError: (err: Error) => toast.error(err.message || "Failed to open PDF."),
+  });
+  const viewTranslationMutation = useMutation<Blob, Error, { id: string; language: string }>({
+    mutationFn: ({ id, language }) => fetchBlobWithToken(`/newsletters/${id}/translations/${language}`, token),
+    onSuccess: (blob) => window.open(URL.createObjectURL(blob), '_blank'),
+    onError: (err: Error) => toast.error(err.message || "Failed to open the translation."),
+  });
+  const reviewMutation = useMutation<unknown, Error, { id: string; status: Decision; comment: string; translations: string[] }>({
+    mutationFn: ({ id, status, comment, translations }) => fetchWithToken(`/newsletters/${id}/status`, token, { method: 'PATCH', body: JSON.stringify({ status, comment, translations }) }),
+    onSuccess: (_, variables) => {
+      toast.success(`Newsletter ${variables.status}.`);
+      queryClient.invalidateQueries({ queryKey: ['reviewQueue'] });
+      queryClient.invalidateQueries({ queryKey: ['myNewsletters'] });
+      setReviewing(null);
+    },
+    onError: (err: Error) => toast.error(err.message),
+  });
+
+  const languageName = (code: string) => languages?.find(l => l.code === code)?.name || code;
+  const getTranslations = (newsletter: PendingNewsletter) => (newsletter.languages || []).filter(code => code !== 'en');
+  const handleOpenReview = (newsletter: PendingNewsletter, decision: Decision) => { setComment(''); setApprovedLanguages(getTranslations(newsletter)); setReviewing({ newsletter, decision }); };
+  const handleToggleLanguage = (code: string, checked: boolean) => setApprovedLanguages(prev => checked ? [...prev, code] : prev.filter(c => c !== code));
+  const handleSubmitReview = () => {
+    if (!reviewing) return;
+    if (reviewing.decision === 'declined' && !comment.trim()) { toast.warning("Please explain why the newsletter is declined."); return; }
+    reviewMutation.mutate({ id: reviewing.newsletter._id, status: reviewing.decision, comment: comment.trim(), translations: reviewing.decision === 'approved' ? approvedLanguages : [] });
+  };
+
+  // Translations are sent only when approved with the issue; readers of the ones left out get the original.
+  const renderTranslations = (newsletter: PendingNewsletter) => {
+    const translations = getTranslations(newsletter);
+    if (translations.length === 0) return <p className="text-sm text-muted-foreground">No translations yet. Readers of other languages get the original.</p>;
+    return (
+      <div className="space-y-2">
+        <Label>Translations to approve</Label>
+        {translations.map(code => (
+          <div key={code} className="flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <Checkbox id={`translation-${code}`} checked={approvedLanguages.includes(code)} onCheckedChange={(checked) => handleToggleLanguage(code, Boolean(checked))} />
+              <Label htmlFor={`translation-${code}`}>{languageName(code)}</Label>
+            </div>
+            <Button size="sm" variant="ghost" onClick={() => viewTranslationMutation.mutate({ id: newsletter._id, language: code })} disabled={viewTranslationMutation.isPending}><Eye className="w-4 h-4 mr-1" />Preview</Button>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderQueue = () => {
+    if (isLoading) return Array.from({ length: 3 }).map((_, i) => <Skeleton key={i} className="h-20 w-full" />);
+    if (error) return <Alert variant="destructive"><AlertDescription>{error.message}</AlertDescription></Alert>;
+    if (!queue || queue.newsletters.length === 0) return <p className="text-center text-muted-foreground py-8">Nothing is waiting for review.</p>;
+    return queue.newsletters.map((newsletter) => {
+      const submission = [...newsletter.reviewHistory].reverse().find(event => event.action === 'submitted');
+      return (
+        <div key={newsletter._id} className="flex items-center justify-between p-4 border rounded-lg hover:bg-accent">
+          <div className="flex-1">
+            <div className="flex items-center gap-3 mb-1"><h3 className="font-semibold">{newsletter.title}</h3><Badge variant="outline">{newsletter.category}</Badge></div>
+            <p className="text-sm text-muted-foreground">Submitted by {newsletter.createdBy?.name || 'a schedule'} {submission && formatDistanceToNow(new Date(submission.at), { addSuffix: true })}</p>
+            {submission?.comment && <p className="text-sm italic mt-1">"{submission.comment}"</p>}
+            {getTranslations(newsletter).length > 0 && <p className="text-xs text-muted-foreground mt-1">Translated into {getTranslations(newsletter).map(languageName).join(', ')}</p>}
+          </div>
+          <div className="flex items-center gap-2 ml-4">
+            <Button size="sm" variant="outline" onClick={() => viewPdfMutation.mutate(newsletter._id)} disabled={viewPdfMutation.isPending && viewPdfMutation.variables === newsletter._id}>{viewPdfMutation.isPending && viewPdfMutation.variables === newsletter._id ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <FileText className="w-4 h-4 mr-2" />}View PDF</Button>
+            <Button size="sm" variant="destructive" onClick={() => handleOpenReview(newsletter, 'declined')}><XCircle className="w-4 h-4 mr-1" />Decline</Button>
+            <Button size="sm" className="bg-green-600 hover:bg-green-700" onClick={() => handleOpenReview(newsletter, 'approved')}><CheckCircle className="w-4 h-4 mr-1" />Approve</Button>
+          </div>
+        </div>
+      );
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2"><ClipboardCheck className="w-5 h-5" />Review Queue</CardTitle>
+        <CardDescription>Approve or decline newsletters submitted for review. Only approved issues can be sent.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">{renderQueue()}</CardContent>
+      <Dialog open={!!reviewing} onOpenChange={() => setReviewing(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{reviewing?.decision === 'approved' ? 'Approve' : 'Decline'} "{reviewing?.newsletter.title}"</DialogTitle>
+            <DialogDescription>The author will be notified of your decision{reviewing?.decision === 'declined' ? ' and your comment' : ''}.</DialogDescription>
+          </DialogHeader>
+          {reviewing?.decision === 'approved' && renderTranslations(reviewing.newsletter)}
+          <div className="space-y-2 py-2">
+            <Label htmlFor="review-comment">Comment{reviewing?.decision === 'approved' ? ' (optional)' : ''}</Label>
+            <Textarea id="review-comment" value={comment} onChange={(e) => setComment(e.target.value)} rows={4} placeholder={reviewing?.decision === 'declined' ? 'What needs to change?' : 'Anything the author should know?'} />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setReviewing(null)}>Cancel</Button>
+            <Button variant={reviewing?.decision === 'declined' ? 'destructive' : 'default'} onClick={handleSubmitReview} disabled={reviewMutation.isPending}>
+              {reviewMutation.isPending && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {reviewing?.decision === 'approved' ? 'Approve' : 'Decline'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
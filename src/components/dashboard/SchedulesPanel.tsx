@@ -0,0 +1,310 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useForm, Controller } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { useAuth } from '@/context/AuthContext';
+import { fetchWithToken } from '@/lib/api';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter, DialogDescription } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { CalendarClock, Edit, History, Loader2, Play, Plus, Trash2 } from 'lucide-react';
+
+// --- Data Types ---
+interface Schedule {
+  _id: string;
+  name: string;
+  category: string;
+  frequency: 'daily' | 'weekly' | 'monthly';
+  dayOfWeek?: number;
+  dayOfMonth?: number;
+  time: string;
+  action: 'review' | 'send';
+  titlePrefix?: string;
+  maxArticles: number;
+  isActive: boolean;
+  nextRunAt?: string;
+  lastRunAt?: string;
+  upcomingRuns: string[];
+}
+interface ScheduleRun {
+  _id: string;
+  schedule?: { _id: string; name: string };
+  category: string;
+  trigger: 'scheduled' | 'manual';
+  status: 'running' | 'success' | 'skipped' | 'failed';
+  newsletter?: { _id: string; title: string; status: string };
+  articleCount: number;
+  recipientCount: number;
+  message?: string;
+  startedAt: string;
+}
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const scheduleSchema = z.object({
+  name: z.string().min(2, "Name is required."),
+  category: z.string().min(1, "Category is required."),
+  frequency: z.enum(['daily', 'weekly', 'monthly']),
+  dayOfWeek: z.coerce.number().min(0).max(6).optional(),
+  dayOfMonth: z.coerce.number().min(1).max(28).optional(),
+  time: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Use the HH:mm format."),
+  action: z.enum(['review', 'send']),
+  titlePrefix: z.string().optional(),
+  maxArticles: z.coerce.number().min(1).max(50),
+});
+type ScheduleFormData = z.infer<typeof scheduleSchema>;
+
+const describeFrequency = (schedule: Schedule) => {
+  if (schedule.frequency === 'weekly') return `Every ${DAYS_OF_WEEK[schedule.dayOfWeek ?? 1]} at ${schedule.time}`;
+  if (schedule.frequency === 'monthly') return `Monthly on day ${schedule.dayOfMonth} at ${schedule.time}`;
+  return `Daily at ${schedule.time}`;
+};
+
+const getRunStatusColor = (status: ScheduleRun['status']) => {
+  switch (status) {
+    case 'success': return 'bg-green-100 text-green-800';
+    case 'failed': return 'bg-red-100 text-red-800';
+    case 'skipped': return 'bg-gray-100 text-gray-800';
+    default: return 'bg-yellow-100 text-yellow-800';
+  }
+};
+
+export const SchedulesPanel = ({ categories }: { categories: string[] }) => {
+  const { token } = useAuth();
+  const queryClient = useQueryClient();
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingSchedule, setEditingSchedule] = useState<Schedule | null>(null);
+  const [historySchedule, setHistorySchedule] = useState<Schedule | null>(null);
+
+  const form = useForm<ScheduleFormData>({ resolver: zodResolver(scheduleSchema) });
+  const frequency = form.watch('frequency');
+
+  const { data: schedules, isLoading: isLoadingSchedules, error: schedulesError } = useQuery<Schedule[], Error>({ queryKey: ['schedules'], queryFn: () => fetchWithToken('/schedules', token), enabled: !!token });
+  const { data: recentRuns, isLoading: isLoadingRuns } = useQuery<ScheduleRun[], Error>({ queryKey: ['scheduleRuns'], queryFn: () => fetchWithToken('/schedules/runs', token), enabled: !!token, refetchInterval: 30000 });
+  const { data: scheduleHistory, isLoading: isLoadingHistory } = useQuery<ScheduleRun[], Error>({ queryKey: ['scheduleRuns', historySchedule?._id], queryFn: () => fetchWithToken(`/schedules/${historySchedule?._id}/runs`, token), enabled: !!token && !!historySchedule });
+
+  const invalidateSchedules = () => {
+    queryClient.invalidateQueries({ queryKey: ['schedules'] });
+    queryClient.invalidateQueries({ queryKey: ['scheduleRuns'] });
+  };
+
+  const upsertScheduleMutation = useMutation<Schedule, Error, ScheduleFormData>({
+    mutationFn: (data) => {
+      const url = editingSchedule ? `/schedules/${editingSchedule._id}` : '/schedules';
+      return fetchWithToken(url, token, { method: editingSchedule ? 'PATCH' : 'POST', body: JSON.stringify(data) });
+    },
+    onSuccess: () => {
+      toast.success(`Schedule ${editingSchedule ? 'updated' : 'created'} successfully!`);
+      invalidateSchedules();
+      setIsFormOpen(false);
+    },
+    onError: (err: Error) => toast.error(err.message),
+  });
+  const toggleScheduleMutation = useMutation<Schedule, Error, { id: string; isActive: boolean }>({
+    mutationFn: ({ id, isActive }) => fetchWithToken(`/schedules/${id}`, token, { method: 'PATCH', body: JSON.stringify({ isActive }) }),
+    onSuccess: (data) => { toast.success(`Schedule ${data.isActive ? 'resumed' : 'paused'}.`); invalidateSchedules(); },
+    onError: (err: Error) => toast.error(err.message),
+  });
+  const deleteScheduleMutation = useMutation<{ message: string }, Error, string>({
+    mutationFn: (id) => fetchWithToken(`/schedules/${id}`, token, { method: 'DELETE' }),
+    onSuccess: (data) => { toast.success(data.message); invalidateSchedules(); },
+    onError: (err: Error) => toast.error(err.message),
+  });
+  const runNowMutation = useMutation<ScheduleRun, Error, string>({
+    mutationFn: (id) => fetchWithToken(`/schedules/${id}/run`, token, { method: 'POST' }),
+    onSuccess: (run) => {
+      if (run.status === 'failed') toast.error(run.message || "The scheduled run failed.");
+      else toast.success(run.message || "Schedule ran successfully.");
+      invalidateSchedules();
+      queryClient.invalidateQueries({ queryKey: ['myNewsletters'] });
+    },
+    onError: (err: Error) => toast.error(err.message),
+  });
+
+  useEffect(() => {
+    if (isFormOpen) {
+      form.reset(editingSchedule
+        ? { ...editingSchedule, titlePrefix: editingSchedule.titlePrefix || '' }
+        : { name: '', category: categories[0] || '', frequency: 'weekly', dayOfWeek: 1, dayOfMonth: 1, time: '08:00', action: 'review', titlePrefix: '', maxArticles: 10 });
+    }
+  }, [isFormOpen, editingSchedule, categories, form]);
+
+  const handleOpenForm = (schedule: Schedule | null = null) => { setEditingSchedule(schedule); setIsFormOpen(true); };
+
+  const renderRunRows = (runs: ScheduleRun[] | undefined, showSchedule: boolean) => {
+    if (!runs || runs.length === 0) {
+      return <TableRow><TableCell colSpan={showSchedule ? 5 : 4} className="text-center text-muted-foreground h-16">No runs yet.</TableCell></TableRow>;
+    }
+    return runs.map((run) => (
+      <TableRow key={run._id}>
+        <TableCell>{format(new Date(run.startedAt), 'PP p')}</TableCell>
+        {showSchedule && <TableCell>{run.schedule?.name || 'Deleted schedule'} <span className="text-xs text-muted-foreground">({run.category})</span></TableCell>}
+        <TableCell><Badge className={getRunStatusColor(run.status)}>{run.status}</Badge>{run.trigger === 'manual' && <Badge variant="outline" className="ml-1">manual</Badge>}</TableCell>
+        <TableCell>{run.newsletter?.title || '-'}</TableCell>
+        <TableCell className="text-sm text-muted-foreground">{run.message}</TableCell>
+      </TableRow>
+    ));
+  };
+
+  const renderScheduleList = () => {
+    if (isLoadingSchedules) return <Skeleton className="h-32 w-full" />;
+    if (schedulesError) return <Alert variant="destructive"><AlertDescription>{schedulesError.message}</AlertDescription></Alert>;
+    if (!schedules || schedules.length === 0) return <p className="text-center text-muted-foreground py-8">No schedules yet. Create one to generate issues automatically.</p>;
+    return (
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Name</TableHead>
+            <TableHead>Category</TableHead>
+            <TableHead>Frequency</TableHead>
+            <TableHead>Upcoming Runs</TableHead>
+            <TableHead>Active</TableHead>
+            <TableHead className="text-right">Actions</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {schedules.map((schedule) => (
+            <TableRow key={schedule._id}>
+              <TableCell className="font-medium">{schedule.name}<p className="text-xs text-muted-foreground">{schedule.action === 'send' ? 'Sends to subscribers once approved' : 'Queues for approval'}</p></TableCell>
+              <TableCell><Badge variant="outline">{schedule.category}</Badge></TableCell>
+              <TableCell>{describeFrequency(schedule)}</TableCell>
+              <TableCell className="text-sm">{schedule.upcomingRuns.length > 0 ? schedule.upcomingRuns.map(run => <div key={run}>{format(new Date(run), 'EEE, PP p')}</div>) : <span className="text-muted-foreground">Paused</span>}</TableCell>
+              <TableCell><Switch checked={schedule.isActive} onCheckedChange={(checked) => toggleScheduleMutation.mutate({ id: schedule._id, isActive: checked })} disabled={toggleScheduleMutation.isPending} /></TableCell>
+              <TableCell className="text-right">
+                <div className="flex items-center justify-end gap-2">
+                  <Button size="sm" variant="outline" onClick={() => runNowMutation.mutate(schedule._id)} disabled={runNowMutation.isPending}>{runNowMutation.isPending && runNowMutation.variables === schedule._id ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Play className="w-4 h-4 mr-1" />}Run Now</Button>
+                  <Button size="icon" variant="outline" className="h-9 w-9" onClick={() => setHistorySchedule(schedule)}><History className="h-4 w-4" /></Button>
+                  <Button size="icon" variant="outline" className="h-9 w-9" onClick={() => handleOpenForm(schedule)}><Edit className="h-4 w-4" /></Button>
+                  <Button size="icon" variant="destructive" className="h-9 w-9" onClick={() => deleteScheduleMutation.mutate(schedule._id)} disabled={deleteScheduleMutation.isPending && deleteScheduleMutation.variables === schedule._id}><Trash2 className="h-4 w-4" /></Button>
+                </div>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <div>
+              <CardTitle className="flex items-center gap-2"><CalendarClock className="w-5 h-5" />Newsletter Schedules</CardTitle>
+              <CardDescription>Generate issues automatically from the articles saved since the last issue. Times use the server's clock.</CardDescription>
+            </div>
+            <Button onClick={() => handleOpenForm()} disabled={categories.length === 0}><Plus className="w-4 h-4 mr-2" />New Schedule</Button>
+          </div>
+        </CardHeader>
+        <CardContent>{renderScheduleList()}</CardContent>
+      </Card>
+      <Card>
+        <CardHeader>
+          <CardTitle>Recent Runs</CardTitle>
+          <CardDescription>The latest scheduled and manual runs across your categories.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {isLoadingRuns ? <Skeleton className="h-24 w-full" /> : (
+            <Table>
+              <TableHeader><TableRow><TableHead>Started</TableHead><TableHead>Schedule</TableHead><TableHead>Status</TableHead><TableHead>Newsletter</TableHead><TableHead>Details</TableHead></TableRow></TableHeader>
+              <TableBody>{renderRunRows(recentRuns, true)}</TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>{editingSchedule ? 'Edit Schedule' : 'New Schedule'}</DialogTitle>
+            <DialogDescription>Choose when this category's newsletter should be generated.</DialogDescription>
+          </DialogHeader>
+          <form onSubmit={form.handleSubmit(data => upsertScheduleMutation.mutate(data))} className="space-y-4 pt-2">
+            <div><Label htmlFor="schedule-name">Name</Label><Input id="schedule-name" placeholder="e.g., Weekly Digest" {...form.register("name")} />{form.formState.errors.name && <p className="text-sm text-destructive mt-1">{form.formState.errors.name.message}</p>}</div>
+            <div>
+              <Label>Category</Label>
+              <Controller name="category" control={form.control} render={({ field }) => (
+                <Select value={field.value} onValueChange={field.onChange}>
+                  <SelectTrigger><SelectValue placeholder="Select a category" /></SelectTrigger>
+                  <SelectContent>{categories.map(cat => <SelectItem key={cat} value={cat}>{cat}</SelectItem>)}</SelectContent>
+                </Select>
+              )} />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Frequency</Label>
+                <Controller name="frequency" control={form.control} render={({ field }) => (
+                  <Select value={field.value} onValueChange={field.onChange}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent><SelectItem value="daily">Daily</SelectItem><SelectItem value="weekly">Weekly</SelectItem><SelectItem value="monthly">Monthly</SelectItem></SelectContent>
+                  </Select>
+                )} />
+              </div>
+              <div><Label htmlFor="schedule-time">Time</Label><Input id="schedule-time" type="time" {...form.register("time")} />{form.formState.errors.time && <p className="text-sm text-destructive mt-1">{form.formState.errors.time.message}</p>}</div>
+            </div>
+            {frequency === 'weekly' && (
+              <div>
+                <Label>Day of Week</Label>
+                <Controller name="dayOfWeek" control={form.control} render={({ field }) => (
+                  <Select value={String(field.value ?? 1)} onValueChange={(v) => field.onChange(Number(v))}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent>{DAYS_OF_WEEK.map((day, i) => <SelectItem key={day} value={String(i)}>{day}</SelectItem>)}</SelectContent>
+                  </Select>
+                )} />
+              </div>
+            )}
+            {frequency === 'monthly' && (
+              <div><Label htmlFor="schedule-day-of-month">Day of Month (1-28)</Label><Input id="schedule-day-of-month" type="number" min={1} max={28} {...form.register("dayOfMonth")} /></div>
+            )}
+            <div>
+              <Label>When Generated</Label>
+              <Controller name="action" control={form.control} render={({ field }) => (
+                <Select value={field.value} onValueChange={field.onChange}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent><SelectItem value="review">Queue for approval</SelectItem><SelectItem value="send">Send to subscribers once approved</SelectItem></SelectContent>
+                </Select>
+              )} />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div><Label htmlFor="schedule-title-prefix">Title Prefix</Label><Input id="schedule-title-prefix" placeholder="Defaults to category" {...form.register("titlePrefix")} /></div>
+              <div><Label htmlFor="schedule-max-articles">Max Articles</Label><Input id="schedule-max-articles" type="number" min={1} max={50} {...form.register("maxArticles")} /></div>
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="secondary" onClick={() => setIsFormOpen(false)}>Cancel</Button>
+              <Button type="submit" disabled={upsertScheduleMutation.isPending}>{upsertScheduleMutation.isPending ? "Saving..." : "Save"}</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!historySchedule} onOpenChange={() => setHistorySchedule(null)}>
+        <DialogContent className="sm:max-w-3xl">
+          <DialogHeader>
+            <DialogTitle>Run History: {historySchedule?.name}</DialogTitle>
+            <DialogDescription>{historySchedule && describeFrequency(historySchedule)}</DialogDescription>
+          </DialogHeader>
+          <div className="max-h-[60vh] overflow-y-auto">
+            {isLoadingHistory ? <Skeleton className="h-24 w-full" /> : (
+              <Table>
+                <TableHeader><TableRow><TableHead>Started</TableHead><TableHead>Status</TableHead><TableHead>Newsletter</TableHead><TableHead>Details</TableHead></TableRow></TableHeader>
+                <TableBody>{renderRunRows(scheduleHistory, false)}</TableBody>
+              </Table>
+            )}
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
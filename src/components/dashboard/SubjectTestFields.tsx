@@ -0,0 +1,47 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from '@/components/ui/switch';
+import { Plus, X } from 'lucide-react';
+import { MAX_SUBJECT_VARIANTS, SubjectTestSettings } from '@/lib/subjectTest';
+
+interface SubjectTestFieldsProps {
+  value: SubjectTestSettings;
+  onChange: (value: SubjectTestSettings) => void;
+  recipientCount: number;
+}
+
+export const SubjectTestFields = ({ value, onChange, recipientCount }: SubjectTestFieldsProps) => {
+  const update = (changes: Partial<SubjectTestSettings>) => onChange({ ...value, ...changes });
+  const updateSubject = (index: number, subject: string) => update({ subjects: value.subjects.map((s, i) => (i === index ? subject : s)) });
+  const testGroupSize = Math.min(recipientCount, Math.max(value.subjects.length, Math.round(recipientCount * value.testPercent / 100)));
+
+  return (
+    <div className="space-y-3 rounded-md border p-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <Label htmlFor="subject-test-enabled">A/B test the subject line</Label>
+          <p className="text-xs text-muted-foreground">Each subject goes to a random slice; the one with the most opens goes to everyone else.</p>
+        </div>
+        <Switch id="subject-test-enabled" checked={value.enabled} onCheckedChange={(enabled) => update({ enabled })} />
+      </div>
+      {value.enabled && (
+        <>
+          {value.subjects.map((subject, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <span className="text-xs font-semibold w-5">{String.fromCharCode(65 + index)}</span>
+              <Input value={subject} onChange={(e) => updateSubject(index, e.target.value)} placeholder={`Subject ${String.fromCharCode(65 + index)}`} />
+              {value.subjects.length > 2 && <Button type="button" size="icon" variant="ghost" className="h-8 w-8 shrink-0" onClick={() => update({ subjects: value.subjects.filter((_, i) => i !== index) })}><X className="h-4 w-4" /></Button>}
+            </div>
+          ))}
+          {value.subjects.length < MAX_SUBJECT_VARIANTS && <Button type="button" size="sm" variant="ghost" onClick={() => update({ subjects: [...value.subjects, ''] })}><Plus className="h-4 w-4 mr-1" />Add variant</Button>}
+          <div className="grid grid-cols-2 gap-3">
+            <div><Label htmlFor="subject-test-percent" className="text-xs">Test group (%)</Label><Input id="subject-test-percent" type="number" min={1} max={100} value={value.testPercent} onChange={(e) => update({ testPercent: Math.round(Number(e.target.value)) })} /></div>
+            <div><Label htmlFor="subject-test-wait" className="text-xs">Pick winner after (hours)</Label><Input id="subject-test-wait" type="number" min={1} max={72} value={value.waitHours} onChange={(e) => update({ waitHours: Math.round(Number(e.target.value)) })} /></div>
+          </div>
+          <p className="text-xs text-muted-foreground">{testGroupSize} of {recipientCount} recipient(s) get a test subject now; the other {recipientCount - testGroupSize} get the winner.</p>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,11 @@
+export const MAX_SUBJECT_VARIANTS = 4;
+
+export interface SubjectTestSettings { enabled: boolean; subjects: string[]; testPercent: number; waitHours: number; }
+
+// The first variant is the subject the issue would be sent with anyway: the editor's pick, or the default.
+export const createSubjectTestSettings = (title = '', subject = ''): SubjectTestSettings => ({ enabled: false, subjects: [subject || (title ? `Your Newsletter: ${title}` : ''), ''], testPercent: 20, waitHours: 4 });
+
+// Only what the send route expects, or undefined when no test was requested.
+export const toSubjectTestPayload = (settings: SubjectTestSettings) => settings.enabled
+  ? { subjects: settings.subjects.map(s => s.trim()), testPercent: settings.testPercent, waitHours: settings.waitHours }
+  : undefined;
@@ -0,0 +1,91 @@
+import { useQuery } from '@tanstack/react-query';
+import { Link, useParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { AlertCircle, ArrowLeft, ExternalLink, Rss } from 'lucide-react';
+
+// --- Data Types ---
+interface ArchiveLinks { pageUrl: string; rssUrl: string; atomUrl: string; }
+interface PublicCategory extends ArchiveLinks { name: string; slug: string; }
+interface ArchivedIssue { _id: string; title: string; sentAt: string; url: string; }
+interface CategoryArchive extends PublicCategory { issues: ArchivedIssue[]; }
+
+const fetchPublic = async <T,>(endpoint: string): Promise<T> => {
+  const response = await fetch(`/api/archive${endpoint}`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.message || 'Could not load the archive.');
+  return data;
+};
+
+// Public pages for categories a superadmin has published; no login required.
+const Archive = () => {
+  const { slug } = useParams<{ slug: string }>();
+  const { data: categories, isLoading: isLoadingCategories, error: categoriesError } = useQuery<PublicCategory[], Error>({ queryKey: ['publicArchive'], queryFn: () => fetchPublic('/'), enabled: !slug });
+  const { data: archive, isLoading: isLoadingArchive, error: archiveError } = useQuery<CategoryArchive, Error>({ queryKey: ['publicArchive', slug], queryFn: () => fetchPublic(`/${slug}`), enabled: !!slug });
+  const error = slug ? archiveError : categoriesError;
+
+  const renderFeedLinks = (links: ArchiveLinks) => (
+    <div className="flex gap-2">
+      <Button asChild size="sm" variant="outline"><a href={links.rssUrl}><Rss className="w-4 h-4 mr-1" />RSS</a></Button>
+      <Button asChild size="sm" variant="outline"><a href={links.atomUrl}><Rss className="w-4 h-4 mr-1" />Atom</a></Button>
+    </div>
+  );
+
+  const renderCategories = () => {
+    if (isLoadingCategories) return Array.from({ length: 3 }).map((_, i) => <Skeleton key={i} className="h-14 w-full" />);
+    if (!categories || categories.length === 0) return <p className="text-center text-muted-foreground py-8">No newsletters have a public archive yet.</p>;
+    return categories.map((category) => (
+      <div key={category.slug} className="flex items-center justify-between p-4 border rounded-lg hover:bg-accent">
+        <Link to={`/archive/${category.slug}`} className="font-semibold hover:underline">{category.name}</Link>
+        {renderFeedLinks(category)}
+      </div>
+    ));
+  };
+
+  const renderIssues = () => {
+    if (isLoadingArchive) return Array.from({ length: 3 }).map((_, i) => <Skeleton key={i} className="h-14 w-full" />);
+    if (!archive) return null;
+    if (archive.issues.length === 0) return <p className="text-center text-muted-foreground py-8">No issues have been sent yet.</p>;
+    return archive.issues.map((issue) => (
+      <a key={issue._id} href={issue.url} target="_blank" rel="noreferrer" className="flex items-center justify-between p-4 border rounded-lg hover:bg-accent">
+        <div>
+          <h3 className="font-semibold">{issue.title}</h3>
+          <p className="text-sm text-muted-foreground">{format(new Date(issue.sentAt), 'PPP')}</p>
+        </div>
+        <ExternalLink className="w-4 h-4 text-muted-foreground" />
+      </a>
+    ));
+  };
+
+  return (
+    <div className="min-h-screen bg-muted/40 p-4">
+      <div className="max-w-3xl mx-auto py-8 space-y-6">
+        <div className="flex items-center gap-3">
+          <img src="/logo.png" alt="NewsLetter AI Logo" className="h-8 w-8" />
+          <span className="text-2xl font-bold">NewsLetter<span className="text-primary">AI</span></span>
+        </div>
+        <Card>
+          <CardHeader>
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+              <div>
+                <CardTitle>{slug ? `${archive?.name || 'Newsletter'} Archive` : 'Newsletter Archive'}</CardTitle>
+                <CardDescription>{slug ? 'Every issue sent so far. Follow along with the feed.' : 'Newsletters you can read without an account.'}</CardDescription>
+              </div>
+              {slug && archive && renderFeedLinks(archive)}
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {error && <Alert variant="destructive"><AlertCircle className="h-4 w-4" /><AlertDescription>{error.message}</AlertDescription></Alert>}
+            {slug ? renderIssues() : renderCategories()}
+            {slug && <Button asChild variant="ghost" size="sm"><Link to="/archive"><ArrowLeft className="w-4 h-4 mr-1" />All archives</Link></Button>}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default Archive;
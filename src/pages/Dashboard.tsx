@@ -13,9 +13,24 @@ import { Label } from "@/components/ui/label";
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter, DialogDescription } from '@/components/ui/dialog';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
-import { FileText, Clock, CheckCircle, Users, ListTodo, Newspaper, AlertCircle, XCircle, ExternalLink, Sparkles, Loader2, Save, FileSignature, Trash2, Share2, Calendar as CalendarIcon, Plus, Copy, UserPlus, ChevronsUpDown, CheckCheck, Download, Mail, Edit } from 'lucide-react';
+import { Switch } from '@/components/ui/switch';
+import { FileText, Layers, Clock, CheckCircle, Users, ListTodo, Newspaper, AlertCircle, XCircle, ExternalLink, Sparkles, Loader2, Save, FileSignature, Trash2, Share2, Calendar as CalendarIcon, Plus, Copy, UserPlus, ChevronsUpDown, CheckCheck, Download, Mail, Edit, Send, Undo2, RefreshCw, LayoutTemplate, ListChecks, UserMinus, BarChart3, FileCode, FileType } from 'lucide-react';
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
 import { AdminHeader } from '@/components/AdminHeader';
+import { SchedulesPanel } from '@/components/dashboard/SchedulesPanel';
+import { ReviewQueuePanel, ReviewQueue } from '@/components/dashboard/ReviewQueuePanel';
+import { DeliveriesDialog } from '@/components/dashboard/DeliveriesDialog';
+import { NewsletterStatsDialog } from '@/components/dashboard/NewsletterStatsDialog';
+import { NewsletterEditorDialog } from '@/components/dashboard/NewsletterEditorDialog';
+import { NewsletterThumbnail } from '@/components/dashboard/NewsletterThumbnail';
+import { ExportFormatMenu } from '@/components/dashboard/ExportFormatMenu';
+import { NewsSource, NewsSourcesField } from '@/components/dashboard/NewsSourcesField';
+import { CategoryRules, CategoryRulesField } from '@/components/dashboard/CategoryRulesField';
+import { EditorialDraft, EditorialDraftFields } from '@/components/dashboard/EditorialDraftFields';
+import { NewsSourceStatus } from '@/components/dashboard/NewsSourceStatus';
+import { NewsletterWarningsDialog, NewsletterPreview } from '@/components/dashboard/NewsletterWarningsDialog';
+import { SubjectTestFields } from '@/components/dashboard/SubjectTestFields';
+import { SubjectTestSettings, createSubjectTestSettings, toSubjectTestPayload } from '@/lib/subjectTest';
 import { useAuth } from '@/context/AuthContext';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { fetchWithToken, fetchBlobWithToken } from '@/lib/api';
@@ -31,12 +46,19 @@ import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from "@/
 import { useSearchParams } from 'react-router-dom';
 
 // --- Data Types ---
-interface Newsletter { _id: string; title: string; category: string; status: 'Not Sent' | 'pending' | 'approved' | 'declined' | 'sent'; articles: { _id: string }[]; createdAt: string; }
+interface Newsletter { _id: string; title: string; category: string; status: 'Not Sent' | 'pending' | 'approved' | 'declined' | 'sent'; articles: { _id: string }[]; createdAt: string; reviewHistory?: { action: string; comment?: string; at: string }[]; template?: string; revision?: number; thumbnail?: { etag?: string }; subject?: string; }
 interface Subscriber { _id: string; name: string; email: string; categories: string[]; }
-interface CategoryStat { _id: string; name: string; subscriberCount: number; newsletterCount: number; keywords: string[]; flyerImageUrl?: string; }
-interface NewsArticle { source: { name: string; }; title: string; description: string; url: string; urlToImage: string; content: string; summary?: string; }
-interface CuratedArticle { _id: string; title: string; summary: string; sourceName: string; category: string; originalUrl: string; imageUrl?: string;}
+interface CategoryStat { _id: string; name: string; subscriberCount: number; newsletterCount: number; unsubscribeCount: number; keywords: string[]; flyerImageUrl?: string; template?: string; aiIntro?: boolean; summaryStyle?: string; sourceLanguage?: string; trackingEnabled?: boolean; sources?: NewsSource[]; rules?: CategoryRules; }
+interface NewsArticle { source: { name: string; }; title: string; description: string; url: string; urlToImage: string; content: string; summary?: string; alternates?: NewsArticle[]; relevanceScore?: number | null; excluded?: boolean; categories?: string[]; }
+type SummarySource = 'article' | 'snippet';
+interface NewsPage { articles: NewsArticle[]; total: number; page: number; totalPages: number; }
+interface CuratedArticle { _id: string; title: string; summary: string; sourceName: string; category: string; originalUrl: string; imageUrl?: string; savedBy?: { _id: string; name: string } | null; }
 interface SystemCategory { _id: string; name: string; }
+interface NewsletterTemplate { name: string; label: string; description: string; }
+interface SummaryStyle { name: string; label: string; description: string; }
+interface Language { code: string; name: string; }
+interface SummaryResult { url?: string; summary?: string; source?: SummarySource; extractionError?: string; cached?: boolean; error?: string; }
+interface GenerateRequest { articles: CuratedArticle[]; title: string; category: string; template?: string; editorial?: Pick<EditorialDraft, 'editorNote' | 'highlights'>; subject?: string; }
 
 // --- Zod Schema for the Add User form ---
 const addUserSchema = z.object({
@@ -51,7 +73,21 @@ const categorySchema = z.object({
   name: z.string().min(2, "Name is required."),
   keywords: z.array(z.string()).default([]),
   flyerImageUrl: z.string().optional(),
+  template: z.string().default('ai'),
+  aiIntro: z.boolean().default(false),
+  summaryStyle: z.string().default('standard'),
+  sourceLanguage: z.string().default('en'),
+  trackingEnabled: z.boolean().default(true),
+  sources: z.array(z.object({ provider: z.string(), url: z.string().optional(), name: z.string().optional() })).default([]),
+  rules: z.object({
+    required: z.array(z.string()).default([]),
+    excluded: z.array(z.string()).default([]),
+    allowedSources: z.array(z.string()).default([]),
+    blockedSources: z.array(z.string()).default([]),
+    weights: z.array(z.object({ term: z.string(), weight: z.number().min(-10).max(10) })).default([]),
+  }).default({}),
 });
+const EMPTY_RULES: CategoryRules = { required: [], excluded: [], allowedSources: [], blockedSources: [], weights: [] };
 type CategoryFormData = z.infer<typeof categorySchema>;
 
 
@@ -64,28 +100,46 @@ const Dashboard = () => {
     const [activeTab, setActiveTab] = useState<string | null>(searchParams.get('tab'));
     const [currentDateTime, setCurrentDateTime] = useState(new Date());
     const [summarizedArticles, setSummarizedArticles] = useState<Record<string, string>>({});
+    const [summarySources, setSummarySources] = useState<Record<string, SummarySource>>({});
+    const [summaryStyle, setSummaryStyle] = useState('default');
     const [selectedRawArticles, setSelectedRawArticles] = useState<NewsArticle[]>([]);
     const [selectedCuratedArticles, setSelectedCuratedArticles] = useState<CuratedArticle[]>([]);
     const [newsletterTitle, setNewsletterTitle] = useState("");
+    const [newsletterTemplate, setNewsletterTemplate] = useState('default');
+    const [editorialDraft, setEditorialDraft] = useState<EditorialDraft | null>(null);
+    const [newsletterSubject, setNewsletterSubject] = useState('');
     const [isShareDialogOpen, setIsShareDialogOpen] = useState(false);
     const [sharingNewsletter, setSharingNewsletter] = useState<Newsletter | null>(null);
+    const [deliveriesNewsletter, setDeliveriesNewsletter] = useState<Newsletter | null>(null);
+    const [statsNewsletter, setStatsNewsletter] = useState<Newsletter | null>(null);
+    const [editingNewsletter, setEditingNewsletter] = useState<Newsletter | null>(null);
     const [selectedUserIds, setSelectedUserIds] = useState<string[]>([]);
+    const [subjectTest, setSubjectTest] = useState<SubjectTestSettings>(createSubjectTestSettings());
     const [isCurationDialogOpen, setIsCurationDialogOpen] = useState(false);
     const [filterDate, setFilterDate] = useState<Date | undefined>(undefined);
     const [isAddUserDialogOpen, setIsAddUserDialogOpen] = useState(false);
     const [isAddExistingUserDialogOpen, setIsAddExistingUserDialogOpen] = useState(false);
     const [isPdfTitleDialogOpen, setIsPdfTitleDialogOpen] = useState(false);
+    const [pendingPreview, setPendingPreview] = useState<{ request: GenerateRequest; preview: NewsletterPreview } | null>(null);
     const [usersToAdd, setUsersToAdd] = useState<string[]>([]);
     const [createdUserInfo, setCreatedUserInfo] = useState<{ name: string; email: string; password_was: string } | null>(null);
     const [shareSearchTerm, setShareSearchTerm] = useState('');
     const [articleFilter, setArticleFilter] = useState('all');
+    const [libraryCategory, setLibraryCategory] = useState('all');
+    const [saveCategory, setSaveCategory] = useState('');
     const [categoryToAdd, setCategoryToAdd] = useState<string>('');
     const [isCategoryFormOpen, setIsCategoryFormOpen] = useState(false);
     const [editingCategory, setEditingCategory] = useState<CategoryStat | null>(null);
     const [newsSearchTerm, setNewsSearchTerm] = useState('');
+    const [newsSearchInput, setNewsSearchInput] = useState('');
+    const [newsFromDate, setNewsFromDate] = useState('');
+    const [newsToDate, setNewsToDate] = useState('');
+    const [newsPage, setNewsPage] = useState(1);
+    const [newsSort, setNewsSort] = useState<'date' | 'relevance'>('date');
+    const [showExcludedNews, setShowExcludedNews] = useState(false);
 
     const addUserForm = useForm<AddUserFormData>({ resolver: zodResolver(addUserSchema), defaultValues: { name: "", email: "", categories: [] } });
-    const categoryForm = useForm<CategoryFormData>({ resolver: zodResolver(categorySchema), defaultValues: { keywords: [] } });
+    const categoryForm = useForm<CategoryFormData>({ resolver: zodResolver(categorySchema), defaultValues: { keywords: [], template: 'ai', aiIntro: false, summaryStyle: 'standard', sourceLanguage: 'en', trackingEnabled: true, sources: [], rules: EMPTY_RULES } });
 
 
     useEffect(() => {
@@ -105,6 +159,9 @@ const Dashboard = () => {
     
     // --- Data Fetching ---
     const { data: newsletters, isLoading: isLoadingNewsletters, error: newslettersError } = useQuery<Newsletter[], Error>({ queryKey: ['myNewsletters'], queryFn: () => fetchWithToken('/newsletters', token), enabled: !!token });
+    const { data: newsletterTemplates } = useQuery<NewsletterTemplate[], Error>({ queryKey: ['newsletterTemplates'], queryFn: () => fetchWithToken('/newsletters/templates', token), enabled: !!token, staleTime: Infinity });
+    const { data: summaryStyles } = useQuery<SummaryStyle[], Error>({ queryKey: ['summaryStyles'], queryFn: () => fetchWithToken('/news/summary-styles', token), enabled: !!token, staleTime: Infinity });
+    const { data: languages } = useQuery<Language[], Error>({ queryKey: ['languages'], queryFn: () => fetchWithToken('/news/languages', token), enabled: !!token, staleTime: Infinity });
     const { data: subscribers, isLoading: isLoadingSubscribers, error: subscribersError } = useQuery<Subscriber[], Error>({ queryKey: ['mySubscribers'], queryFn: () => fetchWithToken('/admins/my-subscribers', token), enabled: !!token });
     const { data: categoryStats, isLoading: isLoadingCategoryStats, error: categoryStatsError } = useQuery<CategoryStat[], Error>({
         queryKey: ['myCategoryStats'],
@@ -112,16 +169,25 @@ const Dashboard = () => {
         enabled: !!token,
         refetchInterval: 20000,
     });
-    const { data: newsData, isLoading: isLoadingNews, error: newsError, refetch: refetchNews } = useQuery<{ articles: NewsArticle[] }, Error>({ 
-        queryKey: ['newsArticles', newsSearchTerm], 
+    const { data: newsData, isLoading: isLoadingNews, error: newsError, refetch: refetchNews } = useQuery<NewsPage, Error>({ 
+        queryKey: ['newsArticles', newsSearchTerm, newsFromDate, newsToDate, newsSort, showExcludedNews, newsPage], 
         queryFn: () => {
-            const endpoint = newsSearchTerm ? `/news?search=${encodeURIComponent(newsSearchTerm)}` : '/news';
-            return fetchWithToken(endpoint, token);
+            const params = new URLSearchParams({ page: String(newsPage) });
+            if (newsSearchTerm) params.set('search', newsSearchTerm);
+            if (newsFromDate) params.set('from', newsFromDate);
+            if (newsToDate) params.set('to', newsToDate);
+            if (newsSort === 'relevance') params.set('sort', 'relevance');
+            if (showExcludedNews) params.set('showExcluded', 'true');
+            return fetchWithToken(`/news?${params}`, token);
         }, 
         enabled: !!token 
     });
     const { data: allUsers, isLoading: isLoadingAllUsers } = useQuery<Subscriber[], Error>({ queryKey: ['allUsers'], queryFn: () => fetchWithToken('/admins/all-users', token), enabled: !!token && (isShareDialogOpen || isAddExistingUserDialogOpen) });
-    const { data: savedArticles, isLoading: isLoadingSaved, error: savedArticlesError } = useQuery<CuratedArticle[], Error>({ queryKey: ['savedArticles', articleFilter], queryFn: () => { const endpoint = articleFilter === 'all' ? '/articles' : `/articles?timeframe=${articleFilter}`; return fetchWithToken(endpoint, token); }, enabled: !!token });
+    const { data: savedArticles, isLoading: isLoadingSaved, error: savedArticlesError } = useQuery<CuratedArticle[], Error>({ queryKey: ['savedArticles', articleFilter, libraryCategory], queryFn: () => { const params = new URLSearchParams(); if (articleFilter !== 'all') params.set('timeframe', articleFilter); if (libraryCategory !== 'all') params.set('category', libraryCategory); return fetchWithToken(`/articles?${params}`, token); }, enabled: !!token });
+    const managedCategories = categoryStats?.map(cat => cat.name) || [];
+    // Articles are saved to the category picked in the curation dialog, or the admin's only one.
+    const targetSaveCategory = saveCategory || managedCategories[0];
+    const { data: reviewQueue } = useQuery<ReviewQueue, Error>({ queryKey: ['reviewQueue'], queryFn: () => fetchWithToken('/newsletters/review-queue', token), enabled: !!token });
     const { data: allSystemCategories, isLoading: isLoadingAllCategories, error: allCategoriesError } = useQuery<SystemCategory[], Error>({ queryKey: ['allSystemCategories'], queryFn: () => fetchWithToken('/categories', token), enabled: isShareDialogOpen });
 
     // --- Mutations ---
@@ -171,23 +237,50 @@ const Dashboard = () => {
         },
     });
     
-    const updateStatusMutation = useMutation<Newsletter, Error, { id: string; status: 'approved' | 'declined' }>({ mutationFn: ({ id, status }) => fetchWithToken(`/newsletters/${id}/status`, token, { method: 'PATCH', body: JSON.stringify({ status }) }), onSuccess: () => { toast.success("Newsletter status updated!"); queryClient.invalidateQueries({ queryKey: ['myNewsletters'] }); }, onError: (err: Error) => toast.error(err.message), });
-    const summarizeMutation = useMutation<{ summary: string }, Error, NewsArticle>({
-        mutationFn: (article: NewsArticle) => {
-            const textToSummarize = `${article.title}. ${article.description || ''}`;
-            return fetchWithToken('/news/summarize', token, {
-                method: 'POST',
-                body: JSON.stringify({ textToSummarize })
-            });
-        },
+    const updateStatusMutation = useMutation<Newsletter, Error, { id: string; status: 'pending' | 'Not Sent' }>({ mutationFn: ({ id, status }) => fetchWithToken(`/newsletters/${id}/status`, token, { method: 'PATCH', body: JSON.stringify({ status }) }), onSuccess: (_, variables) => { toast.success(variables.status === 'pending' ? "Newsletter submitted for review!" : "Newsletter withdrawn from review."); queryClient.invalidateQueries({ queryKey: ['myNewsletters'] }); queryClient.invalidateQueries({ queryKey: ['reviewQueue'] }); }, onError: (err: Error) => toast.error(err.message), });
+    const rerenderMutation = useMutation<Newsletter, Error, string>({ mutationFn: (id) => fetchWithToken(`/newsletters/${id}/render`, token, { method: 'POST', body: JSON.stringify({}) }), onSuccess: (updated) => { toast.success(updated.status === 'Not Sent' ? "Newsletter re-rendered. Submit it for review again before sending." : "Newsletter re-rendered."); queryClient.invalidateQueries({ queryKey: ['myNewsletters'] }); queryClient.invalidateQueries({ queryKey: ['reviewQueue'] }); }, onError: (err: Error) => toast.error(err.message), });
+    // The server reads the full pages; the snippet is only used when none of them can be read.
+    // A story covered by several outlets is summarized from all of their versions.
+    const toSummaryRequest = (article: NewsArticle) => ({
+        urls: [article.url, ...(article.alternates || []).map(a => a.url)],
+        textToSummarize: article.alternates && article.alternates.length > 0
+            ? `The same story as reported by ${article.alternates.length + 1} outlets.\n\n${[article, ...article.alternates].map(a => `${a.source.name}: ${a.title}. ${a.description || ''}`).join('\n\n')}`
+            : `${article.title}. ${article.description || ''}`,
+        category: article.categories?.[0],
+    });
+    // 'default' leaves the choice to each article's category.
+    const requestedSummaryStyle = summaryStyle === 'default' ? undefined : summaryStyle;
+    const storeSummary = (url: string, summary: string, source: SummarySource) => {
+        setSummarizedArticles(prev => ({ ...prev, [url]: summary }));
+        setSummarySources(prev => ({ ...prev, [url]: source }));
+    };
+    const summarizeMutation = useMutation<SummaryResult & { summary: string; source: SummarySource }, Error, NewsArticle>({
+        mutationFn: (article: NewsArticle) => fetchWithToken('/news/summarize', token, { method: 'POST', body: JSON.stringify({ ...toSummaryRequest(article), style: requestedSummaryStyle }) }),
         onSuccess: (data, variables) => {
-            setSummarizedArticles(prev => ({ ...prev, [variables.url]: data.summary }));
-            toast.success("Summary generated!");
+            storeSummary(variables.url, data.summary, data.source);
+            if (data.cached) toast.success("Summary loaded from the cache.");
+            else if (data.source === 'snippet') toast.warning(`Could not read the full article${data.extractionError ? ` (${data.extractionError})` : ''}. The summary is based on the short snippet only.`);
+            else toast.success("Summary generated from the full article!");
         },
         onError: (err: Error) => toast.error(err.message || "Failed to generate summary."),
     });
-    const saveMutation = useMutation<{ message: string }, Error, NewsArticle[]>({ mutationFn: (articles) => fetchWithToken('/articles', token, { method: 'POST', body: JSON.stringify({ articles }) }), onSuccess: (data) => { toast.success(data.message); setSelectedRawArticles([]); queryClient.invalidateQueries({ queryKey: ['savedArticles', 'all'] }); setArticleFilter('all');}, onError: (err: Error) => toast.error(err.message), });
-    const generatePdfMutation = useMutation<Blob, Error, { articles: CuratedArticle[], title: string, category: string }>({ mutationFn: (data) => fetchBlobWithToken('/newsletters/generate-and-save', token, { method: 'POST', body: JSON.stringify(data), }), onSuccess: (blob) => { queryClient.invalidateQueries({ queryKey: ['myNewsletters'] }); setNewsletterTitle(""); const url = URL.createObjectURL(blob); window.open(url, '_blank'); toast.success("Newsletter created and opened successfully!"); setIsPdfTitleDialogOpen(false); }, onError: (err: Error) => { toast.error(err.message || "Failed to generate and save PDF."); }, });
+    const summarizeBatchMutation = useMutation<{ results: SummaryResult[]; summarized: number; cached: number; failed: number }, Error, NewsArticle[]>({
+        mutationFn: (articles) => fetchWithToken('/news/summarize-batch', token, { method: 'POST', body: JSON.stringify({ articles: articles.map(toSummaryRequest), style: requestedSummaryStyle }) }),
+        onSuccess: (data) => {
+            data.results.forEach(result => { if (result.url && result.summary && result.source) storeSummary(result.url, result.summary, result.source); });
+            const cached = data.cached > 0 ? ` (${data.cached} from the cache)` : '';
+            if (data.failed > 0) toast.warning(`Summarized ${data.summarized} articles${cached}; ${data.failed} failed: ${data.results.find(r => r.error)?.error}`);
+            else toast.success(`Summarized ${data.summarized} articles${cached}.`);
+        },
+        onError: (err: Error) => toast.error(err.message || "Failed to generate summaries."),
+    });
+    const saveMutation = useMutation<{ message: string }, Error, { articles: NewsArticle[]; category?: string }>({ mutationFn: (data) => fetchWithToken('/articles', token, { method: 'POST', body: JSON.stringify(data) }), onSuccess: (data) => { toast.success(data.message); setSelectedRawArticles([]); queryClient.invalidateQueries({ queryKey: ['savedArticles'] }); setArticleFilter('all');}, onError: (err: Error) => toast.error(err.message), });
+    const moveArticleMutation = useMutation<CuratedArticle, Error, { articleId: string; category: string }>({ mutationFn: ({ articleId, category }) => fetchWithToken(`/articles/${articleId}`, token, { method: 'PATCH', body: JSON.stringify({ category }) }), onSuccess: (article) => { toast.success(`Moved "${article.title}" to ${article.category}.`); setSelectedCuratedArticles(prev => prev.filter(a => a._id !== article._id)); queryClient.invalidateQueries({ queryKey: ['savedArticles'] }); }, onError: (err: Error) => toast.error(err.message), });
+    const generatePdfMutation = useMutation<Blob, Error, GenerateRequest & { htmlContent?: string; templateData?: NewsletterPreview['templateData'] }>({ mutationFn: (data) => fetchBlobWithToken('/newsletters/generate-and-save', token, { method: 'POST', body: JSON.stringify(data), }), onSuccess: (blob) => { queryClient.invalidateQueries({ queryKey: ['myNewsletters'] }); setNewsletterTitle(""); setNewsletterTemplate('default'); setEditorialDraft(null); setNewsletterSubject(''); setPendingPreview(null); const url = URL.createObjectURL(blob); window.open(url, '_blank'); toast.success("Newsletter created and opened successfully!"); setIsPdfTitleDialogOpen(false); }, onError: (err: Error) => { toast.error(err.message || "Failed to generate and save PDF."); }, });
+    const draftEditorialMutation = useMutation<EditorialDraft, Error, { articles: string[]; title: string; category: string }>({ mutationFn: (data) => fetchWithToken('/newsletters/editorial-draft', token, { method: 'POST', body: JSON.stringify(data) }), onSuccess: (draft) => { setEditorialDraft(draft); setNewsletterSubject(draft.subjects[0] || ''); toast.success("Draft ready. Edit it before generating."); }, onError: (err: Error) => toast.error(err.message || "Failed to draft the editorial."), });
+    const savePreview = (request: GenerateRequest, preview: NewsletterPreview) => generatePdfMutation.mutate({ ...request, template: preview.template, templateData: preview.templateData, htmlContent: preview.htmlContent });
+    // Builds and checks the HTML first; only issues with warnings stop for a review before saving.
+    const previewNewsletterMutation = useMutation<NewsletterPreview, Error, GenerateRequest>({ mutationFn: (data) => fetchWithToken('/newsletters/preview', token, { method: 'POST', body: JSON.stringify(data) }), onSuccess: (preview, request) => { if (preview.warnings.length === 0) { savePreview(request, preview); return; } setIsPdfTitleDialogOpen(false); setPendingPreview({ request, preview }); }, onError: (err: Error) => { toast.error(err.message || "Failed to build the newsletter."); }, });
     
     const viewPdfMutation = useMutation<Blob, Error, string>({
         mutationFn: (newsletterId) => fetchBlobWithToken(`/newsletters/${newsletterId}/download`, token),
@@ -215,9 +308,24 @@ const Dashboard = () => {
         onError: (err: Error) => toast.error(err.message || "Failed to download PDF."),
     });
 
+    const downloadTextMutation = useMutation<{ blob: Blob, title: string }, Error, { newsletterId: string, title: string }>({
+        mutationFn: ({ newsletterId, title }) => fetchBlobWithToken(`/newsletters/${newsletterId}/text`, token).then(blob => ({ blob, title })),
+        onSuccess: ({ blob, title }) => {
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${title.replace(/\s/g, '_')}.txt`;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            window.URL.revokeObjectURL(url);
+        },
+        onError: (err: Error) => toast.error(err.message || "Failed to download the plain-text version."),
+    });
+
     const deleteNewsletterMutation = useMutation<{ message: string }, Error, string>({ mutationFn: (newsletterId) => fetchWithToken(`/newsletters/${newsletterId}`, token, { method: 'DELETE' }), onSuccess: () => { toast.success("Newsletter deleted successfully!"); queryClient.invalidateQueries({ queryKey: ['myNewsletters'] }); }, onError: (err: Error) => toast.error(err.message), });
-    const deleteArticleMutation = useMutation<{ message: string }, Error, string>({ mutationFn: (articleId) => fetchWithToken(`/articles/${articleId}`, token, { method: 'DELETE' }), onSuccess: () => { toast.success("Article deleted successfully!"); setSelectedCuratedArticles([]); queryClient.invalidateQueries({ queryKey: ['savedArticles', articleFilter] }); }, onError: (err: Error) => toast.error(err.message), });
-    const shareNewsletterMutation = useMutation<{ message: string }, Error, { newsletterId: string; userIds: string[] }>({ mutationFn: (data) => fetchWithToken(`/newsletters/${data.newsletterId}/send`, token, { method: 'POST', body: JSON.stringify({ userIds: data.userIds }) }), onSuccess: (data) => { toast.success(data.message); queryClient.invalidateQueries({ queryKey: ['myNewsletters'] }); setIsShareDialogOpen(false); }, onError: (err: Error) => toast.error(err.message), });
+    const deleteArticleMutation = useMutation<{ message: string }, Error, string>({ mutationFn: (articleId) => fetchWithToken(`/articles/${articleId}`, token, { method: 'DELETE' }), onSuccess: () => { toast.success("Article deleted successfully!"); setSelectedCuratedArticles([]); queryClient.invalidateQueries({ queryKey: ['savedArticles'] }); }, onError: (err: Error) => toast.error(err.message), });
+    const shareNewsletterMutation = useMutation<{ message: string; warning?: string }, Error, { newsletterId: string; userIds: string[]; subjectTest?: ReturnType<typeof toSubjectTestPayload> }>({ mutationFn: (data) => fetchWithToken(`/newsletters/${data.newsletterId}/send`, token, { method: 'POST', body: JSON.stringify({ userIds: data.userIds, subjectTest: data.subjectTest }) }), onSuccess: (data) => { toast.success(data.message); if (data.warning) toast.warning(data.warning); queryClient.invalidateQueries({ queryKey: ['myNewsletters'] }); queryClient.invalidateQueries({ queryKey: ['deliveries', sharingNewsletter?._id] }); setIsShareDialogOpen(false); setDeliveriesNewsletter(sharingNewsletter); }, onError: (err: Error) => toast.error(err.message), });
     const shareUserDetailsMutation = useMutation<{ message: string }, Error, { email: string; name: string; password_was: string }>({
         mutationFn: (data) => 
             fetchWithToken('/admins/share-new-user-details', token, {
@@ -247,15 +355,20 @@ const Dashboard = () => {
       });
 
     // --- Event Handlers & Memoized Values ---
-    const handleOpenShareDialog = (newsletter: Newsletter) => { setSelectedUserIds([]); setShareSearchTerm(''); setSharingNewsletter(newsletter); setIsShareDialogOpen(true); };
+    const handleOpenShareDialog = (newsletter: Newsletter) => { setSelectedUserIds([]); setShareSearchTerm(''); setSubjectTest(createSubjectTestSettings(newsletter.title, newsletter.subject)); setSharingNewsletter(newsletter); setIsShareDialogOpen(true); };
     const handleOpenAddExistingDialog = () => { setUsersToAdd([]); setIsAddExistingUserDialogOpen(true); };
     const handleCategorySelection = (categoryUsers: Subscriber[], isChecked: boolean) => { const idsForCategory = categoryUsers.map(u => u._id); const currentSelectedIds = new Set(selectedUserIds); if (isChecked) { idsForCategory.forEach(id => currentSelectedIds.add(id)); } else { idsForCategory.forEach(id => currentSelectedIds.delete(id)); } setSelectedUserIds(Array.from(currentSelectedIds)); };
     const handleSelectAllFiltered = (isSelected: boolean) => { const filteredIds = filteredAllUsers.map(u => u._id); if (isSelected) { setSelectedUserIds(prev => [...new Set([...prev, ...filteredIds])]); } else { setSelectedUserIds(prev => prev.filter(id => !filteredIds.includes(id))); } };
-    const handleShareSubmit = () => { if (!sharingNewsletter || selectedUserIds.length === 0) { toast.warning("Please select at least one recipient."); return; } shareNewsletterMutation.mutate({ newsletterId: sharingNewsletter._id, userIds: Array.from(new Set(selectedUserIds)) }); };
+    const handleShareSubmit = () => { if (!sharingNewsletter || selectedUserIds.length === 0) { toast.warning("Please select at least one recipient."); return; } shareNewsletterMutation.mutate({ newsletterId: sharingNewsletter._id, userIds: Array.from(new Set(selectedUserIds)), subjectTest: toSubjectTestPayload(subjectTest) }); };
     const handleSelectRawArticle = (article: NewsArticle, isSelected: boolean) => { setSelectedRawArticles(prev => isSelected ? [...prev, article] : prev.filter(a => a.url !== article.url)); };
-    const handleSave = () => { const articlesToSave = selectedRawArticles.map(a => ({ ...a, summary: summarizedArticles[a.url] || a.description })); saveMutation.mutate(articlesToSave); };
+    // Searches also query NewsAPI, so they run when submitted rather than on every keystroke.
+    const handleNewsSearch = () => { const term = newsSearchInput.trim(); if (term === newsSearchTerm) { refetchNews(); return; } setNewsSearchTerm(term); setNewsPage(1); };
+    const handleSave = () => { const articlesToSave = selectedRawArticles.map(a => ({ ...a, summary: summarizedArticles[a.url] || a.description })); saveMutation.mutate({ articles: articlesToSave, category: targetSaveCategory }); };
     const handleSelectCuratedArticle = (article: CuratedArticle, isSelected: boolean) => { setSelectedCuratedArticles(prev => isSelected ? [...prev, article] : prev.filter(a => a._id !== article._id)); };
-    const handleGeneratePdf = () => { if (!newsletterTitle) { toast.warning("Please enter a title."); return; } if (selectedCuratedArticles.length === 0) { toast.warning("Please select at least one article."); return; } const category = selectedCuratedArticles[0]?.category; if (!category) { toast.error("Could not determine category."); return; } generatePdfMutation.mutate({ articles: selectedCuratedArticles, title: newsletterTitle, category }); };
+    // An issue belongs to one category, so its articles must all come from the same one.
+    const getSelectionCategory = () => { const categories = new Set(selectedCuratedArticles.map(a => a.category)); if (categories.size > 1) { toast.warning("Select articles from a single category. Move articles between categories from the library if needed."); return null; } const category = selectedCuratedArticles[0]?.category; if (!category) { toast.error("Could not determine category."); return null; } return category; };
+    const handleGeneratePdf = () => { if (!newsletterTitle) { toast.warning("Please enter a title."); return; } if (selectedCuratedArticles.length === 0) { toast.warning("Please select at least one article."); return; } const category = getSelectionCategory(); if (!category) return; previewNewsletterMutation.mutate({ articles: selectedCuratedArticles, title: newsletterTitle, category, template: newsletterTemplate === 'default' ? undefined : newsletterTemplate, editorial: editorialDraft ? { editorNote: editorialDraft.editorNote, highlights: editorialDraft.highlights } : undefined, subject: newsletterSubject || undefined }); };
+    const handleDraftEditorial = () => { if (!newsletterTitle) { toast.warning("Please enter a title."); return; } const category = getSelectionCategory(); if (!category) return; draftEditorialMutation.mutate({ articles: selectedCuratedArticles.map(a => a._id), title: newsletterTitle, category }); };
     
     useEffect(() => {
         if (isAddExistingUserDialogOpen && categoryStats && categoryStats.length > 0 && !categoryToAdd) {
@@ -265,7 +378,7 @@ const Dashboard = () => {
 
     useEffect(() => {
         if (isCategoryFormOpen && editingCategory) {
-            categoryForm.reset({ _id: editingCategory._id, name: editingCategory.name, keywords: editingCategory.keywords || [], flyerImageUrl: editingCategory.flyerImageUrl || '' });
+            categoryForm.reset({ _id: editingCategory._id, name: editingCategory.name, keywords: editingCategory.keywords || [], flyerImageUrl: editingCategory.flyerImageUrl || '', template: editingCategory.template || 'ai', aiIntro: editingCategory.aiIntro || false, summaryStyle: editingCategory.summaryStyle || 'standard', sourceLanguage: editingCategory.sourceLanguage || 'en', trackingEnabled: editingCategory.trackingEnabled ?? true, sources: editingCategory.sources?.length ? editingCategory.sources.map(({ provider, url, name }) => ({ provider, url, name })) : [{ provider: 'newsapi' }], rules: { ...EMPTY_RULES, ...editingCategory.rules } });
         }
     }, [isCategoryFormOpen, editingCategory, categoryForm]);
     
@@ -302,9 +415,11 @@ const Dashboard = () => {
             default: return { color: 'bg-gray-100 text-gray-800', icon: <Newspaper className="w-4 h-4" />, text: 'Not Sent' };
         }
     };
-    const renderNewsletterList = () => { if (isLoadingNewsletters) return Array.from({ length: 3 }).map((_, i) => <Skeleton key={i} className="h-24 w-full" />); if (newslettersError) return <Alert variant="destructive"><AlertDescription>{newslettersError.message}</AlertDescription></Alert>; if (!filteredNewsletters || filteredNewsletters.length === 0) { return <p className="text-center text-muted-foreground py-8">{filterDate ? "No newsletters found for this date." : "No newsletters have been generated yet."}</p>; } return filteredNewsletters.map((newsletter) => { const statusProps = getStatusProps(newsletter.status); return (<div key={newsletter._id} className="flex items-center justify-between p-4 border rounded-lg hover:bg-accent"><div className="flex-1"><div className="flex items-center gap-3 mb-2"><h3 className="font-semibold">{newsletter.title}</h3><Badge variant="outline">{newsletter.category}</Badge><Badge className={statusProps.color}>{statusProps.icon}<span className="ml-1">{statusProps.text}</span></Badge></div></div><div className="flex items-center gap-2 ml-4"><Button size="sm" variant="outline" onClick={() => viewPdfMutation.mutate(newsletter._id)} disabled={viewPdfMutation.isPending && viewPdfMutation.variables === newsletter._id}>{viewPdfMutation.isPending && viewPdfMutation.variables === newsletter._id ? <Loader2 className="w-4 h-4 mr-2 animate-spin"/> : <FileText className="w-4 h-4 mr-2" />}View PDF</Button><Button size="sm" variant="outline" onClick={() => downloadPdfMutation.mutate({ newsletterId: newsletter._id, title: newsletter.title })} disabled={downloadPdfMutation.isPending && downloadPdfMutation.variables?.newsletterId === newsletter._id}>{downloadPdfMutation.isPending && downloadPdfMutation.variables?.newsletterId === newsletter._id ? <Loader2 className="w-4 h-4 mr-2 animate-spin"/> : <Download className="w-4 h-4 mr-2" />}Download PDF</Button><Button size="icon" variant="secondary" className="h-9 w-9" onClick={() => handleOpenShareDialog(newsletter)}><Share2 className="h-4 h-4" /></Button><Button size="icon" variant="destructive" className="h-9 w-9" onClick={() => deleteNewsletterMutation.mutate(newsletter._id)} disabled={deleteNewsletterMutation.isPending && deleteNewsletterMutation.variables === newsletter._id}>{deleteNewsletterMutation.isPending && deleteNewsletterMutation.variables === newsletter._id ? <Loader2 className="h-4 h-4 animate-spin" /> : <Trash2 className="h-4 h-4" />}</Button>{newsletter.status === 'pending' && (<><Button size="sm" variant="destructive" onClick={() => updateStatusMutation.mutate({ id: newsletter._id, status: 'declined' })} disabled={updateStatusMutation.isPending}><XCircle className="w-4 h-4 mr-1"/>Decline</Button><Button size="sm" className="bg-green-600 hover:bg-green-700" onClick={() => updateStatusMutation.mutate({ id: newsletter._id, status: 'approved' })} disabled={updateStatusMutation.isPending}><CheckCircle className="w-4 h-4 mr-1"/>Approve</Button></>)}</div></div>); }); };
-    const renderNewsArticleList = () => { if (isLoadingNews) return Array.from({ length: 4 }).map((_, i) => <Skeleton key={i} className="h-40 w-full rounded-lg" />); if (newsError) return <Alert variant="destructive"><AlertDescription>{newsError.message}</AlertDescription></Alert>; if (!newsData || newsData.articles.length === 0) return <div className="text-center py-10"><p className="text-muted-foreground">No recent news articles found.</p></div>; return newsData.articles.map((article) => (<Card key={article.url} className="overflow-hidden"><div className="p-6 flex flex-col justify-between flex-1"><div><Badge variant="secondary" className="mb-2">{article.source.name}</Badge><CardTitle className="text-lg mb-2">{article.title}</CardTitle><CardDescription>{article.description}</CardDescription>{summarizedArticles[article.url] && (<div className='mt-4'><Label className='text-xs font-semibold text-primary'>AI Summary</Label><Textarea readOnly value={summarizedArticles[article.url]} className="mt-1 bg-primary/10" rows={5} /></div>)}</div><div className='flex items-center justify-between mt-4'><div className="flex items-center gap-2"><Button variant="outline" size="sm" asChild><a href={article.url} target="_blank" rel="noopener noreferrer">Read More <ExternalLink className="w-3 h-3 ml-2"/></a></Button><Button variant="secondary" size="sm" onClick={() => summarizeMutation.mutate(article)} disabled={summarizeMutation.isPending}>{summarizeMutation.isPending && summarizeMutation.variables?.url === article.url ? <Loader2 className="w-4 h-4 animate-spin"/> : <Sparkles className="w-4 h-4" />}<span className='ml-2'>Summarize</span></Button></div><div className="flex items-center space-x-2"><Checkbox id={article.url} checked={selectedRawArticles.some(sa => sa.url === article.url)} onCheckedChange={(checked) => handleSelectRawArticle(article, Boolean(checked))}/><label htmlFor={article.url} className="text-sm font-medium">Select</label></div></div></div></Card>)); };
-    const renderMyCategories = () => { if (isLoadingCategoryStats) return Array.from({ length: 2 }).map((_, i) => <Card key={i}><CardHeader><Skeleton className="h-6 w-1/2" /></CardHeader><CardContent><Skeleton className="h-10 w-full" /></CardContent></Card>); if (categoryStatsError) return <Alert variant="destructive" className="col-span-full"><AlertDescription>{categoryStatsError.message}</AlertDescription></Alert>; if (!categoryStats || categoryStats.length === 0) return <p className="text-muted-foreground col-span-full text-center py-8">You are not assigned to any categories.</p>; return categoryStats.map((cat) => (<Card key={cat.name} className="hover:shadow-lg transition-shadow"><CardHeader><CardTitle className="text-primary">{cat.name}</CardTitle><CardDescription>Live statistics</CardDescription></CardHeader><CardContent><div className="space-y-3"><div className="flex justify-between items-center text-sm"><span className="flex items-center text-muted-foreground"><Users className="w-4 h-4 mr-2"/>Subscribers</span><span className="font-bold text-lg">{cat.subscriberCount}</span></div><div className="flex justify-between items-center text-sm"><span className="flex items-center text-muted-foreground"><Newspaper className="w-4 h-4 mr-2"/>Newsletters</span><span className="font-bold text-lg">{cat.newsletterCount}</span></div></div></CardContent></Card>)); };
+    const getTemplateLabel = (name?: string) => newsletterTemplates?.find(t => t.name === name)?.label || name;
+    const getLatestReviewComment = (newsletter: Newsletter) => newsletter.reviewHistory?.filter(event => event.action === 'declined').pop()?.comment;
+    const renderNewsletterList = () => { if (isLoadingNewsletters) return Array.from({ length: 3 }).map((_, i) => <Skeleton key={i} className="h-24 w-full" />); if (newslettersError) return <Alert variant="destructive"><AlertDescription>{newslettersError.message}</AlertDescription></Alert>; if (!filteredNewsletters || filteredNewsletters.length === 0) { return <p className="text-center text-muted-foreground py-8">{filterDate ? "No newsletters found for this date." : "No newsletters have been generated yet."}</p>; } return filteredNewsletters.map((newsletter) => { const statusProps = getStatusProps(newsletter.status); return (<div key={newsletter._id} className="flex items-center justify-between p-4 border rounded-lg hover:bg-accent"><NewsletterThumbnail newsletterId={newsletter._id} version={newsletter.thumbnail?.etag} className="mr-4" /><div className="flex-1"><div className="flex items-center gap-3 mb-2"><h3 className="font-semibold">{newsletter.title}</h3><Badge variant="outline">{newsletter.category}</Badge><Badge className={statusProps.color}>{statusProps.icon}<span className="ml-1">{statusProps.text}</span></Badge>{newsletter.template && <Badge variant="secondary"><LayoutTemplate className="w-3 h-3 mr-1" />{getTemplateLabel(newsletter.template)}</Badge>}{newsletter.revision && newsletter.revision > 1 && <span className="text-xs text-muted-foreground">Revision {newsletter.revision}</span>}</div>{newsletter.status === 'declined' && getLatestReviewComment(newsletter) && <p className="text-sm text-red-700">Reviewer: "{getLatestReviewComment(newsletter)}"</p>}</div><div className="flex items-center gap-2 ml-4"><Button size="sm" variant="outline" onClick={() => viewPdfMutation.mutate(newsletter._id)} disabled={viewPdfMutation.isPending && viewPdfMutation.variables === newsletter._id}>{viewPdfMutation.isPending && viewPdfMutation.variables === newsletter._id ? <Loader2 className="w-4 h-4 mr-2 animate-spin"/> : <FileText className="w-4 h-4 mr-2" />}View PDF</Button><Button size="sm" variant="outline" onClick={() => downloadPdfMutation.mutate({ newsletterId: newsletter._id, title: newsletter.title })} disabled={downloadPdfMutation.isPending && downloadPdfMutation.variables?.newsletterId === newsletter._id}>{downloadPdfMutation.isPending && downloadPdfMutation.variables?.newsletterId === newsletter._id ? <Loader2 className="w-4 h-4 mr-2 animate-spin"/> : <Download className="w-4 h-4 mr-2" />}Download PDF</Button><ExportFormatMenu newsletter={newsletter} size="sm" /><Button size="icon" variant="outline" className="h-9 w-9" onClick={() => downloadTextMutation.mutate({ newsletterId: newsletter._id, title: newsletter.title })} disabled={downloadTextMutation.isPending && downloadTextMutation.variables?.newsletterId === newsletter._id} title="Download plain text">{downloadTextMutation.isPending && downloadTextMutation.variables?.newsletterId === newsletter._id ? <Loader2 className="h-4 w-4 animate-spin" /> : <FileType className="h-4 w-4" />}</Button>{newsletter.status !== 'sent' && (<Button size="icon" variant="outline" className="h-9 w-9" onClick={() => setEditingNewsletter(newsletter)} title="Edit HTML"><FileCode className="h-4 w-4" /></Button>)}{newsletter.template && newsletter.template !== 'ai' && newsletter.status !== 'sent' && (<Button size="icon" variant="outline" className="h-9 w-9" onClick={() => rerenderMutation.mutate(newsletter._id)} disabled={rerenderMutation.isPending && rerenderMutation.variables === newsletter._id} title="Re-render from template">{rerenderMutation.isPending && rerenderMutation.variables === newsletter._id ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}</Button>)}<Button size="icon" variant="secondary" className="h-9 w-9" onClick={() => handleOpenShareDialog(newsletter)} disabled={newsletter.status !== 'approved' && newsletter.status !== 'sent'} title={newsletter.status === 'approved' || newsletter.status === 'sent' ? 'Share' : 'Only approved newsletters can be shared'}><Share2 className="h-4 h-4" /></Button>{(newsletter.status === 'approved' || newsletter.status === 'sent') && (<Button size="icon" variant="outline" className="h-9 w-9" onClick={() => setDeliveriesNewsletter(newsletter)} title="Deliveries"><ListChecks className="h-4 w-4" /></Button>)}{newsletter.status === 'sent' && (<Button size="icon" variant="outline" className="h-9 w-9" onClick={() => setStatsNewsletter(newsletter)} title="Opens & clicks"><BarChart3 className="h-4 w-4" /></Button>)}{newsletter.status !== 'sent' && (<Button size="icon" variant="destructive" className="h-9 w-9" onClick={() => deleteNewsletterMutation.mutate(newsletter._id)} disabled={deleteNewsletterMutation.isPending && deleteNewsletterMutation.variables === newsletter._id}>{deleteNewsletterMutation.isPending && deleteNewsletterMutation.variables === newsletter._id ? <Loader2 className="h-4 h-4 animate-spin" /> : <Trash2 className="h-4 h-4" />}</Button>)}{(newsletter.status === 'Not Sent' || newsletter.status === 'declined') && (<Button size="sm" onClick={() => updateStatusMutation.mutate({ id: newsletter._id, status: 'pending' })} disabled={updateStatusMutation.isPending}><Send className="w-4 h-4 mr-1"/>Submit for Review</Button>)}{newsletter.status === 'pending' && (<Button size="sm" variant="outline" onClick={() => updateStatusMutation.mutate({ id: newsletter._id, status: 'Not Sent' })} disabled={updateStatusMutation.isPending}><Undo2 className="w-4 h-4 mr-1"/>Withdraw</Button>)}</div></div>); }); };
+    const renderNewsArticleList = () => { if (isLoadingNews) return Array.from({ length: 4 }).map((_, i) => <Skeleton key={i} className="h-40 w-full rounded-lg" />); if (newsError) return <Alert variant="destructive"><AlertDescription>{newsError.message}</AlertDescription></Alert>; if (!newsData || newsData.articles.length === 0) return <div className="text-center py-10"><p className="text-muted-foreground">No news articles found. New articles arrive as your sources are fetched.</p></div>; return newsData.articles.map((article) => (<Card key={article.url} className="overflow-hidden"><div className="p-6 flex flex-col justify-between flex-1"><div><div className="flex items-center gap-2 mb-2"><Badge variant="secondary">{article.source.name}</Badge>{article.relevanceScore != null && <Badge variant="outline" title="Relevance to your category keywords and rules">Score {article.relevanceScore}</Badge>}{article.excluded && <Badge variant="destructive">Excluded by rules</Badge>}</div><CardTitle className="text-lg mb-2">{article.title}</CardTitle><CardDescription>{article.description}</CardDescription>{article.alternates && article.alternates.length > 0 && (<p className="text-xs text-muted-foreground mt-2 flex flex-wrap items-center gap-1"><Layers className="w-3 h-3" />Also covered by {article.alternates.map((alt, i) => (<span key={alt.url}><a href={alt.url} target="_blank" rel="noopener noreferrer" className="underline hover:text-foreground" title={alt.title}>{alt.source.name || new URL(alt.url).hostname}</a>{i < (article.alternates?.length || 0) - 1 && ','}</span>))}</p>)}{summarizedArticles[article.url] && (<div className='mt-4'><Label className='text-xs font-semibold text-primary'>AI Summary{summarySources[article.url] === 'snippet' && <span className='font-normal text-muted-foreground'> · from the snippet only, the full article could not be read</span>}</Label><Textarea readOnly value={summarizedArticles[article.url]} className="mt-1 bg-primary/10" rows={5} /></div>)}</div><div className='flex items-center justify-between mt-4'><div className="flex items-center gap-2"><Button variant="outline" size="sm" asChild><a href={article.url} target="_blank" rel="noopener noreferrer">Read More <ExternalLink className="w-3 h-3 ml-2"/></a></Button><Button variant="secondary" size="sm" onClick={() => summarizeMutation.mutate(article)} disabled={summarizeMutation.isPending}>{summarizeMutation.isPending && summarizeMutation.variables?.url === article.url ? <Loader2 className="w-4 h-4 animate-spin"/> : <Sparkles className="w-4 h-4" />}<span className='ml-2'>Summarize</span></Button></div><div className="flex items-center space-x-2"><Checkbox id={article.url} checked={selectedRawArticles.some(sa => sa.url === article.url)} onCheckedChange={(checked) => handleSelectRawArticle(article, Boolean(checked))}/><label htmlFor={article.url} className="text-sm font-medium">Select</label></div></div></div></Card>)); };
+    const renderMyCategories = () => { if (isLoadingCategoryStats) return Array.from({ length: 2 }).map((_, i) => <Card key={i}><CardHeader><Skeleton className="h-6 w-1/2" /></CardHeader><CardContent><Skeleton className="h-10 w-full" /></CardContent></Card>); if (categoryStatsError) return <Alert variant="destructive" className="col-span-full"><AlertDescription>{categoryStatsError.message}</AlertDescription></Alert>; if (!categoryStats || categoryStats.length === 0) return <p className="text-muted-foreground col-span-full text-center py-8">You are not assigned to any categories.</p>; return categoryStats.map((cat) => (<Card key={cat.name} className="hover:shadow-lg transition-shadow"><CardHeader><CardTitle className="text-primary">{cat.name}</CardTitle><CardDescription>Live statistics</CardDescription></CardHeader><CardContent><div className="space-y-3"><div className="flex justify-between items-center text-sm"><span className="flex items-center text-muted-foreground"><Users className="w-4 h-4 mr-2"/>Subscribers</span><span className="font-bold text-lg">{cat.subscriberCount}</span></div><div className="flex justify-between items-center text-sm"><span className="flex items-center text-muted-foreground"><Newspaper className="w-4 h-4 mr-2"/>Newsletters</span><span className="font-bold text-lg">{cat.newsletterCount}</span></div><div className="flex justify-between items-center text-sm"><span className="flex items-center text-muted-foreground"><UserMinus className="w-4 h-4 mr-2"/>Unsubscribes (30 days)</span><span className="font-bold text-lg">{cat.unsubscribeCount}</span></div></div></CardContent></Card>)); };
     const renderUserManagement = () => {
         if (isLoadingSubscribers || isLoadingCategoryStats) {
             return <Skeleton className="h-40 w-full" />;
@@ -367,14 +482,14 @@ const Dashboard = () => {
             </Accordion>
         );
     };
-    const renderNewsletterCreator = () => { if (isLoadingSaved) return Array.from({ length: 5 }).map((_, i) => <Skeleton key={i} className="h-12 w-full" />); if (savedArticlesError) return <Alert variant="destructive"><AlertDescription>{savedArticlesError.message}</AlertDescription></Alert>; if (!savedArticles || savedArticles.length === 0) return <div className="text-center py-10"><p className="text-muted-foreground">You have no saved articles yet.</p></div>; return savedArticles.map((article) => (<div key={article._id} className="flex items-center space-x-4 p-2 border-b"><Checkbox id={article._id} checked={selectedCuratedArticles.some(a => a._id === article._id)} onCheckedChange={(checked) => handleSelectCuratedArticle(article, Boolean(checked))} /><div className="flex-1"><Label htmlFor={article._id} className="font-medium">{article.title}</Label><p className="text-xs text-muted-foreground">{article.sourceName}</p></div><Badge variant="outline">{article.category}</Badge><Button size="icon" variant="destructive" className="h-8 w-8 shrink-0" onClick={() => deleteArticleMutation.mutate(article._id)} disabled={deleteArticleMutation.isPending && deleteArticleMutation.variables === article._id}>{deleteArticleMutation.isPending && deleteArticleMutation.variables === article._id ? <Loader2 className="h-4 h-4 animate-spin" /> : <Trash2 className="h-4 h-4" />}</Button></div>)); };
+    const renderNewsletterCreator = () => { if (isLoadingSaved) return Array.from({ length: 5 }).map((_, i) => <Skeleton key={i} className="h-12 w-full" />); if (savedArticlesError) return <Alert variant="destructive"><AlertDescription>{savedArticlesError.message}</AlertDescription></Alert>; if (!savedArticles || savedArticles.length === 0) return <div className="text-center py-10"><p className="text-muted-foreground">No articles have been saved to your categories yet.</p></div>; return savedArticles.map((article) => (<div key={article._id} className="flex items-center space-x-4 p-2 border-b"><Checkbox id={article._id} checked={selectedCuratedArticles.some(a => a._id === article._id)} onCheckedChange={(checked) => handleSelectCuratedArticle(article, Boolean(checked))} /><div className="flex-1"><Label htmlFor={article._id} className="font-medium">{article.title}</Label><p className="text-xs text-muted-foreground">{article.sourceName}{article.sourceName && ' · '}Saved by {article.savedBy?.name || 'a former admin'}</p></div>{managedCategories.length > 1 && managedCategories.includes(article.category) ? <Select value={article.category} onValueChange={(category) => moveArticleMutation.mutate({ articleId: article._id, category })} disabled={moveArticleMutation.isPending && moveArticleMutation.variables?.articleId === article._id}><SelectTrigger className="w-40 h-8" title="Move to another category"><SelectValue /></SelectTrigger><SelectContent>{managedCategories.map(name => <SelectItem key={name} value={name}>{name}</SelectItem>)}</SelectContent></Select> : <Badge variant="outline">{article.category}</Badge>}<Button size="icon" variant="destructive" className="h-8 w-8 shrink-0" onClick={() => deleteArticleMutation.mutate(article._id)} disabled={deleteArticleMutation.isPending && deleteArticleMutation.variables === article._id}>{deleteArticleMutation.isPending && deleteArticleMutation.variables === article._id ? <Loader2 className="h-4 h-4 animate-spin" /> : <Trash2 className="h-4 h-4" />}</Button></div>)); };
 
     return (
       <div className="min-h-screen bg-background">
         <AdminHeader />
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
             <Tabs value={activeTab || ''} onValueChange={handleTabChange} className="w-full">
-                <div className="flex justify-center"><TabsList><TabsTrigger value="create-newsletter">Create Newsletter</TabsTrigger><TabsTrigger value="generated-newsletters">Newsletters History</TabsTrigger><TabsTrigger value="categories">My Categories</TabsTrigger><TabsTrigger value="users">Users</TabsTrigger></TabsList></div>
+                <div className="flex justify-center"><TabsList><TabsTrigger value="create-newsletter">Create Newsletter</TabsTrigger><TabsTrigger value="generated-newsletters">Newsletters History</TabsTrigger><TabsTrigger value="schedules">Schedules</TabsTrigger>{reviewQueue && reviewQueue.reviewCategories.length > 0 && <TabsTrigger value="review-queue">Review Queue{reviewQueue.newsletters.length > 0 && <Badge variant="secondary" className="ml-2">{reviewQueue.newsletters.length}</Badge>}</TabsTrigger>}<TabsTrigger value="categories">My Categories</TabsTrigger><TabsTrigger value="users">Users</TabsTrigger></TabsList></div>
                 
                 {!activeTab ? (
                     <Card className="mt-6 text-center">
@@ -409,9 +524,18 @@ const Dashboard = () => {
                                     <div className="flex justify-between items-center">
                                         <div>
                                             <CardTitle>Create a Newsletter</CardTitle>
-                                            <CardDescription>Select articles below, then click 'Generate PDF' to give your newsletter a title and create it.</CardDescription>
+                                            <CardDescription>Select articles from one category below, then click 'Generate PDF' to give your newsletter a title and create it. The library is shared with the other admins of your categories.</CardDescription>
                                         </div>
                                         <div className="flex items-center gap-2">
+                                            {managedCategories.length > 1 && (
+                                                <Select value={libraryCategory} onValueChange={(value) => { setLibraryCategory(value); setSelectedCuratedArticles([]); }}>
+                                                    <SelectTrigger className="w-[180px]"><SelectValue placeholder="Filter by category" /></SelectTrigger>
+                                                    <SelectContent>
+                                                        <SelectItem value="all">All Categories</SelectItem>
+                                                        {managedCategories.map(name => <SelectItem key={name} value={name}>{name}</SelectItem>)}
+                                                    </SelectContent>
+                                                </Select>
+                                            )}
                                             <Select value={articleFilter} onValueChange={setArticleFilter}>
                                                 <SelectTrigger className="w-[180px]"><SelectValue placeholder="Filter by date" /></SelectTrigger>
                                                 <SelectContent>
@@ -429,7 +553,13 @@ const Dashboard = () => {
                                 <CardContent className="space-y-2">{renderNewsletterCreator()}</CardContent>
                             </Card>
                         </TabsContent>
-                        <TabsContent value="generated-newsletters" className="mt-6"><Card><CardHeader><div className='flex items-center justify-between'><div><CardTitle>Generated Newsletters</CardTitle><CardDescription>View, approve, or decline previously generated newsletters.</CardDescription></div><Popover><PopoverTrigger asChild><Button id="date" variant={"outline"} className={cn("w-[240px] justify-start text-left font-normal",!filterDate && "text-muted-foreground")}><CalendarIcon className="mr-2 h-4 w-4" />{filterDate ? format(filterDate, "PPP") : <span>Filter by date</span>}</Button></PopoverTrigger><PopoverContent className="w-auto p-0" align="end"><Calendar initialFocus mode="single" selected={filterDate} onSelect={setFilterDate} /></PopoverContent></Popover></div></CardHeader><CardContent className="space-y-4">{renderNewsletterList()}</CardContent></Card></TabsContent>
+                        <TabsContent value="generated-newsletters" className="mt-6"><Card><CardHeader><div className='flex items-center justify-between'><div><CardTitle>Generated Newsletters</CardTitle><CardDescription>View previously generated newsletters, submit them for review, and share approved issues.</CardDescription></div><Popover><PopoverTrigger asChild><Button id="date" variant={"outline"} className={cn("w-[240px] justify-start text-left font-normal",!filterDate && "text-muted-foreground")}><CalendarIcon className="mr-2 h-4 w-4" />{filterDate ? format(filterDate, "PPP") : <span>Filter by date</span>}</Button></PopoverTrigger><PopoverContent className="w-auto p-0" align="end"><Calendar initialFocus mode="single" selected={filterDate} onSelect={setFilterDate} /></PopoverContent></Popover></div></CardHeader><CardContent className="space-y-4">{renderNewsletterList()}</CardContent></Card></TabsContent>
+                        <TabsContent value="schedules" className="mt-6">
+                            <SchedulesPanel categories={categoryStats?.map(cat => cat.name) || []} />
+                        </TabsContent>
+                        <TabsContent value="review-queue" className="mt-6">
+                            <ReviewQueuePanel />
+                        </TabsContent>
                         <TabsContent value="categories" className="mt-6">
                             <Card>
                                 <CardHeader>
@@ -470,8 +600,8 @@ const Dashboard = () => {
                 )}
             </Tabs>
         </div>
-        <Dialog open={isShareDialogOpen} onOpenChange={setIsShareDialogOpen}><DialogContent className="sm:max-w-lg"><DialogHeader><DialogTitle>Share Newsletter: {sharingNewsletter?.title}</DialogTitle><DialogDescription>Select recipient groups or search all users.</DialogDescription></DialogHeader><Tabs defaultValue="my-subscribers" className="w-full pt-4"><TabsList className='grid w-full grid-cols-2'><TabsTrigger value="my-subscribers">Subscribers</TabsTrigger><TabsTrigger value="all-users">All Users</TabsTrigger></TabsList><TabsContent value="my-subscribers" className='mt-4'><ScrollArea className="h-72 w-full p-1"><div className="space-y-2 pr-4">{isLoadingAllCategories || isLoadingAllUsers ? (<Skeleton className="h-20 w-full" />) : allCategoriesError ? (<Alert variant="destructive"><AlertDescription>{allCategoriesError.message}</AlertDescription></Alert>) : !allSystemCategories || allSystemCategories.length === 0 ? (<p className="text-center text-sm text-muted-foreground py-4">No categories found in the system.</p>) : (allSystemCategories.map((cat) => { const categoryId = `cat-group-${cat.name.replace(/\s+/g, '-').toLowerCase()}`; const users = groupedUsersByCategory[cat.name] || []; const isSelected = users.length > 0 && users.every(u => selectedUserIds.includes(u._id)); return (<div key={cat._id} className="flex items-center space-x-2"><Checkbox id={categoryId} checked={isSelected} disabled={users.length === 0} onCheckedChange={(checked) => handleCategorySelection(users, Boolean(checked))}/><Label htmlFor={categoryId} className={cn("font-medium", users.length === 0 && "text-muted-foreground")}>{cat.name} ({users.length} users)</Label></div>); }))}</div></ScrollArea></TabsContent><TabsContent value="all-users" className='mt-4'><Input placeholder="Search all users..." value={shareSearchTerm} onChange={(e) => setShareSearchTerm(e.target.value)} className='mb-4'/><div className="flex items-center space-x-2 border-y py-2 px-1"><Checkbox id="select-all" checked={filteredAllUsers.length > 0 && filteredAllUsers.every(u => selectedUserIds.includes(u._id))} onCheckedChange={(checked) => handleSelectAllFiltered(Boolean(checked))}/><Label htmlFor="select-all">Select All ({filteredAllUsers.length})</Label></div><ScrollArea className="h-60 w-full pt-2">{isLoadingAllUsers ? <Skeleton className="h-20 w-full" /> : filteredAllUsers.length === 0 ? <p className="text-center text-sm text-muted-foreground py-4">No users found.</p> : filteredAllUsers.map(user => (<div key={user._id} className="flex items-center space-x-2 p-1"><Checkbox id={`all-user-${user._id}`} checked={selectedUserIds.includes(user._id)} onCheckedChange={(checked) => handleCategorySelection([user], Boolean(checked))}/><Label htmlFor={`all-user-${user._id}`} className="w-full">{user.name} <span className="text-muted-foreground">({user.email})</span></Label></div>))}</ScrollArea></TabsContent></Tabs><DialogFooter className='pt-4'><Button type="button" variant="secondary" onClick={() => setIsShareDialogOpen(false)}>Cancel</Button><Button type="submit" onClick={handleShareSubmit} disabled={selectedUserIds.length === 0 || shareNewsletterMutation.isPending}>{shareNewsletterMutation.isPending ? 'Sending...' : `Send to ${selectedUserIds.length} User(s)`}</Button></DialogFooter></DialogContent></Dialog>
-        <Dialog open={isCurationDialogOpen} onOpenChange={setIsCurationDialogOpen}><DialogContent className="sm:max-w-4xl"><DialogHeader><div className="flex justify-between items-center"><DialogTitle>News Curation</DialogTitle><div className="flex items-center gap-2"><Input placeholder="Search for a topic..." value={newsSearchTerm} onChange={(e) => setNewsSearchTerm(e.target.value)} className="w-64" /><Button onClick={() => refetchNews()}>Search</Button></div></div><DialogDescription>Review, summarize, and select news to save for later.</DialogDescription></DialogHeader><div className="space-y-4 max-h-[70vh] overflow-y-auto p-1 pr-4">{renderNewsArticleList()}</div><DialogFooter className="sm:justify-between items-center"><p className="text-sm text-muted-foreground">Selected Articles: <span className="font-bold">{selectedRawArticles.length}</span></p><div className="flex items-center gap-2"><Button type="button" variant="secondary" onClick={() => setIsCurationDialogOpen(false)}>Close</Button><Button onClick={handleSave} disabled={selectedRawArticles.length === 0 || saveMutation.isPending}><Save className='w-4 h-4 mr-2'/>{saveMutation.isPending ? "Saving..." : `Save Selected`}</Button></div></DialogFooter></DialogContent></Dialog>
+        <Dialog open={isShareDialogOpen} onOpenChange={setIsShareDialogOpen}><DialogContent className="sm:max-w-lg"><DialogHeader><DialogTitle>Share Newsletter: {sharingNewsletter?.title}</DialogTitle><DialogDescription>Select recipient groups or search all users.</DialogDescription></DialogHeader><Tabs defaultValue="my-subscribers" className="w-full pt-4"><TabsList className='grid w-full grid-cols-2'><TabsTrigger value="my-subscribers">Subscribers</TabsTrigger><TabsTrigger value="all-users">All Users</TabsTrigger></TabsList><TabsContent value="my-subscribers" className='mt-4'><ScrollArea className="h-72 w-full p-1"><div className="space-y-2 pr-4">{isLoadingAllCategories || isLoadingAllUsers ? (<Skeleton className="h-20 w-full" />) : allCategoriesError ? (<Alert variant="destructive"><AlertDescription>{allCategoriesError.message}</AlertDescription></Alert>) : !allSystemCategories || allSystemCategories.length === 0 ? (<p className="text-center text-sm text-muted-foreground py-4">No categories found in the system.</p>) : (allSystemCategories.map((cat) => { const categoryId = `cat-group-${cat.name.replace(/\s+/g, '-').toLowerCase()}`; const users = groupedUsersByCategory[cat.name] || []; const isSelected = users.length > 0 && users.every(u => selectedUserIds.includes(u._id)); return (<div key={cat._id} className="flex items-center space-x-2"><Checkbox id={categoryId} checked={isSelected} disabled={users.length === 0} onCheckedChange={(checked) => handleCategorySelection(users, Boolean(checked))}/><Label htmlFor={categoryId} className={cn("font-medium", users.length === 0 && "text-muted-foreground")}>{cat.name} ({users.length} users)</Label></div>); }))}</div></ScrollArea></TabsContent><TabsContent value="all-users" className='mt-4'><Input placeholder="Search all users..." value={shareSearchTerm} onChange={(e) => setShareSearchTerm(e.target.value)} className='mb-4'/><div className="flex items-center space-x-2 border-y py-2 px-1"><Checkbox id="select-all" checked={filteredAllUsers.length > 0 && filteredAllUsers.every(u => selectedUserIds.includes(u._id))} onCheckedChange={(checked) => handleSelectAllFiltered(Boolean(checked))}/><Label htmlFor="select-all">Select All ({filteredAllUsers.length})</Label></div><ScrollArea className="h-60 w-full pt-2">{isLoadingAllUsers ? <Skeleton className="h-20 w-full" /> : filteredAllUsers.length === 0 ? <p className="text-center text-sm text-muted-foreground py-4">No users found.</p> : filteredAllUsers.map(user => (<div key={user._id} className="flex items-center space-x-2 p-1"><Checkbox id={`all-user-${user._id}`} checked={selectedUserIds.includes(user._id)} onCheckedChange={(checked) => handleCategorySelection([user], Boolean(checked))}/><Label htmlFor={`all-user-${user._id}`} className="w-full">{user.name} <span className="text-muted-foreground">({user.email})</span></Label></div>))}</ScrollArea></TabsContent></Tabs><SubjectTestFields value={subjectTest} onChange={setSubjectTest} recipientCount={new Set(selectedUserIds).size} /><DialogFooter className='pt-4'><Button type="button" variant="secondary" onClick={() => setIsShareDialogOpen(false)}>Cancel</Button><Button type="submit" onClick={handleShareSubmit} disabled={selectedUserIds.length === 0 || shareNewsletterMutation.isPending}>{shareNewsletterMutation.isPending ? 'Sending...' : subjectTest.enabled ? `Start Test with ${selectedUserIds.length} User(s)` : `Send to ${selectedUserIds.length} User(s)`}</Button></DialogFooter></DialogContent></Dialog>
+        <Dialog open={isCurationDialogOpen} onOpenChange={setIsCurationDialogOpen}><DialogContent className="sm:max-w-4xl"><DialogHeader><div className="flex justify-between items-center"><DialogTitle>News Curation</DialogTitle><div className="flex items-center gap-2"><Input placeholder="Search for a topic..." value={newsSearchInput} onChange={(e) => setNewsSearchInput(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') handleNewsSearch(); }} className="w-56" /><Button onClick={handleNewsSearch}>Search</Button><NewsSourceStatus /></div></div><DialogDescription>Review, summarize, and select news to save for later. New articles are fetched from your sources in the background.</DialogDescription><div className="flex items-center gap-2 pt-2"><Label htmlFor="news-from" className="text-sm">Published from</Label><Input id="news-from" type="date" value={newsFromDate} onChange={(e) => { setNewsFromDate(e.target.value); setNewsPage(1); }} className="w-40 h-8" /><Label htmlFor="news-to" className="text-sm">to</Label><Input id="news-to" type="date" value={newsToDate} onChange={(e) => { setNewsToDate(e.target.value); setNewsPage(1); }} className="w-40 h-8" />{(newsFromDate || newsToDate) && <Button variant="ghost" size="sm" onClick={() => { setNewsFromDate(''); setNewsToDate(''); setNewsPage(1); }}>Clear</Button>}<div className="ml-auto flex items-center gap-2"><Select value={newsSort} onValueChange={(value) => { setNewsSort(value as 'date' | 'relevance'); setNewsPage(1); }}><SelectTrigger className="w-40 h-8"><SelectValue /></SelectTrigger><SelectContent><SelectItem value="date">Newest first</SelectItem><SelectItem value="relevance">Most relevant</SelectItem></SelectContent></Select><Switch id="news-show-excluded" checked={showExcludedNews} onCheckedChange={(checked) => { setShowExcludedNews(checked); setNewsPage(1); }} /><Label htmlFor="news-show-excluded" className="text-sm">Show excluded</Label></div></div></DialogHeader><div className="space-y-4 max-h-[60vh] overflow-y-auto p-1 pr-4">{renderNewsArticleList()}</div>{newsData && newsData.totalPages > 1 && <div className="flex items-center justify-between text-sm"><span className="text-muted-foreground">Page {newsData.page} of {newsData.totalPages} · {newsData.total} articles</span><div className="flex items-center gap-2"><Button variant="outline" size="sm" onClick={() => setNewsPage(p => Math.max(p - 1, 1))} disabled={newsPage <= 1 || isLoadingNews}>Previous</Button><Button variant="outline" size="sm" onClick={() => setNewsPage(p => p + 1)} disabled={newsPage >= newsData.totalPages || isLoadingNews}>Next</Button></div></div>}<DialogFooter className="sm:justify-between items-center"><div className="flex items-center gap-3"><p className="text-sm text-muted-foreground">Selected Articles: <span className="font-bold">{selectedRawArticles.length}</span></p><Select value={summaryStyle} onValueChange={setSummaryStyle}><SelectTrigger className="w-48 h-8" title="Summary style"><SelectValue /></SelectTrigger><SelectContent><SelectItem value="default">Category default style</SelectItem>{summaryStyles?.map(s => <SelectItem key={s.name} value={s.name}>{s.label}</SelectItem>)}</SelectContent></Select></div><div className="flex items-center gap-2"><Button type="button" variant="secondary" onClick={() => setIsCurationDialogOpen(false)}>Close</Button><Button variant="outline" onClick={() => summarizeBatchMutation.mutate(selectedRawArticles)} disabled={selectedRawArticles.length === 0 || selectedRawArticles.length > 20 || summarizeBatchMutation.isPending} title={selectedRawArticles.length > 20 ? 'Select at most 20 articles to summarize at once' : undefined}>{summarizeBatchMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Sparkles className="w-4 h-4 mr-2" />}Summarize Selected</Button>{managedCategories.length > 1 && <Select value={targetSaveCategory} onValueChange={setSaveCategory}><SelectTrigger className="w-44 h-8" title="Category to save to"><SelectValue /></SelectTrigger><SelectContent>{managedCategories.map(name => <SelectItem key={name} value={name}>Save to {name}</SelectItem>)}</SelectContent></Select>}<Button onClick={handleSave} disabled={selectedRawArticles.length === 0 || !targetSaveCategory || saveMutation.isPending}><Save className='w-4 h-4 mr-2'/>{saveMutation.isPending ? "Saving..." : `Save Selected`}</Button></div></DialogFooter></DialogContent></Dialog>
         <Dialog open={isAddUserDialogOpen} onOpenChange={setIsAddUserDialogOpen}><DialogContent className="sm:max-w-md"><DialogHeader><DialogTitle>Add a New User</DialogTitle><DialogDescription>A default password will be generated.</DialogDescription></DialogHeader><form onSubmit={addUserForm.handleSubmit((data) => addUserMutation.mutate(data))} className="space-y-4 pt-4"><div><Label htmlFor="name">Full Name</Label><Input id="name" {...addUserForm.register("name")} />{addUserForm.formState.errors.name && <p className="text-sm text-destructive mt-1">{addUserForm.formState.errors.name.message}</p>}</div><div><Label htmlFor="email">Email Address</Label><Input id="email" type="email" {...addUserForm.register("email")} />{addUserForm.formState.errors.email && <p className="text-sm text-destructive mt-1">{addUserForm.formState.errors.email.message}</p>}</div><div><Label>Assign to Categories</Label><div className="space-y-2 rounded-md border p-4 max-h-40 overflow-y-auto"><Controller name="categories" control={addUserForm.control} render={({ field }) => (<>{isLoadingCategoryStats ? <Skeleton className='h-5 w-20'/> : categoryStats?.map((cat) => (<div key={cat.name} className="flex items-center space-x-2"><Checkbox id={`cat-${cat.name}`} checked={field.value?.includes(cat.name)} onCheckedChange={(checked) => { const current = field.value || []; const newCategories = checked ? [...current, cat.name] : current.filter(name => name !== cat.name); field.onChange(newCategories);}}/><label htmlFor={`cat-${cat.name}`} className="text-sm font-medium">{cat.name}</label></div>))}</>)}/></div></div><DialogFooter><Button type="button" variant="secondary" onClick={() => setIsAddUserDialogOpen(false)}>Cancel</Button><Button type="submit" disabled={addUserMutation.isPending}>{addUserMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin"/> : "Create User"}</Button></DialogFooter></form></DialogContent></Dialog>
         <Dialog open={!!createdUserInfo} onOpenChange={() => setCreatedUserInfo(null)}><DialogContent className="sm:max-w-md"><DialogHeader><DialogTitle className='flex items-center gap-2'><UserPlus className='w-5 h-5 text-green-600'/>User Created</DialogTitle><DialogDescription>Please share these credentials with the user, or send them via email.</DialogDescription></DialogHeader><div className="space-y-4 py-4"><p><strong>Name:</strong> {createdUserInfo?.name}</p><p><strong>Email:</strong> {createdUserInfo?.email}</p><div className='flex items-center gap-2'><p><strong>Password:</strong> <span className="font-mono bg-gray-100 p-1 rounded">{createdUserInfo?.password_was}</span></p><Button variant='outline' size='icon' className='h-7 w-7' onClick={() => {navigator.clipboard.writeText(createdUserInfo?.password_was || ''); toast.success("Password copied!");}}><Copy className='w-4 h-4'/></Button></div></div><DialogFooter className="justify-between"><Button variant="secondary" onClick={() => { if(createdUserInfo) shareUserDetailsMutation.mutate(createdUserInfo)}} disabled={shareUserDetailsMutation.isPending}>{shareUserDetailsMutation.isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Mail className="mr-2 h-4 w-4" />}Share Details via Email</Button><Button onClick={() => setCreatedUserInfo(null)}>Close</Button></DialogFooter></DialogContent></Dialog>
         {/* --- DIALOG FOR ADDING EXISTING USERS --- */}
@@ -537,7 +667,7 @@ const Dashboard = () => {
         </Dialog>
         {/* --- DIALOG FOR PDF TITLE --- */}
         <Dialog open={isPdfTitleDialogOpen} onOpenChange={setIsPdfTitleDialogOpen}>
-            <DialogContent>
+            <DialogContent className={cn(editorialDraft && "sm:max-w-2xl max-h-[90vh] overflow-y-auto")}>
                 <DialogHeader>
                     <DialogTitle>Set Newsletter Title</DialogTitle>
                     <DialogDescription>
@@ -555,18 +685,45 @@ const Dashboard = () => {
                         placeholder="e.g., Weekly Tech Roundup"
                         className="col-span-3"
                     />
+                    <Label htmlFor="newsletter-template-select" className="text-left">
+                        Layout
+                    </Label>
+                    <Select value={newsletterTemplate} onValueChange={setNewsletterTemplate}>
+                        <SelectTrigger id="newsletter-template-select"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value="default">Category default</SelectItem>
+                            {newsletterTemplates?.map(t => <SelectItem key={t.name} value={t.name}>{t.label}</SelectItem>)}
+                        </SelectContent>
+                    </Select>
+                    <div className="flex items-center justify-between">
+                        <Label className="text-left">Editorial</Label>
+                        <div className="flex items-center gap-2">
+                            {editorialDraft && <Button variant="ghost" size="sm" onClick={() => { setEditorialDraft(null); setNewsletterSubject(''); }}>Discard</Button>}
+                            <Button variant="outline" size="sm" onClick={handleDraftEditorial} disabled={!newsletterTitle || draftEditorialMutation.isPending}>
+                                {draftEditorialMutation.isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Sparkles className="mr-2 h-4 w-4" />}
+                                {editorialDraft ? 'Redraft with AI' : 'Draft with AI'}
+                            </Button>
+                        </div>
+                    </div>
+                    {editorialDraft
+                        ? <EditorialDraftFields value={editorialDraft} onChange={setEditorialDraft} subject={newsletterSubject} onSubjectChange={setNewsletterSubject} />
+                        : <p className="text-xs text-muted-foreground -mt-2">Let AI draft an editor's note, subject lines and a highlights box from the articles' summaries.</p>}
                 </div>
                 <DialogFooter>
                     <Button variant="outline" onClick={() => setIsPdfTitleDialogOpen(false)}>Cancel</Button>
-                    <Button onClick={handleGeneratePdf} disabled={!newsletterTitle || generatePdfMutation.isPending}>
-                        {generatePdfMutation.isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <FileSignature className="mr-2 h-4 w-4" />}
+                    <Button onClick={handleGeneratePdf} disabled={!newsletterTitle || previewNewsletterMutation.isPending || generatePdfMutation.isPending}>
+                        {previewNewsletterMutation.isPending || generatePdfMutation.isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <FileSignature className="mr-2 h-4 w-4" />}
                         Generate PDF
                     </Button>
                 </DialogFooter>
             </DialogContent>
         </Dialog>
+        <NewsletterWarningsDialog title={pendingPreview?.request.title || ''} preview={pendingPreview?.preview || null} isSaving={generatePdfMutation.isPending} onCancel={() => setPendingPreview(null)} onConfirm={() => { if (pendingPreview) savePreview(pendingPreview.request, pendingPreview.preview); }} />
+        <DeliveriesDialog newsletter={deliveriesNewsletter} onClose={() => setDeliveriesNewsletter(null)} />
+        <NewsletterStatsDialog newsletter={statsNewsletter} onClose={() => setStatsNewsletter(null)} />
+        <NewsletterEditorDialog newsletter={editingNewsletter} onClose={() => setEditingNewsletter(null)} />
         <Dialog open={isCategoryFormOpen} onOpenChange={setIsCategoryFormOpen}>
-            <DialogContent className="sm:max-w-md">
+            <DialogContent className="sm:max-w-md max-h-[90vh] overflow-y-auto">
                 <DialogHeader>
                 <DialogTitle>Edit Category</DialogTitle>
                 </DialogHeader>
@@ -597,6 +754,96 @@ const Dashboard = () => {
                     <Label htmlFor="flyer-image-url">Flyer Image URL</Label>
                     <Input id="flyer-image-url" {...categoryForm.register("flyerImageUrl")} />
                 </div>
+                <div>
+                    <Label htmlFor="category-template">Newsletter Layout</Label>
+                    <Controller
+                        name="template"
+                        control={categoryForm.control}
+                        render={({ field }) => (
+                            <Select value={field.value} onValueChange={field.onChange}>
+                                <SelectTrigger id="category-template"><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    {newsletterTemplates?.map(t => <SelectItem key={t.name} value={t.name}>{t.label}</SelectItem>)}
+                                </SelectContent>
+                            </Select>
+                        )}
+                    />
+                    <p className="text-xs text-muted-foreground mt-1">{newsletterTemplates?.find(t => t.name === categoryForm.watch('template'))?.description}</p>
+                </div>
+                <div>
+                    <Label htmlFor="category-summary-style">Default Summary Style</Label>
+                    <Controller
+                        name="summaryStyle"
+                        control={categoryForm.control}
+                        render={({ field }) => (
+                            <Select value={field.value} onValueChange={field.onChange}>
+                                <SelectTrigger id="category-summary-style"><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    {summaryStyles?.map(s => <SelectItem key={s.name} value={s.name}>{s.label}</SelectItem>)}
+                                </SelectContent>
+                            </Select>
+                        )}
+                    />
+                    <p className="text-xs text-muted-foreground mt-1">{summaryStyles?.find(s => s.name === categoryForm.watch('summaryStyle'))?.description}</p>
+                </div>
+                <div className="flex items-center justify-between rounded-md border p-3">
+                    <div>
+                        <Label htmlFor="category-ai-intro">AI intro paragraph</Label>
+                        <p className="text-xs text-muted-foreground">Let AI write a short introduction for templated issues.</p>
+                    </div>
+                    <Controller
+                        name="aiIntro"
+                        control={categoryForm.control}
+                        render={({ field }) => (
+                            <Switch id="category-ai-intro" checked={field.value} onCheckedChange={field.onChange} disabled={categoryForm.watch('template') === 'ai'} />
+                        )}
+                    />
+                </div>
+                <div>
+                    <Label htmlFor="category-source-language">News Language</Label>
+                    <Controller
+                        name="sourceLanguage"
+                        control={categoryForm.control}
+                        render={({ field }) => (
+                            <Select value={field.value} onValueChange={field.onChange}>
+                                <SelectTrigger id="category-source-language"><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    {languages?.map(l => <SelectItem key={l.code} value={l.code}>{l.name}</SelectItem>)}
+                                </SelectContent>
+                            </Select>
+                        )}
+                    />
+                    <p className="text-xs text-muted-foreground mt-1">The language NewsAPI searches in. Summaries are written in English and translated for each subscriber.</p>
+                </div>
+                <div>
+                    <Label>News Sources</Label>
+                    <Controller
+                        name="sources"
+                        control={categoryForm.control}
+                        render={({ field }) => <NewsSourcesField value={field.value as NewsSource[]} onChange={field.onChange} />}
+                    />
+                </div>
+                <div>
+                    <Label>Relevance Rules</Label>
+                    <Controller
+                        name="rules"
+                        control={categoryForm.control}
+                        render={({ field }) => <CategoryRulesField value={{ ...EMPTY_RULES, ...field.value } as CategoryRules} onChange={field.onChange} />}
+                    />
+                </div>
+                <div className="flex items-center justify-between rounded-md border p-3">
+                    <div>
+                        <Label htmlFor="category-tracking">Open & click tracking</Label>
+                        <p className="text-xs text-muted-foreground">Adds an open pixel and tracked article links to sent emails.</p>
+                    </div>
+                    <Controller
+                        name="trackingEnabled"
+                        control={categoryForm.control}
+                        render={({ field }) => (
+                            <Switch id="category-tracking" checked={field.value} onCheckedChange={field.onChange} />
+                        )}
+                    />
+                </div>
                 <DialogFooter>
                     <Button type="button" variant="secondary" onClick={() => setIsCategoryFormOpen(false)}>Cancel</Button>
                     <Button type="submit" disabled={upsertCategoryMutation.isPending}>
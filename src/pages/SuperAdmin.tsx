@@ -12,6 +12,7 @@ import { Skeleton } from "@/components/ui/skeleton";
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter, DialogDescription } from "@/components/ui/dialog";
 import { Checkbox } from '@/components/ui/checkbox';
+import { Switch } from '@/components/ui/switch';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group";
 import {
@@ -29,15 +30,18 @@ import { useForm, Controller } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { format } from 'date-fns';
-import { Plus, Edit, Trash2, AlertCircle, User as UserIcon, LayoutGrid, Users, Loader2, Copy, UserPlus, Mail, Share2 } from 'lucide-react';
+import { Plus, Edit, Trash2, AlertCircle, User as UserIcon, LayoutGrid, Users, Loader2, Copy, UserPlus, Mail, Share2, Globe } from 'lucide-react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { AdminHeader } from '@/components/AdminHeader';
+import { ReviewQueuePanel } from '@/components/dashboard/ReviewQueuePanel';
+import { AiUsagePanel } from '@/components/dashboard/AiUsagePanel';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
 import { fetchWithToken } from '@/lib/api';
 import { toast } from 'sonner';
 
 // --- Data Types ---
 interface Admin { _id: string; name: string; email: string; userType: 'admin' | 'superadmin'; status: 'Active' | 'Inactive'; categories: string[]; }
-interface Category { _id: string; name: string; admins: string[]; flyerImageUrl?: string; }
+interface Category { _id: string; name: string; admins: string[]; reviewers: string[]; flyerImageUrl?: string; archivePublic?: boolean; slug?: string; }
 interface RegularUser { _id: string; name: string; email: string; status: 'Active' | 'Inactive'; categories: string[]; createdAt: string; }
 
 // --- Zod Schemas ---
@@ -130,6 +134,8 @@ const SuperAdmin = () => {
   const upsertAdminMutation = useMutation<Admin, Error, AdminFormData>({ mutationFn: (data: AdminFormData) => { const { _id, ...adminData } = data; const url = _id ? `/admins/${_id}` : '/admins'; const method = _id ? 'PATCH' : 'POST'; if (_id && (!adminData.password || adminData.password.trim() === '')) { delete adminData.password; } return fetchWithToken(url, token, { method, body: JSON.stringify(adminData) }); }, onSuccess: () => { toast.success(`Admin ${editingAdmin ? 'updated' : 'added'} successfully!`); queryClient.invalidateQueries({ queryKey: ['admins'] }); queryClient.invalidateQueries({ queryKey: ['categories'] }); setIsAdminFormOpen(false); }, onError: (err: Error) => toast.error(err.message), });
   const removeAdminMutation = useMutation<{ message: string }, Error, string>({ mutationFn: (adminId: string) => fetchWithToken(`/admins/${adminId}`, token, { method: 'DELETE' }), onSuccess: () => { toast.success("Admin removed successfully!"); queryClient.invalidateQueries({ queryKey: ['admins'] }); queryClient.invalidateQueries({ queryKey: ['categories'] }); }, onError: (err: Error) => toast.error(err.message) });
   const addCategoryMutation = useMutation<Category, Error, CategoryFormData>({ mutationFn: (data: CategoryFormData) => fetchWithToken('/categories', token, { method: 'POST', body: JSON.stringify(data) }), onSuccess: () => { toast.success("Category added successfully!"); queryClient.invalidateQueries({ queryKey: ['categories'] }); setIsCategoryFormOpen(false); categoryForm.reset(); }, onError: (err: Error) => toast.error(err.message) });
+  const updateReviewersMutation = useMutation<Category, Error, { categoryId: string; reviewers: string[] }>({ mutationFn: ({ categoryId, reviewers }) => fetchWithToken(`/categories/${categoryId}`, token, { method: 'PATCH', body: JSON.stringify({ reviewers }) }), onSuccess: () => { toast.success("Reviewers updated!"); queryClient.invalidateQueries({ queryKey: ['categories'] }); }, onError: (err: Error) => toast.error(err.message), });
+  const updateArchiveMutation = useMutation<Category, Error, { categoryId: string; archivePublic: boolean }>({ mutationFn: ({ categoryId, archivePublic }) => fetchWithToken(`/categories/${categoryId}`, token, { method: 'PATCH', body: JSON.stringify({ archivePublic }) }), onSuccess: (category) => { toast.success(category.archivePublic ? "Archive is now public." : "Archive is now private."); queryClient.invalidateQueries({ queryKey: ['categories'] }); }, onError: (err: Error) => toast.error(err.message), });
   const removeCategoryMutation = useMutation<{ message: string }, Error, string>({ mutationFn: (categoryId: string) => fetchWithToken(`/categories/${categoryId}`, token, { method: 'DELETE' }), onSuccess: () => { toast.success("Category removed successfully!"); queryClient.invalidateQueries({ queryKey: ['categories'] }); queryClient.invalidateQueries({ queryKey: ['admins'] }); }, onError: (err: Error) => toast.error(err.message), });
   const deleteUserMutation = useMutation<{ message: string }, Error, string>({ mutationFn: (userId: string) => fetchWithToken(`/admins/user/${userId}`, token, { method: 'DELETE' }), onSuccess: () => { toast.success("User deleted successfully!"); queryClient.invalidateQueries({ queryKey: ['allRegularUsers'] }); }, onError: (err: Error) => { toast.error(err.message || "Failed to delete user."); } });
   const addUserMutation = useMutation<{ message: string; user: { _id: string; name: string; email: string; }; password_was: string }, Error, AddUserFormData>({ mutationFn: (data: AddUserFormData) => fetchWithToken('/admins/super-add-user', token, { method: 'POST', body: JSON.stringify(data) }), onSuccess: (data) => { toast.success(data.message); queryClient.invalidateQueries({ queryKey: ['allRegularUsers'] }); setIsAddUserDialogOpen(false); setCreatedUserInfo({ ...data.user, password_was: data.password }); addUserForm.reset(); }, onError: (err: Error) => toast.error(err.message), });
@@ -261,6 +267,43 @@ const SuperAdmin = () => {
                       <p className="text-sm text-muted-foreground">No admin assigned</p>
                     )}
                   </div>
+                  <div className="mt-4 flex items-center justify-between">
+                    <Label className="text-xs text-muted-foreground">Reviewers</Label>
+                    <Popover>
+                      <PopoverTrigger asChild><Button variant="ghost" size="sm" className="h-7 px-2"><Edit className="h-3 w-3 mr-1" />Edit</Button></PopoverTrigger>
+                      <PopoverContent className="w-64" align="end">
+                        <p className="text-sm font-medium mb-2">Who can approve {category.name} issues?</p>
+                        <div className="space-y-2 max-h-60 overflow-y-auto">
+                          {admins?.filter(admin => admin.userType === 'admin').map(admin => (
+                            <div key={admin._id} className="flex items-center space-x-2">
+                              <Checkbox
+                                id={`reviewer-${category._id}-${admin._id}`}
+                                checked={category.reviewers?.includes(admin._id)}
+                                disabled={updateReviewersMutation.isPending}
+                                onCheckedChange={(checked) => {
+                                  const current = category.reviewers || [];
+                                  const reviewers = checked ? [...current, admin._id] : current.filter(id => id !== admin._id);
+                                  updateReviewersMutation.mutate({ categoryId: category._id, reviewers });
+                                }}
+                              />
+                              <Label htmlFor={`reviewer-${category._id}-${admin._id}`} className="font-normal">{admin.name}</Label>
+                            </div>
+                          ))}
+                        </div>
+                      </PopoverContent>
+                    </Popover>
+                  </div>
+                  <div className="mt-1 flex flex-wrap gap-1">
+                    {admins?.filter(admin => category.reviewers?.includes(admin._id)).map(admin => (<Badge key={admin._id} variant="secondary">{admin.name}</Badge>))}
+                    {!category.reviewers?.length && <p className="text-sm text-muted-foreground">Superadmins only</p>}
+                  </div>
+                  <div className="mt-4 flex items-center justify-between">
+                    <Label htmlFor={`archive-${category._id}`} className="text-xs text-muted-foreground">Public archive &amp; feeds</Label>
+                    <Switch id={`archive-${category._id}`} checked={!!category.archivePublic} disabled={updateArchiveMutation.isPending} onCheckedChange={(checked) => updateArchiveMutation.mutate({ categoryId: category._id, archivePublic: checked })} />
+                  </div>
+                  {category.archivePublic && category.slug && (
+                    <a href={`/archive/${category.slug}`} target="_blank" rel="noreferrer" className="mt-1 inline-flex items-center text-sm text-primary hover:underline"><Globe className="h-3 w-3 mr-1" />/archive/{category.slug}</a>
+                  )}
                 </CardContent>
             </Card>
         );
@@ -313,7 +356,7 @@ const SuperAdmin = () => {
         <AdminHeader />
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
             <Tabs value={activeTab || ''} onValueChange={handleTabChange} className="w-full">
-                <div className='flex justify-center'><TabsList><TabsTrigger value="admins">Admin Management</TabsTrigger><TabsTrigger value="categories">Category Assignment</TabsTrigger><TabsTrigger value="all-users">All Users</TabsTrigger></TabsList></div>
+                <div className='flex justify-center'><TabsList><TabsTrigger value="admins">Admin Management</TabsTrigger><TabsTrigger value="categories">Category Assignment</TabsTrigger><TabsTrigger value="all-users">All Users</TabsTrigger><TabsTrigger value="review-queue">Review Queue</TabsTrigger><TabsTrigger value="ai-usage">AI Usage</TabsTrigger></TabsList></div>
                 
                 {!activeTab ? (
                     <Card className="mt-6 text-center">
@@ -352,6 +395,14 @@ const SuperAdmin = () => {
                             <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">{categoryView === 'byAdmin' ? renderAssignmentsByAdmin() : renderAssignmentsByCategory()}</div>
                         </TabsContent>
                         
+                        <TabsContent value="review-queue" className="space-y-6 mt-6">
+                            <ReviewQueuePanel />
+                        </TabsContent>
+
+                        <TabsContent value="ai-usage" className="space-y-6 mt-6">
+                            <AiUsagePanel />
+                        </TabsContent>
+
                         <TabsContent value="all-users" className="space-y-6 mt-6">
                         <Card>
                             <CardHeader>
@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { Skeleton } from "@/components/ui/skeleton";
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { AlertCircle, CheckCircle, Loader2 } from 'lucide-react';
+
+// --- Data Types ---
+interface SubscriptionInfo { email: string; category: string; isSubscribed: boolean; categories: string[]; }
+type Scope = 'category' | 'all';
+
+// Public page behind the unsubscribe link in every newsletter; the signed token replaces a login.
+const Unsubscribe = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [info, setInfo] = useState<SubscriptionInfo | null>(null);
+  const [scope, setScope] = useState<Scope>('category');
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [removed, setRemoved] = useState<string[] | null>(null);
+
+  useEffect(() => {
+    if (!token) { setError('This unsubscribe link is invalid.'); setLoading(false); return; }
+    fetch(`/api/unsubscribe?token=${encodeURIComponent(token)}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Could not load your subscription.');
+        setInfo(data);
+        if (!data.isSubscribed) setScope('all');
+      })
+      .catch((err: Error) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleUnsubscribe = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/unsubscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, scope }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Could not unsubscribe you.');
+      setRemoved(data.removed);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (loading) return <div className="space-y-3"><Skeleton className="h-5 w-3/4" /><Skeleton className="h-16 w-full" /></div>;
+    if (removed) {
+      return (
+        <div className="flex items-start gap-3">
+          <CheckCircle className="w-5 h-5 text-green-600 mt-0.5" />
+          <p>{removed.length > 0 ? `You will no longer receive ${removed.join(', ')} newsletters at ${info?.email}.` : 'You were already unsubscribed. No further changes were needed.'}</p>
+        </div>
+      );
+    }
+    if (!info) return null;
+    const hasOtherCategories = info.categories.some(c => c !== info.category);
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-muted-foreground">Subscription for <strong className="text-foreground">{info.email}</strong></p>
+        {!info.isSubscribed && !hasOtherCategories
+          ? <p>You are not subscribed to any newsletters.</p>
+          : (
+            <RadioGroup value={scope} onValueChange={(value) => setScope(value as Scope)}>
+              <div className="flex items-center space-x-2"><RadioGroupItem value="category" id="scope-category" disabled={!info.isSubscribed} /><Label htmlFor="scope-category">Only unsubscribe from {info.category}{!info.isSubscribed && ' (already unsubscribed)'}</Label></div>
+              <div className="flex items-center space-x-2"><RadioGroupItem value="all" id="scope-all" /><Label htmlFor="scope-all">Unsubscribe from all newsletters</Label></div>
+            </RadioGroup>
+          )}
+      </div>
+    );
+  };
+
+  const canSubmit = info && !removed && (scope === 'all' ? info.categories.length > 0 : info.isSubscribed);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-muted/40 p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <div className="flex items-center gap-3 mb-2">
+            <img src="/logo.png" alt="NewsLetter AI Logo" className="h-8 w-8" />
+            <span className="text-2xl font-bold">NewsLetter<span className="text-primary">AI</span></span>
+          </div>
+          <CardTitle>Unsubscribe</CardTitle>
+          <CardDescription>Choose which newsletters you no longer want to receive.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error && <Alert variant="destructive"><AlertCircle className="h-4 w-4" /><AlertDescription>{error}</AlertDescription></Alert>}
+          {renderContent()}
+        </CardContent>
+        {canSubmit && (
+          <CardFooter>
+            <Button className="w-full" variant="destructive" onClick={handleUnsubscribe} disabled={submitting}>
+              {submitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}Unsubscribe
+            </Button>
+          </CardFooter>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default Unsubscribe;
@@ -19,10 +19,14 @@ import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
 import { Calendar } from '@/components/ui/calendar';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { Mail, Loader2, Calendar as CalendarIcon, AlertCircle, Bookmark, Newspaper, Send, Download, FileText } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Mail, Loader2, Calendar as CalendarIcon, AlertCircle, Bookmark, Newspaper, Send, Download, FileText, BookOpen } from 'lucide-react';
 import { useSearchParams } from 'react-router-dom';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { NewsletterThumbnail } from '@/components/dashboard/NewsletterThumbnail';
+import { ExportFormatMenu } from '@/components/dashboard/ExportFormatMenu';
+import { NewsletterReaderDialog, type Language } from '@/components/dashboard/NewsletterReaderDialog';
 
 // --- Data Types ---
 interface ReceivedNewsletter {
@@ -30,6 +34,9 @@ interface ReceivedNewsletter {
   title: string;
   category: string;
   createdAt: string;
+  thumbnail?: { etag?: string };
+  languages?: string[];
+  titles?: Record<string, string>;
 }
 interface Category {
   _id: string;
@@ -39,6 +46,7 @@ interface UserProfile {
   name: string;
   email: string;
   categories: string[];
+  preferredLanguage?: string;
 }
 
 // This should match the structure of the `user` object in AuthContext
@@ -53,6 +61,7 @@ interface User {
 const preferencesSchema = z.object({
   email: z.string().email("Invalid email address."),
   categories: z.array(z.string()).default([]),
+  preferredLanguage: z.string().default('en'),
 });
 type PreferencesFormData = z.infer<typeof preferencesSchema>;
 
@@ -60,11 +69,11 @@ const fetchAllCategories = (token: string | null): Promise<Category[]> => fetchW
 const fetchUserProfile = (token: string | null): Promise<UserProfile> => fetchWithToken('/users/me', token);
 
 const updateUserProfile = async (token: string | null, data: Partial<PreferencesFormData>) => {
-    const { email, categories } = data;
+    const { email, categories, preferredLanguage } = data;
     const promises = [];
 
-    if (email) {
-        promises.push(fetchWithToken('/users/me/profile', token, { method: 'PATCH', body: JSON.stringify({ email }) }));
+    if (email || preferredLanguage) {
+        promises.push(fetchWithToken('/users/me/profile', token, { method: 'PATCH', body: JSON.stringify({ email, preferredLanguage }) }));
     }
 
     if (categories) {
@@ -92,12 +101,14 @@ const UserDashboard = () => {
 
     const [filterDate, setFilterDate] = useState<Date | undefined>(undefined);
     const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'newsletters');
+    const [readingNewsletter, setReadingNewsletter] = useState<ReceivedNewsletter | null>(null);
     
     const { control, handleSubmit, reset, formState: { isSubmitting, isDirty } } = useForm<PreferencesFormData>({
         resolver: zodResolver(preferencesSchema),
         defaultValues: {
             email: user?.email || '',
-            categories: user?.categories || []
+            categories: user?.categories || [],
+            preferredLanguage: 'en'
         }
     });
 
@@ -111,6 +122,12 @@ const UserDashboard = () => {
         queryFn: () => fetchUserProfile(token),
         enabled: !!token,
     });
+    const { data: languages } = useQuery<Language[], Error>({
+        queryKey: ['languages'],
+        queryFn: () => fetchWithToken('/news/languages', token),
+        enabled: !!token,
+        staleTime: Infinity,
+    });
     const { data: receivedNewsletters, isLoading: isLoadingNewsletters } = useQuery<ReceivedNewsletter[], Error>({
         queryKey: ['myReceivedNewsletters'],
         queryFn: () => fetchWithToken('/users/my-newsletters', token),
@@ -127,7 +144,7 @@ const UserDashboard = () => {
               login(data.user, data.token);
             }
             queryClient.invalidateQueries({ queryKey: ['userProfile'] });
-            reset({ email: data.user.email, categories: data.user.categories || [] });
+            reset({ email: data.user.email, categories: data.user.categories || [], preferredLanguage: data.user.preferredLanguage || 'en' });
         },
         onError: (err: Error) => { toast.error(err.message || "Failed to save preferences."); }
     });
@@ -179,7 +196,7 @@ const UserDashboard = () => {
 
     useEffect(() => {
         if (userProfile) {
-            reset({ email: userProfile.email, categories: userProfile.categories || [] });
+            reset({ email: userProfile.email, categories: userProfile.categories || [], preferredLanguage: userProfile.preferredLanguage || 'en' });
         }
     }, [userProfile, reset]);
     
@@ -252,13 +269,19 @@ const UserDashboard = () => {
                                 ) : (
                                     filteredNewsletters.map((newsletter) => (
                                         <div key={newsletter._id} className="flex items-center justify-between p-4 border rounded-lg hover:bg-accent">
-                                            <div>
+                                            <NewsletterThumbnail newsletterId={newsletter._id} version={newsletter.thumbnail?.etag} className="mr-4" />
+                                            <div className="flex-1">
                                                 <h3 className="font-semibold">{newsletter.title}</h3>
                                                 <p className="text-sm text-muted-foreground">
                                                     Category: {newsletter.category} | Received: {format(new Date(newsletter.createdAt), 'PP')}
+                                                    {newsletter.languages && newsletter.languages.length > 1 && <> | Languages: <span className="uppercase">{newsletter.languages.join(', ')}</span></>}
                                                 </p>
                                             </div>
                                             <div className="flex items-center gap-2">
+                                                <Button variant="outline" onClick={() => setReadingNewsletter(newsletter)}>
+                                                    <BookOpen className="w-4 h-4 mr-2" />
+                                                    Read
+                                                </Button>
                                                 <Button variant="outline" onClick={() => viewPdfMutation.mutate(newsletter._id)} disabled={viewPdfMutation.isPending && viewPdfMutation.variables === newsletter._id}>
                                                     {viewPdfMutation.isPending && viewPdfMutation.variables === newsletter._id 
                                                         ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
@@ -273,6 +296,7 @@ const UserDashboard = () => {
                                                     }
                                                     Download PDF
                                                 </Button>
+                                                <ExportFormatMenu newsletter={newsletter} />
                                                 <Button variant="outline" onClick={() => sendToEmailMutation.mutate(newsletter._id)} disabled={sendToEmailMutation.isPending && sendToEmailMutation.variables === newsletter._id}>
                                                     {sendToEmailMutation.isPending && sendToEmailMutation.variables === newsletter._id
                                                         ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
@@ -293,7 +317,7 @@ const UserDashboard = () => {
                             <Card>
                                 <CardHeader>
                                   <CardTitle className="flex items-center gap-2"><Bookmark />Manage My Subscriptions</CardTitle>
-                                  <CardDescription>Update your email or select topics to receive tailored newsletters.</CardDescription>
+                                  <CardDescription>Update your email and language, or select topics to receive tailored newsletters.</CardDescription>
                                 </CardHeader>
                                 <CardContent className="space-y-6">
                                     <div>
@@ -305,6 +329,20 @@ const UserDashboard = () => {
                                             render={({ field }) => <Input id="email" type="email" {...field} className="max-w-sm"/>}
                                         />
                                     </div>
+                                    <div>
+                                        <Label htmlFor="preferredLanguage" className="text-base font-semibold">Newsletter Language</Label>
+                                        <p className="text-sm text-muted-foreground mb-2">Newsletters are translated into this language for you. Until a translation is ready you get the original.</p>
+                                        <Controller
+                                            name="preferredLanguage"
+                                            control={control}
+                                            render={({ field }) => (
+                                                <Select value={field.value} onValueChange={field.onChange}>
+                                                    <SelectTrigger id="preferredLanguage" className="max-w-sm"><SelectValue /></SelectTrigger>
+                                                    <SelectContent>{(languages || [{ code: 'en', name: 'English' }]).map(language => <SelectItem key={language.code} value={language.code}>{language.name}</SelectItem>)}</SelectContent>
+                                                </Select>
+                                            )}
+                                        />
+                                    </div>
                                     <div>
                                         <Label className="text-base font-semibold">Categories</Label>
                                         <p className="text-sm text-muted-foreground mb-2">Choose the topics that interest you.</p>
@@ -354,6 +392,7 @@ const UserDashboard = () => {
                     </TabsContent>
                 </Tabs>
             </main>
+            <NewsletterReaderDialog key={readingNewsletter?._id} newsletter={readingNewsletter} languages={languages || []} preferredLanguage={userProfile?.preferredLanguage} onClose={() => setReadingNewsletter(null)} />
         </div>
     );
 };